@@ -1,4 +1,5 @@
 import React from 'react';
+import { ToastContainer } from 'react-toastify';
 import Spreadsheet from './components/Spreadsheet';
 
 function App() {
@@ -10,6 +11,8 @@ function App() {
       <main>
         <Spreadsheet />
       </main>
+      {/* Multi-line messages, such as lists of unsupported features, keep their breaks */}
+      <ToastContainer position="bottom-right" toastStyle={{ whiteSpace: 'pre-line' }} />
     </div>
   );
 }
@@ -0,0 +1,457 @@
+import React, { memo, useEffect, useRef, useState } from "react";
+import classNames from "classnames";
+import { toast } from "react-toastify";
+import {
+  resolveStyle,
+  styleToBorderCss,
+  styleToLayoutCss,
+  styleToTextCss,
+} from "../utils/cellStyles";
+import { isFormula, toEditText } from "../utils/cellValues";
+import { describeValidation, normalizeValidation } from "../utils/dataValidation";
+import { isFormulaError } from "../utils/formulaErrors";
+import { ARROW_STEPS } from "../utils/gridNavigation";
+import { formatValue } from "../utils/numberFormats";
+import {
+  selectActiveSheet,
+  selectConditionalStyles,
+  selectEvaluatedValues,
+  selectListOptions,
+  selectSelectionRange,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+
+const rangeContains = (range, row, col) =>
+  !!range &&
+  row >= range.startRow &&
+  row <= range.endRow &&
+  col >= range.startCol &&
+  col <= range.endCol;
+
+// Strips along the outside of the active range, one per side, by which the
+// range is dragged
+const EDGE_CLASSES = {
+  top: "top-0 inset-x-0 h-1",
+  bottom: "bottom-0 inset-x-0 h-1",
+  left: "left-0 inset-y-0 w-1",
+  right: "right-0 inset-y-0 w-1",
+};
+
+// One grid cell. It subscribes only to its own slice of the store, so an edit
+// re-renders the edited cell and the cells whose values changed, not the
+// whole grid.
+const Cell = memo(({ row, col, width, height, isMatched, isCurrentMatch }) => {
+  const cellKey = `${row}-${col}`;
+  const value = useSpreadsheetStore((state) => selectActiveSheet(state).cells[row]?.[col]);
+  const evaluated = useSpreadsheetStore((state) => selectEvaluatedValues(state)[row]?.[col]);
+  const storedStyle = useSpreadsheetStore((state) => selectActiveSheet(state).styles[row]?.[col]);
+  const conditional = useSpreadsheetStore((state) => selectConditionalStyles(state)?.[row]?.[col]);
+  const isError = useSpreadsheetStore((state) => selectActiveSheet(state).errors.has(cellKey));
+  const validation = useSpreadsheetStore((state) => selectActiveSheet(state).validations[row]?.[col]);
+  const isSelected = useSpreadsheetStore(
+    (state) => state.selectedCell.row === row && state.selectedCell.col === col
+  );
+  const isInRange = useSpreadsheetStore(({ selectedRange, extraRanges }) =>
+    [selectedRange, ...extraRanges].some((range) => rangeContains(range, row, col))
+  );
+  // Which sides of the active range this cell is on; dragging them moves it
+  const rangeEdges = useSpreadsheetStore((state) => {
+    const { startRow, endRow, startCol, endCol } = selectSelectionRange(state);
+    if (row < startRow || row > endRow || col < startCol || col > endCol) return "";
+    return [
+      row === startRow && "top",
+      row === endRow && "bottom",
+      col === startCol && "left",
+      col === endCol && "right",
+    ].filter(Boolean).join(" ");
+  });
+  // The fill handle sits on the bottom-right cell of the selection
+  const hasFillHandle = useSpreadsheetStore((state) => {
+    const { endRow, endCol } = selectSelectionRange(state);
+    return row === endRow && col === endCol;
+  });
+  const isInFill = useSpreadsheetStore(({ fillTarget }) => rangeContains(fillTarget, row, col));
+  const selectCell = useSpreadsheetStore((state) => state.selectCell);
+  const setCellValue = useSpreadsheetStore((state) => state.setCellValue);
+  const setFormula = useSpreadsheetStore((state) => state.setFormula);
+  const copyRange = useSpreadsheetStore((state) => state.copyRange);
+  const moveRange = useSpreadsheetStore((state) => state.moveRange);
+  const startFill = useSpreadsheetStore((state) => state.startFill);
+  const extendFill = useSpreadsheetStore((state) => state.extendFill);
+  const endFill = useSpreadsheetStore((state) => state.endFill);
+  const copySelection = useSpreadsheetStore((state) => state.copySelection);
+  const paste = useSpreadsheetStore((state) => state.paste);
+  const navigateTo = useSpreadsheetStore((state) => state.navigateTo);
+  const startSelecting = useSpreadsheetStore((state) => state.startSelecting);
+  const extendSelection = useSpreadsheetStore((state) => state.extendSelection);
+  const stopSelecting = useSpreadsheetStore((state) => state.stopSelecting);
+  // The selected cell's input has focus but shows nothing of its own until
+  // an edit starts; the styled display layer above it shows the evaluated
+  // value. While editing, `draft` holds the text being typed, which is only
+  // parsed and stored when the edit is committed. Typing starts an edit that
+  // replaces the value and arrow keys commit it; F2 or a double click edit
+  // the current text and arrow keys move the caret.
+  const [draft, setDraft] = useState(null);
+  const arrowsCommit = useRef(false);
+  const inputRef = useRef(null);
+  // Set by Ctrl+Shift+V so the paste that follows pastes values only
+  const pasteValuesOnly = useRef(false);
+  const isEditing = draft !== null;
+  // Options of an open dropdown list, or null
+  const [listItems, setListItems] = useState(null);
+
+  const rule = normalizeValidation(validation);
+  const isCheckbox = rule?.type === "checkbox";
+  const hasDropdown = rule?.type === "list" && isSelected;
+
+  const formulaError = isFormulaError(evaluated) ? evaluated : null;
+  // Conditional formatting draws over the cell's own style
+  const { dataBar, ...conditionalStyle } = conditional || {};
+  const style = resolveStyle(conditional ? { ...storedStyle, ...conditionalStyle } : storedStyle);
+  const textCss = styleToTextCss(style);
+  const editText = toEditText(value, style.numberFormat);
+  // The number format decides the displayed text and may override its color
+  const formatted = formatValue(isFormula(value) ? evaluated : value, style.numberFormat);
+
+  // Keyboard focus follows the selection while it's in the grid, so keys
+  // keep working as the selection moves; focus elsewhere, such as in a
+  // dialog, isn't taken away
+  useEffect(() => {
+    const input = inputRef.current;
+    const focused = document.activeElement;
+    if (!isSelected || !input || focused === input) return;
+    if (focused === document.body || focused?.dataset.cellInput !== undefined) {
+      input.focus({ preventScroll: true });
+    }
+  }, [isSelected]);
+
+  // A "reject" validation rule refuses the input; the cell keeps its value.
+  // Returns whether the input was stored.
+  const commitValue = (input) => {
+    const rejection = setCellValue(row, col, input);
+    if (rejection) toast.error(rejection);
+    return !rejection;
+  };
+
+  const startEdit = (text, fromTyping) => {
+    arrowsCommit.current = fromTyping;
+    setDraft(text);
+    if (isSelected) setFormula(text);
+  };
+
+  const commitEdit = () => {
+    const isStored = draft === null || draft === editText || commitValue(draft);
+    setDraft(null);
+    return isStored;
+  };
+
+  // Drop the edit and put the stored value back in the formula bar
+  const cancelEdit = () => {
+    setDraft(null);
+    if (isSelected) setFormula(editText);
+  };
+
+  const toggleDropdown = (e) => {
+    e.stopPropagation();
+    setListItems(listItems ? null : selectListOptions(useSpreadsheetStore.getState(), row, col));
+  };
+
+  // Clipboard shortcuts act on the selected range unless the user is working
+  // with text inside the cell: some of it is selected, or it has been edited
+  const isEditingText = (input) =>
+    (draft !== null && draft !== editText) || input.selectionStart !== input.selectionEnd;
+
+  const handleCopy = (e, cut) => {
+    if (isEditingText(e.currentTarget)) return;
+    e.preventDefault();
+    const { text, html } = copySelection(cut);
+    e.clipboardData.setData("text/plain", text);
+    e.clipboardData.setData("text/html", html);
+  };
+
+  const handlePaste = (e) => {
+    const mode = pasteValuesOnly.current ? "values" : "all";
+    pasteValuesOnly.current = false;
+    if (isEditingText(e.currentTarget)) return;
+    e.preventDefault();
+    paste(
+      {
+        text: e.clipboardData.getData("text/plain"),
+        html: e.clipboardData.getData("text/html"),
+      },
+      mode
+    );
+    // The cell now shows what was pasted rather than an edit in progress
+    setDraft(null);
+  };
+
+  // Keys that start, commit or cancel an edit. Handled keys are marked with
+  // preventDefault so the grid's navigation keys (see Spreadsheet) skip them.
+  const handleKeyDown = (e) => {
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "v") {
+      pasteValuesOnly.current = true;
+    }
+
+    if (!isEditing) {
+      if (e.key === "F2") {
+        e.preventDefault();
+        startEdit(editText, false);
+        const end = e.currentTarget.value.length;
+        e.currentTarget.setSelectionRange(end, end);
+      } else if (e.key === "Backspace") {
+        e.preventDefault();
+        startEdit("", true);
+      } else if (e.key.length === 1 && !hasModifier) {
+        e.preventDefault();
+        startEdit(e.key, true);
+      }
+      return;
+    }
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      cancelEdit();
+      return;
+    }
+    // Enter and Tab commit and move on, as do arrows in an edit started by
+    // typing; Shift goes back
+    const back = e.shiftKey ? -1 : 1;
+    let step = null;
+    if (e.key === "Enter") {
+      step = [back, 0];
+    } else if (e.key === "Tab") {
+      step = [0, back];
+    } else if (arrowsCommit.current && !e.shiftKey && !hasModifier) {
+      step = ARROW_STEPS[e.key];
+    }
+    if (!step) return;
+    e.preventDefault();
+    if (commitEdit()) navigateTo(row + step[0], col + step[1]);
+  };
+  // Selection, range and validation highlights take precedence over the fill
+  const showsFill = !!style.fill && !isSelected && !isInRange && !isError;
+
+  // Drag and Drop handlers. The active range is dragged by its edges, since
+  // dragging inside it selects cells; the cell it was grabbed by lands where
+  // it's dropped.
+  const handleDragStart = (e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData("text/plain", JSON.stringify({
+      range: selectSelectionRange(useSpreadsheetStore.getState()),
+      sourceRow: row,
+      sourceCol: col
+    }));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    try {
+      const { range, sourceRow, sourceCol } = JSON.parse(e.dataTransfer.getData("text/plain"));
+      const targetRow = row - (sourceRow - range.startRow);
+      const targetCol = col - (sourceCol - range.startCol);
+
+      // If shift key is pressed, copy the cells, otherwise move them
+      if (e.shiftKey) {
+        copyRange(range, targetRow, targetCol);
+      } else {
+        moveRange(range, targetRow, targetCol);
+      }
+    } catch (error) {
+      console.error("Error during drag and drop:", error);
+    }
+  };
+
+  // Pressing the mouse selects the cell and starts a drag selection that the
+  // cells it passes over extend. Shift extends the selection and Ctrl adds
+  // a range to it.
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) return;
+    // A list left open when the cell was last selected starts closed
+    if (!isSelected) setListItems(null);
+    if (!isEditing) {
+      // Keep the browser from selecting text while dragging
+      e.preventDefault();
+      inputRef.current?.focus({ preventScroll: true });
+    }
+    selectCell(row, col, e.shiftKey, e.ctrlKey || e.metaKey);
+    startSelecting("cells");
+    document.addEventListener("mouseup", stopSelecting, { once: true });
+  };
+
+  // The fill handle is dragged with the mouse rather than drag and drop, so
+  // the cells it passes over can preview the fill
+  const handleFillStart = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    startFill();
+    document.addEventListener("mouseup", endFill, { once: true });
+  };
+
+  return (
+    <div
+      className={classNames(
+        "relative border-r border-b",
+        {
+          "bg-blue-50": isSelected,
+          "bg-blue-100": isInRange && !isSelected,
+          "bg-white": !isSelected && !isInRange && !showsFill,
+          "bg-red-100": isError,
+          "ring-1 ring-yellow-400": isMatched,
+          "ring-2 ring-green-500": isCurrentMatch,
+          "outline-dashed outline-1 outline-gray-600 outline-offset-[-1px]": isInFill
+        }
+      )}
+      style={{
+        width: `${width}px`,
+        height: `${height}px`,
+        backgroundColor: showsFill ? style.fill : undefined,
+        ...styleToBorderCss(style),
+      }}
+      title={
+        formulaError
+          ? formulaError.message
+          : isError && rule
+            ? rule.helpText || describeValidation(rule)
+            : undefined
+      }
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={handleDrop}
+      onMouseEnter={() => {
+        const { fillTarget, selecting } = useSpreadsheetStore.getState();
+        if (fillTarget) {
+          extendFill(row, col);
+        } else if (selecting) {
+          extendSelection(row, col);
+        }
+      }}
+      onMouseDown={handleMouseDown}
+    >
+      <div className="relative w-full h-full">
+        {/* Error marker; hovering the cell shows the cause */}
+        {formulaError && (
+          <div className="absolute top-0 right-0 w-0 h-0 border-t-8 border-l-8 border-t-red-500 border-l-transparent" />
+        )}
+
+        {dataBar && (
+          <div
+            className="absolute left-0 top-1 bottom-1 opacity-60"
+            style={{ width: `${dataBar.percent}%`, backgroundColor: dataBar.color }}
+          />
+        )}
+
+        {isCheckbox && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            <input
+              ref={inputRef}
+              type="checkbox"
+              data-cell-input
+              checked={value === true}
+              onChange={() => commitValue(value === true ? "FALSE" : "TRUE")}
+            />
+          </div>
+        )}
+
+        {/* Display the evaluated value */}
+        {!isEditing && !isCheckbox && (
+          <div
+            className="absolute inset-0 px-2 flex overflow-hidden"
+            style={{
+              ...textCss,
+              ...styleToLayoutCss(style),
+              color: conditionalStyle.color || formatted.color || style.color,
+              pointerEvents: "none"
+            }}
+          >
+            {formatted.text}
+          </div>
+        )}
+
+        {/* Dropdown list picker */}
+        {hasDropdown && (
+          <button
+            onClick={toggleDropdown}
+            className="absolute right-0 top-0 bottom-0 px-1 text-gray-500 hover:text-gray-800 z-10"
+            title="Choose a value"
+          >
+            ▾
+          </button>
+        )}
+        {hasDropdown && listItems && (
+          <div className="absolute left-0 top-full mt-px min-w-full bg-white border rounded shadow z-30 max-h-48 overflow-auto">
+            {listItems.length === 0 && <div className="px-2 py-1 text-gray-500">No items</div>}
+            {listItems.map((item, index) => (
+              <div
+                key={index}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setListItems(null);
+                  commitValue(item);
+                }}
+                className="px-2 py-1 hover:bg-blue-100 cursor-pointer whitespace-nowrap"
+              >
+                {item}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {rangeEdges.split(" ").filter(Boolean).map((edge) => (
+          <div
+            key={edge}
+            draggable
+            onDragStart={handleDragStart}
+            onMouseDown={(e) => e.stopPropagation()}
+            className={classNames("absolute cursor-move z-10", EDGE_CLASSES[edge])}
+            title="Drag to move, Shift+drag to copy"
+          />
+        ))}
+
+        {hasFillHandle && (
+          <div
+            onMouseDown={handleFillStart}
+            className="absolute -right-1 -bottom-1 w-2 h-2 bg-blue-600 border border-white cursor-crosshair z-20"
+            title="Drag to fill"
+          />
+        )}
+
+        {/* Input for editing */}
+        {!isCheckbox && <input
+          ref={inputRef}
+          type="text"
+          data-cell-input
+          data-editing={isEditing}
+          value={isEditing ? draft : editText}
+          onChange={(e) => {
+            // Input that didn't come through a key press, e.g. from an IME
+            if (!isEditing) {
+              startEdit(e.target.value, true);
+              return;
+            }
+            setDraft(e.target.value);
+            if (isSelected) setFormula(e.target.value);
+          }}
+          onDoubleClick={(e) => {
+            if (isEditing) return;
+            startEdit(editText, false);
+            // The caret goes to the end, as a click in ready mode doesn't place it
+            e.target.setSelectionRange(editText.length, editText.length);
+          }}
+          onBlur={commitEdit}
+          onKeyDown={handleKeyDown}
+          onCopy={(e) => handleCopy(e, false)}
+          onCut={(e) => handleCopy(e, true)}
+          onPaste={handlePaste}
+          className="w-full h-full px-2 outline-none bg-transparent"
+          style={{
+            ...textCss,
+            color: isEditing ? style.color : 'transparent',
+            caretColor: isEditing ? undefined : 'transparent',
+          }}
+        />}
+      </div>
+    </div>
+  );
+});
+
+export default Cell;
@@ -0,0 +1,267 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { formatRange, parseRangeText } from "../utils/cellReferences";
+import { createRule, describeRule, isStyleRule, RULE_TYPES } from "../utils/conditionalFormats";
+import {
+  selectActiveSheet,
+  selectSelectionRange,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+
+// Lists the active sheet's conditional format rules in the order they apply,
+// and adds new ones. Every change is one undoable step.
+const ConditionalFormatPanel = ({ onClose }) => {
+  const rules = useSpreadsheetStore((state) => selectActiveSheet(state).conditionalFormats);
+  const applySheetChange = useSpreadsheetStore((state) => state.applySheetChange);
+  const [draft, setDraft] = useState(() =>
+    createRule("greaterThan", selectSelectionRange(useSpreadsheetStore.getState()))
+  );
+  const [rangeText, setRangeText] = useState(() => formatRange(draft.range));
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const updateDraftStyle = (changes) =>
+    setDraft((prev) => ({ ...prev, style: { ...prev.style, ...changes } }));
+
+  const addRule = () => {
+    const range = parseRangeText(rangeText);
+    if (!range) {
+      toast.error(`"${rangeText}" is not a valid range`);
+      return;
+    }
+    applySheetChange("Add conditional format", {
+      conditionalFormats: [...rules, { ...draft, range }],
+    });
+    // The next rule starts from the same settings but needs its own id
+    setDraft(createRule(draft.type, range));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    applySheetChange("Reorder conditional formats", { conditionalFormats: reordered });
+  };
+
+  const deleteRule = (id) => {
+    applySheetChange("Delete conditional format", {
+      conditionalFormats: rules.filter((rule) => rule.id !== id),
+    });
+  };
+
+  // Swatch previewing what a rule does
+  const preview = (rule) => {
+    if (rule.type === "colorScale") {
+      return { background: `linear-gradient(to right, ${rule.minColor}, ${rule.maxColor})` };
+    }
+    if (rule.type === "dataBar") return { backgroundColor: rule.color };
+    return {
+      backgroundColor: rule.style.fill || "transparent",
+      color: rule.style.color,
+      fontWeight: rule.style.bold ? "bold" : "normal",
+      fontStyle: rule.style.italic ? "italic" : "normal",
+    };
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[32rem] max-h-[90vh] overflow-auto">
+        <h3 className="text-lg font-semibold mb-4">Conditional formatting</h3>
+
+        {/* Existing rules; earlier rules take precedence */}
+        <div className="mb-4">
+          {rules.length === 0 && <p className="text-gray-500">No rules on this sheet.</p>}
+          {rules.map((rule, index) => (
+            <div key={rule.id} className="flex items-center gap-2 py-1 border-b">
+              <span className="w-10 h-6 border rounded text-center text-sm" style={preview(rule)}>
+                {isStyleRule(rule) ? "Aa" : ""}
+              </span>
+              <span className="flex-1 text-sm">
+                <span className="font-mono">{formatRange(rule.range)}</span> {describeRule(rule)}
+              </span>
+              <button
+                onClick={() => moveRule(index, -1)}
+                disabled={index === 0}
+                className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded disabled:opacity-50"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => moveRule(index, 1)}
+                disabled={index === rules.length - 1}
+                className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded disabled:opacity-50"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => deleteRule(rule.id)}
+                className="px-2 py-1 bg-red-500 text-white rounded"
+                title="Delete rule"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* New rule */}
+        <div className="mb-4">
+          <label className="block mb-1">Apply to range:</label>
+          <input
+            type="text"
+            value={rangeText}
+            onChange={(e) => setRangeText(e.target.value)}
+            className="w-full p-2 border rounded mb-2"
+            placeholder="A1:B10"
+          />
+
+          <label className="block mb-1">Format cells if:</label>
+          <select
+            value={draft.type}
+            onChange={(e) => updateDraft({ type: e.target.value })}
+            className="w-full p-2 border rounded mb-2"
+          >
+            {RULE_TYPES.map(({ type, label }) => (
+              <option key={type} value={type}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {["greaterThan", "lessThan", "between"].includes(draft.type) && (
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={draft.value}
+                onChange={(e) => updateDraft({ value: e.target.value })}
+                className="flex-1 p-2 border rounded"
+                placeholder="Value or date"
+              />
+              {draft.type === "between" && (
+                <input
+                  type="text"
+                  value={draft.value2}
+                  onChange={(e) => updateDraft({ value2: e.target.value })}
+                  className="flex-1 p-2 border rounded"
+                  placeholder="and"
+                />
+              )}
+            </div>
+          )}
+          {draft.type === "textContains" && (
+            <input
+              type="text"
+              value={draft.text}
+              onChange={(e) => updateDraft({ text: e.target.value })}
+              className="w-full p-2 border rounded mb-2"
+              placeholder="Text"
+            />
+          )}
+          {(draft.type === "top" || draft.type === "bottom") && (
+            <input
+              type="number"
+              min="1"
+              value={draft.count}
+              onChange={(e) => updateDraft({ count: parseInt(e.target.value) || 1 })}
+              className="w-full p-2 border rounded mb-2"
+            />
+          )}
+          {draft.type === "customFormula" && (
+            <input
+              type="text"
+              value={draft.formula}
+              onChange={(e) => updateDraft({ formula: e.target.value })}
+              className="w-full p-2 border rounded mb-2 font-mono"
+              placeholder="=A1>B1, written for the range's first cell"
+            />
+          )}
+
+          {isStyleRule(draft) && (
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-1">
+                Fill
+                <input
+                  type="color"
+                  value={draft.style.fill || "#ffffff"}
+                  onChange={(e) => updateDraftStyle({ fill: e.target.value })}
+                  className="w-10 h-10"
+                />
+              </label>
+              <label className="flex items-center gap-1">
+                Text
+                <input
+                  type="color"
+                  value={draft.style.color || "#000000"}
+                  onChange={(e) => updateDraftStyle({ color: e.target.value })}
+                  className="w-10 h-10"
+                />
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={!!draft.style.bold}
+                  onChange={(e) => updateDraftStyle({ bold: e.target.checked })}
+                />
+                Bold
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={!!draft.style.italic}
+                  onChange={(e) => updateDraftStyle({ italic: e.target.checked })}
+                />
+                Italic
+              </label>
+            </div>
+          )}
+          {draft.type === "colorScale" && (
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-1">
+                Minimum
+                <input
+                  type="color"
+                  value={draft.minColor}
+                  onChange={(e) => updateDraft({ minColor: e.target.value })}
+                  className="w-10 h-10"
+                />
+              </label>
+              <label className="flex items-center gap-1">
+                Maximum
+                <input
+                  type="color"
+                  value={draft.maxColor}
+                  onChange={(e) => updateDraft({ maxColor: e.target.value })}
+                  className="w-10 h-10"
+                />
+              </label>
+            </div>
+          )}
+          {draft.type === "dataBar" && (
+            <label className="flex items-center gap-1">
+              Bar color
+              <input
+                type="color"
+                value={draft.color}
+                onChange={(e) => updateDraft({ color: e.target.value })}
+                className="w-10 h-10"
+              />
+            </label>
+          )}
+        </div>
+
+        <div className="flex gap-2">
+          <button onClick={addRule} className="px-4 py-2 bg-blue-500 text-white rounded">
+            Add rule
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-gray-300 rounded">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConditionalFormatPanel;
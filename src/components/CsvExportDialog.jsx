@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import {
+  selectActiveSheet,
+  selectRangeTexts,
+  selectSelectionRange,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+import { formatRange } from "../utils/cellReferences";
+import { DELIMITERS, toDelimited } from "../utils/delimitedText";
+import { downloadFile } from "../utils/fileDownload";
+import { findLastUsedCell } from "../utils/gridNavigation";
+
+// Options for exporting the active sheet, or the selected range, as a CSV,
+// TSV or other delimited text file
+const CsvExportDialog = ({ onClose }) => {
+  const [selection] = useState(() => selectSelectionRange(useSpreadsheetStore.getState()));
+  const [scope, setScope] = useState("sheet");
+  const [asFormulas, setAsFormulas] = useState(false);
+  const [delimiter, setDelimiter] = useState(",");
+
+  const runExport = () => {
+    const state = useSpreadsheetStore.getState();
+    const sheet = selectActiveSheet(state);
+    // The sheet is trimmed to the cells holding data
+    const last = findLastUsedCell(sheet.cells);
+    const range =
+      scope === "sheet"
+        ? { startRow: 0, endRow: last.row, startCol: 0, endCol: last.col }
+        : selection;
+    const text = toDelimited(selectRangeTexts(state, range, asFormulas), delimiter);
+    const isTab = delimiter === "\t";
+    downloadFile(
+      `${text}\n`,
+      `${sheet.name}.${isTab ? "tsv" : "csv"}`,
+      isTab ? "text/tab-separated-values" : "text/csv"
+    );
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[28rem]">
+        <h3 className="text-lg font-semibold mb-4">Export CSV/TSV</h3>
+
+        <label className="block mb-1">Export:</label>
+        <div className="flex gap-4 mb-2">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={scope === "sheet"}
+              onChange={() => setScope("sheet")}
+              className="mr-2"
+            />
+            The whole sheet
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={scope === "selection"}
+              onChange={() => setScope("selection")}
+              className="mr-2"
+            />
+            The selection <span className="ml-1 font-mono">{formatRange(selection)}</span>
+          </label>
+        </div>
+
+        <div className="flex gap-4 mb-2">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={!asFormulas}
+              onChange={() => setAsFormulas(false)}
+              className="mr-2"
+            />
+            Values as displayed
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={asFormulas}
+              onChange={() => setAsFormulas(true)}
+              className="mr-2"
+            />
+            Formulas
+          </label>
+        </div>
+
+        <label className="block mb-1">Delimiter:</label>
+        <select
+          value={delimiter}
+          onChange={(e) => setDelimiter(e.target.value)}
+          className="w-full p-2 border rounded mb-4"
+        >
+          {DELIMITERS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex gap-2">
+          <button onClick={runExport} className="px-4 py-2 bg-blue-500 text-white rounded">
+            Export
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-gray-300 rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CsvExportDialog;
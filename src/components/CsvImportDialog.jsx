@@ -0,0 +1,182 @@
+import React, { useEffect, useMemo, useState } from "react";
+import classNames from "classnames";
+import { useSpreadsheetStore } from "../store/spreadsheetStore";
+import { indexToColumn } from "../utils/cellReferences";
+import { DELIMITERS, detectDelimiter, ENCODINGS, parseDelimited } from "../utils/delimitedText";
+
+const QUOTES = [
+  { value: '"', label: 'Double (")' },
+  { value: "'", label: "Single (')" },
+  { value: "", label: "None" },
+];
+
+const PREVIEW_ROWS = 5;
+
+// Options for importing a CSV, TSV or other delimited text file, with a
+// preview of its first rows as they'd be split
+const CsvImportDialog = ({ file, onClose }) => {
+  const importGrid = useSpreadsheetStore((state) => state.importGrid);
+  const selectedCell = useSpreadsheetStore((state) => state.selectedCell);
+  const [bytes, setBytes] = useState(null);
+  const [encoding, setEncoding] = useState("utf-8");
+  // Null until the file is read, then the detected delimiter
+  const [delimiter, setDelimiter] = useState(null);
+  const [quote, setQuote] = useState('"');
+  const [hasHeader, setHasHeader] = useState(false);
+  const [destination, setDestination] = useState("new");
+
+  useEffect(() => {
+    let isCurrent = true;
+    file.arrayBuffer().then((data) => {
+      if (isCurrent) setBytes(data);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [file]);
+
+  const text = useMemo(() => (bytes ? new TextDecoder(encoding).decode(bytes) : ""), [bytes, encoding]);
+
+  useEffect(() => {
+    if (bytes && delimiter === null) setDelimiter(detectDelimiter(text));
+  }, [bytes, delimiter, text]);
+
+  const rows = useMemo(
+    () => (delimiter === null ? [] : parseDelimited(text, delimiter, quote || null)),
+    [text, delimiter, quote]
+  );
+  const preview = rows.slice(0, PREVIEW_ROWS);
+  const previewWidth = Math.max(0, ...preview.map((row) => row.length));
+
+  const runImport = () => {
+    importGrid(rows, { destination, hasHeader, name: file.name.replace(/\.[^.]*$/, "") });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[36rem]">
+        <h3 className="text-lg font-semibold mb-4">Import {file.name}</h3>
+
+        <div className="grid grid-cols-3 gap-2 mb-2">
+          <label>
+            <span className="block mb-1">Encoding:</span>
+            <select
+              value={encoding}
+              onChange={(e) => setEncoding(e.target.value)}
+              className="w-full p-2 border rounded"
+            >
+              {ENCODINGS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="block mb-1">Delimiter:</span>
+            <select
+              value={delimiter ?? ","}
+              onChange={(e) => setDelimiter(e.target.value)}
+              className="w-full p-2 border rounded"
+            >
+              {DELIMITERS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="block mb-1">Quotes:</span>
+            <select
+              value={quote}
+              onChange={(e) => setQuote(e.target.value)}
+              className="w-full p-2 border rounded"
+            >
+              {QUOTES.map(({ value, label }) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <label className="flex items-center mb-2">
+          <input
+            type="checkbox"
+            checked={hasHeader}
+            onChange={(e) => setHasHeader(e.target.checked)}
+            className="mr-2"
+          />
+          The first row is a header
+        </label>
+
+        <label className="block mb-1">Put the data:</label>
+        <div className="flex gap-4 mb-2">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={destination === "new"}
+              onChange={() => setDestination("new")}
+              className="mr-2"
+            />
+            On a new sheet
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={destination === "replace"}
+              onChange={() => setDestination("replace")}
+              className="mr-2"
+            />
+            Replacing this sheet
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={destination === "insert"}
+              onChange={() => setDestination("insert")}
+              className="mr-2"
+            />
+            At {indexToColumn(selectedCell.col)}
+            {selectedCell.row + 1}
+          </label>
+        </div>
+
+        <div className="border rounded mb-4 max-h-48 overflow-auto">
+          <table className="text-sm">
+            <tbody>
+              {preview.map((row, r) => (
+                <tr key={r} className={classNames({ "font-bold bg-gray-50": hasHeader && r === 0 })}>
+                  {Array.from({ length: previewWidth }, (_, c) => (
+                    <td key={c} className="px-2 py-1 border whitespace-nowrap">
+                      {row[c] ?? ""}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {bytes && rows.length === 0 && <p className="p-2 text-gray-500">The file is empty.</p>}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={runImport}
+            disabled={rows.length === 0}
+            className="px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+          >
+            Import {rows.length > 0 && `${rows.length} rows`}
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-gray-300 rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import { formatRange } from "../utils/cellReferences";
+import {
+  createValidation,
+  NO_VALIDATION,
+  normalizeValidation,
+  NUMBER_OPERATORS,
+  VALIDATION_TYPES,
+} from "../utils/dataValidation";
+import {
+  selectActiveSheet,
+  selectSelectionRange,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+
+// Edits the validation rule of the selected range. It opens with the rule of
+// the selected cell, if any.
+const DataValidationPanel = ({ onClose }) => {
+  const applyValidation = useSpreadsheetStore((state) => state.applyValidation);
+  const [range] = useState(() => selectSelectionRange(useSpreadsheetStore.getState()));
+  const [draft, setDraft] = useState(() => {
+    const state = useSpreadsheetStore.getState();
+    const { row, col } = state.selectedCell;
+    const existing = normalizeValidation(selectActiveSheet(state).validations[row]?.[col]);
+    return existing
+      ? { ...createValidation(existing.type), ...existing }
+      : createValidation("list");
+  });
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const save = () => {
+    // Custom formulas are written for the range's first cell
+    applyValidation({ ...draft, anchor: { row: range.startRow, col: range.startCol } });
+    onClose();
+  };
+
+  const remove = () => {
+    applyValidation(NO_VALIDATION);
+    onClose();
+  };
+
+  const operatorFields = (
+    <div className="flex gap-2 mb-2">
+      <select
+        value={draft.operator}
+        onChange={(e) => updateDraft({ operator: e.target.value })}
+        className="flex-1 p-2 border rounded"
+      >
+        {NUMBER_OPERATORS.filter(
+          ({ operator }) => draft.type === "number" || operator !== "any"
+        ).map(({ operator, label }) => (
+          <option key={operator} value={operator}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {draft.operator !== "any" && (
+        <input
+          type="text"
+          value={draft.min}
+          onChange={(e) => updateDraft({ min: e.target.value })}
+          className="w-24 p-2 border rounded"
+          placeholder="Value"
+        />
+      )}
+      {(draft.operator === "between" || draft.operator === "notBetween") && (
+        <input
+          type="text"
+          value={draft.max}
+          onChange={(e) => updateDraft({ max: e.target.value })}
+          className="w-24 p-2 border rounded"
+          placeholder="and"
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[28rem]">
+        <h3 className="text-lg font-semibold mb-4">
+          Data validation <span className="font-mono text-base">{formatRange(range)}</span>
+        </h3>
+
+        <label className="block mb-1">Criteria:</label>
+        <select
+          value={draft.type}
+          onChange={(e) => {
+            const type = e.target.value;
+            updateDraft({ type, operator: type === "number" ? "any" : "lessThan" });
+          }}
+          className="w-full p-2 border rounded mb-2"
+        >
+          {VALIDATION_TYPES.map(({ type, label }) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {draft.type === "list" && (
+          <>
+            <div className="flex gap-4 mb-2">
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={draft.source === "values"}
+                  onChange={() => updateDraft({ source: "values" })}
+                  className="mr-2"
+                />
+                Items
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={draft.source === "range"}
+                  onChange={() => updateDraft({ source: "range" })}
+                  className="mr-2"
+                />
+                From a range
+              </label>
+            </div>
+            {draft.source === "values" ? (
+              <input
+                type="text"
+                value={draft.values}
+                onChange={(e) => updateDraft({ values: e.target.value })}
+                className="w-full p-2 border rounded mb-2"
+                placeholder="Yes, No, Maybe"
+              />
+            ) : (
+              <input
+                type="text"
+                value={draft.range}
+                onChange={(e) => updateDraft({ range: e.target.value })}
+                className="w-full p-2 border rounded mb-2 font-mono"
+                placeholder="A1:A10 or Sheet2!A1:A10"
+              />
+            )}
+          </>
+        )}
+        {(draft.type === "number" || draft.type === "textLength") && operatorFields}
+        {draft.type === "regex" && (
+          <input
+            type="text"
+            value={draft.pattern}
+            onChange={(e) => updateDraft({ pattern: e.target.value })}
+            className="w-full p-2 border rounded mb-2 font-mono"
+            placeholder="^[A-Z]{3}-\d+$"
+          />
+        )}
+        {draft.type === "customFormula" && (
+          <input
+            type="text"
+            value={draft.formula}
+            onChange={(e) => updateDraft({ formula: e.target.value })}
+            className="w-full p-2 border rounded mb-2 font-mono"
+            placeholder="=A1>0, written for the range's first cell"
+          />
+        )}
+
+        <label className="block mb-1">If the data is invalid:</label>
+        <div className="flex gap-4 mb-2">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={draft.mode === "warn"}
+              onChange={() => updateDraft({ mode: "warn" })}
+              className="mr-2"
+            />
+            Show a warning
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={draft.mode === "reject"}
+              onChange={() => updateDraft({ mode: "reject" })}
+              className="mr-2"
+            />
+            Reject the input
+          </label>
+        </div>
+
+        <label className="block mb-1">Help text:</label>
+        <input
+          type="text"
+          value={draft.helpText}
+          onChange={(e) => updateDraft({ helpText: e.target.value })}
+          className="w-full p-2 border rounded mb-4"
+          placeholder="Shown when the cell is selected"
+        />
+
+        <div className="flex gap-2">
+          <button onClick={save} className="px-4 py-2 bg-blue-500 text-white rounded">
+            Save
+          </button>
+          <button onClick={remove} className="px-4 py-2 bg-red-500 text-white rounded">
+            Remove rule
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-gray-300 rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataValidationPanel;
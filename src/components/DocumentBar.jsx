@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from "react";
+import classNames from "classnames";
+import debounce from "lodash/debounce";
+import { toast } from "react-toastify";
+import { selectHasUnsavedChanges, useSpreadsheetStore } from "../store/spreadsheetStore";
+import { DocumentError } from "../utils/documentFormat";
+import {
+  createDocument,
+  listDocuments,
+  loadDocument,
+  saveDocument,
+  UNTITLED_NAME,
+} from "../utils/documentStorage";
+import { createWorkbook } from "../utils/workbook";
+import DocumentBrowser from "./DocumentBrowser";
+import VersionHistoryPanel from "./VersionHistoryPanel";
+
+// Quiet time after an edit before the workbook is saved
+const AUTOSAVE_DELAY = 1000;
+
+const { getState } = useSpreadsheetStore;
+
+// The open document's name and save status, the document browser and the
+// version history. On start the most recently modified document opens (or
+// a new one is made), and edits are saved to it automatically once they
+// pause.
+const DocumentBar = () => {
+  const currentDocument = useSpreadsheetStore((state) => state.currentDocument);
+  const hasUnsavedChanges = useSpreadsheetStore(selectHasUnsavedChanges);
+  const openDocument = useSpreadsheetStore((state) => state.openDocument);
+  const updateDocumentEntry = useSpreadsheetStore((state) => state.updateDocumentEntry);
+  // "saving", "failed" or null
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const autosaveRef = useRef(null);
+  const hasStartedRef = useRef(false);
+
+  // Autosave. Switching documents saves the pending changes to the one
+  // being left right away.
+  useEffect(() => {
+    const save = async (entry, workbook, revision) => {
+      setSaveStatus("saving");
+      try {
+        getState().markSaved(await saveDocument(entry, workbook), revision);
+        setSaveStatus(null);
+      } catch (error) {
+        console.error("Error saving document:", error);
+        setSaveStatus("failed");
+        toast.error(`Couldn't save "${entry.name}".`);
+      }
+    };
+    const autosave = debounce(save, AUTOSAVE_DELAY);
+    autosaveRef.current = autosave;
+
+    const unsubscribe = useSpreadsheetStore.subscribe((state, previous) => {
+      if (state.currentDocument?.id !== previous.currentDocument?.id) {
+        autosave.flush();
+      } else if (state.revision !== previous.revision && selectHasUnsavedChanges(state)) {
+        autosave(state.currentDocument, state.workbook, state.revision);
+      }
+    });
+    // Leaving with a save pending asks the user to stay while it finishes
+    const saveBeforeLeaving = (e) => {
+      if (!selectHasUnsavedChanges(getState())) return;
+      autosave.flush();
+      e.preventDefault();
+    };
+    window.addEventListener("beforeunload", saveBeforeLeaving);
+    return () => {
+      unsubscribe();
+      window.removeEventListener("beforeunload", saveBeforeLeaving);
+      autosave.flush();
+    };
+  }, []);
+
+  const openStoredDocument = async (id) => {
+    try {
+      const { entry, workbook } = await loadDocument(id);
+      openDocument(entry, workbook);
+      setShowBrowser(false);
+    } catch (error) {
+      console.error("Error opening document:", error);
+      toast.error(
+        error instanceof DocumentError ? error.message : "Couldn't open the document."
+      );
+    }
+  };
+
+  const createNewDocument = async () => {
+    try {
+      const workbook = createWorkbook();
+      openDocument(await createDocument(UNTITLED_NAME, workbook), workbook);
+      setShowBrowser(false);
+    } catch (error) {
+      console.error("Error creating document:", error);
+      toast.error("Couldn't create a document.");
+    }
+  };
+
+  // Open the latest document on start. Refs survive StrictMode's second
+  // run of effects, so this runs once.
+  useEffect(() => {
+    if (hasStartedRef.current) return;
+    hasStartedRef.current = true;
+    (async () => {
+      try {
+        const [latest] = await listDocuments();
+        if (!latest) {
+          const { workbook } = getState();
+          openDocument(await createDocument(UNTITLED_NAME, workbook), workbook);
+          return;
+        }
+        const { entry, workbook } = await loadDocument(latest.id);
+        openDocument(entry, workbook);
+      } catch (error) {
+        console.error("Error opening the latest document:", error);
+        toast.error(
+          error instanceof DocumentError
+            ? `The last document couldn't be opened. ${error.message}`
+            : "Saved documents aren't available, so changes won't be saved."
+        );
+        if (error instanceof DocumentError) setShowBrowser(true);
+      }
+    })();
+  }, [openDocument]);
+
+  const saveNow = () => {
+    const { currentDocument: entry, workbook, revision } = getState();
+    if (!entry) return;
+    autosaveRef.current(entry, workbook, revision);
+    autosaveRef.current.flush();
+  };
+
+  let status = "All changes saved";
+  if (saveStatus === "saving") status = "Saving…";
+  else if (saveStatus === "failed") status = "Not saved";
+  else if (hasUnsavedChanges) status = "Unsaved changes";
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => setShowBrowser(true)}
+        className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600 max-w-48 truncate"
+        title="Documents"
+      >
+        {currentDocument?.name ?? "Documents"} ▾
+      </button>
+      <button
+        onClick={saveNow}
+        disabled={!currentDocument}
+        className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50"
+      >
+        Save
+      </button>
+      <button
+        onClick={() => setShowHistory(true)}
+        disabled={!currentDocument}
+        className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50"
+      >
+        History
+      </button>
+      {currentDocument && (
+        <span
+          className={classNames("text-sm", {
+            "text-gray-500": !hasUnsavedChanges && saveStatus !== "failed",
+            "text-amber-600": hasUnsavedChanges && saveStatus !== "failed",
+            "text-red-600": saveStatus === "failed",
+          })}
+          title={`Last saved ${new Date(currentDocument.modified).toLocaleString()}`}
+        >
+          {status}
+        </span>
+      )}
+
+      {showBrowser && (
+        <DocumentBrowser
+          currentId={currentDocument?.id}
+          onOpen={openStoredDocument}
+          onCreate={createNewDocument}
+          onRenamed={updateDocumentEntry}
+          onClose={() => setShowBrowser(false)}
+        />
+      )}
+
+      {showHistory && <VersionHistoryPanel onClose={() => setShowHistory(false)} />}
+    </div>
+  );
+};
+
+export default DocumentBar;
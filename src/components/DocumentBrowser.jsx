@@ -0,0 +1,138 @@
+import React, { useCallback, useEffect, useState } from "react";
+import classNames from "classnames";
+import { toast } from "react-toastify";
+import {
+  deleteDocument,
+  duplicateDocument,
+  listDocuments,
+  renameDocument,
+} from "../utils/documentStorage";
+
+// The saved documents, most recently modified first: open, rename,
+// duplicate or delete them, or start a new one. The open document
+// (`currentId`) can't be deleted. `onRenamed` receives a renamed document's
+// updated entry.
+const DocumentBrowser = ({ currentId, onOpen, onCreate, onRenamed, onClose }) => {
+  const [documents, setDocuments] = useState(null);
+  // Document being renamed: { id, name }
+  const [editing, setEditing] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setDocuments(await listDocuments());
+    } catch (error) {
+      console.error("Error listing documents:", error);
+      toast.error("Couldn't read the saved documents.");
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Run a storage action, then show the updated list
+  const runAction = async (action, failure) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(failure, error);
+      toast.error(failure);
+    }
+    refresh();
+  };
+
+  const commitRename = () => {
+    if (!editing) return;
+    const { id, name } = editing;
+    setEditing(null);
+    if (!name.trim()) return;
+    runAction(
+      async () => onRenamed(await renameDocument(id, name.trim())),
+      "Couldn't rename the document."
+    );
+  };
+
+  const remove = (entry) => {
+    if (window.confirm(`Delete "${entry.name}"? This can't be undone.`)) {
+      runAction(() => deleteDocument(entry.id), "Couldn't delete the document.");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[40rem]">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Documents</h3>
+          <button onClick={onCreate} className="px-3 py-1 bg-blue-500 text-white rounded">
+            New spreadsheet
+          </button>
+        </div>
+
+        <div className="max-h-96 overflow-auto border rounded mb-4">
+          {documents === null && <p className="p-2 text-gray-500">Loading…</p>}
+          {documents?.map((entry) => (
+            <div
+              key={entry.id}
+              className={classNames("flex items-center gap-2 px-2 py-1 border-b last:border-b-0", {
+                "bg-blue-50": entry.id === currentId,
+              })}
+            >
+              {editing?.id === entry.id ? (
+                <input
+                  autoFocus
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                  className="flex-1 px-1 border rounded"
+                />
+              ) : (
+                <button
+                  onClick={() => onOpen(entry.id)}
+                  className="flex-1 text-left truncate hover:underline"
+                  title="Open"
+                >
+                  {entry.name}
+                </button>
+              )}
+              <span className="w-44 text-sm text-gray-500">
+                {new Date(entry.modified).toLocaleString()}
+              </span>
+              <button
+                onClick={() => setEditing({ id: entry.id, name: entry.name })}
+                className="px-2 text-sm hover:bg-gray-100 rounded"
+              >
+                Rename
+              </button>
+              <button
+                onClick={() =>
+                  runAction(() => duplicateDocument(entry.id), "Couldn't duplicate the document.")
+                }
+                className="px-2 text-sm hover:bg-gray-100 rounded"
+              >
+                Duplicate
+              </button>
+              <button
+                onClick={() => remove(entry)}
+                disabled={entry.id === currentId}
+                className="px-2 text-sm text-red-600 hover:bg-gray-100 rounded disabled:text-gray-400"
+                title={entry.id === currentId ? "The open document can't be deleted" : undefined}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <button onClick={onClose} className="px-4 py-2 bg-gray-300 rounded">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentBrowser;
@@ -0,0 +1,108 @@
+import React, { useRef, useState } from "react";
+import { IMPORT_EXTENSIONS } from "../utils/xlsxFiles";
+
+const TEXT_EXTENSIONS = [".csv", ".tsv", ".txt"];
+
+// The toolbar's File menu: opening and saving workbooks as .json files,
+// importing spreadsheet and delimited text files and exporting the workbook
+// or sheet. `onOpen`, `onImport` and `onImportText` receive the chosen File.
+const FileMenu = ({ onOpen, onSaveAs, onImport, onExport, onImportText, onExportText }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const documentInputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const textInputRef = useRef(null);
+
+  const runMenuAction = (action) => {
+    setIsOpen(false);
+    action();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600"
+      >
+        File ▾
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-1 w-48 bg-white border rounded shadow z-40">
+          <button
+            onClick={() => runMenuAction(() => documentInputRef.current.click())}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+          >
+            Open .json…
+          </button>
+          <button
+            onClick={() => runMenuAction(onSaveAs)}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+          >
+            Save as .json
+          </button>
+          <button
+            onClick={() => runMenuAction(() => fileInputRef.current.click())}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100 border-t"
+          >
+            Import {IMPORT_EXTENSIONS.join("/")}…
+          </button>
+          <button
+            onClick={() => runMenuAction(onExport)}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+          >
+            Export .xlsx
+          </button>
+          <button
+            onClick={() => runMenuAction(() => textInputRef.current.click())}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100 border-t"
+          >
+            Import CSV/TSV…
+          </button>
+          <button
+            onClick={() => runMenuAction(onExportText)}
+            className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+          >
+            Export CSV/TSV…
+          </button>
+        </div>
+      )}
+
+      <input
+        ref={documentInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          // Choosing the same file again still fires a change
+          e.target.value = "";
+          if (file) onOpen(file);
+        }}
+      />
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={IMPORT_EXTENSIONS.join(",")}
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = "";
+          if (file) onImport(file);
+        }}
+      />
+      <input
+        ref={textInputRef}
+        type="file"
+        accept={TEXT_EXTENSIONS.join(",")}
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = "";
+          if (file) onImportText(file);
+        }}
+      />
+    </div>
+  );
+};
+
+export default FileMenu;
@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import classNames from "classnames";
+import { borderChanges, FONT_FAMILIES, resolveStyle } from "../utils/cellStyles";
+import { changeDecimals, NUMBER_FORMATS } from "../utils/numberFormats";
+import {
+  selectActiveSheet,
+  selectEvaluatedValues,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+
+// Formatting controls. They reflect the style of the selected cell and apply
+// changes to every selected range. Dragging through a color picker or
+// stepping the font size merges into one undo step.
+const FormatToolbar = () => {
+  const storedStyle = useSpreadsheetStore(
+    (state) => selectActiveSheet(state).styles[state.selectedCell.row]?.[state.selectedCell.col]
+  );
+  const evaluated = useSpreadsheetStore(
+    (state) => selectEvaluatedValues(state)[state.selectedCell.row]?.[state.selectedCell.col]
+  );
+  const applyStyle = useSpreadsheetStore((state) => state.applyStyle);
+  const [borderColor, setBorderColor] = useState("#000000");
+  const style = resolveStyle(storedStyle);
+  const isPreset = NUMBER_FORMATS.some(({ pattern }) => pattern === style.numberFormat);
+
+  const toggleButton = (property, label, className, title) => (
+    <button
+      onClick={() => applyStyle(title, { [property]: !style[property] })}
+      className={classNames("px-2 py-1 rounded", className, {
+        "bg-gray-400": style[property],
+        "bg-gray-300 hover:bg-gray-400": !style[property],
+      })}
+      title={title}
+    >
+      {label}
+    </button>
+  );
+
+  const optionButton = (property, value, label, title) => (
+    <button
+      onClick={() => applyStyle(title, { [property]: value })}
+      className={classNames("px-2 py-1 rounded", {
+        "bg-gray-400": style[property] === value,
+        "bg-gray-300 hover:bg-gray-400": style[property] !== value,
+      })}
+      title={title}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <>
+      <select
+        value={style.fontFamily}
+        onChange={(e) => applyStyle("Font", { fontFamily: e.target.value })}
+        className="px-2 py-1 border rounded"
+        title="Font"
+      >
+        {FONT_FAMILIES.map(({ label, value }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      <input
+        type="number"
+        value={style.fontSize}
+        onChange={(e) => applyStyle("Font size", { fontSize: parseInt(e.target.value) || 14 }, "font-size")}
+        className="w-16 px-2 py-1 border rounded"
+        min="8"
+        max="36"
+        title="Font size"
+      />
+
+      {toggleButton("bold", "B", "font-bold", "Bold")}
+      {toggleButton("italic", "I", "italic", "Italic")}
+      {toggleButton("underline", "U", "underline", "Underline")}
+      {toggleButton("strikethrough", "S", "line-through", "Strikethrough")}
+
+      <input
+        type="color"
+        value={style.color}
+        onChange={(e) => applyStyle("Text color", { color: e.target.value }, "text-color")}
+        className="w-10 h-10"
+        title="Text color"
+      />
+      <input
+        type="color"
+        value={style.fill || "#ffffff"}
+        onChange={(e) => applyStyle("Fill color", { fill: e.target.value }, "fill-color")}
+        className="w-10 h-10"
+        title="Fill color"
+      />
+      <button
+        onClick={() => applyStyle("Clear fill", { fill: null })}
+        className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded"
+        title="Clear fill"
+      >
+        No fill
+      </button>
+
+      <div className="h-6 border-l border-gray-300 mx-1"></div>
+
+      <select
+        value={isPreset ? style.numberFormat : "custom"}
+        onChange={(e) => {
+          let pattern = e.target.value;
+          if (pattern === "custom") {
+            pattern = window.prompt("Custom number format, e.g. #,##0.00;[Red]-#,##0.00", style.numberFormat);
+            if (!pattern) return;
+          }
+          applyStyle("Number format", { numberFormat: pattern });
+        }}
+        className="px-2 py-1 border rounded"
+        title="Number format"
+      >
+        {NUMBER_FORMATS.map(({ label, pattern }) => (
+          <option key={pattern} value={pattern}>
+            {label}
+          </option>
+        ))}
+        <option value="custom">{isPreset ? "Custom…" : `Custom: ${style.numberFormat}`}</option>
+      </select>
+      <button
+        onClick={() =>
+          applyStyle("Decrease decimals", { numberFormat: changeDecimals(style.numberFormat, -1, evaluated) })
+        }
+        className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded"
+        title="Decrease decimal places"
+      >
+        .0←
+      </button>
+      <button
+        onClick={() =>
+          applyStyle("Increase decimals", { numberFormat: changeDecimals(style.numberFormat, 1, evaluated) })
+        }
+        className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded"
+        title="Increase decimal places"
+      >
+        .00→
+      </button>
+
+      <div className="h-6 border-l border-gray-300 mx-1"></div>
+
+      {optionButton("align", "left", "⇤", "Align left")}
+      {optionButton("align", "center", "↔", "Align center")}
+      {optionButton("align", "right", "⇥", "Align right")}
+      {optionButton("verticalAlign", "top", "⤒", "Align top")}
+      {optionButton("verticalAlign", "middle", "↕", "Align middle")}
+      {optionButton("verticalAlign", "bottom", "⤓", "Align bottom")}
+      {toggleButton("wrap", "Wrap", "", "Wrap text")}
+
+      <select
+        value=""
+        onChange={(e) => {
+          const preset = e.target.value;
+          if (!preset) return;
+          applyStyle("Borders", borderChanges(preset, borderColor));
+        }}
+        className="px-2 py-1 border rounded"
+        title="Borders"
+      >
+        <option value="">Borders…</option>
+        <option value="all">All borders</option>
+        <option value="outer">Outer borders</option>
+        <option value="top">Top border</option>
+        <option value="bottom">Bottom border</option>
+        <option value="left">Left border</option>
+        <option value="right">Right border</option>
+        <option value="none">Clear borders</option>
+      </select>
+      <input
+        type="color"
+        value={borderColor}
+        onChange={(e) => setBorderColor(e.target.value)}
+        className="w-10 h-10"
+        title="Border color"
+      />
+    </>
+  );
+};
+
+export default FormatToolbar;
@@ -0,0 +1,65 @@
+import React, { useEffect, useRef } from "react";
+
+// Right-click menu of the row and column headers: insert as many rows or
+// columns as are selected on either side of them, or delete them. `start`
+// and `end` are the selected lines and `lineCount` how many the sheet has.
+const HeaderMenu = ({ axis, x, y, start, end, lineCount, onInsert, onDelete, onClose }) => {
+  const menuRef = useRef(null);
+
+  // Clicking elsewhere or pressing Escape closes the menu
+  useEffect(() => {
+    const closeOutside = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+    const closeOnEscape = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("mousedown", closeOutside);
+    document.addEventListener("keydown", closeOnEscape);
+    return () => {
+      document.removeEventListener("mousedown", closeOutside);
+      document.removeEventListener("keydown", closeOnEscape);
+    };
+  }, [onClose]);
+
+  const count = end - start + 1;
+  const noun = axis === "row" ? "row" : "column";
+  const lines = count > 1 ? `${count} ${noun}s` : noun;
+  const [before, after] = axis === "row" ? ["above", "below"] : ["left", "right"];
+
+  const runAction = (action) => {
+    onClose();
+    action();
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className="fixed w-44 bg-white border rounded shadow z-50"
+      style={{ left: `${x}px`, top: `${y}px` }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <button
+        onClick={() => runAction(() => onInsert(start, count))}
+        className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+      >
+        Insert {lines} {before}
+      </button>
+      <button
+        onClick={() => runAction(() => onInsert(end + 1, count))}
+        className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+      >
+        Insert {lines} {after}
+      </button>
+      <button
+        onClick={() => runAction(() => onDelete(start, count))}
+        disabled={count >= lineCount}
+        className="block w-full px-3 py-1 text-left text-red-600 hover:bg-gray-100 disabled:text-gray-400"
+      >
+        Delete {lines}
+      </button>
+    </div>
+  );
+};
+
+export default HeaderMenu;
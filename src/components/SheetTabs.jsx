@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import classNames from "classnames";
+
+// Tab bar below the grid: click to switch sheets, double-click to rename,
+// drag to reorder, and the ▾ menu for the remaining sheet actions.
+const SheetTabs = ({
+  sheets,
+  activeSheetId,
+  onSelect,
+  onAdd,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onMove,
+}) => {
+  const [editing, setEditing] = useState(null);
+  const [menuSheetId, setMenuSheetId] = useState(null);
+  const [dragSheetId, setDragSheetId] = useState(null);
+
+  const commitRename = () => {
+    if (!editing) return;
+    // Keep the editor open if the parent rejects the name
+    if (onRename(editing.id, editing.name) !== false) {
+      setEditing(null);
+    }
+  };
+
+  const runMenuAction = (action) => {
+    const sheetId = menuSheetId;
+    setMenuSheetId(null);
+    action(sheetId);
+  };
+
+  return (
+    <div className="flex items-center gap-1 mt-2 p-1 bg-gray-100 rounded">
+      <button
+        onClick={onAdd}
+        className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded"
+        title="Add sheet"
+      >
+        +
+      </button>
+
+      {sheets.map((sheet, index) => (
+        <div
+          key={sheet.id}
+          className={classNames("relative flex items-center rounded border", {
+            "bg-white border-blue-500 font-semibold": sheet.id === activeSheetId,
+            "bg-gray-200 border-transparent hover:bg-gray-300": sheet.id !== activeSheetId,
+          })}
+          draggable={!editing}
+          onDragStart={(e) => {
+            setDragSheetId(sheet.id);
+            e.dataTransfer.effectAllowed = "move";
+          }}
+          onDragOver={(e) => {
+            if (dragSheetId) e.preventDefault();
+          }}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (dragSheetId && dragSheetId !== sheet.id) {
+              onMove(dragSheetId, index);
+            }
+            setDragSheetId(null);
+          }}
+          onDragEnd={() => setDragSheetId(null)}
+        >
+          {editing?.id === sheet.id ? (
+            <input
+              type="text"
+              value={editing.name}
+              autoFocus
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+                if (e.key === "Escape") setEditing(null);
+              }}
+              className="w-28 px-2 py-1 outline-none"
+            />
+          ) : (
+            <button
+              onClick={() => onSelect(sheet.id)}
+              onDoubleClick={() => setEditing({ id: sheet.id, name: sheet.name })}
+              className="px-3 py-1"
+            >
+              {sheet.name}
+            </button>
+          )}
+          <button
+            onClick={() => setMenuSheetId(menuSheetId === sheet.id ? null : sheet.id)}
+            className="px-1 py-1 text-gray-500 hover:text-gray-800"
+            title="Sheet options"
+          >
+            ▾
+          </button>
+
+          {menuSheetId === sheet.id && (
+            <div className="absolute bottom-full left-0 mb-1 w-36 bg-white border rounded shadow z-40">
+              <button
+                onClick={() => {
+                  setMenuSheetId(null);
+                  setEditing({ id: sheet.id, name: sheet.name });
+                }}
+                className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+              >
+                Rename
+              </button>
+              <button
+                onClick={() => runMenuAction(onDuplicate)}
+                className="block w-full px-3 py-1 text-left hover:bg-gray-100"
+              >
+                Duplicate
+              </button>
+              <button
+                onClick={() => runMenuAction((id) => onMove(id, index - 1))}
+                disabled={index === 0}
+                className="block w-full px-3 py-1 text-left hover:bg-gray-100 disabled:text-gray-400"
+              >
+                Move left
+              </button>
+              <button
+                onClick={() => runMenuAction((id) => onMove(id, index + 1))}
+                disabled={index === sheets.length - 1}
+                className="block w-full px-3 py-1 text-left hover:bg-gray-100 disabled:text-gray-400"
+              >
+                Move right
+              </button>
+              <button
+                onClick={() => runMenuAction(onDelete)}
+                disabled={sheets.length <= 1}
+                className="block w-full px-3 py-1 text-left text-red-600 hover:bg-gray-100 disabled:text-gray-400"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SheetTabs;
@@ -1,73 +1,129 @@
-import React, { useState, useRef, useEffect } from "react";
-import classNames from "classnames";
+import React, { useState, useRef, useEffect, useMemo, useCallback } from "react";
 import { Bar } from "react-chartjs-2";
 import { Chart, registerables } from "chart.js";
-import { evaluate } from "mathjs";
+import classNames from "classnames";
+import { useHotkeys } from "react-hotkeys-hook";
+import { toast } from "react-toastify";
+import { useShallow } from "zustand/react/shallow";
+import { indexToColumn } from "../utils/cellReferences";
+import { toEditText } from "../utils/cellValues";
+import { describeValidation, normalizeValidation } from "../utils/dataValidation";
+import { DocumentError, parseDocument, writeDocument } from "../utils/documentFormat";
+import { createDocument } from "../utils/documentStorage";
+import { isFormulaError } from "../utils/formulaErrors";
+import { toggleAbsoluteReference } from "../utils/formulaRewriter";
+import { downloadFile } from "../utils/fileDownload";
+import { compareValues } from "../utils/formulaValues";
+import {
+  ARROW_STEPS,
+  findDataEdge,
+  findLastUsedCell,
+  findLastUsedColumn,
+} from "../utils/gridNavigation";
+import { canRedo, canUndo } from "../utils/history";
+import {
+  addSheet,
+  COLUMN_WIDTH,
+  deleteSheet,
+  duplicateSheet,
+  moveSheet,
+  renameSheet,
+  ROW_HEIGHT,
+  validateSheetName,
+} from "../utils/workbook";
+import { deleteRowsAt, reorderRows } from "../utils/sheetStructure";
+import { computeOffsets, getVisibleRange } from "../utils/virtualization";
+import { exportXlsx, importWorkbookFile } from "../utils/xlsxFiles";
+import {
+  selectActiveSheet,
+  selectEvaluatedValues,
+  selectSelectionCorner,
+  selectSelectionRange,
+  selectSelectionRanges,
+  useSpreadsheetStore,
+} from "../store/spreadsheetStore";
+import Cell from "./Cell";
+import ConditionalFormatPanel from "./ConditionalFormatPanel";
+import CsvExportDialog from "./CsvExportDialog";
+import CsvImportDialog from "./CsvImportDialog";
+import DataValidationPanel from "./DataValidationPanel";
+import DocumentBar from "./DocumentBar";
+import FileMenu from "./FileMenu";
+import FormatToolbar from "./FormatToolbar";
+import HeaderMenu from "./HeaderMenu";
+import SheetTabs from "./SheetTabs";
 
 Chart.register(...registerables);
 
-const INITIAL_ROWS = 20;
-const INITIAL_COLS = 10;
-const COLUMN_WIDTH = 100;
-const ROW_HEIGHT = 40;
+// Row header width and column header height, matching w-12 and h-8
+const HEADER_WIDTH = 48;
+const HEADER_HEIGHT = 32;
+// Rows and columns rendered beyond the visible window on each side
+const OVERSCAN = 3;
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
 
-// Helper functions for column/cell references
-const columnToIndex = (colLetters) => {
-  return (
-    colLetters.split("").reduce((acc, letter) => {
-      return acc * 26 + (letter.toUpperCase().charCodeAt(0) - 64);
-    }, 0) - 1
-  );
-};
+// What went wrong reading a saved document, for the user
+const describeDocumentError = (error) =>
+  error instanceof DocumentError ? error.message : "The file couldn't be read.";
 
-const indexToColumn = (index) => {
-  let column = "";
-  let temp = index + 1;
-  while (temp > 0) {
-    temp--;
-    column = String.fromCharCode(65 + (temp % 26)) + column;
-    temp = Math.floor(temp / 26);
-  }
-  return column;
-};
-
-const cellToIndex = (cellRef) => {
-  if (!cellRef || typeof cellRef !== 'string') return [0, 0];
-  
-  const colMatch = cellRef.match(/[A-Z]+/);
-  const rowMatch = cellRef.match(/\d+/);
-  
-  if (!colMatch || !rowMatch) return [0, 0];
-  
-  const col = columnToIndex(colMatch[0]);
-  const row = parseInt(rowMatch[0]) - 1;
-  
-  return [row, col];
-};
+// Handlers read the sheet when they run instead of subscribing to it, so the
+// grid container doesn't re-render on every cell edit
+const getState = () => useSpreadsheetStore.getState();
+const getActiveSheet = () => selectActiveSheet(getState());
 
 const Spreadsheet = () => {
-  const [rows, setRows] = useState(INITIAL_ROWS);
-  const [cols, setCols] = useState(INITIAL_COLS);
-  const [cells, setCells] = useState(
-    Array.from({ length: INITIAL_ROWS }, () => Array(INITIAL_COLS).fill(""))
-  );
-  const [selectedCell, setSelectedCell] = useState({ row: 0, col: 0 });
-  const [selectedRange, setSelectedRange] = useState(null);
-  const [formula, setFormula] = useState("");
-  const [boldCells, setBoldCells] = useState(new Set());
-  const [italicCells, setItalicCells] = useState(new Set());
-  const [fontSize, setFontSize] = useState(14);
-  const [color, setColor] = useState("#000000");
-  const [columnWidths, setColumnWidths] = useState(
-    Array(INITIAL_COLS).fill(COLUMN_WIDTH)
-  );
-  const [rowHeights, setRowHeights] = useState(
-    Array(INITIAL_ROWS).fill(ROW_HEIGHT)
+  // Layout of the active sheet
+  const rows = useSpreadsheetStore((state) => selectActiveSheet(state).rows);
+  const cols = useSpreadsheetStore((state) => selectActiveSheet(state).cols);
+  const columnWidths = useSpreadsheetStore((state) => selectActiveSheet(state).columnWidths);
+  const rowHeights = useSpreadsheetStore((state) => selectActiveSheet(state).rowHeights);
+  const sheetIds = useSpreadsheetStore(
+    useShallow((state) => state.workbook.sheets.map((sheet) => sheet.id))
   );
-  const [validations, setValidations] = useState(
-    Array.from({ length: INITIAL_ROWS }, () => Array(INITIAL_COLS).fill("any"))
+  const sheetNames = useSpreadsheetStore(
+    useShallow((state) => state.workbook.sheets.map((sheet) => sheet.name))
   );
-  const [errors, setErrors] = useState(new Set());
+  const activeSheetId = useSpreadsheetStore((state) => state.workbook.activeSheetId);
+
+  const selectedCell = useSpreadsheetStore((state) => state.selectedCell);
+  const selectedRange = useSpreadsheetStore((state) => state.selectedRange);
+  const extraRanges = useSpreadsheetStore((state) => state.extraRanges);
+  // Help text of the selected cell's validation rule
+  const validationHelp = useSpreadsheetStore((state) => {
+    const rule = normalizeValidation(
+      selectActiveSheet(state).validations[state.selectedCell.row]?.[state.selectedCell.col]
+    );
+    return rule ? rule.helpText || describeValidation(rule) : null;
+  });
+  const formula = useSpreadsheetStore((state) => state.formula);
+  const history = useSpreadsheetStore((state) => state.history);
+
+  // Actions never change, so they're read once rather than subscribed to
+  const {
+    commitChange,
+    applySheetChange,
+    previewSheetChange,
+    undo,
+    redo,
+    openDocument,
+    selectSheet,
+    selectCell,
+    setFormula,
+    setCellValue,
+    setCellValues,
+    paste,
+    navigateTo,
+    clearCells,
+    insertLines,
+    deleteLines,
+    selectRows,
+    selectColumns,
+    selectAll,
+    startSelecting,
+    extendSelection,
+    stopSelecting,
+  } = getState();
+
   const [findReplace, setFindReplace] = useState({
     show: false,
     find: "",
@@ -76,356 +132,199 @@ const Spreadsheet = () => {
     matches: [],
   });
   const [chartData, setChartData] = useState(null);
-  const [dependencies, setDependencies] = useState({});
+  const [showConditionalFormats, setShowConditionalFormats] = useState(false);
+  const [showValidation, setShowValidation] = useState(false);
+  // The delimited text file being imported
+  const [textImportFile, setTextImportFile] = useState(null);
+  const [showTextExport, setShowTextExport] = useState(false);
+  // Open row or column header menu: { axis, x, y, start, end }
+  const [headerMenu, setHeaderMenu] = useState(null);
   const containerRef = useRef(null);
-  const [evaluatedValues, setEvaluatedValues] = useState(
-    Array.from({ length: INITIAL_ROWS }, () => Array(INITIAL_COLS).fill(""))
-  );
+  const gridRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, left: 0, width: 1200, height: 600 });
   const [sortConfig, setSortConfig] = useState({
     show: false,
     column: 0,
     direction: 'asc'
   });
 
-  // Initialize cells with evaluated values
-  useEffect(() => {
-    updateAllEvaluatedValues();
-  }, []);
+  // Ctrl+Z undoes; Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on macOS)
+  const historyKeys = { enableOnFormTags: true, preventDefault: true };
+  useHotkeys("mod+z", () => undo(), historyKeys);
+  useHotkeys("mod+y, mod+shift+z", () => redo(), historyKeys);
 
-  // Update all evaluated values
-  const updateAllEvaluatedValues = () => {
-    // First pass: collect all dependencies
-    const deps = {};
-    cells.forEach((rowCells, rIdx) => {
-      rowCells.forEach((cell, cIdx) => {
-        if (typeof cell === 'string' && cell.startsWith('=')) {
-          const cellKey = `${rIdx}-${cIdx}`;
-          const cellDeps = getCellDependencies(cell);
-          deps[cellKey] = cellDeps;
-        }
-      });
-    });
-    
-    setDependencies(deps);
-    
-    // Second pass: evaluate all cells in dependency order
-    const newEvaluatedValues = Array.from({ length: rows }, () => Array(cols).fill(""));
-    const evaluated = new Set();
-    
-    // Helper function to evaluate a cell with its dependencies
-    const evaluateCell = (row, col, visited = new Set()) => {
-      const cellKey = `${row}-${col}`;
-      
-      // If already evaluated, return the value
-      if (evaluated.has(cellKey)) {
-        return newEvaluatedValues[row][col];
-      }
-      
-      // Check for circular dependencies
-      if (visited.has(cellKey)) {
-        return "#CIRCULAR!";
-      }
-      
-      visited.add(cellKey);
-      
-      const cellValue = cells[row][col];
-      
-      // If not a formula, return as is
-      if (typeof cellValue !== 'string' || !cellValue.startsWith('=')) {
-        newEvaluatedValues[row][col] = cellValue;
-        evaluated.add(cellKey);
-        return cellValue;
-      }
-      
-      // Evaluate dependencies first
-      const cellDeps = deps[cellKey] || [];
-      for (const dep of cellDeps) {
-        const [depRow, depCol] = dep.split('-').map(Number);
-        if (depRow >= 0 && depRow < rows && depCol >= 0 && depCol < cols) {
-          evaluateCell(depRow, depCol, new Set([...visited]));
-        }
-      }
-      
-      // Now evaluate this cell
-      try {
-        const result = evaluateFormula(cellValue, row, col, newEvaluatedValues);
-        newEvaluatedValues[row][col] = result;
-        evaluated.add(cellKey);
-        return result;
-      } catch (error) {
-        newEvaluatedValues[row][col] = "#ERROR!";
-        evaluated.add(cellKey);
-        return "#ERROR!";
-      }
-    };
-    
-    // Evaluate all cells
-    for (let r = 0; r < rows; r++) {
-      for (let c = 0; c < cols; c++) {
-        evaluateCell(r, c);
-      }
-    }
-    
-    setEvaluatedValues(newEvaluatedValues);
+  // Grid navigation, while a cell has focus and isn't being edited. Cell
+  // handles the keys that start, commit or cancel an edit, and marks them
+  // with preventDefault.
+  const gridKeys = {
+    enableOnFormTags: ["input"],
+    preventDefault: true,
+    ignoreEventWhen: (e) =>
+      e.defaultPrevented ||
+      e.target.dataset?.cellInput === undefined ||
+      e.target.dataset.editing === "true",
   };
 
-  // Get cell dependencies from a formula
-  const getCellDependencies = (formula) => {
-    if (!formula || typeof formula !== 'string' || !formula.startsWith('=')) {
-      return [];
-    }
-    
-    const deps = new Set();
-    const cellRefs = formula.match(/[A-Z]+\d+/g) || [];
-    
-    for (const ref of cellRefs) {
-      const [row, col] = cellToIndex(ref);
-      if (row >= 0 && row < rows && col >= 0 && col < cols) {
-        deps.add(`${row}-${col}`);
-      }
-    }
-    
-    return Array.from(deps);
-  };
+  // Shift extends the range from the selected cell instead of moving it
+  const navigationStart = (e) =>
+    e.shiftKey ? selectSelectionCorner(getState()) : getState().selectedCell;
 
-  // Formula evaluation
-  const evaluateFormula = (formula, row, col, evalValues) => {
-    if (!formula || typeof formula !== 'string') return "";
-    if (!formula.startsWith("=")) return formula;
-    
-    try {
-      let expression = formula.substring(1).trim();
-      
-      // Handle built-in functions
-      if (expression.toUpperCase().startsWith("SUM(")) {
-        const rangeStr = expression.substring(4, expression.length - 1);
-        return calculateSum(rangeStr, evalValues);
-      }
-      
-      if (expression.toUpperCase().startsWith("AVERAGE(")) {
-        const rangeStr = expression.substring(8, expression.length - 1);
-        return calculateAverage(rangeStr, evalValues);
-      }
-      
-      if (expression.toUpperCase().startsWith("MAX(")) {
-        const rangeStr = expression.substring(4, expression.length - 1);
-        return calculateMax(rangeStr, evalValues);
-      }
-      
-      if (expression.toUpperCase().startsWith("MIN(")) {
-        const rangeStr = expression.substring(4, expression.length - 1);
-        return calculateMin(rangeStr, evalValues);
-      }
-      
-      if (expression.toUpperCase().startsWith("COUNT(")) {
-        const rangeStr = expression.substring(6, expression.length - 1);
-        return calculateCount(rangeStr, evalValues);
-      }
-      
-      // Replace cell references with actual values
-      expression = expression.replace(/[A-Z]+\d+/g, (match) => {
-        const [refRow, refCol] = cellToIndex(match);
-        if (refRow >= 0 && refRow < rows && refCol >= 0 && refCol < cols) {
-          const cellValue = evalValues ? evalValues[refRow][refCol] : evaluatedValues[refRow][refCol];
-          
-          // If the value is a string that's not a number, wrap it in quotes
-          if (typeof cellValue === 'string' && isNaN(parseFloat(cellValue))) {
-            return `"${cellValue.replace(/"/g, '\\"')}"`;
-          }
-          
-          return cellValue === "" ? 0 : cellValue;
-        }
-        return 0;
-      });
-      
-      // Safely evaluate the expression
-      const result = evaluate(expression);
-      return typeof result === 'number' ? parseFloat(result.toFixed(10)) : result;
-    } catch (error) {
-      console.error("Formula evaluation error:", error, formula);
-      return "#ERROR!";
-    }
-  };
-  
-  // Range calculation functions
-  const parseRange = (rangeStr) => {
-    const parts = rangeStr.split(':');
-    if (parts.length === 1) {
-      // Single cell reference
-      return [cellToIndex(parts[0])];
-    } else if (parts.length === 2) {
-      // Range reference (e.g., A1:B3)
-      const [startRow, startCol] = cellToIndex(parts[0]);
-      const [endRow, endCol] = cellToIndex(parts[1]);
-      
-      const cells = [];
-      for (let r = Math.min(startRow, endRow); r <= Math.max(startRow, endRow); r++) {
-        for (let c = Math.min(startCol, endCol); c <= Math.max(startCol, endCol); c++) {
-          cells.push([r, c]);
-        }
-      }
-      return cells;
-    }
-    return [];
-  };
-  
-  const calculateSum = (rangeStr, evalValues) => {
-    const cellIndices = parseRange(rangeStr);
-    let sum = 0;
-    
-    cellIndices.forEach(([r, c]) => {
-      if (r >= 0 && r < rows && c >= 0 && c < cols) {
-        const cellValue = evalValues ? evalValues[r][c] : evaluatedValues[r][c];
-        const numValue = parseFloat(cellValue);
-        if (!isNaN(numValue)) {
-          sum += numValue;
-        }
-      }
-    });
-    
-    return sum;
-  };
-  
-  const calculateAverage = (rangeStr, evalValues) => {
-    const cellIndices = parseRange(rangeStr);
-    let sum = 0;
-    let count = 0;
-    
-    cellIndices.forEach(([r, c]) => {
-      if (r >= 0 && r < rows && c >= 0 && c < cols) {
-        const cellValue = evalValues ? evalValues[r][c] : evaluatedValues[r][c];
-        const numValue = parseFloat(cellValue);
-        if (!isNaN(numValue)) {
-          sum += numValue;
-          count++;
-        }
-      }
-    });
-    
-    return count > 0 ? sum / count : 0;
-  };
-  
-  const calculateMax = (rangeStr, evalValues) => {
-    const cellIndices = parseRange(rangeStr);
-    let max = Number.NEGATIVE_INFINITY;
-    let hasValue = false;
-    
-    cellIndices.forEach(([r, c]) => {
-      if (r >= 0 && r < rows && c >= 0 && c < cols) {
-        const cellValue = evalValues ? evalValues[r][c] : evaluatedValues[r][c];
-        const numValue = parseFloat(cellValue);
-        if (!isNaN(numValue)) {
-          max = Math.max(max, numValue);
-          hasValue = true;
-        }
-      }
-    });
-    
-    return hasValue ? max : 0;
-  };
-  
-  const calculateMin = (rangeStr, evalValues) => {
-    const cellIndices = parseRange(rangeStr);
-    let min = Number.POSITIVE_INFINITY;
-    let hasValue = false;
-    
-    cellIndices.forEach(([r, c]) => {
-      if (r >= 0 && r < rows && c >= 0 && c < cols) {
-        const cellValue = evalValues ? evalValues[r][c] : evaluatedValues[r][c];
-        const numValue = parseFloat(cellValue);
-        if (!isNaN(numValue)) {
-          min = Math.min(min, numValue);
-          hasValue = true;
-        }
-      }
-    });
-    
-    return hasValue ? min : 0;
-  };
-  
-  const calculateCount = (rangeStr, evalValues) => {
-    const cellIndices = parseRange(rangeStr);
-    let count = 0;
-    
-    cellIndices.forEach(([r, c]) => {
-      if (r >= 0 && r < rows && c >= 0 && c < cols) {
-        const cellValue = evalValues ? evalValues[r][c] : evaluatedValues[r][c];
-        const numValue = parseFloat(cellValue);
-        if (!isNaN(numValue)) {
-          count++;
-        }
+  // Arrows move one cell; Ctrl+Arrow jumps to the edge of the data
+  useHotkeys(
+    "up, down, left, right",
+    (e) => {
+      const from = navigationStart(e);
+      const [rowStep, colStep] = ARROW_STEPS[e.key];
+      const to =
+        e.ctrlKey || e.metaKey
+          ? findDataEdge(getActiveSheet().cells, from.row, from.col, rowStep, colStep)
+          : { row: from.row + rowStep, col: from.col + colStep };
+      navigateTo(to.row, to.col, e.shiftKey);
+    },
+    { ...gridKeys, ignoreModifiers: true }
+  );
+
+  // Home goes to the start of the row and End to its last value; with Ctrl
+  // they go to A1 and the last cell holding data. Page Up/Down move by the
+  // number of rows that fit in the grid.
+  useHotkeys(
+    "home, end, pageup, pagedown",
+    (e) => {
+      const from = navigationStart(e);
+      const { cells } = getActiveSheet();
+      const isJump = e.ctrlKey || e.metaKey;
+      const page = Math.max(1, Math.floor((viewport.height - HEADER_HEIGHT) / ROW_HEIGHT));
+      const targets = {
+        Home: () => (isJump ? { row: 0, col: 0 } : { row: from.row, col: 0 }),
+        End: () =>
+          isJump
+            ? findLastUsedCell(cells)
+            : { row: from.row, col: findLastUsedColumn(cells, from.row) },
+        PageUp: () => ({ row: from.row - page, col: from.col }),
+        PageDown: () => ({ row: from.row + page, col: from.col }),
+      };
+      const to = targets[e.key]();
+      navigateTo(to.row, to.col, e.shiftKey);
+    },
+    { ...gridKeys, ignoreModifiers: true }
+  );
+
+  // Enter moves down and Tab right; Shift goes the other way
+  useHotkeys(
+    "enter, shift+enter, tab, shift+tab",
+    (e) => {
+      const { selectedCell } = getState();
+      const step = e.shiftKey ? -1 : 1;
+      if (e.key === "Tab") {
+        navigateTo(selectedCell.row, selectedCell.col + step);
+      } else {
+        navigateTo(selectedCell.row + step, selectedCell.col);
       }
+    },
+    gridKeys
+  );
+
+  useHotkeys("delete", () => clearCells(), gridKeys);
+
+  // Switching sheets clears find results, which point into the old sheet
+  useEffect(() => {
+    setFindReplace((prev) => ({ ...prev, matches: [], currentMatch: -1 }));
+  }, [activeSheetId]);
+
+  // Track the grid's size so only the visible rows and columns are rendered
+  useEffect(() => {
+    const grid = gridRef.current;
+    const observer = new ResizeObserver(() => {
+      setViewport((prev) => ({ ...prev, width: grid.clientWidth, height: grid.clientHeight }));
     });
-    
-    return count;
-  };
+    observer.observe(grid);
+    return () => observer.disconnect();
+  }, []);
 
-  const handleCellChange = (row, col, value) => {
-    const newCells = [...cells];
-    newCells[row][col] = value;
-    setCells(newCells);
-    
-    // Update the formula bar when a cell is selected
-    if (row === selectedCell.row && col === selectedCell.col) {
-      setFormula(value);
+  const rowOffsets = useMemo(
+    () => computeOffsets(rowHeights, rows, ROW_HEIGHT),
+    [rowHeights, rows]
+  );
+  const colOffsets = useMemo(
+    () => computeOffsets(columnWidths, cols, COLUMN_WIDTH),
+    [columnWidths, cols]
+  );
+  const visibleRows = getVisibleRange(
+    rowOffsets,
+    viewport.top,
+    viewport.height - HEADER_HEIGHT,
+    OVERSCAN
+  );
+  const visibleCols = getVisibleRange(
+    colOffsets,
+    viewport.left,
+    viewport.width - HEADER_WIDTH,
+    OVERSCAN
+  );
+  // Keep the cell the keyboard moves in view. Cells outside the rendered
+  // window don't exist, so they couldn't take focus otherwise.
+  const cornerRow = useSpreadsheetStore((state) => selectSelectionCorner(state).row);
+  const cornerCol = useSpreadsheetStore((state) => selectSelectionCorner(state).col);
+  useEffect(() => {
+    const grid = gridRef.current;
+    const scrollIntoView = (offsets, index, position, size) => {
+      const start = offsets[index];
+      const end = offsets[index + 1];
+      if (start === undefined || end === undefined) return position;
+      if (start < position) return start;
+      if (end > position + size) return end - size;
+      return position;
+    };
+    grid.scrollTop = scrollIntoView(
+      rowOffsets, cornerRow, grid.scrollTop, grid.clientHeight - HEADER_HEIGHT
+    );
+    grid.scrollLeft = scrollIntoView(
+      colOffsets, cornerCol, grid.scrollLeft, grid.clientWidth - HEADER_WIDTH
+    );
+  }, [cornerRow, cornerCol, rowOffsets, colOffsets]);
+
+  const totalHeight = rowOffsets[rows];
+  const totalWidth = colOffsets[cols];
+  const visibleColIndexes = Array.from(
+    { length: visibleCols.end - visibleCols.start + 1 },
+    (_, i) => visibleCols.start + i
+  );
+
+  // Find & Replace highlights, looked up per cell
+  const matchKeys = useMemo(
+    () => new Set(findReplace.matches.map((m) => `${m.row}-${m.col}`)),
+    [findReplace.matches]
+  );
+  const currentMatch = findReplace.matches[findReplace.currentMatch];
+
+  // Sheet tabs
+  const handleRenameSheet = (sheetId, name) => {
+    const { workbook } = getState();
+    const error = validateSheetName(workbook, name, sheetId);
+    if (error) {
+      toast.error(error);
+      return false;
     }
-    
-    // Validate the cell value based on its validation type
-    validateCell(row, col, value);
-    
-    // Update dependencies and evaluated values
-    updateAllEvaluatedValues();
+    commitChange("Rename sheet", renameSheet(workbook, sheetId, name));
   };
-  
-  // Validate cell based on validation type
-  const validateCell = (row, col, value) => {
-    const validationType = validations[row][col];
-    const cellKey = `${row}-${col}`;
-    const newErrors = new Set(errors);
-    
-    if (value === "" || value.startsWith("=")) {
-      newErrors.delete(cellKey);
-    } else if (validationType === "number") {
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) {
-        newErrors.add(cellKey);
-      } else {
-        newErrors.delete(cellKey);
-      }
-    } else if (validationType === "date") {
-      const dateValue = new Date(value);
-      if (isNaN(dateValue.getTime())) {
-        newErrors.add(cellKey);
-      } else {
-        newErrors.delete(cellKey);
-      }
-    } else {
-      newErrors.delete(cellKey);
+
+  const handleDeleteSheet = (sheetId) => {
+    const { workbook } = getState();
+    const sheet = workbook.sheets.find((s) => s.id === sheetId);
+    if (window.confirm(`Delete "${sheet.name}"? Formulas that refer to it will show #REF!.`)) {
+      commitChange("Delete sheet", deleteSheet(workbook, sheetId));
     }
-    
-    setErrors(newErrors);
   };
 
   // Data Quality Functions
-  const applyToRange = (transformFunc) => {
-    // If no range is selected, apply to the current cell
-    if (!selectedRange) {
-      const { row, col } = selectedCell;
-      const newCells = [...cells];
-      if (typeof newCells[row][col] === "string") {
-        newCells[row][col] = transformFunc(newCells[row][col]);
-        setCells(newCells);
-        updateAllEvaluatedValues();
-      }
-      return;
-    }
-    
-    // If range is selected, apply to all cells in range
+  const applyToRange = (label, transformFunc) => {
+    const { cells } = getActiveSheet();
+    // Applies to every selected range, or the current cell when there's none
     const newCells = [...cells];
-    
-    for (let r = selectedRange.startRow; r <= selectedRange.endRow; r++) {
-      for (let c = selectedRange.startCol; c <= selectedRange.endCol; c++) {
-        if (r >= 0 && r < rows && c >= 0 && c < cols) {
+    for (const range of selectSelectionRanges(getState())) {
+      for (let r = Math.max(0, range.startRow); r <= Math.min(range.endRow, rows - 1); r++) {
+        if (newCells[r] === cells[r]) newCells[r] = [...cells[r]];
+        for (let c = Math.max(0, range.startCol); c <= Math.min(range.endCol, cols - 1); c++) {
           const cellValue = newCells[r][c];
           if (typeof cellValue === "string") {
             newCells[r][c] = transformFunc(cellValue);
@@ -433,146 +332,75 @@ const Spreadsheet = () => {
         }
       }
     }
-    
-    setCells(newCells);
-    updateAllEvaluatedValues();
+
+    applySheetChange(label, { cells: newCells });
   };
 
+  // Delete the rows whose values in the selected columns (all of them when
+  // there's no range) repeat an earlier row's, within the selected rows
   const removeDuplicates = () => {
-    // If no range is selected, use all cells
-    if (!selectedRange) {
-      // Create a map to track unique values
-      const uniqueValues = new Map();
-      const newCells = [...cells];
-      
-      // First pass: identify unique values
-      for (let r = 0; r < rows; r++) {
-        const rowKey = newCells[r].join('|');
-        if (!uniqueValues.has(rowKey)) {
-          uniqueValues.set(rowKey, r);
-        }
-      }
-      
-      // Second pass: keep only unique rows
-      const uniqueRows = Array.from(uniqueValues.values()).sort((a, b) => a - b);
-      const filteredCells = uniqueRows.map(r => [...newCells[r]]);
-      
-      setCells(filteredCells);
-      setRows(filteredCells.length);
-      updateAllEvaluatedValues();
-      return;
-    }
-    
-    // If range is selected, remove duplicates within that range
+    const { id, cells } = getActiveSheet();
+    const { startRow, endRow, startCol, endCol } = selectedRange || {
+      startRow: 0,
+      endRow: rows - 1,
+      startCol: 0,
+      endCol: cols - 1,
+    };
+
     const seen = new Set();
-    const newCells = [...cells];
-    const rowsToRemove = new Set();
-    
-    // Identify duplicate rows
-    for (let r = selectedRange.startRow; r <= selectedRange.endRow; r++) {
-      const rowKey = newCells[r].slice(selectedRange.startCol, selectedRange.endCol + 1).join('|');
+    const duplicates = [];
+    for (let r = startRow; r <= endRow; r++) {
+      const rowKey = cells[r].slice(startCol, endCol + 1).join('|');
       if (seen.has(rowKey)) {
-        rowsToRemove.add(r);
+        duplicates.push(r);
       } else {
         seen.add(rowKey);
       }
     }
-    
-    // Remove rows in reverse order to avoid index shifting
-    const rowsToRemoveArray = Array.from(rowsToRemove).sort((a, b) => b - a);
-    for (const r of rowsToRemoveArray) {
-      newCells.splice(r, 1);
-    }
-    
-    setCells(newCells);
-    setRows(newCells.length);
-    updateAllEvaluatedValues();
+    if (duplicates.length === 0) return;
+
+    commitChange("Remove duplicates", deleteRowsAt(getState().workbook, id, duplicates));
   };
 
   // Sort functionality
   const sortData = () => {
-    if (!selectedRange) {
-      // Sort the entire spreadsheet based on the selected column
-      const { col } = selectedCell;
-      const newCells = [...cells];
-      
-      newCells.sort((rowA, rowB) => {
-        const valueA = parseFloat(evaluatedValues[newCells.indexOf(rowA)][col]);
-        const valueB = parseFloat(evaluatedValues[newCells.indexOf(rowB)][col]);
-        
-        // Handle non-numeric values
-        const isNumA = !isNaN(valueA);
-        const isNumB = !isNaN(valueB);
-        
-        if (!isNumA && !isNumB) {
-          // Both are strings, compare alphabetically
-          return sortConfig.direction === 'asc' 
-            ? String(rowA[col]).localeCompare(String(rowB[col]))
-            : String(rowB[col]).localeCompare(String(rowA[col]));
-        } else if (!isNumA) {
-          // A is string, B is number, strings come after numbers in ascending order
-          return sortConfig.direction === 'asc' ? 1 : -1;
-        } else if (!isNumB) {
-          // B is string, A is number, strings come after numbers in ascending order
-          return sortConfig.direction === 'asc' ? -1 : 1;
-        } else {
-          // Both are numbers, compare numerically
-          return sortConfig.direction === 'asc' ? valueA - valueB : valueB - valueA;
-        }
-      });
-      
-      setCells(newCells);
-    } else {
-      // Sort only the selected range
-      const { startRow, endRow, startCol, endCol } = selectedRange;
-      const sortCol = sortConfig.column - startCol;
-      
-      if (sortCol < 0 || sortCol > (endCol - startCol)) {
-        alert("Sort column must be within the selected range");
-        return;
-      }
-      
-      const newCells = [...cells];
-      const rangeCells = [];
-      
-      // Extract the range
-      for (let r = startRow; r <= endRow; r++) {
-        rangeCells.push(newCells[r].slice(startCol, endCol + 1));
-      }
-      
-      // Sort the range
-      rangeCells.sort((rowA, rowB) => {
-        const valueA = parseFloat(rowA[sortCol]);
-        const valueB = parseFloat(rowB[sortCol]);
-        
-        // Handle non-numeric values
-        const isNumA = !isNaN(valueA);
-        const isNumB = !isNaN(valueB);
-        
-        if (!isNumA && !isNumB) {
-          return sortConfig.direction === 'asc' 
-            ? String(rowA[sortCol]).localeCompare(String(rowB[sortCol]))
-            : String(rowB[sortCol]).localeCompare(String(rowA[sortCol]));
-        } else if (!isNumA) {
-          return sortConfig.direction === 'asc' ? 1 : -1;
-        } else if (!isNumB) {
-          return sortConfig.direction === 'asc' ? -1 : 1;
-        } else {
-          return sortConfig.direction === 'asc' ? valueA - valueB : valueB - valueA;
-        }
-      });
-      
-      // Put the sorted range back
-      for (let r = 0; r < rangeCells.length; r++) {
-        for (let c = 0; c < rangeCells[r].length; c++) {
-          newCells[startRow + r][startCol + c] = rangeCells[r][c];
-        }
-      }
-      
-      setCells(newCells);
+    const { id } = getActiveSheet();
+    const evaluatedValues = selectEvaluatedValues(getState());
+
+    // Compare two rows by their evaluated values in the sort column: numbers
+    // (and dates) before text before booleans. Errors and then empty cells
+    // go last in either direction.
+    const lastRank = (value) => (value === "" ? 2 : isFormulaError(value) ? 1 : 0);
+    const compareRows = (valueA, valueB) => {
+      const rankA = lastRank(valueA);
+      const rankB = lastRank(valueB);
+      if (rankA !== 0 || rankB !== 0) return rankA - rankB;
+      const order = compareValues(valueA, valueB);
+      return sortConfig.direction === 'asc' ? order : -order;
+    };
+
+    // Without a range the whole sheet is sorted by the selected column
+    const range = selectedRange || {
+      startRow: 0,
+      endRow: rows - 1,
+      startCol: 0,
+      endCol: cols - 1,
+    };
+    const sortCol = selectedRange ? sortConfig.column : selectedCell.col;
+    if (sortCol < range.startCol || sortCol > range.endCol) {
+      toast.error("Sort column must be within the selected range");
+      return;
     }
-    
-    updateAllEvaluatedValues();
+
+    // Rows are sorted as a permutation of indexes so that everything else in
+    // a cell moves with its value
+    const order = [];
+    for (let r = range.startRow; r <= range.endRow; r++) {
+      order.push(r);
+    }
+    order.sort((a, b) => compareRows(evaluatedValues[a][sortCol], evaluatedValues[b][sortCol]));
+
+    commitChange("Sort", reorderRows(getState().workbook, id, range, order));
     setSortConfig({ ...sortConfig, show: false });
   };
 
@@ -580,10 +408,13 @@ const Spreadsheet = () => {
   const findMatches = () => {
     if (!findReplace.find) return;
     
+    // Search the text as it would be edited, so typed numbers and dates match too
     const matches = [];
+    const { cells, styles } = getActiveSheet();
     cells.forEach((row, rowIndex) => {
       row.forEach((cell, colIndex) => {
-        if (typeof cell === "string" && cell.includes(findReplace.find)) {
+        const text = toEditText(cell, styles[rowIndex][colIndex]?.numberFormat);
+        if (text.includes(findReplace.find)) {
           matches.push({ row: rowIndex, col: colIndex });
         }
       });
@@ -597,7 +428,7 @@ const Spreadsheet = () => {
     
     // Select the first match if found
     if (matches.length > 0) {
-      setSelectedCell({ row: matches[0].row, col: matches[0].col });
+      selectCell(matches[0].row, matches[0].col);
     }
   };
 
@@ -605,12 +436,14 @@ const Spreadsheet = () => {
     const { matches, currentMatch, find, replace } = findReplace;
     if (matches.length === 0 || currentMatch < 0) return;
 
-    const newCells = [...cells];
+    const { cells, styles } = getActiveSheet();
     const { row, col } = matches[currentMatch];
-    newCells[row][col] = newCells[row][col].replace(find, replace);
-
-    setCells(newCells);
-    updateAllEvaluatedValues();
+    const text = toEditText(cells[row][col], styles[row][col]?.numberFormat);
+    // Replaced text is entered like typed input, so rules still apply
+    const [rejection] = setCellValues("Replace", [
+      { row, col, input: text.replace(find, () => replace) },
+    ]);
+    if (rejection) toast.error(rejection);
 
     // Move to next match or reset
     if (currentMatch < matches.length - 1) {
@@ -619,7 +452,7 @@ const Spreadsheet = () => {
         ...prev,
         currentMatch: nextMatch,
       }));
-      setSelectedCell({ row: matches[nextMatch].row, col: matches[nextMatch].col });
+      selectCell(matches[nextMatch].row, matches[nextMatch].col);
     } else {
       setFindReplace((prev) => ({ ...prev, matches: [], currentMatch: -1 }));
     }
@@ -629,80 +462,98 @@ const Spreadsheet = () => {
     const { find, replace } = findReplace;
     if (!find) return;
     
-    const newCells = cells.map((row) =>
-      row.map((cell) =>
-        typeof cell === "string" ? cell.replace(new RegExp(find, 'g'), replace) : cell
-      )
+    const { cells, styles } = getActiveSheet();
+    const edits = [];
+    cells.forEach((row, r) =>
+      row.forEach((cell, c) => {
+        const text = toEditText(cell, styles[r][c]?.numberFormat);
+        // Find and replace text are literal, so "$" or "(" match themselves
+        const replaced = text.split(find).join(replace);
+        if (replaced !== text) edits.push({ row: r, col: c, input: replaced });
+      })
     );
-    
-    setCells(newCells);
-    updateAllEvaluatedValues();
+
+    const rejections = edits.length > 0 ? setCellValues("Replace all", edits) : [];
+    if (rejections.length > 0) {
+      const count = `${rejections.length} of ${edits.length} cells`;
+      toast.error(`${count} weren't replaced. ${rejections[0]}`);
+    }
     setFindReplace((prev) => ({ ...prev, matches: [], currentMatch: -1 }));
   };
 
-  // Save/Load functionality
-  const saveSpreadsheet = () => {
-    const data = JSON.stringify({
-      cells,
-      columnWidths,
-      rowHeights,
-      validations,
-      boldCells: Array.from(boldCells),
-      italicCells: Array.from(italicCells),
-      fontSize,
-      color,
-    });
-    localStorage.setItem("spreadsheet", data);
-    alert("Spreadsheet saved successfully!");
+  // The browser may refuse to let the page read the clipboard, in which
+  // case the app's own last copy is pasted
+  const pasteSpecial = async (mode) => {
+    let text = "";
+    try {
+      text = await navigator.clipboard.readText();
+    } catch (error) {
+      console.warn("Could not read the clipboard:", error);
+    }
+    paste(text ? { text } : null, mode);
   };
 
-  const loadSpreadsheet = () => {
+  // Opened and imported files become new documents named after the file
+  const openAsNewDocument = async (file, workbook) => {
+    const entry = await createDocument(file.name.replace(/\.[^.]*$/, ""), workbook);
+    openDocument(entry, workbook);
+  };
+
+  const saveDocumentFile = () => {
+    const { workbook, currentDocument } = getState();
+    const data = JSON.stringify(writeDocument(workbook));
+    downloadFile(data, `${currentDocument?.name ?? "spreadsheet"}.json`, "application/json");
+  };
+
+  const openDocumentFile = async (file) => {
     try {
-      const savedData = localStorage.getItem("spreadsheet");
-      if (!savedData) {
-        alert("No saved spreadsheet found!");
-        return;
-      }
-      
-      const data = JSON.parse(savedData);
-      
-      setCells(data.cells || []);
-      setColumnWidths(data.columnWidths || []);
-      setRowHeights(data.rowHeights || []);
-      setValidations(data.validations || []);
-      setBoldCells(new Set(data.boldCells || []));
-      setItalicCells(new Set(data.italicCells || []));
-      setFontSize(data.fontSize || 14);
-      setColor(data.color || "#000000");
-      
-      // Update rows and columns count
-      if (data.cells) {
-        setRows(data.cells.length);
-        setCols(data.cells[0]?.length || INITIAL_COLS);
+      // Older saves are migrated to the current format
+      await openAsNewDocument(file, parseDocument(await file.text()));
+    } catch (error) {
+      console.error("Error opening file:", error);
+      toast.error(`Couldn't open ${file.name}. ${describeDocumentError(error)}`);
+    }
+  };
+
+  // Excel and other spreadsheet files. Features that don't carry over are
+  // listed for the user.
+  const importFile = async (file) => {
+    try {
+      const { workbook, warnings } = importWorkbookFile(await file.arrayBuffer());
+      await openAsNewDocument(file, workbook);
+      if (warnings.length > 0) {
+        const list = warnings.join("\n- ");
+        toast.warn(`Imported ${file.name}. These features weren't imported:\n- ${list}`);
       }
-      
-      updateAllEvaluatedValues();
-      alert("Spreadsheet loaded successfully!");
     } catch (error) {
-      console.error("Error loading spreadsheet:", error);
-      alert("Error loading spreadsheet!");
+      console.error("Error importing file:", error);
+      toast.error(`Couldn't import ${file.name}.`);
+    }
+  };
+
+  const exportFile = () => {
+    const { workbook, sheetValues, currentDocument } = getState();
+    const { data, warnings } = exportXlsx(workbook, sheetValues);
+    downloadFile(data, `${currentDocument?.name ?? "spreadsheet"}.xlsx`, XLSX_TYPE);
+    if (warnings.length > 0) {
+      toast.warn(`These features weren't exported:\n- ${warnings.join("\n- ")}`);
     }
   };
 
   // Data Visualization
   const createChart = () => {
+    const evaluatedValues = selectEvaluatedValues(getState());
     // If no range is selected, use the current cell
     if (!selectedRange) {
       const { row, col } = selectedCell;
-      const cellValue = evaluatedValues[row][col];
-      const value = parseFloat(cellValue);
+      const value = evaluatedValues[row][col];
       
       setChartData({
         labels: [`${indexToColumn(col)}${row + 1}`],
         datasets: [
           {
             label: "Cell Value",
-            data: [isNaN(value) ? 0 : value],
+            data: [typeof value === "number" ? value : 0],
             backgroundColor: "rgba(54, 162, 235, 0.2)",
             borderColor: "rgba(54, 162, 235, 1)",
             borderWidth: 1,
@@ -720,9 +571,8 @@ const Spreadsheet = () => {
       for (let c = selectedRange.startCol; c <= selectedRange.endCol; c++) {
         if (r >= 0 && r < rows && c >= 0 && c < cols) {
           labels.push(`${indexToColumn(c)}${r + 1}`);
-          const cellValue = evaluatedValues[r][c];
-          const value = parseFloat(cellValue);
-          dataPoints.push(isNaN(value) ? 0 : value);
+          const value = evaluatedValues[r][c];
+          dataPoints.push(typeof value === "number" ? value : 0);
         }
       }
     }
@@ -741,113 +591,68 @@ const Spreadsheet = () => {
     });
   };
   
-  // Handle cell selection with shift key for range selection
-  const handleCellClick = (row, col, isShiftKey) => {
-    if (isShiftKey && selectedCell) {
-      // Create a range selection
-      setSelectedRange({
-        startRow: Math.min(selectedCell.row, row),
-        startCol: Math.min(selectedCell.col, col),
-        endRow: Math.max(selectedCell.row, row),
-        endCol: Math.max(selectedCell.col, col),
-      });
-    } else {
-      // Single cell selection
-      setSelectedCell({ row, col });
-      setSelectedRange(null);
-      setFormula(cells[row][col] || "");
-    }
-  };
-  
-  // Drag and Drop handlers
-  const handleDragStart = (e, row, col) => {
-    e.dataTransfer.setData("text/plain", JSON.stringify({ 
-      value: cells[row][col],
-      sourceRow: row,
-      sourceCol: col
-    }));
-  };
-
-  const handleDragOver = (e) => {
-    e.preventDefault();
-  };
+  // Row and column management. The toolbar buttons add or remove lines at
+  // the end of the sheet; the header menu works on the selected ones.
+  const addRow = () => insertLines("row", rows);
+  const deleteRow = () => deleteLines("row", rows - 1);
+  const addColumn = () => insertLines("col", cols);
+  const deleteColumn = () => deleteLines("col", cols - 1);
 
-  const handleDrop = (e, row, col) => {
+  // Right-clicking a header outside the selection selects its row or column
+  // first, so the menu acts on what it was opened on
+  const openHeaderMenu = (axis, index, e) => {
     e.preventDefault();
-    try {
-      const data = JSON.parse(e.dataTransfer.getData("text/plain"));
-      const { value, sourceRow, sourceCol } = data;
-      
-      // If shift key is pressed, copy the value
-      if (e.shiftKey) {
-        handleCellChange(row, col, value);
-      } else {
-        // Move the value (clear source cell and set target cell)
-        const newCells = [...cells];
-        newCells[sourceRow][sourceCol] = "";
-        newCells[row][col] = value;
-        setCells(newCells);
-        updateAllEvaluatedValues();
-      }
-    } catch (error) {
-      console.error("Error during drag and drop:", error);
+    const range = selectSelectionRange(getState());
+    let [start, end] = axis === "row" ? [range.startRow, range.endRow] : [range.startCol, range.endCol];
+    if (index < start || index > end) {
+      (axis === "row" ? selectRows : selectColumns)(index);
+      start = end = index;
     }
+    setHeaderMenu({ axis, x: e.clientX, y: e.clientY, start, end });
   };
-  
-  // Row and column management
-  const addRow = () => {
-    setRows((prev) => prev + 1);
-    setCells((prev) => [...prev, Array(cols).fill("")]);
-    setRowHeights((prev) => [...prev, ROW_HEIGHT]);
-    setEvaluatedValues((prev) => [...prev, Array(cols).fill("")]);
-    setValidations((prev) => [...prev, Array(cols).fill("any")]);
-  };
+  const closeHeaderMenu = useCallback(() => setHeaderMenu(null), []);
 
-  const deleteRow = () => {
-    if (rows > 1) {
-      setRows((prev) => prev - 1);
-      setCells((prev) => prev.slice(0, -1));
-      setRowHeights((prev) => prev.slice(0, -1));
-      setEvaluatedValues((prev) => prev.slice(0, -1));
-      setValidations((prev) => prev.slice(0, -1));
-    }
-  };
+  // Headers highlight the rows and columns the selection covers
+  const selectionRanges = selectSelectionRanges({ selectedCell, selectedRange, extraRanges });
+  const isRowSelected = (row) =>
+    selectionRanges.some(({ startRow, endRow }) => row >= startRow && row <= endRow);
+  const isColumnSelected = (col) =>
+    selectionRanges.some(({ startCol, endCol }) => col >= startCol && col <= endCol);
 
-  const addColumn = () => {
-    setCols((prev) => prev + 1);
-    setCells((prev) => prev.map((row) => [...row, ""]));
-    setColumnWidths((prev) => [...prev, COLUMN_WIDTH]);
-    setEvaluatedValues((prev) => prev.map((row) => [...row, ""]));
-    setValidations((prev) => prev.map((row) => [...row, "any"]));
+  // Pressing a row number or column letter selects the whole row or column,
+  // and dragging across the headers extends it. Shift extends the selection
+  // and Ctrl adds to it, as with cells.
+  const handleHeaderMouseDown = (mode, index, e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const select = mode === "rows" ? selectRows : selectColumns;
+    select(index, e.shiftKey, e.ctrlKey || e.metaKey);
+    startSelecting(mode);
+    document.addEventListener("mouseup", stopSelecting, { once: true });
   };
 
-  const deleteColumn = () => {
-    if (cols > 1) {
-      setCols((prev) => prev - 1);
-      setCells((prev) => prev.map((row) => row.slice(0, -1)));
-      setColumnWidths((prev) => prev.slice(0, -1));
-      setEvaluatedValues((prev) => prev.map((row) => row.slice(0, -1)));
-      setValidations((prev) => prev.map((row) => row.slice(0, -1)));
-    }
-  };
-  
   // Resize handlers
   const handleColumnResize = (col, e) => {
+    // Resizing doesn't select the column
+    e.stopPropagation();
     const startX = e.clientX;
     const startWidth = columnWidths[col];
+    let newWidth = startWidth;
 
     const doDrag = (moveEvent) => {
-      const newWidth = Math.max(40, startWidth + (moveEvent.clientX - startX));
-      setColumnWidths((prev) => {
-        const newWidths = [...prev];
-        newWidths[col] = newWidth;
-        return newWidths;
-      });
+      newWidth = Math.max(40, startWidth + (moveEvent.clientX - startX));
+      const newWidths = [...getActiveSheet().columnWidths];
+      newWidths[col] = newWidth;
+      previewSheetChange({ columnWidths: newWidths });
     };
 
+    // The whole drag is recorded as one undoable step
     const stopDrag = () => {
       document.removeEventListener("mousemove", doDrag);
       document.removeEventListener("mouseup", stopDrag);
+      if (newWidth !== startWidth) {
+        applySheetChange("Resize column", { columnWidths: getActiveSheet().columnWidths });
+      }
     };
 
     document.addEventListener("mousemove", doDrag);
@@ -855,24 +660,27 @@ const Spreadsheet = () => {
   };
 
   const handleRowResize = (row, e) => {
+    e.stopPropagation();
     const startY = e.clientY;
     const startHeight = rowHeights[row];
+    let newHeight = startHeight;
 
     const doDrag = (moveEvent) => {
-      const newHeight = Math.max(
+      newHeight = Math.max(
         20,
         startHeight + (moveEvent.clientY - startY)
       );
-      setRowHeights((prev) => {
-        const newHeights = [...prev];
-        newHeights[row] = newHeight;
-        return newHeights;
-      });
+      const newHeights = [...getActiveSheet().rowHeights];
+      newHeights[row] = newHeight;
+      previewSheetChange({ rowHeights: newHeights });
     };
 
     const stopDrag = () => {
       document.removeEventListener("mousemove", doDrag);
       document.removeEventListener("mouseup", stopDrag);
+      if (newHeight !== startHeight) {
+        applySheetChange("Resize row", { rowHeights: getActiveSheet().rowHeights });
+      }
     };
 
     document.addEventListener("mousemove", doDrag);
@@ -911,70 +719,60 @@ const Spreadsheet = () => {
         <div className="h-6 border-l border-gray-300 mx-1"></div>
 
         <button
-          onClick={() => {
-            const cellKey = `${selectedCell.row}-${selectedCell.col}`;
-            setBoldCells((prev) => {
-              const newSet = new Set(prev);
-              newSet.has(cellKey)
-                ? newSet.delete(cellKey)
-                : newSet.add(cellKey);
-              return newSet;
-            });
-          }}
-          className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded font-bold"
+          onClick={undo}
+          disabled={!canUndo(history)}
+          title={canUndo(history) ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : "Undo (Ctrl+Z)"}
+          className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded disabled:opacity-50"
         >
-          B
+          ↶ Undo
         </button>
-
         <button
-          onClick={() => {
-            const cellKey = `${selectedCell.row}-${selectedCell.col}`;
-            setItalicCells((prev) => {
-              const newSet = new Set(prev);
-              newSet.has(cellKey)
-                ? newSet.delete(cellKey)
-                : newSet.add(cellKey);
-              return newSet;
-            });
-          }}
-          className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded italic"
+          onClick={redo}
+          disabled={!canRedo(history)}
+          title={canRedo(history) ? `Redo ${history.future[0].label} (Ctrl+Y)` : "Redo (Ctrl+Y)"}
+          className="px-2 py-1 bg-gray-300 hover:bg-gray-400 rounded disabled:opacity-50"
         >
-          I
+          ↷ Redo
         </button>
 
-        <input
-          type="number"
-          value={fontSize}
-          onChange={(e) => setFontSize(parseInt(e.target.value) || 14)}
-          className="w-16 px-2 py-1 border rounded"
-          min="8"
-          max="36"
-        />
+        <div className="h-6 border-l border-gray-300 mx-1"></div>
 
-        <input
-          type="color"
-          value={color}
-          onChange={(e) => setColor(e.target.value)}
-          className="w-10 h-10"
-        />
+        {/* Ctrl+C/X/V work on the selected range; these paste only part of it */}
+        <select
+          value=""
+          onChange={(e) => pasteSpecial(e.target.value)}
+          className="px-2 py-1 border rounded"
+          title="Paste special"
+        >
+          <option value="" disabled>
+            Paste special…
+          </option>
+          <option value="values">Values only</option>
+          <option value="formats">Formats only</option>
+          <option value="transpose">Transposed</option>
+        </select>
+
+        <div className="h-6 border-l border-gray-300 mx-1"></div>
+
+        <FormatToolbar />
 
         <div className="h-6 border-l border-gray-300 mx-1"></div>
 
         {/* Data Quality Functions */}
         <button
-          onClick={() => applyToRange((value) => value.trim())}
+          onClick={() => applyToRange("TRIM", (value) => value.trim())}
           className="px-2 py-1 bg-green-500 text-white rounded hover:bg-green-600"
         >
           TRIM
         </button>
         <button
-          onClick={() => applyToRange((value) => value.toUpperCase())}
+          onClick={() => applyToRange("UPPER", (value) => value.toUpperCase())}
           className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
         >
           UPPER
         </button>
         <button
-          onClick={() => applyToRange((value) => value.toLowerCase())}
+          onClick={() => applyToRange("LOWER", (value) => value.toLowerCase())}
           className="px-2 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600"
         >
           LOWER
@@ -997,40 +795,37 @@ const Spreadsheet = () => {
         >
           Sort
         </button>
-
-        <div className="h-6 border-l border-gray-300 mx-1"></div>
-
-        {/* Data Validation */}
-        <select
-          value={validations[selectedCell.row]?.[selectedCell.col] || "any"}
-          onChange={(e) => {
-            const newValidations = [...validations];
-            newValidations[selectedCell.row][selectedCell.col] = e.target.value;
-            setValidations(newValidations);
-          }}
-          className="px-2 py-1 border rounded"
-        >
-          <option value="any">Any</option>
-          <option value="number">Number</option>
-          <option value="date">Date</option>
-        </select>
-
-        <div className="h-6 border-l border-gray-300 mx-1"></div>
-
-        {/* Save/Load */}
         <button
-          onClick={saveSpreadsheet}
+          onClick={() => setShowConditionalFormats(true)}
           className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600"
         >
-          Save
+          Conditional Format
         </button>
+
+        <div className="h-6 border-l border-gray-300 mx-1"></div>
+
+        {/* Data Validation */}
         <button
-          onClick={loadSpreadsheet}
+          onClick={() => setShowValidation(true)}
           className="px-2 py-1 bg-purple-500 text-white rounded hover:bg-purple-600"
         >
-          Load
+          Data Validation
         </button>
 
+        <div className="h-6 border-l border-gray-300 mx-1"></div>
+
+        <FileMenu
+          onOpen={openDocumentFile}
+          onSaveAs={saveDocumentFile}
+          onImport={importFile}
+          onExport={exportFile}
+          onImportText={setTextImportFile}
+          onExportText={() => setShowTextExport(true)}
+        />
+
+        {/* Documents */}
+        <DocumentBar />
+
         {/* Chart */}
         <button
           onClick={createChart}
@@ -1054,146 +849,142 @@ const Spreadsheet = () => {
               if (e.key === "Enter") {
                 const value = formula.trim();
                 if (selectedCell) {
-                  handleCellChange(selectedCell.row, selectedCell.col, value);
+                  const rejection = setCellValue(selectedCell.row, selectedCell.col, value);
+                  if (rejection) toast.error(rejection);
                 }
+              } else if (e.key === "F4") {
+                // Cycle the reference under the cursor through $ anchors
+                e.preventDefault();
+                setFormula(toggleAbsoluteReference(formula, e.target.selectionStart));
               }
             }}
             className="w-full p-2 border rounded"
             placeholder="Enter value or formula (e.g., =SUM(A1:A5))"
           />
         </div>
+        {validationHelp && (
+          <div className="mt-1 text-sm text-gray-600">{validationHelp}</div>
+        )}
       </div>
 
-      {/* Spreadsheet Grid */}
-      <div className="border rounded overflow-auto">
-        {/* Column Headers */}
-        <div className="flex">
-          <div className="w-12 bg-gray-100 border-r border-b"></div>
-          {Array.from({ length: cols }).map((_, col) => (
+      {/* Spreadsheet Grid. Only the visible window (plus overscan) is
+          rendered; spacers stand in for the rows and columns around it. */}
+      <div
+        ref={gridRef}
+        className="border rounded overflow-auto"
+        style={{ height: "70vh" }}
+        onScroll={(e) => {
+          const { scrollTop, scrollLeft } = e.currentTarget;
+          setViewport((prev) => ({ ...prev, top: scrollTop, left: scrollLeft }));
+        }}
+      >
+        <div style={{ width: `${HEADER_WIDTH + totalWidth}px` }}>
+          {/* Column Headers */}
+          <div className="flex sticky top-0 z-20">
             <div
-              key={col}
-              className="relative bg-gray-100 border-r border-b"
-              style={{ width: `${columnWidths[col]}px` }}
-            >
-              <div className="flex items-center justify-center h-8">
-                {indexToColumn(col)}
-              </div>
+              className="sticky left-0 z-30 w-12 shrink-0 bg-gray-100 border-r border-b cursor-pointer hover:bg-gray-200"
+              onClick={selectAll}
+              title="Select all"
+            ></div>
+            <div className="shrink-0" style={{ width: `${colOffsets[visibleCols.start]}px` }} />
+            {visibleColIndexes.map((col) => (
               <div
-                className="absolute top-0 right-0 w-2 h-full cursor-ew-resize hover:bg-blue-200"
-                onMouseDown={(e) => handleColumnResize(col, e)}
-              />
-            </div>
-          ))}
-        </div>
-
-        {/* Rows */}
-        {Array.from({ length: rows }).map((_, rowIndex) => (
-          <div key={rowIndex} className="flex">
-            {/* Row Header */}
-            <div className="relative w-12 bg-gray-100 border-r border-b">
-              <div className="flex items-center justify-center h-full">
-                {rowIndex + 1}
+                key={col}
+                className={classNames("relative shrink-0 border-r border-b cursor-pointer select-none", {
+                  "bg-blue-100": isColumnSelected(col),
+                  "bg-gray-100": !isColumnSelected(col),
+                })}
+                style={{ width: `${columnWidths[col]}px` }}
+                onMouseDown={(e) => handleHeaderMouseDown("columns", col, e)}
+                onContextMenu={(e) => openHeaderMenu("col", col, e)}
+                onMouseEnter={() => extendSelection(null, col)}
+              >
+                <div className="flex items-center justify-center h-8">
+                  {indexToColumn(col)}
+                </div>
+                <div
+                  className="absolute top-0 right-0 w-2 h-full cursor-ew-resize hover:bg-blue-200"
+                  onMouseDown={(e) => handleColumnResize(col, e)}
+                />
               </div>
-              <div
-                className="absolute bottom-0 left-0 h-2 w-full cursor-ns-resize hover:bg-blue-200"
-                onMouseDown={(e) => handleRowResize(rowIndex, e)}
-              />
-            </div>
+            ))}
+          </div>
+
+          <div style={{ height: `${rowOffsets[visibleRows.start]}px` }} />
 
-            {/* Cells */}
-            {Array.from({ length: cols }).map((_, colIndex) => {
-              const isSelected =
-                selectedCell.row === rowIndex && selectedCell.col === colIndex;
-              const cellKey = `${rowIndex}-${colIndex}`;
-              const isError = errors.has(cellKey);
-              const isInRange = selectedRange && 
-                rowIndex >= selectedRange.startRow && 
-                rowIndex <= selectedRange.endRow && 
-                colIndex >= selectedRange.startCol && 
-                colIndex <= selectedRange.endCol;
-
-              // Highlight logic for Find & Replace
-              const isMatched = findReplace.matches.some(
-                (m) => m.row === rowIndex && m.col === colIndex
-              );
-              const isCurrentMatch =
-                findReplace.currentMatch >= 0 &&
-                findReplace.currentMatch < findReplace.matches.length &&
-                findReplace.matches[findReplace.currentMatch]?.row === rowIndex &&
-                findReplace.matches[findReplace.currentMatch]?.col === colIndex;
-
-              return (
+          {/* Rows */}
+          {Array.from({ length: visibleRows.end - visibleRows.start + 1 }).map((_, i) => {
+            const rowIndex = visibleRows.start + i;
+            return (
+              <div key={rowIndex} className="flex">
+                {/* Row Header */}
                 <div
-                  key={colIndex}
-                  className={classNames(
-                    "relative border-r border-b",
-                    {
-                      "bg-blue-50": isSelected,
-                      "bg-blue-100": isInRange && !isSelected,
-                      "bg-white": !isSelected && !isInRange,
-                      "bg-red-100": isError,
-                      "ring-1 ring-yellow-400": isMatched,
-                      "ring-2 ring-green-500": isCurrentMatch
-                    }
-                  )}
-                  style={{
-                    width: `${columnWidths[colIndex]}px`,
-                    height: `${rowHeights[rowIndex]}px`,
-                  }}
-                  draggable
-                  onDragStart={(e) => handleDragStart(e, rowIndex, colIndex)}
-                  onDragOver={handleDragOver}
-                  onDrop={(e) => handleDrop(e, rowIndex, colIndex)}
-                  onClick={(e) => handleCellClick(rowIndex, colIndex, e.shiftKey)}
+                  className={classNames("sticky left-0 z-10 w-12 shrink-0 border-r border-b cursor-pointer select-none", {
+                    "bg-blue-100": isRowSelected(rowIndex),
+                    "bg-gray-100": !isRowSelected(rowIndex),
+                  })}
+                  onMouseDown={(e) => handleHeaderMouseDown("rows", rowIndex, e)}
+                  onContextMenu={(e) => openHeaderMenu("row", rowIndex, e)}
+                  onMouseEnter={() => extendSelection(rowIndex, null)}
                 >
-                  <div className="relative w-full h-full">
-                    {/* Display the evaluated value */}
-                    <div 
-                      className={classNames(
-                        "absolute inset-0 px-2 flex items-center",
-                        {
-                          "font-bold": boldCells.has(cellKey),
-                          "italic": italicCells.has(cellKey)
-                        }
-                      )}
-                      style={{
-                        fontSize: `${fontSize}px`,
-                        color: color,
-                        pointerEvents: "none"
-                      }}
-                    >
-                      {cells[rowIndex][colIndex]?.startsWith('=') 
-                        ? evaluatedValues[rowIndex][colIndex] 
-                        : null}
-                    </div>
-                    
-                    {/* Input for editing */}
-                    <input
-                      type="text"
-                      value={cells[rowIndex]?.[colIndex] || ""}
-                      onChange={(e) => {
-                        handleCellChange(rowIndex, colIndex, e.target.value);
-                      }}
-                      className={classNames(
-                        "w-full h-full px-2 outline-none bg-transparent",
-                        {
-                          "font-bold": boldCells.has(cellKey),
-                          "italic": italicCells.has(cellKey)
-                        }
-                      )}
-                      style={{
-                        fontSize: `${fontSize}px`,
-                        color: cells[rowIndex][colIndex]?.startsWith('=') ? 'transparent' : color,
-                      }}
-                    />
+                  <div className="flex items-center justify-center h-full">
+                    {rowIndex + 1}
                   </div>
+                  <div
+                    className="absolute bottom-0 left-0 h-2 w-full cursor-ns-resize hover:bg-blue-200"
+                    onMouseDown={(e) => handleRowResize(rowIndex, e)}
+                  />
                 </div>
-              );
-            })}
-          </div>
-        ))}
+
+                <div className="shrink-0" style={{ width: `${colOffsets[visibleCols.start]}px` }} />
+
+                {/* Cells */}
+                {visibleColIndexes.map((colIndex) => (
+                  <Cell
+                    key={colIndex}
+                    row={rowIndex}
+                    col={colIndex}
+                    width={columnWidths[colIndex]}
+                    height={rowHeights[rowIndex]}
+                    isMatched={matchKeys.has(`${rowIndex}-${colIndex}`)}
+                    isCurrentMatch={
+                      currentMatch?.row === rowIndex && currentMatch?.col === colIndex
+                    }
+                  />
+                ))}
+              </div>
+            );
+          })}
+
+          <div style={{ height: `${totalHeight - rowOffsets[visibleRows.end + 1]}px` }} />
+        </div>
       </div>
 
+      {headerMenu && (
+        <HeaderMenu
+          {...headerMenu}
+          lineCount={headerMenu.axis === "row" ? rows : cols}
+          onInsert={(index, count) => insertLines(headerMenu.axis, index, count)}
+          onDelete={(index, count) => deleteLines(headerMenu.axis, index, count)}
+          onClose={closeHeaderMenu}
+        />
+      )}
+
+      <SheetTabs
+        sheets={sheetIds.map((id, index) => ({ id, name: sheetNames[index] }))}
+        activeSheetId={activeSheetId}
+        onSelect={selectSheet}
+        onAdd={() => commitChange("Add sheet", addSheet(getState().workbook))}
+        onRename={handleRenameSheet}
+        onDuplicate={(sheetId) =>
+          commitChange("Duplicate sheet", duplicateSheet(getState().workbook, sheetId))
+        }
+        onDelete={handleDeleteSheet}
+        onMove={(sheetId, toIndex) =>
+          commitChange("Move sheet", moveSheet(getState().workbook, sheetId, toIndex))
+        }
+      />
+
       {/* Modals */}
       {findReplace.show && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1322,6 +1113,18 @@ const Spreadsheet = () => {
         </div>
       )}
 
+      {showValidation && <DataValidationPanel onClose={() => setShowValidation(false)} />}
+
+      {textImportFile && (
+        <CsvImportDialog file={textImportFile} onClose={() => setTextImportFile(null)} />
+      )}
+
+      {showTextExport && <CsvExportDialog onClose={() => setShowTextExport(false)} />}
+
+      {showConditionalFormats && (
+        <ConditionalFormatPanel onClose={() => setShowConditionalFormats(false)} />
+      )}
+
       {chartData && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white p-4 rounded w-3/4">
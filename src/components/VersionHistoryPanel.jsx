@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import classNames from "classnames";
+import { toast } from "react-toastify";
+import { selectSelectionRange, useSpreadsheetStore } from "../store/spreadsheetStore";
+import { formatRange, indexToColumn } from "../utils/cellReferences";
+import { toEditText } from "../utils/cellValues";
+import { createVersion, listVersions, loadVersion } from "../utils/documentStorage";
+import { diffWorkbooks } from "../utils/workbookDiff";
+
+// Compared against versions, standing for the workbook as it is now
+const CURRENT = "current";
+// Changed cells listed per sheet; the rest are counted
+const MAX_LISTED_CELLS = 200;
+
+const CHANGE_LABELS = { formula: "Formula", value: "Value", format: "Format" };
+
+const cellText = ({ value, style }) => toEditText(value, style?.numberFormat);
+
+const describeSize = (size) => (size ? `${size.rows} × ${size.cols}` : "none");
+
+const rowLabel = (index) => String(index + 1);
+
+// Line indexes in runs, as "3, 5–7"
+const describeLines = (indexes, toLabel) => {
+  const runs = [];
+  for (const index of indexes) {
+    const run = runs[runs.length - 1];
+    if (run && run.end === index - 1) run.end = index;
+    else runs.push({ start: index, end: index });
+  }
+  return runs
+    .map(({ start, end }) =>
+      start === end ? toLabel(start) : `${toLabel(start)}–${toLabel(end)}`
+    )
+    .join(", ");
+};
+
+const LINE_CHANGES = [
+  { axis: "rows", kind: "inserted", label: "Rows inserted", toLabel: rowLabel },
+  { axis: "rows", kind: "deleted", label: "Rows deleted", toLabel: rowLabel },
+  { axis: "cols", kind: "inserted", label: "Columns inserted", toLabel: indexToColumn },
+  { axis: "cols", kind: "deleted", label: "Columns deleted", toLabel: indexToColumn },
+];
+
+const cellLabel = (row, col) => `${indexToColumn(col)}${rowLabel(row)}`;
+
+// The open document's versions: take a named one, compare any two (or one
+// with the current workbook) by the rows and columns inserted or deleted
+// and the cells changed, and restore a version or just the selected range
+// from it. Restoring is an undoable step.
+const VersionHistoryPanel = ({ onClose }) => {
+  const currentDocument = useSpreadsheetStore((state) => state.currentDocument);
+  const workbook = useSpreadsheetStore((state) => state.workbook);
+  const restoreVersion = useSpreadsheetStore((state) => state.restoreVersion);
+  const restoreVersionRange = useSpreadsheetStore((state) => state.restoreVersionRange);
+  const selection = useSpreadsheetStore((state) => formatRange(selectSelectionRange(state)));
+  const [versions, setVersions] = useState(null);
+  const [versionName, setVersionName] = useState("");
+  // Ids of the versions compared, or CURRENT
+  const [compare, setCompare] = useState({ from: null, to: CURRENT });
+  // Workbooks of the versions read so far, keyed by id
+  const [loaded, setLoaded] = useState({});
+  const requestedRef = useRef(new Set());
+
+  const refresh = useCallback(async () => {
+    if (!currentDocument) return;
+    try {
+      const list = await listVersions(currentDocument.id);
+      setVersions(list);
+      // Compare the latest version with the current workbook to begin with
+      setCompare((prev) =>
+        prev.from === null && list[0] ? { ...prev, from: list[0].id } : prev
+      );
+    } catch (error) {
+      console.error("Error listing versions:", error);
+      toast.error("Couldn't read the version history.");
+    }
+  }, [currentDocument]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Read the compared versions that haven't been read yet
+  useEffect(() => {
+    for (const id of [compare.from, compare.to]) {
+      if (id === null || id === CURRENT || requestedRef.current.has(id)) continue;
+      requestedRef.current.add(id);
+      loadVersion(id).then(
+        (version) => setLoaded((prev) => ({ ...prev, [id]: version })),
+        (error) => {
+          console.error("Error reading version:", error);
+          toast.error(error.message);
+        }
+      );
+    }
+  }, [compare]);
+
+  const workbookFor = (id) => (id === CURRENT ? workbook : loaded[id]);
+  const fromWorkbook = workbookFor(compare.from);
+  const toWorkbook = workbookFor(compare.to);
+  const diff = useMemo(
+    () => (fromWorkbook && toWorkbook ? diffWorkbooks(fromWorkbook, toWorkbook) : null),
+    [fromWorkbook, toWorkbook]
+  );
+
+  const saveVersion = async () => {
+    const name = versionName.trim() || `Version of ${new Date().toLocaleString()}`;
+    try {
+      await createVersion(currentDocument.id, workbook, name);
+      setVersionName("");
+      toast.success(`Saved "${name}".`);
+      refresh();
+    } catch (error) {
+      console.error("Error saving version:", error);
+      toast.error("Couldn't save the version.");
+    }
+  };
+
+  // Restore from a version, reading it first if needed
+  const restore = async (entry, wholeWorkbook) => {
+    try {
+      const version = loaded[entry.id] || (await loadVersion(entry.id));
+      if (wholeWorkbook) {
+        restoreVersion(version);
+        toast.success("Restored the version. Undo puts the changes back.");
+        return;
+      }
+      const rejection = restoreVersionRange(version);
+      if (rejection) toast.error(rejection);
+      else toast.success(`Restored ${selection}.`);
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const versionLabel = (entry) => entry.name || "Automatic snapshot";
+
+  const compareRadios = (id) => (
+    <>
+      <input
+        type="radio"
+        name="compare-from"
+        checked={compare.from === id}
+        onChange={() => setCompare((prev) => ({ ...prev, from: id }))}
+        title="Compare from"
+      />
+      <input
+        type="radio"
+        name="compare-to"
+        checked={compare.to === id}
+        onChange={() => setCompare((prev) => ({ ...prev, to: id }))}
+        title="Compare to"
+      />
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded w-[48rem] max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-4">
+          Version history{currentDocument && ` of "${currentDocument.name}"`}
+        </h3>
+
+        <div className="flex gap-2 mb-2">
+          <input
+            type="text"
+            value={versionName}
+            onChange={(e) => setVersionName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveVersion();
+            }}
+            className="flex-1 p-2 border rounded"
+            placeholder="Name of a version of the workbook as it is now"
+          />
+          <button
+            onClick={saveVersion}
+            disabled={!currentDocument}
+            className="px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+          >
+            Save version
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-500 mb-1">From / To: the two versions compared below</p>
+        <div className="max-h-56 overflow-auto border rounded mb-2">
+          <div className="flex items-center gap-2 px-2 py-1 border-b bg-blue-50">
+            {compareRadios(CURRENT)}
+            <span className="flex-1 font-semibold">Current workbook</span>
+          </div>
+          {versions === null && <p className="p-2 text-gray-500">Loading…</p>}
+          {versions?.length === 0 && (
+            <p className="p-2 text-gray-500">No versions yet; one is taken as you edit.</p>
+          )}
+          {versions?.map((entry) => (
+            <div
+              key={entry.id}
+              className="flex items-center gap-2 px-2 py-1 border-b last:border-b-0"
+            >
+              {compareRadios(entry.id)}
+              <span className={classNames("flex-1 truncate", { "font-semibold": entry.name })}>
+                {versionLabel(entry)}
+              </span>
+              <span className="w-44 text-sm text-gray-500">
+                {new Date(entry.created).toLocaleString()}
+              </span>
+              <button
+                onClick={() => restore(entry, true)}
+                className="px-2 text-sm hover:bg-gray-100 rounded"
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => restore(entry, false)}
+                className="px-2 text-sm hover:bg-gray-100 rounded"
+                title="Restore the selected range of this sheet"
+              >
+                Restore {selection}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-auto border rounded mb-4 min-h-24">
+          {compare.from === compare.to && (
+            <p className="p-2 text-gray-500">Choose two different versions to compare.</p>
+          )}
+          {compare.from !== compare.to && !diff && (
+            <p className="p-2 text-gray-500">
+              {compare.from === null ? "Choose a version to compare." : "Loading…"}
+            </p>
+          )}
+          {compare.from !== compare.to && diff?.length === 0 && (
+            <p className="p-2 text-gray-500">The versions are the same.</p>
+          )}
+          {compare.from !== compare.to &&
+            diff?.map((sheetDiff) => (
+              <div key={sheetDiff.sheetId} className="p-2 border-b last:border-b-0">
+                <h4 className="font-semibold">
+                  {sheetDiff.name}
+                  {sheetDiff.status !== "changed" && ` (${sheetDiff.status})`}
+                  {sheetDiff.renamedFrom && ` (renamed from ${sheetDiff.renamedFrom})`}
+                </h4>
+                {describeSize(sheetDiff.before) !== describeSize(sheetDiff.after) && (
+                  <p className="text-sm text-gray-600">
+                    Rows × columns: {describeSize(sheetDiff.before)} → {describeSize(sheetDiff.after)}
+                  </p>
+                )}
+                {LINE_CHANGES.map(({ axis, kind, label, toLabel }) => {
+                  const lines = sheetDiff[axis][kind];
+                  return (
+                    lines.length > 0 && (
+                      <p key={`${axis}-${kind}`} className="text-sm text-gray-600">
+                        {label}: {describeLines(lines, toLabel)}
+                      </p>
+                    )
+                  );
+                })}
+                {sheetDiff.cells.length > 0 && (
+                  <table className="text-sm mt-1 w-full">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="px-2 w-28">Cell</th>
+                        <th className="px-2 w-32">Changed</th>
+                        <th className="px-2">Before</th>
+                        <th className="px-2">After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sheetDiff.cells.slice(0, MAX_LISTED_CELLS).map((cell) => (
+                        <tr key={`${cell.row}-${cell.col}`} className="border-t">
+                          <td className="px-2 font-mono">
+                            {cellLabel(cell.row, cell.col)}
+                            {(cell.beforeRow !== cell.row || cell.beforeCol !== cell.col) && (
+                              <span className="text-gray-500">
+                                {" "}
+                                (was {cellLabel(cell.beforeRow, cell.beforeCol)})
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-2">
+                            {cell.changes.map((change) => CHANGE_LABELS[change]).join(", ")}
+                          </td>
+                          <td className="px-2 font-mono text-red-700 break-all">
+                            {cellText(cell.before)}
+                          </td>
+                          <td className="px-2 font-mono text-green-700 break-all">
+                            {cellText(cell.after)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {sheetDiff.cells.length > MAX_LISTED_CELLS && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    and {sheetDiff.cells.length - MAX_LISTED_CELLS} more cells
+                  </p>
+                )}
+              </div>
+            ))}
+        </div>
+
+        <button onClick={onClose} className="self-start px-4 py-2 bg-gray-300 rounded">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistoryPanel;
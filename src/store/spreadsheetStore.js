@@ -0,0 +1,1227 @@
+import { create } from "zustand";
+import { fillSeries } from "../utils/autofill";
+import { applyStyleToRange, mergeStyle, resolveStyle, styleToCssText } from "../utils/cellStyles";
+import { parseRangeText } from "../utils/cellReferences";
+import { isFormula, parseInput, toEditText } from "../utils/cellValues";
+import { parseHtmlTable, parseTsv, toHtmlTable, toTsv, transposeGrid } from "../utils/clipboard";
+import {
+  evaluateConditionalFormats,
+  shareUnchangedOverlays,
+} from "../utils/conditionalFormats";
+import {
+  cellsReadingChanges,
+  dependsOnOtherCells,
+  listOptions,
+  NO_VALIDATION,
+  normalizeValidation,
+  validateValue,
+} from "../utils/dataValidation";
+import { shiftFormula, transposeFormula } from "../utils/formulaRewriter";
+import { formatValue } from "../utils/numberFormats";
+import { changedCellKeys, createRecalcEngine } from "../utils/recalcEngine";
+import { deleteColumns, deleteRows, insertColumns, insertRows } from "../utils/sheetStructure";
+import {
+  createCommand,
+  createHistory,
+  pushCommand,
+  redoCommand,
+  undoCommand,
+} from "../utils/history";
+import {
+  addSheet,
+  availableSheetName,
+  createSheet,
+  createWorkbook,
+  findSheetByName,
+  getActiveSheet,
+  rewriteWorkbookReferences,
+  updateSheet,
+} from "../utils/workbook";
+
+// Central store for the workbook, its evaluated values, undo history and the
+// current selection. Every update is immutable and structurally shared: a
+// change to one cell copies only that row, its sheet and the workbook, so
+// components that select other cells keep receiving the same references and
+// don't re-render.
+
+const engine = createRecalcEngine();
+
+const initialWorkbook = createWorkbook();
+
+// Re-evaluate the cells that differ from the previous workbook (and their
+// dependents), or every sheet when there is no previous workbook
+const recalculate = (workbook, previousWorkbook) =>
+  (previousWorkbook
+    ? engine.update(workbook.sheets, changedCellKeys(previousWorkbook.sheets, workbook.sheets))
+    : engine.rebuild(workbook.sheets)
+  ).values;
+
+// Conditional format overlays of every sheet, keyed by sheet id. A sheet is
+// re-evaluated when its values or rules change; rules with custom formulas
+// may read other sheets, so those are re-evaluated whenever any value does.
+const evaluateFormats = (workbook, sheetValues, previous) => {
+  const getSheetValues = (name) => {
+    const sheet = findSheetByName(workbook, name);
+    return sheet ? sheetValues[sheet.id] : null;
+  };
+  const previousRules = new Map(
+    (previous?.workbook.sheets || []).map((sheet) => [sheet.id, sheet.conditionalFormats])
+  );
+
+  const overlays = {};
+  workbook.sheets.forEach((sheet) => {
+    const rules = sheet.conditionalFormats;
+    const previousOverlays = previous?.overlays[sheet.id] || null;
+    const unchanged =
+      previous &&
+      previousRules.get(sheet.id) === rules &&
+      previous.sheetValues[sheet.id] === sheetValues[sheet.id] &&
+      (previous.sheetValues === sheetValues || !rules.some((rule) => rule.type === "customFormula"));
+    overlays[sheet.id] = unchanged
+      ? previousOverlays
+      : shareUnchangedOverlays(
+          previousOverlays,
+          evaluateConditionalFormats(rules, sheetValues[sheet.id], getSheetValues)
+        );
+  });
+  return overlays;
+};
+
+// Value lookups for validation rules on `sheet`: other sheets' values by
+// name, and the values of a range such as "A1:A5" or "Sheet2!A1:A5"
+const validationLookups = (workbook, sheetValues, sheet) => {
+  const getSheetValues = (name) => {
+    const other = findSheetByName(workbook, name);
+    return other ? sheetValues[other.id] : null;
+  };
+  const getRangeValues = (text) => {
+    const separator = text.lastIndexOf("!");
+    const values =
+      separator === -1
+        ? sheetValues[sheet.id]
+        : getSheetValues(text.slice(0, separator).replace(/^'|'$/g, ""));
+    const range = parseRangeText(text.slice(separator + 1));
+    if (!values || !range) return null;
+    const items = [];
+    for (let r = range.startRow; r <= range.endRow && r < values.length; r++) {
+      for (let c = range.startCol; c <= range.endCol && c < values[r].length; c++) {
+        items.push(values[r][c]);
+      }
+    }
+    return items;
+  };
+  return { getSheetValues, getRangeValues };
+};
+
+// Check a value against the validation rule of a cell on `sheet`, whose
+// style is `style`. Returns null when it's valid, or the message to show.
+const validationMessage = (workbook, sheetValues, sheet, row, col, value, style) =>
+  validateValue(sheet.validations[row]?.[col], value, {
+    ...validationLookups(workbook, sheetValues, sheet),
+    row,
+    col,
+    values: sheetValues[sheet.id] || sheet.cells,
+    numberFormat: resolveStyle(style).numberFormat,
+  });
+
+// The sheet's error set with (row, col) flagged or cleared
+const withErrorFlag = (errors, row, col, isInvalid) => {
+  const cellKey = `${row}-${col}`;
+  if (isInvalid === errors.has(cellKey)) return errors;
+  const updated = new Set(errors);
+  isInvalid ? updated.add(cellKey) : updated.delete(cellKey);
+  return updated;
+};
+
+// The sheet's error set with every cell of `range` checked again
+const flagInvalidCells = (workbook, sheetValues, sheet, range) => {
+  let { errors } = sheet;
+  for (let r = Math.max(0, range.startRow); r <= range.endRow && r < sheet.rows; r++) {
+    for (let c = Math.max(0, range.startCol); c <= range.endCol && c < sheet.cols; c++) {
+      const message = validationMessage(
+        workbook, sheetValues, sheet, r, c, sheet.cells[r][c], sheet.styles[r][c]
+      );
+      errors = withErrorFlag(errors, r, c, !!message);
+    }
+  }
+  return errors;
+};
+
+// flagInvalidCells over several ranges
+const flagInvalidRanges = (workbook, sheetValues, sheet, ranges) =>
+  ranges.reduce(
+    (errors, range) => flagInvalidCells(workbook, sheetValues, { ...sheet, errors }, range),
+    sheet.errors
+  );
+
+// Cells of a sheet whose evaluated value differs from before, as [row, col]
+// pairs. Rows the recalculation didn't touch are shared, so only copied
+// rows are compared.
+const changedValueCells = (values, previousValues) => {
+  const cells = [];
+  values.forEach((row, r) => {
+    const previousRow = previousValues?.[r];
+    if (row === previousRow) return;
+    row.forEach((value, c) => {
+      if (value !== previousRow?.[c]) cells.push([r, c]);
+    });
+  });
+  return cells;
+};
+
+const boundsOf = (cells) => {
+  const bounds = { startRow: Infinity, endRow: -Infinity, startCol: Infinity, endCol: -Infinity };
+  for (const [row, col] of cells) {
+    bounds.startRow = Math.min(bounds.startRow, row);
+    bounds.endRow = Math.max(bounds.endRow, row);
+    bounds.startCol = Math.min(bounds.startCol, col);
+    bounds.endCol = Math.max(bounds.endCol, col);
+  }
+  return bounds;
+};
+
+// The workbook with the flags of cells whose validity depends on other
+// cells checked again against newly evaluated values: formulas whose value
+// changed, and cells whose rule (a list from a range or a custom formula)
+// reads a cell whose value changed. Sheets whose flags stay the same are
+// kept as they are.
+const recheckDependentCells = (workbook, sheetValues, previousValues) => {
+  const changedCells = new Map();
+  const changedBounds = new Map();
+  for (const sheet of workbook.sheets) {
+    if (sheetValues[sheet.id] === previousValues[sheet.id]) continue;
+    const cells = changedValueCells(sheetValues[sheet.id], previousValues[sheet.id]);
+    if (cells.length === 0) continue;
+    changedCells.set(sheet.id, cells);
+    changedBounds.set(sheet.id, boundsOf(cells));
+  }
+  if (changedCells.size === 0) return workbook;
+
+  let changed = false;
+  const sheets = workbook.sheets.map((sheet) => {
+    const resolveSheetId = (name) =>
+      name === undefined ? sheet.id : findSheetByName(workbook, name)?.id;
+    const toCheck = new Map();
+    for (const [r, c] of changedCells.get(sheet.id) || []) {
+      if (dependsOnOtherCells(sheet.validations[r][c], sheet.cells[r][c])) {
+        toCheck.set(`${r}-${c}`, [r, c]);
+      }
+    }
+    for (const [r, c] of cellsReadingChanges(sheet, changedBounds, resolveSheetId)) {
+      toCheck.set(`${r}-${c}`, [r, c]);
+    }
+
+    let { errors } = sheet;
+    for (const [r, c] of toCheck.values()) {
+      const cell = sheet.cells[r][c];
+      const value = isFormula(cell) ? sheetValues[sheet.id][r][c] : cell;
+      const style = sheet.styles[r][c];
+      const message = validationMessage(workbook, sheetValues, sheet, r, c, value, style);
+      errors = withErrorFlag(errors, r, c, !!message);
+    }
+    if (errors === sheet.errors) return sheet;
+    changed = true;
+    return { ...sheet, errors };
+  });
+  return changed ? { ...workbook, sheets } : workbook;
+};
+
+// Typed input for cells of `sheet`, each { row, col, input }, entered the
+// way an edit is: parsed into a typed value, giving a cell without a number
+// format the one the input implies (e.g. "15%"), and checked against the
+// cell's rule. Input a "reject" rule refuses is left out. Returns the sheet
+// changes and the messages of the refused input.
+const enterInput = (workbook, sheetValues, sheet, edits) => {
+  const cells = [...sheet.cells];
+  let { styles, errors } = sheet;
+  const rejections = [];
+
+  for (const { row, col, input } of edits) {
+    const { value, numberFormat } = parseInput(input);
+    const formatted =
+      numberFormat && !styles[row][col]?.numberFormat
+        ? mergeStyle(styles[row][col], { numberFormat })
+        : null;
+
+    const style = formatted || styles[row][col];
+    const message = validationMessage(workbook, sheetValues, sheet, row, col, value, style);
+    if (message && normalizeValidation(sheet.validations[row][col]).mode === "reject") {
+      rejections.push(message);
+      continue;
+    }
+
+    if (cells[row] === sheet.cells[row]) cells[row] = [...cells[row]];
+    cells[row][col] = value;
+    if (formatted) {
+      if (styles === sheet.styles) styles = [...styles];
+      if (styles[row] === sheet.styles[row]) styles[row] = [...styles[row]];
+      styles[row][col] = formatted;
+    }
+    errors = withErrorFlag(errors, row, col, !!message);
+  }
+  return { changes: { cells, styles, errors }, rejections };
+};
+
+// The cells of `grid` within `range`, as a grid of their own
+const sliceRange = (grid, range) =>
+  grid
+    .slice(range.startRow, range.endRow + 1)
+    .map((row) => row.slice(range.startCol, range.endCol + 1));
+
+// `grid` with every cell of `range` set to `empty`
+const clearRange = (grid, range, empty) =>
+  grid.map((row, r) =>
+    r < range.startRow || r > range.endRow
+      ? row
+      : row.map((cell, c) => (c < range.startCol || c > range.endCol ? cell : empty))
+  );
+
+// The part of `range` inside the sheet
+const clipRange = (range, sheet) => ({
+  startRow: Math.max(0, range.startRow),
+  endRow: Math.min(sheet.rows - 1, range.endRow),
+  startCol: Math.max(0, range.startCol),
+  endCol: Math.min(sheet.cols - 1, range.endCol),
+});
+
+// `range` moved by an offset
+const offsetRange = (range, rowOffset, colOffset) => ({
+  startRow: range.startRow + rowOffset,
+  endRow: range.endRow + rowOffset,
+  startCol: range.startCol + colOffset,
+  endCol: range.endCol + colOffset,
+});
+
+// Whole rows (axis "row") or columns ("col") `start` to `end` of a sheet
+const lineRange = (sheet, axis, start, end) =>
+  axis === "row"
+    ? { startRow: start, endRow: end, startCol: 0, endCol: sheet.cols - 1 }
+    : { startRow: 0, endRow: sheet.rows - 1, startCol: start, endCol: end };
+
+// The formula bar text for a cell
+const editTextAt = (sheet, row, col) =>
+  toEditText(sheet.cells[row]?.[col], sheet.styles[row]?.[col]?.numberFormat);
+
+const selectionFor = (sheet) => ({
+  selectedCell: { row: 0, col: 0 },
+  selectedRange: null,
+  extraRanges: [],
+  formula: editTextAt(sheet, 0, 0),
+});
+
+// Store state for a workbook replacing the current one; history starts over
+const loadedState = (workbook) => {
+  const sheetValues = recalculate(workbook);
+  return {
+    workbook,
+    sheetValues,
+    conditionalStyles: evaluateFormats(workbook, sheetValues),
+    history: createHistory(),
+    previewBase: null,
+    ...selectionFor(getActiveSheet(workbook)),
+  };
+};
+
+export const useSpreadsheetStore = create((set, get) => {
+  // Revisions are never reused, so a saved revision stands for one state of
+  // the workbook even after undoing past it and editing again
+  let lastRevision = 0;
+  const nextRevision = () => ++lastRevision;
+
+  // Switch to `workbook`, recalculating against the current one, and
+  // return it with its validation flags brought up to date. `extra` is more
+  // state to set, or a function of the returned workbook giving it. The
+  // selection resets when the active sheet changes.
+  const setWorkbook = (edited, extra = {}) => {
+    const { workbook: previous, sheetValues: previousValues, conditionalStyles } = get();
+    const sheetValues = recalculate(edited, previous);
+    const isRecalculated = edited.sheets.some(
+      (sheet) => sheetValues[sheet.id] !== previousValues[sheet.id]
+    );
+    const workbook = isRecalculated
+      ? recheckDependentCells(edited, sheetValues, previousValues)
+      : edited;
+    set({
+      workbook,
+      sheetValues,
+      conditionalStyles: evaluateFormats(workbook, sheetValues, {
+        workbook: previous,
+        sheetValues: previousValues,
+        overlays: conditionalStyles,
+      }),
+      previewBase: null,
+      ...(workbook.activeSheetId !== previous.activeSheetId
+        ? selectionFor(getActiveSheet(workbook))
+        : {}),
+      ...(typeof extra === "function" ? extra(workbook) : extra),
+    });
+    return workbook;
+  };
+
+  // Undo/redo to `workbook` as of `revision`, so returning to the saved
+  // state leaves nothing unsaved; the formula bar shows the restored value
+  const restore = (workbook, revision, history) => {
+    const { workbook: previous, selectedCell } = get();
+    setWorkbook(workbook, { history, revision });
+    if (workbook.activeSheetId === previous.activeSheetId) {
+      set({ formula: editTextAt(getActiveSheet(workbook), selectedCell.row, selectedCell.col) });
+    }
+  };
+
+  return {
+    workbook: initialWorkbook,
+    // Evaluated values of every sheet, keyed by sheet id
+    sheetValues: recalculate(initialWorkbook),
+    // Conditional format overlay grids keyed by sheet id (null when no cell
+    // is affected); the initial workbook has no rules
+    conditionalStyles: {},
+    history: createHistory(),
+    // Workbook before an uncommitted preview (see previewSheetChange)
+    previewBase: null,
+    selectedCell: { row: 0, col: 0 },
+    selectedRange: null,
+    // Ranges selected before the current one with Ctrl+click; actions such
+    // as formatting apply to these as well
+    extraRanges: [],
+    // What a mouse drag is selecting: "cells", "rows", "columns" or null
+    selecting: null,
+    formula: "",
+    // What copySelection last copied, for pasting it with formulas and
+    // styles: { sheetId, range, cells, styles, values, cut, text }
+    clipboard: null,
+    fillTarget: null,
+    // Entry of the open document, { id, name, modified } (see
+    // documentStorage.js)
+    currentDocument: null,
+    // Numbers the workbook's contents: every edit or load makes a new
+    // revision, undo and redo go back to the one the restored state had, and
+    // switching sheets or previews keep it. `savedRevision` is the revision
+    // last saved to the open document.
+    revision: 0,
+    savedRevision: 0,
+
+    // Every grid mutation goes through here so it can be undone. Commands
+    // sharing a mergeKey (typing into one cell) collapse into one step.
+    commitChange: (label, workbook, mergeKey) => {
+      const { workbook: previous, previewBase, history, revision: beforeRevision } = get();
+      if (workbook === previous) return;
+      const before = previewBase || previous;
+      const revision = nextRevision();
+      setWorkbook(workbook, (after) => ({
+        history: pushCommand(history, {
+          ...createCommand(label, before, after, mergeKey),
+          beforeRevision,
+          afterRevision: revision,
+        }),
+        revision,
+      }));
+    },
+
+    // Commit changes to fields of the active sheet, e.g. { cells, rows }
+    applySheetChange: (label, changes, mergeKey) => {
+      const { workbook, commitChange } = get();
+      commitChange(label, updateSheet(workbook, workbook.activeSheetId, changes), mergeKey);
+    },
+
+    // Update the active sheet without recording a step, e.g. while a column
+    // is being resized. The next commit is recorded against the workbook as
+    // it was before the first preview.
+    previewSheetChange: (changes) => {
+      const { workbook, previewBase } = get();
+      set({
+        workbook: updateSheet(workbook, workbook.activeSheetId, changes),
+        previewBase: previewBase || workbook,
+      });
+    },
+
+    undo: () => {
+      const result = undoCommand(get().history);
+      if (result) restore(result.command.before, result.command.beforeRevision, result.history);
+    },
+
+    redo: () => {
+      const result = redoCommand(get().history);
+      if (result) restore(result.command.after, result.command.afterRevision, result.history);
+    },
+
+    // Replace the whole workbook, e.g. when loading; history starts over
+    loadWorkbook: (workbook) => set({ ...loadedState(workbook), revision: nextRevision() }),
+
+    // Open a saved document: its workbook replaces the current one. Both
+    // change in one update, so the workbook is never taken as an unsaved
+    // change to the previous document.
+    openDocument: (entry, workbook) => {
+      const { revision } = get();
+      set({ ...loadedState(workbook), currentDocument: entry, savedRevision: revision });
+    },
+
+    // Record that the workbook as of `revision` was saved to a document, if
+    // it's still the one open; `entry` is its updated entry
+    markSaved: (entry, revision) => {
+      if (get().currentDocument?.id !== entry.id) return;
+      set({ currentDocument: entry, savedRevision: revision });
+    },
+
+    // The open document's entry changed, e.g. it was renamed
+    updateDocumentEntry: (entry) => {
+      if (get().currentDocument?.id !== entry.id) return;
+      set({ currentDocument: entry });
+    },
+
+    selectSheet: (sheetId) => {
+      const { workbook } = get();
+      if (sheetId === workbook.activeSheetId) return;
+      const sheet = workbook.sheets.find((s) => s.id === sheetId);
+      set({ workbook: { ...workbook, activeSheetId: sheetId }, ...selectionFor(sheet) });
+    },
+
+    // Select a cell, or with `extend` the range from the selected cell to it.
+    // With `add` the current selection stays selected as well.
+    selectCell: (row, col, extend = false, add = false) => {
+      const state = get();
+      const { selectedCell, workbook } = state;
+      if (extend && selectedCell) {
+        set({
+          selectedRange: {
+            startRow: Math.min(selectedCell.row, row),
+            startCol: Math.min(selectedCell.col, col),
+            endRow: Math.max(selectedCell.row, row),
+            endCol: Math.max(selectedCell.col, col),
+          },
+        });
+        return;
+      }
+      set({
+        selectedCell: { row, col },
+        selectedRange: null,
+        extraRanges: add ? selectSelectionRanges(state) : [],
+        formula: editTextAt(getActiveSheet(workbook), row, col),
+      });
+    },
+
+    // Select `range`, its top-left cell becoming the selected cell. With
+    // `add` the current selection stays selected as well.
+    selectRange: (range, add = false) => {
+      const state = get();
+      const { startRow, endRow, startCol, endCol } = range;
+      set({
+        selectedCell: { row: startRow, col: startCol },
+        selectedRange: endRow > startRow || endCol > startCol ? range : null,
+        extraRanges: add ? selectSelectionRanges(state) : [],
+        formula: editTextAt(getActiveSheet(state.workbook), startRow, startCol),
+      });
+    },
+
+    // Select whole rows from a row header: the row itself, or with `extend`
+    // every row from the selected cell's row to it
+    selectRows: (row, extend = false, add = false) => {
+      const { selectedCell, workbook, selectRange } = get();
+      const { cols } = getActiveSheet(workbook);
+      if (!extend) {
+        selectRange({ startRow: row, endRow: row, startCol: 0, endCol: cols - 1 }, add);
+        return;
+      }
+      set({
+        selectedRange: {
+          startRow: Math.min(selectedCell.row, row),
+          endRow: Math.max(selectedCell.row, row),
+          startCol: 0,
+          endCol: cols - 1,
+        },
+      });
+    },
+
+    // Select whole columns from a column header, like selectRows
+    selectColumns: (col, extend = false, add = false) => {
+      const { selectedCell, workbook, selectRange } = get();
+      const { rows } = getActiveSheet(workbook);
+      if (!extend) {
+        selectRange({ startRow: 0, endRow: rows - 1, startCol: col, endCol: col }, add);
+        return;
+      }
+      set({
+        selectedRange: {
+          startRow: 0,
+          endRow: rows - 1,
+          startCol: Math.min(selectedCell.col, col),
+          endCol: Math.max(selectedCell.col, col),
+        },
+      });
+    },
+
+    selectAll: () => {
+      const { rows, cols } = getActiveSheet(get().workbook);
+      get().selectRange({ startRow: 0, endRow: rows - 1, startCol: 0, endCol: cols - 1 });
+    },
+
+    // Mouse drag selection. Moving over a cell or header while dragging
+    // extends what the drag started selecting; `row` or `col` is null for a
+    // header of the other kind.
+    startSelecting: (selecting) => set({ selecting }),
+
+    extendSelection: (row, col) => {
+      const { selecting, selectCell, selectRows, selectColumns } = get();
+      if (selecting === "cells" && row !== null && col !== null) {
+        selectCell(row, col, true);
+      } else if (selecting === "rows" && row !== null) {
+        selectRows(row, true);
+      } else if (selecting === "columns" && col !== null) {
+        selectColumns(col, true);
+      }
+    },
+
+    stopSelecting: () => set({ selecting: null }),
+
+    // Move the selection to (row, col), kept inside the sheet. With `extend`
+    // the selected cell stays put and the range stretches to (row, col).
+    navigateTo: (row, col, extend = false) => {
+      const { workbook, selectCell } = get();
+      const { rows, cols } = getActiveSheet(workbook);
+      selectCell(
+        Math.min(Math.max(row, 0), rows - 1),
+        Math.min(Math.max(col, 0), cols - 1),
+        extend
+      );
+    },
+
+    setFormula: (formula) => set({ formula }),
+
+    // Apply style changes to every selected range, or the selected cell. See
+    // applyStyleToRange for the form `changes` can take.
+    applyStyle: (label, changes, mergeKey) => {
+      const { workbook, applySheetChange } = get();
+      const styles = selectSelectionRanges(get()).reduce(
+        (updated, range) => applyStyleToRange(updated, range, changes),
+        getActiveSheet(workbook).styles
+      );
+      applySheetChange(label, { styles }, mergeKey);
+    },
+
+    // Commit what the user typed into a cell: parse it into a typed value,
+    // validate it and re-evaluate its dependents. Input like "15%" or
+    // "2024-03-01" also gives a cell without a number format a matching one.
+    // Returns the validation message when a "reject" rule refuses the input
+    // (nothing is stored), otherwise null.
+    setCellValue: (row, col, input) => {
+      const { workbook, sheetValues, selectedCell, applySheetChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const { changes, rejections } = enterInput(workbook, sheetValues, sheet, [
+        { row, col, input },
+      ]);
+
+      // Keep the formula bar in sync with the selected cell
+      if (row === selectedCell.row && col === selectedCell.col) {
+        set({ formula: editTextAt(rejections.length > 0 ? sheet : changes, row, col) });
+      }
+      if (rejections.length > 0) return rejections[0];
+
+      applySheetChange("Edit cell", changes, `edit:${sheet.id}!${row}-${col}`);
+      return null;
+    },
+
+    // Commit typed input to several cells of the active sheet in one step,
+    // each { row, col, input } entered like setCellValue, e.g. for find and
+    // replace. Returns the validation messages of the input "reject" rules
+    // refused; the other cells are still set.
+    setCellValues: (label, edits) => {
+      const { workbook, sheetValues, selectedCell, applySheetChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const { changes, rejections } = enterInput(workbook, sheetValues, sheet, edits);
+      if (rejections.length === edits.length) return rejections;
+
+      applySheetChange(label, changes);
+      set({ formula: editTextAt(changes, selectedCell.row, selectedCell.col) });
+      return rejections;
+    },
+
+    // Apply a validation rule (or NO_VALIDATION) to every selected range and
+    // flag the values already in them that break the rule. Checkboxes start
+    // out unticked.
+    applyValidation: (rule) => {
+      const { workbook, sheetValues, applySheetChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const ranges = selectSelectionRanges(get()).map((range) => clipRange(range, sheet));
+      const validations = [...sheet.validations];
+      const cells = [...sheet.cells];
+      for (const range of ranges) {
+        for (let r = range.startRow; r <= range.endRow; r++) {
+          validations[r] = [...validations[r]];
+          cells[r] = [...cells[r]];
+          for (let c = range.startCol; c <= range.endCol; c++) {
+            validations[r][c] = rule;
+            if (rule.type === "checkbox" && cells[r][c] === "") cells[r][c] = false;
+          }
+        }
+      }
+
+      const errors = flagInvalidRanges(
+        workbook, sheetValues, { ...sheet, validations, cells }, ranges
+      );
+      applySheetChange(
+        rule === NO_VALIDATION ? "Clear validation" : "Set validation",
+        { validations, cells, errors }
+      );
+    },
+
+    // Clear the values of every selected range. Styles stay, and checkboxes
+    // are unticked rather than removed.
+    clearCells: () => {
+      const { workbook, sheetValues, selectedCell, applySheetChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const ranges = selectSelectionRanges(get()).map((range) => clipRange(range, sheet));
+      const cells = [...sheet.cells];
+      for (const range of ranges) {
+        for (let r = range.startRow; r <= range.endRow; r++) {
+          cells[r] = [...cells[r]];
+          for (let c = range.startCol; c <= range.endCol; c++) {
+            const isCheckbox = normalizeValidation(sheet.validations[r][c])?.type === "checkbox";
+            cells[r][c] = isCheckbox ? false : "";
+          }
+        }
+      }
+      applySheetChange("Clear cells", {
+        cells,
+        errors: flagInvalidRanges(workbook, sheetValues, { ...sheet, cells }, ranges),
+      });
+      set({
+        formula: editTextAt(getActiveSheet(get().workbook), selectedCell.row, selectedCell.col),
+      });
+    },
+
+    // Insert `count` rows (axis "row") or columns ("col") before line `index`
+    // of the active sheet, and select them
+    insertLines: (axis, index, count = 1) => {
+      const { workbook, commitChange } = get();
+      const insert = axis === "row" ? insertRows : insertColumns;
+      const noun = axis === "row" ? "row" : "column";
+      commitChange(
+        count > 1 ? `Insert ${count} ${noun}s` : `Insert ${noun}`,
+        insert(workbook, workbook.activeSheetId, index, count)
+      );
+      // Cells copied before are no longer where the clipboard says
+      set({ clipboard: null });
+      get().selectRange(lineRange(getActiveSheet(get().workbook), axis, index, index + count - 1));
+    },
+
+    // Delete `count` rows or columns of the active sheet from line `index`.
+    // A sheet keeps at least one of each.
+    deleteLines: (axis, index, count = 1) => {
+      const { workbook, commitChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const size = axis === "row" ? sheet.rows : sheet.cols;
+      if (count >= size) return;
+      const remove = axis === "row" ? deleteRows : deleteColumns;
+      const noun = axis === "row" ? "row" : "column";
+      commitChange(
+        count > 1 ? `Delete ${count} ${noun}s` : `Delete ${noun}`,
+        remove(workbook, workbook.activeSheetId, index, count)
+      );
+      set({ clipboard: null });
+      const line = Math.min(index, size - count - 1);
+      get().selectRange(lineRange(getActiveSheet(get().workbook), axis, line, line));
+    },
+
+    // Copy a range's values and styles so that its top-left cell lands on
+    // (row, col), and select the copy. Relative references in copied formulas
+    // shift with them; anchored ($) parts stay fixed.
+    copyRange: (range, row, col) => {
+      const { workbook, sheetValues, applySheetChange } = get();
+      const sheet = getActiveSheet(workbook);
+      const rowOffset = row - range.startRow;
+      const colOffset = col - range.startCol;
+      const target = clipRange(offsetRange(range, rowOffset, colOffset), sheet);
+      const cells = [...sheet.cells];
+      const styles = [...sheet.styles];
+      for (let r = target.startRow; r <= target.endRow; r++) {
+        cells[r] = [...cells[r]];
+        styles[r] = [...styles[r]];
+        for (let c = target.startCol; c <= target.endCol; c++) {
+          const value = sheet.cells[r - rowOffset][c - colOffset];
+          cells[r][c] = shiftFormula(value, rowOffset, colOffset);
+          styles[r][c] = sheet.styles[r - rowOffset][c - colOffset];
+        }
+      }
+      const copied = { ...sheet, cells, styles };
+      applySheetChange("Copy cells", {
+        cells,
+        styles,
+        errors: flagInvalidCells(workbook, sheetValues, copied, target),
+      });
+      get().selectRange(target);
+    },
+
+    // Move a range's values and styles so that its top-left cell lands on
+    // (row, col), and select them there. Moved formulas keep pointing at the
+    // same cells, and references to the moved cells anywhere in the workbook
+    // follow them. Cells that would land outside the sheet are dropped.
+    moveRange: (range, row, col, label = "Move cells") => {
+      const { workbook, sheetValues, commitChange } = get();
+      const sheetId = workbook.activeSheetId;
+      const rowOffset = row - range.startRow;
+      const colOffset = col - range.startCol;
+      if (rowOffset === 0 && colOffset === 0) return;
+
+      const inSource = (r, c) =>
+        r >= range.startRow && r <= range.endRow && c >= range.startCol && c <= range.endCol;
+      const moveEndpoint = (endpoint) => ({
+        ...endpoint,
+        row: endpoint.row + rowOffset,
+        col: endpoint.col + colOffset,
+      });
+      const rewritten = rewriteWorkbookReferences(workbook, (ref, sheet) => {
+        const refSheet = ref.sheet ? findSheetByName(workbook, ref.sheet) : sheet;
+        if (refSheet?.id !== sheetId) return ref;
+        if (ref.type === "cell") return inSource(ref.row, ref.col) ? moveEndpoint(ref) : ref;
+        // A range follows only when all of it moves
+        const { start, end } = ref;
+        return inSource(start.row, start.col) && inSource(end.row, end.col)
+          ? { ...ref, start: moveEndpoint(start), end: moveEndpoint(end) }
+          : ref;
+      });
+
+      const sheet = getActiveSheet(rewritten);
+      const moveValues = (grid, empty) => {
+        const moved = grid.map((cells, r) =>
+          r >= range.startRow && r <= range.endRow ? [...cells] : cells
+        );
+        for (let r = range.startRow; r <= range.endRow; r++) {
+          for (let c = range.startCol; c <= range.endCol; c++) moved[r][c] = empty;
+        }
+        for (let r = range.startRow; r <= range.endRow; r++) {
+          const targetRow = r + rowOffset;
+          if (targetRow < 0 || targetRow >= sheet.rows) continue;
+          if (moved[targetRow] === grid[targetRow]) moved[targetRow] = [...grid[targetRow]];
+          for (let c = range.startCol; c <= range.endCol; c++) {
+            const targetCol = c + colOffset;
+            if (targetCol < 0 || targetCol >= sheet.cols) continue;
+            moved[targetRow][targetCol] = grid[r][c];
+          }
+        }
+        return moved;
+      };
+      const moved = {
+        ...sheet,
+        cells: moveValues(sheet.cells, ""),
+        styles: moveValues(sheet.styles, null),
+      };
+      // Validation rules stay put, so both ends are checked again
+      const target = clipRange(offsetRange(range, rowOffset, colOffset), sheet);
+      moved.errors = flagInvalidCells(rewritten, sheetValues, moved, range);
+      moved.errors = flagInvalidCells(rewritten, sheetValues, moved, target);
+      commitChange(
+        label,
+        updateSheet(rewritten, sheetId, {
+          cells: moved.cells,
+          styles: moved.styles,
+          errors: moved.errors,
+        })
+      );
+      get().selectRange(target);
+    },
+
+    // Copy the selected range, or cut it (a cut range is moved when it's
+    // pasted). The app keeps the cells themselves for pasting here; the
+    // returned { text, html } holds their displayed text for the system
+    // clipboard.
+    copySelection: (cut = false) => {
+      const state = get();
+      const sheet = getActiveSheet(state.workbook);
+      const range = selectSelectionRange(state);
+      const values = sliceRange(selectEvaluatedValues(state), range);
+      const styles = sliceRange(sheet.styles, range);
+      const texts = selectRangeTexts(state, range);
+      const text = toTsv(texts);
+      set({
+        clipboard: {
+          sheetId: sheet.id,
+          range,
+          cells: sliceRange(sheet.cells, range),
+          styles,
+          values,
+          cut,
+          text,
+        },
+      });
+      return { text, html: toHtmlTable(texts, (r, c) => styleToCssText(styles[r][c])) };
+    },
+
+    // Paste at the selected cell as one undoable step. `data` is { text,
+    // html } read from the system clipboard; when it's what this app copied
+    // last (or null), the app's own copy is pasted, formulas and styles
+    // included. Otherwise each field is parsed like typed input, from the
+    // HTML table when there is one since it keeps fields intact.
+    //
+    // mode: "all", "values" (evaluated values, no formulas), "formats"
+    // (styles only) or "transpose" (rows become columns). Pasted values are
+    // flagged, not rejected, by validation rules.
+    paste: (data = null, mode = "all") => {
+      const state = get();
+      const { workbook, sheetValues, clipboard, commitChange } = state;
+      const sheet = getActiveSheet(workbook);
+      const { startRow, startCol } = selectSelectionRange(state);
+      const normalize = (text) => text.replace(/\r\n?/g, "\n").replace(/\n$/, "");
+      const internal =
+        clipboard && (!data || normalize(data.text || "") === clipboard.text) ? clipboard : null;
+      // Only a plain paste moves cut cells; paste special copies them
+      const cut = internal?.cut && mode === "all";
+
+      if (cut && internal.sheetId === sheet.id) {
+        get().moveRange(internal.range, startRow, startCol, "Cut and paste");
+        set({ clipboard: null });
+        return;
+      }
+
+      // Entries to paste, each { value, style, numberFormat, row, col } where
+      // row and col are where it was copied from
+      let entries;
+      if (internal) {
+        entries = internal.cells.map((row, r) =>
+          row.map((value, c) => ({
+            value: mode === "values" ? internal.values[r][c] : value,
+            style: internal.styles[r][c],
+            numberFormat: internal.styles[r][c]?.numberFormat,
+            row: internal.range.startRow + r,
+            col: internal.range.startCol + c,
+          }))
+        );
+      } else if (data && mode !== "formats") {
+        const texts = (data.html && parseHtmlTable(data.html)) || parseTsv(data.text || "");
+        const width = texts.reduce((longest, row) => Math.max(longest, row.length), 0);
+        entries = texts.map((row, r) =>
+          Array.from({ length: width }, (_, c) => ({
+            ...parseInput(row[c] ?? ""),
+            row: r,
+            col: c,
+          }))
+        );
+      } else {
+        return;
+      }
+      if (mode === "transpose") entries = transposeGrid(entries);
+      if (entries.length === 0 || entries[0].length === 0) return;
+
+      const cells = [...sheet.cells];
+      const styles = [...sheet.styles];
+      const endRow = Math.min(sheet.rows - 1, startRow + entries.length - 1);
+      const endCol = Math.min(sheet.cols - 1, startCol + entries[0].length - 1);
+      for (let r = startRow; r <= endRow; r++) {
+        cells[r] = [...cells[r]];
+        styles[r] = [...styles[r]];
+        for (let c = startCol; c <= endCol; c++) {
+          const entry = entries[r - startRow][c - startCol];
+          if (mode !== "formats") {
+            // A copied formula shifts by how far it moved; a cut one doesn't
+            const from = { row: entry.row, col: entry.col };
+            if (!internal || cut) {
+              cells[r][c] = entry.value;
+            } else if (mode === "transpose") {
+              cells[r][c] = transposeFormula(entry.value, from, { row: r, col: c });
+            } else {
+              cells[r][c] = shiftFormula(entry.value, r - from.row, c - from.col);
+            }
+          }
+          if (internal && mode !== "values") {
+            styles[r][c] = entry.style;
+          } else if (entry.numberFormat && !styles[r][c]?.numberFormat) {
+            styles[r][c] = mergeStyle(styles[r][c], { numberFormat: entry.numberFormat });
+          }
+        }
+      }
+
+      const range = { startRow, endRow, startCol, endCol };
+      const pasted = { ...sheet, cells, styles };
+      let updated = updateSheet(workbook, sheet.id, {
+        cells,
+        styles,
+        errors: flagInvalidCells(workbook, sheetValues, pasted, range),
+      });
+      // Cut cells pasted on another sheet are cleared from their own sheet
+      if (cut) {
+        const source = updated.sheets.find((s) => s.id === internal.sheetId);
+        if (source) {
+          updated = updateSheet(updated, source.id, {
+            cells: clearRange(source.cells, internal.range, ""),
+            styles: clearRange(source.styles, internal.range, null),
+          });
+        }
+        set({ clipboard: null });
+      }
+
+      commitChange(mode === "all" ? "Paste" : "Paste special", updated);
+      get().selectRange(range);
+    },
+
+    // Put rows of text read from a file on a sheet as one undoable step,
+    // each field parsed like typed input. `destination` is "new" (a new
+    // sheet named after `name`), "replace" (the active sheet's contents) or
+    // "insert" (from the selected cell, flagged by validation rules like a
+    // paste). The sheet grows to fit. A header row is kept as text and bold.
+    importGrid: (texts, { destination, hasHeader = false, name = "Imported" }) => {
+      const state = get();
+      const { sheetValues, commitChange } = state;
+      const width = texts.reduce((longest, row) => Math.max(longest, row.length), 0);
+      if (width === 0) return;
+
+      let { workbook } = state;
+      let origin = { row: 0, col: 0 };
+      if (destination === "new") {
+        workbook = addSheet(workbook);
+        workbook = updateSheet(workbook, workbook.activeSheetId, {
+          name: availableSheetName(workbook, name),
+        });
+      } else if (destination === "replace") {
+        const { id, name: sheetName } = getActiveSheet(workbook);
+        workbook = updateSheet(workbook, id, { ...createSheet(sheetName), id });
+      } else {
+        origin = state.selectedCell;
+      }
+
+      // Growing with inserted lines keeps sizes, widths and rules in step
+      let sheet = getActiveSheet(workbook);
+      const extraRows = origin.row + texts.length - sheet.rows;
+      if (extraRows > 0) workbook = insertRows(workbook, sheet.id, sheet.rows, extraRows);
+      const extraCols = origin.col + width - sheet.cols;
+      if (extraCols > 0) workbook = insertColumns(workbook, sheet.id, sheet.cols, extraCols);
+      sheet = getActiveSheet(workbook);
+
+      const cells = [...sheet.cells];
+      const styles = [...sheet.styles];
+      texts.forEach((fields, i) => {
+        const r = origin.row + i;
+        cells[r] = [...cells[r]];
+        styles[r] = [...styles[r]];
+        for (let j = 0; j < width; j++) {
+          const c = origin.col + j;
+          const text = fields[j] ?? "";
+          if (hasHeader && i === 0) {
+            cells[r][c] = text;
+            styles[r][c] = mergeStyle(styles[r][c], { bold: true });
+            continue;
+          }
+          const { value, numberFormat } = parseInput(text);
+          cells[r][c] = value;
+          if (numberFormat && !styles[r][c]?.numberFormat) {
+            styles[r][c] = mergeStyle(styles[r][c], { numberFormat });
+          }
+        }
+      });
+
+      const range = {
+        startRow: origin.row,
+        endRow: origin.row + texts.length - 1,
+        startCol: origin.col,
+        endCol: origin.col + width - 1,
+      };
+      const imported = { ...sheet, cells, styles };
+      commitChange(
+        "Import",
+        updateSheet(workbook, sheet.id, {
+          cells,
+          styles,
+          errors: flagInvalidCells(workbook, sheetValues, imported, range),
+        })
+      );
+      get().selectRange(range);
+    },
+
+    // Replace the workbook with an earlier version of it, as an undoable
+    // step. The active sheet stays active if the version has it.
+    restoreVersion: (version) => {
+      const { workbook, commitChange } = get();
+      const keepsActiveSheet = version.sheets.some((sheet) => sheet.id === workbook.activeSheetId);
+      set({ clipboard: null });
+      commitChange("Restore version", {
+        ...version,
+        activeSheetId: keepsActiveSheet ? workbook.activeSheetId : version.activeSheetId,
+      });
+    },
+
+    // Put the selected range of the active sheet back the way it was in an
+    // earlier version of the workbook: cells, styles and validation rules.
+    // Returns a message when the version doesn't have the sheet.
+    restoreVersionRange: (version) => {
+      const state = get();
+      const { workbook, sheetValues, applySheetChange } = state;
+      const sheet = getActiveSheet(workbook);
+      const source = version.sheets.find((s) => s.id === sheet.id);
+      if (!source) return `"${sheet.name}" isn't in that version.`;
+
+      const range = clipRange(selectSelectionRange(state), sheet);
+      const cells = [...sheet.cells];
+      const styles = [...sheet.styles];
+      const validations = [...sheet.validations];
+      for (let r = range.startRow; r <= range.endRow; r++) {
+        cells[r] = [...cells[r]];
+        styles[r] = [...styles[r]];
+        validations[r] = [...validations[r]];
+        for (let c = range.startCol; c <= range.endCol; c++) {
+          const isInSource = r < source.rows && c < source.cols;
+          cells[r][c] = isInSource ? source.cells[r][c] : "";
+          styles[r][c] = isInSource ? source.styles[r][c] : null;
+          validations[r][c] = isInSource ? source.validations[r][c] : NO_VALIDATION;
+        }
+      }
+      const restored = { ...sheet, cells, styles, validations };
+      applySheetChange("Restore range", {
+        cells,
+        styles,
+        validations,
+        errors: flagInvalidCells(workbook, sheetValues, restored, range),
+      });
+      return null;
+    },
+
+    // Extend the selected range to `target`, a larger range that shares all
+    // but one of its edges, continuing the series in it (see autofill.js).
+    // Copied formulas shift to their new position.
+    autofill: (target) => {
+      const state = get();
+      const { workbook, sheetValues, applySheetChange } = state;
+      const sheet = getActiveSheet(workbook);
+      const source = selectSelectionRange(state);
+      const isVertical = target.startCol === source.startCol && target.endCol === source.endCol;
+      const [first, last] = isVertical
+        ? [source.startRow, source.endRow]
+        : [source.startCol, source.endCol];
+      const before = first - (isVertical ? target.startRow : target.startCol);
+      const after = (isVertical ? target.endRow : target.endCol) - last;
+      if (before <= 0 && after <= 0) return;
+
+      const cells = [...sheet.cells];
+      const styles = [...sheet.styles];
+      for (let r = target.startRow; r <= target.endRow; r++) {
+        cells[r] = [...cells[r]];
+        styles[r] = [...styles[r]];
+      }
+      const write = ([row, col], value, entry) => {
+        cells[row][col] = shiftFormula(value, row - entry.row, col - entry.col);
+        styles[row][col] = entry.style;
+      };
+
+      // Each column is filled on its own when filling vertically, each row
+      // otherwise
+      const [lineStart, lineEnd] = isVertical
+        ? [source.startCol, source.endCol]
+        : [source.startRow, source.endRow];
+      for (let line = lineStart; line <= lineEnd; line++) {
+        const position = (index) => (isVertical ? [index, line] : [line, index]);
+        const entries = [];
+        for (let index = first; index <= last; index++) {
+          const [row, col] = position(index);
+          const style = sheet.styles[row][col];
+          entries.push({
+            value: sheet.cells[row][col],
+            numberFormat: resolveStyle(style).numberFormat,
+            style,
+            row,
+            col,
+          });
+        }
+        fillSeries(entries, Math.max(0, after)).forEach(({ value, source: from }, i) =>
+          write(position(last + 1 + i), value, entries[from])
+        );
+        // Filling backwards continues the series from its start
+        const reversed = [...entries].reverse();
+        fillSeries(reversed, Math.max(0, before)).forEach(({ value, source: from }, i) =>
+          write(position(first - 1 - i), value, reversed[from])
+        );
+      }
+
+      const filled = { ...sheet, cells, styles };
+      applySheetChange("Autofill", {
+        cells,
+        styles,
+        errors: flagInvalidCells(workbook, sheetValues, filled, target),
+      });
+      get().selectRange(target);
+    },
+
+    // Dragging the fill handle: `fillTarget` is the range the fill would
+    // cover, previewed while the handle is dragged
+    startFill: () => set({ fillTarget: selectSelectionRange(get()) }),
+
+    // Stretch the fill towards (row, col), down/up or sideways depending on
+    // which way the pointer is further outside the selection
+    extendFill: (row, col) => {
+      const source = selectSelectionRange(get());
+      const rowDistance = Math.max(source.startRow - row, row - source.endRow, 0);
+      const colDistance = Math.max(source.startCol - col, col - source.endCol, 0);
+      const fillTarget = { ...source };
+      if (rowDistance >= colDistance) {
+        fillTarget.startRow = Math.min(source.startRow, row);
+        fillTarget.endRow = Math.max(source.endRow, row);
+      } else {
+        fillTarget.startCol = Math.min(source.startCol, col);
+        fillTarget.endCol = Math.max(source.endCol, col);
+      }
+      set({ fillTarget });
+    },
+
+    endFill: () => {
+      const { fillTarget, autofill } = get();
+      if (!fillTarget) return;
+      set({ fillTarget: null });
+      autofill(fillTarget);
+    },
+  };
+});
+
+// Selectors
+export const selectActiveSheet = (state) => getActiveSheet(state.workbook);
+export const selectEvaluatedValues = (state) =>
+  state.sheetValues[state.workbook.activeSheetId] || selectActiveSheet(state).cells;
+export const selectConditionalStyles = (state) =>
+  state.conditionalStyles[state.workbook.activeSheetId] || null;
+
+// Whether the workbook was edited since it was last saved to its document
+export const selectHasUnsavedChanges = (state) =>
+  state.currentDocument !== null && state.revision !== state.savedRevision;
+
+// The selected range, or the selected cell as a one-cell range
+export const selectSelectionRange = ({ selectedCell, selectedRange }) =>
+  selectedRange || {
+    startRow: selectedCell.row,
+    endRow: selectedCell.row,
+    startCol: selectedCell.col,
+    endCol: selectedCell.col,
+  };
+
+// Every selected range: those added with Ctrl+click, then the current one
+export const selectSelectionRanges = (state) => [
+  ...state.extraRanges,
+  selectSelectionRange(state),
+];
+
+// The cells of `range` on the active sheet as displayed, or with
+// `asFormulas` as they're edited (formulas rather than their results)
+export const selectRangeTexts = (state, range, asFormulas = false) => {
+  const sheet = selectActiveSheet(state);
+  const values = asFormulas ? sheet.cells : selectEvaluatedValues(state);
+  return sliceRange(values, range).map((row, r) =>
+    row.map((value, c) => {
+      const style = sheet.styles[range.startRow + r][range.startCol + c];
+      return asFormulas
+        ? toEditText(value, style?.numberFormat)
+        : formatValue(value, resolveStyle(style).numberFormat).text;
+    })
+  );
+};
+
+// The corner of the selected range opposite the selected cell, which
+// Shift+Arrow moves; the selected cell itself when no range is selected
+export const selectSelectionCorner = ({ selectedCell, selectedRange }) => {
+  if (!selectedRange) return selectedCell;
+  const { startRow, endRow, startCol, endCol } = selectedRange;
+  return {
+    row: selectedCell.row === startRow ? endRow : startRow,
+    col: selectedCell.col === startCol ? endCol : startCol,
+  };
+};
+
+// Options of the dropdown list rule on a cell of the active sheet
+export const selectListOptions = (state, row, col) => {
+  const sheet = selectActiveSheet(state);
+  const rule = normalizeValidation(sheet.validations[row]?.[col]);
+  if (rule?.type !== "list") return [];
+  return listOptions(rule, validationLookups(state.workbook, state.sheetValues, sheet).getRangeValues);
+};
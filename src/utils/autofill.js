@@ -0,0 +1,139 @@
+import { isFormula } from "./cellValues";
+import { dateToSerial, MONTH_NAMES, serialToParts, WEEKDAY_NAMES } from "./dateSerial";
+import { isDateFormat } from "./numberFormats";
+
+// Autofill: extending cells by dragging the fill handle. Each row or column
+// of the selection is extended on its own. When its cells form a series the
+// series continues, otherwise they repeat:
+//
+//   1, 3             -> 5, 7, ...            numbers continue with their step
+//   2024-01-31       -> 2024-02-01, ...      a single date counts days
+//   Jan 15, Feb 15   -> Mar 15, ...          dates whole months apart
+//   Mon, Wed         -> Fri, Sun, ...        weekday and month names
+//   Item 1           -> Item 2, ...          text ending in a number
+//
+// A single number repeats, as in Sheets. Filling up or to the left passes
+// the cells in reverse order, so series run backwards.
+
+const roundResult = (value) => parseFloat(value.toPrecision(15));
+
+const daysInMonth = (year, month) => dateToSerial(year, month + 1, 1) - dateToSerial(year, month, 1);
+
+// Whole months from one date to the next, or null unless every step is the
+// same number of months and the day of the month doesn't change
+const monthStep = (serials) => {
+  const parts = serials.map(serialToParts);
+  const months = parts.map(({ year, month }) => year * 12 + month - 1);
+  const step = months[1] - months[0];
+  const isMonthly =
+    step !== 0 &&
+    parts.every(({ day }) => day === parts[0].day) &&
+    months.every((month, i) => i === 0 || month - months[i - 1] === step);
+  return isMonthly ? step : null;
+};
+
+const dateSeries = (serials) => {
+  const months = serials.length > 1 ? monthStep(serials) : null;
+  if (months === null) {
+    const step = serials.length > 1 ? (serials[serials.length - 1] - serials[0]) / (serials.length - 1) : 1;
+    return (index) => roundResult(serials[0] + step * index);
+  }
+  const { year, month, day } = serialToParts(serials[0]);
+  const time = serials[0] - Math.floor(serials[0]);
+  return (index) => {
+    // Months too short for the day end on their last day, like EDATE
+    const monthIndex = year * 12 + month - 1 + months * index;
+    const targetYear = Math.floor(monthIndex / 12);
+    const targetMonth = monthIndex - targetYear * 12 + 1;
+    const targetDay = Math.min(day, daysInMonth(targetYear, targetMonth));
+    return dateToSerial(targetYear, targetMonth, targetDay) + time;
+  };
+};
+
+const numberSeries = (numbers) => {
+  const step = (numbers[numbers.length - 1] - numbers[0]) / (numbers.length - 1);
+  return (index) => roundResult(numbers[0] + step * index);
+};
+
+const NAME_LISTS = [WEEKDAY_NAMES, MONTH_NAMES];
+
+// Where a weekday or month name is in its list, and how it's written
+const findName = (text) => {
+  if (typeof text !== "string") return null;
+  const lower = text.toLowerCase();
+  for (const names of NAME_LISTS) {
+    const index = names.findIndex(
+      (name) => name.toLowerCase() === lower || name.slice(0, 3).toLowerCase() === lower
+    );
+    if (index !== -1) return { names, index, isShort: text.length === 3 && names[index].length > 3 };
+  }
+  return null;
+};
+
+const matchCase = (name, example) => {
+  if (example === example.toUpperCase()) return name.toUpperCase();
+  if (example === example.toLowerCase()) return name.toLowerCase();
+  return name;
+};
+
+const nameSeries = (texts) => {
+  const found = texts.map(findName);
+  if (found.some((entry) => !entry || entry.names !== found[0].names)) return null;
+  const { names } = found[0];
+  const length = names.length;
+  const step = found.length > 1 ? (found[1].index - found[0].index + length) % length : 1;
+  if (found.some(({ index }, i) => i > 0 && (index - found[i - 1].index + length) % length !== step)) {
+    return null;
+  }
+  // New names are written like the last one
+  const last = found[found.length - 1];
+  const example = texts[texts.length - 1];
+  return (index) => {
+    const name = names[(((found[0].index + step * index) % length) + length) % length];
+    return matchCase(last.isShort ? name.slice(0, 3) : name, example);
+  };
+};
+
+const NUMBERED_TEXT = /^(.*?)(\d+)$/;
+
+const numberedTextSeries = (texts) => {
+  const matches = texts.map((text) => (typeof text === "string" ? text.match(NUMBERED_TEXT) : null));
+  if (matches.some((match) => !match || match[1] !== matches[0][1])) return null;
+  const numbers = matches.map((match) => parseInt(match[2], 10));
+  const next = numbers.length > 1 ? numberSeries(numbers) : (index) => numbers[0] + index;
+  // Keep leading zeros, as in "Q01"
+  const width = matches[matches.length - 1][2].length;
+  return (index) => `${matches[0][1]}${String(Math.abs(next(index))).padStart(width, "0")}`;
+};
+
+// The function giving the nth value of the series the values form, counting
+// from the first, or null when they don't form one
+const findSeries = (values, numberFormats) => {
+  if (values.some((value) => value === "" || isFormula(value))) return null;
+  if (values.every((value) => typeof value === "number")) {
+    if (numberFormats.every((format) => isDateFormat(format))) return dateSeries(values);
+    return values.length > 1 ? numberSeries(values) : null;
+  }
+  if (values.every((value) => typeof value === "string")) {
+    return nameSeries(values) || numberedTextSeries(values);
+  }
+  return null;
+};
+
+// Extend `entries` ({ value, numberFormat }, in fill order) by `count` cells.
+// Returns { value, source } for each new cell, where `source` is the index of
+// the entry it continues; formulas are returned as they are, for the caller
+// to shift to their new position.
+export const fillSeries = (entries, count) => {
+  const series = findSeries(
+    entries.map(({ value }) => value),
+    entries.map(({ numberFormat }) => numberFormat)
+  );
+  return Array.from({ length: count }, (_, i) => {
+    const source = i % entries.length;
+    return {
+      value: series ? series(entries.length + i) : entries[source].value,
+      source,
+    };
+  });
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { fillSeries } from "./autofill";
+import { dateToSerial } from "./dateSerial";
+
+const fill = (values, count, numberFormat = null) =>
+  fillSeries(
+    values.map((value) => ({ value, numberFormat })),
+    count
+  ).map(({ value }) => value);
+
+const dates = (...parts) => parts.map(([year, month, day]) => dateToSerial(year, month, day));
+
+describe("fillSeries", () => {
+  it("continues numbers with their step and repeats a single number", () => {
+    expect(fill([1, 3], 3)).toEqual([5, 7, 9]);
+    expect(fill([0.1, 0.2], 2)).toEqual([0.3, 0.4]);
+    expect(fill([5], 2)).toEqual([5, 5]);
+  });
+
+  it("counts days from a single date", () => {
+    expect(fill(dates([2024, 1, 31]), 2, "yyyy-mm-dd")).toEqual(
+      dates([2024, 2, 1], [2024, 2, 2])
+    );
+  });
+
+  it("ends months too short for the day on their last day", () => {
+    expect(fill(dates([2024, 1, 31], [2024, 3, 31]), 4, "yyyy-mm-dd")).toEqual(
+      dates([2024, 5, 31], [2024, 7, 31], [2024, 9, 30], [2024, 11, 30])
+    );
+    expect(fill(dates([2024, 1, 31], [2024, 2, 1]), 1, "yyyy-mm-dd")).toEqual(
+      dates([2024, 2, 2])
+    );
+  });
+
+  it("continues weekday and month names as they are written", () => {
+    expect(fill(["Mon", "Wed"], 3)).toEqual(["Fri", "Sun", "Tue"]);
+    expect(fill(["DECEMBER"], 2)).toEqual(["JANUARY", "FEBRUARY"]);
+  });
+
+  it("counts up text ending in a number, keeping leading zeros", () => {
+    expect(fill(["Item 9"], 2)).toEqual(["Item 10", "Item 11"]);
+    expect(fill(["Q01", "Q02"], 2)).toEqual(["Q03", "Q04"]);
+    expect(fill(["A009"], 2)).toEqual(["A010", "A011"]);
+  });
+
+  it("repeats cells that don't form a series, formulas included", () => {
+    expect(fill(["a", 1], 3)).toEqual(["a", 1, "a"]);
+    expect(fill(["=A1", "x"], 2)).toEqual(["=A1", "x"]);
+    expect(fill(["Item 1", "Thing 2"], 2)).toEqual(["Item 1", "Thing 2"]);
+  });
+});
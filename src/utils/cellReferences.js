@@ -0,0 +1,98 @@
+// Helper functions for column/cell references
+export const columnToIndex = (colLetters) => {
+  return (
+    colLetters.split("").reduce((acc, letter) => {
+      return acc * 26 + (letter.toUpperCase().charCodeAt(0) - 64);
+    }, 0) - 1
+  );
+};
+
+export const indexToColumn = (index) => {
+  let column = "";
+  let temp = index + 1;
+  while (temp > 0) {
+    temp--;
+    column = String.fromCharCode(65 + (temp % 26)) + column;
+    temp = Math.floor(temp / 26);
+  }
+  return column;
+};
+
+export const cellToIndex = (cellRef) => {
+  if (!cellRef || typeof cellRef !== 'string') return [0, 0];
+  
+  const colMatch = cellRef.match(/[A-Z]+/i);
+  const rowMatch = cellRef.match(/\d+/);
+  
+  if (!colMatch || !rowMatch) return [0, 0];
+  
+  const col = columnToIndex(colMatch[0]);
+  const row = parseInt(rowMatch[0]) - 1;
+  
+  return [row, col];
+};
+
+// Expand a range string into a list of [row, col] pairs. Handles single
+// cells ("A1"), rectangles ("A1:B3"), whole columns ("A:C") and whole rows
+// ("3:5"); whole-row/column ranges need the grid size to be expanded.
+export const parseRange = (rangeStr, rows = 0, cols = 0) => {
+  const parts = rangeStr.split(':');
+  if (parts.length === 1) {
+    // Single cell reference
+    return [cellToIndex(parts[0])];
+  } else if (parts.length === 2) {
+    let startRow, startCol, endRow, endCol;
+    
+    if (parts.every((part) => /^\$?[A-Z]+$/i.test(part))) {
+      // Whole-column range (e.g., A:A)
+      startCol = columnToIndex(parts[0].replace(/\$/g, ""));
+      endCol = columnToIndex(parts[1].replace(/\$/g, ""));
+      startRow = 0;
+      endRow = rows - 1;
+    } else if (parts.every((part) => /^\$?\d+$/.test(part))) {
+      // Whole-row range (e.g., 3:3)
+      startRow = parseInt(parts[0].replace(/\$/g, "")) - 1;
+      endRow = parseInt(parts[1].replace(/\$/g, "")) - 1;
+      startCol = 0;
+      endCol = cols - 1;
+    } else {
+      // Range reference (e.g., A1:B3)
+      [startRow, startCol] = cellToIndex(parts[0]);
+      [endRow, endCol] = cellToIndex(parts[1]);
+    }
+    
+    const cells = [];
+    for (let r = Math.min(startRow, endRow); r <= Math.max(startRow, endRow); r++) {
+      for (let c = Math.min(startCol, endCol); c <= Math.max(startCol, endCol); c++) {
+        cells.push([r, c]);
+      }
+    }
+    return cells;
+  }
+  return [];
+};
+
+// Range object <-> "A1:C10" text, as used in rule dialogs
+export const formatRange = ({ startRow, endRow, startCol, endCol }) => {
+  const start = `${indexToColumn(startCol)}${startRow + 1}`;
+  const end = `${indexToColumn(endCol)}${endRow + 1}`;
+  return start === end ? start : `${start}:${end}`;
+};
+
+// "A1:C10" or "B2" -> range, or null if the text isn't a range
+export const parseRangeText = (text) => {
+  const match = text.trim().toUpperCase().match(/^\$?([A-Z]+)\$?(\d+)(?::\$?([A-Z]+)\$?(\d+))?$/);
+  if (!match) return null;
+  const [, startLetters, startNumber, endLetters = startLetters, endNumber = startNumber] = match;
+  const rowA = Number(startNumber) - 1;
+  const rowB = Number(endNumber) - 1;
+  const colA = columnToIndex(startLetters);
+  const colB = columnToIndex(endLetters);
+  if (rowA < 0 || rowB < 0) return null;
+  return {
+    startRow: Math.min(rowA, rowB),
+    endRow: Math.max(rowA, rowB),
+    startCol: Math.min(colA, colB),
+    endCol: Math.max(colA, colB),
+  };
+};
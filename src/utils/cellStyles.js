@@ -0,0 +1,155 @@
+// Per-cell formatting. Each sheet keeps a `styles` grid parallel to `cells`;
+// an entry is either null (all defaults) or an object holding only the
+// properties that differ from DEFAULT_STYLE. Because styles live in the same
+// row/column positions as the values, operations that rearrange cells
+// rearrange styles the same way.
+
+export const DEFAULT_STYLE = {
+  fontFamily: "inherit",
+  fontSize: 14,
+  color: "#000000",
+  fill: null,
+  bold: false,
+  italic: false,
+  underline: false,
+  strikethrough: false,
+  align: "left", // left | center | right
+  verticalAlign: "middle", // top | middle | bottom
+  wrap: false,
+  // A pattern from numberFormats.js; only changes how numbers are displayed
+  numberFormat: "General",
+  // Each side is a border color, or null for no border
+  borders: { top: null, right: null, bottom: null, left: null },
+};
+
+export const FONT_FAMILIES = [
+  { label: "Default", value: "inherit" },
+  { label: "Arial", value: "Arial, sans-serif" },
+  { label: "Georgia", value: "Georgia, serif" },
+  { label: "Courier New", value: "'Courier New', monospace" },
+  { label: "Times New Roman", value: "'Times New Roman', serif" },
+  { label: "Verdana", value: "Verdana, sans-serif" },
+];
+
+export const createStyleGrid = (rows, cols) =>
+  Array.from({ length: rows }, () => Array(cols).fill(null));
+
+// The full style of a cell, defaults included
+export const resolveStyle = (style) =>
+  style
+    ? { ...DEFAULT_STYLE, ...style, borders: { ...DEFAULT_STYLE.borders, ...style.borders } }
+    : DEFAULT_STYLE;
+
+// Apply `changes` to a stored style, dropping properties that are back to
+// their defaults. Returns null when nothing differs from the defaults.
+export const mergeStyle = (style, changes) => {
+  const merged = { ...style, ...changes };
+  if (changes.borders) {
+    merged.borders = { ...style?.borders, ...changes.borders };
+    for (const side of Object.keys(merged.borders)) {
+      if (!merged.borders[side]) delete merged.borders[side];
+    }
+    if (Object.keys(merged.borders).length === 0) delete merged.borders;
+  }
+  for (const key of Object.keys(merged)) {
+    if (key !== "borders" && merged[key] === DEFAULT_STYLE[key]) delete merged[key];
+  }
+  return Object.keys(merged).length > 0 ? merged : null;
+};
+
+// Apply style changes to every cell of a range. `changes` is either an
+// object or a function (row, col, range) => object, e.g. for outer borders.
+export const applyStyleToRange = (styles, range, changes) => {
+  const { startRow, endRow, startCol, endCol } = range;
+  const newStyles = [...styles];
+  for (let r = startRow; r <= endRow; r++) {
+    if (!newStyles[r]) continue;
+    newStyles[r] = [...newStyles[r]];
+    for (let c = startCol; c <= endCol && c < newStyles[r].length; c++) {
+      const cellChanges = typeof changes === "function" ? changes(r, c, range) : changes;
+      newStyles[r][c] = mergeStyle(newStyles[r][c], cellChanges);
+    }
+  }
+  return newStyles;
+};
+
+// Border presets for the toolbar; each returns the border changes for a cell
+// at (row, col) within the range
+export const BORDER_PRESETS = {
+  all: () => ({ top: true, right: true, bottom: true, left: true }),
+  outer: (range, row, col) => ({
+    top: row === range.startRow || undefined,
+    bottom: row === range.endRow || undefined,
+    left: col === range.startCol || undefined,
+    right: col === range.endCol || undefined,
+  }),
+  top: (range, row) => ({ top: row === range.startRow || undefined }),
+  bottom: (range, row) => ({ bottom: row === range.endRow || undefined }),
+  left: (range, row, col) => ({ left: col === range.startCol || undefined }),
+  right: (range, row, col) => ({ right: col === range.endCol || undefined }),
+  none: () => ({ top: null, right: null, bottom: null, left: null }),
+};
+
+// Style changes that draw `preset` borders in `color` across each range they
+// are applied to. Sides a preset doesn't touch keep their current border.
+export const borderChanges = (preset, color) => (row, col, range) => {
+  const sides = BORDER_PRESETS[preset](range, row, col);
+  const borders = {};
+  for (const [side, value] of Object.entries(sides)) {
+    if (value === undefined) continue;
+    borders[side] = value ? color : null;
+  }
+  return { borders };
+};
+
+const ALIGN_TO_FLEX = { left: "flex-start", center: "center", right: "flex-end" };
+const VERTICAL_TO_FLEX = { top: "flex-start", middle: "center", bottom: "flex-end" };
+
+// Inline CSS for a cell's text
+export const styleToTextCss = (style) => {
+  const decorations = [
+    style.underline && "underline",
+    style.strikethrough && "line-through",
+  ].filter(Boolean);
+  return {
+    fontFamily: style.fontFamily,
+    fontSize: `${style.fontSize}px`,
+    color: style.color,
+    fontWeight: style.bold ? "bold" : "normal",
+    fontStyle: style.italic ? "italic" : "normal",
+    textDecoration: decorations.length > 0 ? decorations.join(" ") : "none",
+    textAlign: style.align,
+  };
+};
+
+// Inline CSS for the box that lays out a cell's displayed value
+export const styleToLayoutCss = (style) => ({
+  justifyContent: ALIGN_TO_FLEX[style.align],
+  alignItems: VERTICAL_TO_FLEX[style.verticalAlign],
+  whiteSpace: style.wrap ? "normal" : "nowrap",
+  overflowWrap: style.wrap ? "anywhere" : "normal",
+});
+
+// Inline CSS for a cell's borders
+export const styleToBorderCss = (style) => {
+  const css = {};
+  const { top, right, bottom, left } = style.borders;
+  if (top) css.borderTop = `1px solid ${top}`;
+  if (right) css.borderRight = `1px solid ${right}`;
+  if (bottom) css.borderBottom = `1px solid ${bottom}`;
+  if (left) css.borderLeft = `1px solid ${left}`;
+  return css;
+};
+
+// CSS declarations for a stored style, for HTML other apps read (e.g. a
+// copied range). Only what differs from the defaults is written.
+export const styleToCssText = (style) => {
+  const resolved = resolveStyle(style);
+  const defaults = styleToTextCss(DEFAULT_STYLE);
+  const css = { ...styleToTextCss(resolved), ...styleToBorderCss(resolved) };
+  if (resolved.fill) css.backgroundColor = resolved.fill;
+  return Object.entries(css)
+    .filter(([property, value]) => value !== defaults[property])
+    .map(([property, value]) => `${property.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}: ${value}`)
+    .join("; ");
+};
@@ -0,0 +1,144 @@
+import { dateToSerial, serialToParts } from "./dateSerial";
+import { describeErrorCode, ERROR_CODES, FormulaError, isFormulaError } from "./formulaErrors";
+import { formatValue, isDateFormat, isPercentFormat } from "./numberFormats";
+
+// Typed cell contents. A cell holds one of:
+//   ""            empty
+//   number        including dates and times, as serials (see dateSerial.js)
+//   boolean
+//   FormulaError  an error typed in directly, e.g. #N/A
+//   string        text, or a formula when it starts with "="
+// What the user types is parsed once, when the edit is committed, so nothing
+// downstream has to guess whether "12" is a number.
+
+export const isFormula = (value) => typeof value === "string" && value.startsWith("=");
+
+const ERROR_LITERALS = new Map(Object.values(ERROR_CODES).map((code) => [code.toUpperCase(), code]));
+
+const NUMBER_PATTERN = /^([+-])?(\$)?((?:\d{1,3}(?:,\d{3})+|\d*)(?:\.\d*)?(?:e[+-]?\d+)?)(%)?$/i;
+const DATE_PATTERNS = [
+  // 2024-03-01, 2024/3/1
+  { pattern: /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/, parts: (m) => [m[1], m[2], m[3]] },
+  // 3/1/2024
+  { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})/, parts: (m) => [m[3], m[1], m[2]] },
+];
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i;
+
+// "13:45", "1:45 PM" -> { fraction, hasMeridiem }, or null
+const parseTime = (text) => {
+  const match = text.match(TIME_PATTERN);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return { fraction: (hours * 3600 + minutes * 60 + seconds) / 86400, hasMeridiem: !!meridiem };
+};
+
+// A date with an optional time -> { serial, hasTime }, or null
+const parseDate = (text) => {
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const [year, month, day] = parts(match).map(Number);
+    const serial = dateToSerial(year, month, day);
+    // Reject dates that roll over, e.g. 2024-02-30
+    const check = serialToParts(serial);
+    if (check.month !== month || check.day !== day) return null;
+
+    const rest = text.slice(match[0].length).trim();
+    if (!rest) return { serial, hasTime: false };
+    const time = parseTime(rest);
+    return time ? { serial: serial + time.fraction, hasTime: true } : null;
+  }
+  return null;
+};
+
+// Parse what the user typed into a cell. Returns the typed value and, for
+// input such as "15%", "$4.50" or "2024-03-01", the number format the cell
+// should get if it doesn't have one yet.
+//
+// A leading apostrophe forces text: "'007" stays the text "007". Text that
+// starts with "=" keeps its apostrophe so it isn't read as a formula.
+export const parseInput = (input) => {
+  const text = String(input ?? "");
+  if (text === "") return { value: "", numberFormat: null };
+  if (text.startsWith("'")) {
+    const literal = text.slice(1);
+    return { value: literal.startsWith("=") ? text : literal, numberFormat: null };
+  }
+  if (isFormula(text)) return { value: text, numberFormat: null };
+
+  const trimmed = text.trim();
+  const upper = trimmed.toUpperCase();
+  if (upper === "TRUE" || upper === "FALSE") return { value: upper === "TRUE", numberFormat: null };
+  if (ERROR_LITERALS.has(upper)) {
+    const code = ERROR_LITERALS.get(upper);
+    return { value: new FormulaError(code, describeErrorCode(code)), numberFormat: null };
+  }
+
+  const numberMatch = trimmed.match(NUMBER_PATTERN);
+  if (numberMatch && /\d/.test(numberMatch[3])) {
+    const [, sign, currency, digits, percent] = numberMatch;
+    let value = Number(digits.replace(/,/g, ""));
+    if (sign === "-") value = -value;
+    if (percent) value /= 100;
+    const decimals = digits.includes(".") ? "0.00" : "0";
+    let numberFormat = null;
+    if (currency) numberFormat = "$#,##0.00";
+    else if (percent) numberFormat = `${decimals}%`;
+    else if (digits.includes(",")) numberFormat = `#,##0${decimals.slice(1)}`;
+    return { value: parseFloat(value.toPrecision(15)), numberFormat };
+  }
+
+  const date = parseDate(trimmed);
+  if (date) {
+    return {
+      value: date.serial,
+      numberFormat: date.hasTime ? "yyyy-mm-dd hh:mm:ss" : "yyyy-mm-dd",
+    };
+  }
+  const time = parseTime(trimmed);
+  if (time) {
+    return { value: time.fraction, numberFormat: time.hasMeridiem ? "h:mm:ss AM/PM" : "hh:mm:ss" };
+  }
+
+  return { value: text, numberFormat: null };
+};
+
+// The text to edit for a stored value, such that parsing it gives the value
+// back: dates as dates, percentages with "%", and text that would otherwise
+// parse as something else behind an apostrophe
+export const toEditText = (value, numberFormat) => {
+  if (value === undefined || value === null || value === "") return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (isFormulaError(value)) return value.code;
+  if (typeof value === "number") {
+    if (isDateFormat(numberFormat)) {
+      const pattern = !Number.isInteger(value)
+        ? value < 1 ? "hh:mm:ss" : "yyyy-mm-dd hh:mm:ss"
+        : "yyyy-mm-dd";
+      return formatValue(value, pattern).text;
+    }
+    if (isPercentFormat(numberFormat)) return `${parseFloat((value * 100).toPrecision(15))}%`;
+    return String(value);
+  }
+  if (isFormula(value) || value.startsWith("'")) return value;
+  return typeof parseInput(value).value === "string" ? value : `'${value}`;
+};
+
+// Stored values as JSON: errors become { error: code }
+export const serializeCellValue = (value) =>
+  isFormulaError(value) ? { error: value.code } : value;
+
+export const deserializeCellValue = (value) => {
+  if (value && typeof value === "object" && value.error) {
+    return new FormulaError(value.error, describeErrorCode(value.error));
+  }
+  return value ?? "";
+};
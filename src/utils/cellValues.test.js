@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { parseInput, toEditText } from "./cellValues";
+import { dateToSerial } from "./dateSerial";
+import { isFormulaError } from "./formulaErrors";
+
+describe("parseInput", () => {
+  it("reads numbers and the formats they imply", () => {
+    expect(parseInput("12")).toEqual({ value: 12, numberFormat: null });
+    expect(parseInput("-1,234.5")).toEqual({ value: -1234.5, numberFormat: "#,##0.00" });
+    expect(parseInput("10%")).toEqual({ value: 0.1, numberFormat: "0%" });
+    expect(parseInput("$4.50")).toEqual({ value: 4.5, numberFormat: "$#,##0.00" });
+  });
+
+  it("reads dates and times as serials", () => {
+    expect(parseInput("2024-03-01")).toEqual({
+      value: dateToSerial(2024, 3, 1),
+      numberFormat: "yyyy-mm-dd",
+    });
+    expect(parseInput("1:30 PM")).toEqual({ value: 13.5 / 24, numberFormat: "h:mm:ss AM/PM" });
+    // Dates that roll over stay text
+    expect(parseInput("2024-02-30").value).toBe("2024-02-30");
+  });
+
+  it("reads booleans, errors and formulas", () => {
+    expect(parseInput("true").value).toBe(true);
+    expect(isFormulaError(parseInput("#N/A").value)).toBe(true);
+    expect(parseInput("=A1+1").value).toBe("=A1+1");
+  });
+
+  it("keeps text after an apostrophe", () => {
+    expect(parseInput("'007").value).toBe("007");
+    expect(parseInput("'=A1").value).toBe("'=A1");
+    expect(parseInput("12 apples").value).toBe("12 apples");
+  });
+});
+
+describe("toEditText", () => {
+  it("gives text that parses back to the value", () => {
+    const values = [
+      [0.1, "0%"],
+      [dateToSerial(2024, 3, 1), "yyyy-mm-dd"],
+      [true, null],
+      ["007", null],
+      ["TRUE", null],
+      ["=A1", null],
+    ];
+    for (const [value, numberFormat] of values) {
+      expect(parseInput(toEditText(value, numberFormat)).value).toEqual(value);
+    }
+  });
+
+  it("puts an apostrophe before text that would parse as something else", () => {
+    expect(toEditText("007")).toBe("'007");
+    expect(toEditText("apples")).toBe("apples");
+    expect(toEditText("")).toBe("");
+  });
+});
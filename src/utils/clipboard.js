@@ -0,0 +1,56 @@
+import { parseDelimited, toDelimited } from "./delimitedText";
+
+// Clipboard formats. Ranges go to the system clipboard as text/plain
+// (tab-separated, the format Excel and Sheets exchange) and text/html (a
+// <table>). Both are built from displayed text; formulas and styles survive
+// only a copy within this app, which keeps its own copy of the range.
+
+export const toTsv = (grid) => toDelimited(grid, "\t");
+
+export const parseTsv = (text) => parseDelimited(text, "\t");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// An HTML table. `cellCss(row, col)` returns inline CSS for a cell so
+// formatting carries over to apps that read it.
+export const toHtmlTable = (grid, cellCss = () => "") => {
+  const rows = grid
+    .map(
+      (row, r) =>
+        `<tr>${row
+          .map((text, c) => {
+            const css = cellCss(r, c);
+            return `<td${css ? ` style="${escapeHtml(css)}"` : ""}>${escapeHtml(text)}</td>`;
+          })
+          .join("")}</tr>`
+    )
+    .join("");
+  return `<table><tbody>${rows}</tbody></table>`;
+};
+
+// The first table in an HTML fragment as a grid of strings, or null when
+// there's no table. Column spans are expanded into empty cells.
+export const parseHtmlTable = (html) => {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const table = doc.querySelector("table");
+  if (!table) return null;
+  return Array.from(table.querySelectorAll("tr")).map((tr) =>
+    Array.from(tr.querySelectorAll("td, th")).flatMap((cell) => {
+      const span = Math.max(1, parseInt(cell.getAttribute("colspan")) || 1);
+      return [cell.textContent.trim(), ...Array(span - 1).fill("")];
+    })
+  );
+};
+
+// Rows become columns
+export const transposeGrid = (grid) => {
+  // Reduced rather than spread into Math.max, which overflows the call stack
+  // for grids of a few hundred thousand rows
+  const width = grid.reduce((longest, row) => Math.max(longest, row.length), 0);
+  return Array.from({ length: width }, (_, c) => grid.map((row) => row[c] ?? ""));
+};
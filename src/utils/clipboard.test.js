@@ -0,0 +1,55 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { parseHtmlTable, parseTsv, toHtmlTable, toTsv, transposeGrid } from "./clipboard";
+
+describe("parseTsv", () => {
+  it("splits rows on any line ending and fields on tabs", () => {
+    expect(parseTsv("a\tb\r\nc\td\re")).toEqual([["a", "b"], ["c", "d"], ["e"]]);
+  });
+
+  it("keeps tabs and line breaks inside quoted fields", () => {
+    expect(parseTsv('"two\nlines"\t"a\tb"\t"say ""hi"""\r\nnext')).toEqual([
+      ["two\nlines", "a\tb", 'say "hi"'],
+      ["next"],
+    ]);
+  });
+
+  it("reads back what toTsv writes", () => {
+    const grid = [
+      ["plain", "with\ttab"],
+      ["with\nbreak", 'with "quotes"'],
+    ];
+    expect(parseTsv(toTsv(grid))).toEqual(grid);
+  });
+});
+
+describe("parseHtmlTable", () => {
+  it("reads the first table, expanding column spans", () => {
+    const html =
+      '<p>x</p><table><tr><th>a</th><td colspan="2"> b </td></tr><tr><td>c</td></tr></table>';
+    expect(parseHtmlTable(html)).toEqual([["a", "b", ""], ["c"]]);
+  });
+
+  it("returns null without a table", () => {
+    expect(parseHtmlTable("<p>no table</p>")).toBeNull();
+  });
+
+  it("reads back what toHtmlTable writes", () => {
+    const grid = [["<b>", "a & b"]];
+    expect(parseHtmlTable(toHtmlTable(grid, () => "font-weight: bold"))).toEqual(grid);
+  });
+});
+
+describe("transposeGrid", () => {
+  it("turns rows into columns, filling short rows", () => {
+    expect(transposeGrid([["a", "b"], ["c"]])).toEqual([
+      ["a", "c"],
+      ["b", ""],
+    ]);
+  });
+
+  it("handles grids of many rows", () => {
+    const grid = Array.from({ length: 200000 }, (_, row) => [row]);
+    expect(transposeGrid(grid)[0]).toHaveLength(200000);
+  });
+});
@@ -0,0 +1,263 @@
+import { parseInput } from "./cellValues";
+import { evaluateFormula } from "./formulaEvaluator";
+import { isFormulaError } from "./formulaErrors";
+import { compareValues } from "./formulaValues";
+
+// Conditional formatting. Each sheet keeps an ordered list of rules:
+//
+//   { id, range: { startRow, endRow, startCol, endCol }, type, ...params, style }
+//
+// Rules are evaluated against the sheet's evaluated values into a grid of
+// overlays, one per cell (or null): style properties such as { fill, bold }
+// drawn over the cell's own style, plus an optional dataBar. Earlier rules
+// win: a later rule only sets properties no earlier rule has set.
+
+export const RULE_TYPES = [
+  { type: "greaterThan", label: "Greater than" },
+  { type: "lessThan", label: "Less than" },
+  { type: "between", label: "Between" },
+  { type: "textContains", label: "Text contains" },
+  { type: "duplicate", label: "Duplicate values" },
+  { type: "top", label: "Top N" },
+  { type: "bottom", label: "Bottom N" },
+  { type: "customFormula", label: "Custom formula" },
+  { type: "colorScale", label: "Color scale" },
+  { type: "dataBar", label: "Data bar" },
+];
+
+// Rule types that apply `style` to matching cells, as opposed to the
+// gradient types (color scale, data bar)
+const STYLE_RULES = new Set([
+  "greaterThan",
+  "lessThan",
+  "between",
+  "textContains",
+  "duplicate",
+  "top",
+  "bottom",
+  "customFormula",
+]);
+
+export const isStyleRule = (rule) => STYLE_RULES.has(rule.type);
+
+let ruleCounter = 0;
+
+// A new rule of `type` over `range` with default parameters. Values such as
+// `value` are kept as typed and parsed like cell input when evaluated, so
+// "2024-01-01" compares as a date.
+export const createRule = (type, range) => ({
+  id: `rule-${Date.now().toString(36)}-${(ruleCounter++).toString(36)}`,
+  type,
+  range,
+  value: "",
+  value2: "",
+  text: "",
+  count: 10,
+  formula: "=",
+  minColor: "#f8696b",
+  maxColor: "#63be7b",
+  color: "#638ec6",
+  style: { fill: "#b7e1cd", color: "#137333" },
+});
+
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case "greaterThan":
+      return `Greater than ${rule.value}`;
+    case "lessThan":
+      return `Less than ${rule.value}`;
+    case "between":
+      return `Between ${rule.value} and ${rule.value2}`;
+    case "textContains":
+      return `Text contains "${rule.text}"`;
+    case "duplicate":
+      return "Duplicate values";
+    case "top":
+      return `Top ${rule.count}`;
+    case "bottom":
+      return `Bottom ${rule.count}`;
+    case "customFormula":
+      return `Formula ${rule.formula}`;
+    case "colorScale":
+      return "Color scale";
+    case "dataBar":
+      return "Data bar";
+    default:
+      return rule.type;
+  }
+};
+
+// Evaluated values of the range that hold something other than an error or
+// nothing, as { row, col, value }
+const rangeEntries = (range, values) => {
+  const entries = [];
+  for (let r = range.startRow; r <= range.endRow && r < values.length; r++) {
+    for (let c = range.startCol; c <= range.endCol && c < (values[r]?.length || 0); c++) {
+      const value = values[r][c];
+      if (value === "" || value === undefined || value === null || isFormulaError(value)) continue;
+      entries.push({ row: r, col: c, value });
+    }
+  }
+  return entries;
+};
+
+// Compare a cell value with a rule value; null when they can't be compared
+// (e.g. text against a number)
+const compareWithRuleValue = (value, ruleValue) => {
+  const target = parseInput(ruleValue).value;
+  if (target === "" || typeof target !== typeof value) return null;
+  return compareValues(value, target);
+};
+
+const isTruthy = (value) => value === true || (typeof value === "number" && value !== 0);
+
+// Cells of a style rule's range that match it, as a Set of "row-col" keys
+const matchingCells = (rule, values, getSheetValues) => {
+  const entries = rangeEntries(rule.range, values);
+  const keyOf = ({ row, col }) => `${row}-${col}`;
+  const keysWhere = (predicate) => new Set(entries.filter(predicate).map(keyOf));
+
+  switch (rule.type) {
+    case "greaterThan":
+      return keysWhere(({ value }) => compareWithRuleValue(value, rule.value) > 0);
+    case "lessThan":
+      return keysWhere(({ value }) => {
+        const order = compareWithRuleValue(value, rule.value);
+        return order !== null && order < 0;
+      });
+    case "between":
+      return keysWhere(({ value }) => {
+        const low = compareWithRuleValue(value, rule.value);
+        const high = compareWithRuleValue(value, rule.value2);
+        return low !== null && high !== null && low >= 0 && high <= 0;
+      });
+    case "textContains": {
+      const needle = rule.text.toLowerCase();
+      return keysWhere(({ value }) => needle !== "" && String(value).toLowerCase().includes(needle));
+    }
+    case "duplicate": {
+      const normalize = (value) => (typeof value === "string" ? `s:${value.toLowerCase()}` : `${typeof value}:${value}`);
+      const counts = new Map();
+      entries.forEach(({ value }) => counts.set(normalize(value), (counts.get(normalize(value)) || 0) + 1));
+      return keysWhere(({ value }) => counts.get(normalize(value)) > 1);
+    }
+    case "top":
+    case "bottom": {
+      const numbers = entries
+        .map(({ value }) => value)
+        .filter((value) => typeof value === "number")
+        .sort((a, b) => (rule.type === "top" ? b - a : a - b));
+      const count = Math.max(0, Math.floor(rule.count));
+      if (count === 0 || numbers.length === 0) return new Set();
+      const threshold = numbers[Math.min(count, numbers.length) - 1];
+      return keysWhere(({ value }) =>
+        typeof value === "number" && (rule.type === "top" ? value >= threshold : value <= threshold)
+      );
+    }
+    case "customFormula": {
+      // The formula is written for the range's top-left cell; relative
+      // references shift for every other cell, like a copied formula
+      const matches = new Set();
+      for (let r = rule.range.startRow; r <= rule.range.endRow && r < values.length; r++) {
+        for (let c = rule.range.startCol; c <= rule.range.endCol && c < (values[r]?.length || 0); c++) {
+          const offset = { rowOffset: r - rule.range.startRow, colOffset: c - rule.range.startCol };
+          if (isTruthy(evaluateFormula(rule.formula, values, getSheetValues, offset))) {
+            matches.add(`${r}-${c}`);
+          }
+        }
+      }
+      return matches;
+    }
+    default:
+      return new Set();
+  }
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+const mixColors = (from, to, amount) => {
+  const a = hexToRgb(from);
+  const b = hexToRgb(to);
+  return `#${a
+    .map((channel, i) => Math.round(channel + (b[i] - channel) * amount).toString(16).padStart(2, "0"))
+    .join("")}`;
+};
+
+// Color scale and data bar overlays, keyed by "row-col"
+const gradientOverlays = (rule, values) => {
+  const numbers = rangeEntries(rule.range, values).filter(({ value }) => typeof value === "number");
+  const overlays = new Map();
+  if (numbers.length === 0) return overlays;
+  // A loop rather than spreading into Math.min, which overflows the call
+  // stack for a range of a few hundred thousand cells
+  let min = Infinity;
+  let max = -Infinity;
+  for (const { value } of numbers) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  numbers.forEach(({ row, col, value }) => {
+    if (rule.type === "colorScale") {
+      const amount = max === min ? 0.5 : (value - min) / (max - min);
+      overlays.set(`${row}-${col}`, { fill: mixColors(rule.minColor, rule.maxColor, amount) });
+    } else {
+      // Bars start from zero unless every value is negative
+      const low = Math.min(0, min);
+      const high = Math.max(0, max);
+      const percent = high === low ? 0 : ((value - low) / (high - low)) * 100;
+      overlays.set(`${row}-${col}`, { dataBar: { percent, color: rule.color } });
+    }
+  });
+  return overlays;
+};
+
+// Overlay grid for a sheet's rules, or null when no cell is affected.
+// getSheetValues(name) resolves cross-sheet references in custom formulas.
+export const evaluateConditionalFormats = (rules, values, getSheetValues) => {
+  if (!rules || rules.length === 0) return null;
+  const grid = values.map((row) => Array(row.length).fill(null));
+  let affected = false;
+
+  const apply = (key, overlay) => {
+    const [row, col] = key.split("-").map(Number);
+    if (!grid[row] || col >= grid[row].length) return;
+    grid[row][col] = { ...overlay, ...grid[row][col] };
+    affected = true;
+  };
+
+  for (const rule of rules) {
+    if (isStyleRule(rule)) {
+      for (const key of matchingCells(rule, values, getSheetValues)) apply(key, rule.style);
+    } else {
+      for (const [key, overlay] of gradientOverlays(rule, values)) apply(key, overlay);
+    }
+  }
+  return affected ? grid : null;
+};
+
+const sameOverlay = (a, b) => a === b || (!!a && !!b && JSON.stringify(a) === JSON.stringify(b));
+
+// Reuse the previous grid's rows and overlays wherever they didn't change, so
+// cells subscribed to an unchanged overlay don't re-render
+export const shareUnchangedOverlays = (previous, next) => {
+  if (!previous || !next) return next;
+  let changed = previous.length !== next.length;
+  const rows = next.map((row, r) => {
+    const previousRow = previous[r];
+    if (!previousRow || previousRow.length !== row.length) {
+      changed = true;
+      return row;
+    }
+    let rowChanged = false;
+    const shared = row.map((overlay, c) => {
+      if (sameOverlay(previousRow[c], overlay)) return previousRow[c];
+      rowChanged = true;
+      return overlay;
+    });
+    if (!rowChanged) return previousRow;
+    changed = true;
+    return shared;
+  });
+  return changed ? rows : previous;
+};
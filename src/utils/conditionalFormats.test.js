@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { createRule, evaluateConditionalFormats } from "./conditionalFormats";
+
+const column = (length) => ({ startRow: 0, endRow: length - 1, startCol: 0, endCol: 0 });
+
+describe("evaluateConditionalFormats", () => {
+  it("spreads a color scale between the lowest and highest number", () => {
+    const rule = createRule("colorScale", column(3));
+    const grid = evaluateConditionalFormats([rule], [[1], ["x"], [3]]);
+    expect(grid.map((row) => row[0]?.fill ?? null)).toEqual([rule.minColor, null, rule.maxColor]);
+  });
+
+  it("draws data bars from zero", () => {
+    const grid = evaluateConditionalFormats([createRule("dataBar", column(2))], [[5], [10]]);
+    expect(grid.map((row) => row[0].dataBar.percent)).toEqual([50, 100]);
+  });
+
+  it("handles gradients over very long ranges", () => {
+    const length = 200000;
+    const values = Array.from({ length }, (_, row) => [row]);
+    const grid = evaluateConditionalFormats([createRule("dataBar", column(length))], values);
+    expect(grid[length - 1][0].dataBar.percent).toBe(100);
+  });
+});
@@ -0,0 +1,322 @@
+import { isFormula, parseInput } from "./cellValues";
+import { evaluateFormula } from "./formulaEvaluator";
+import { isFormulaError } from "./formulaErrors";
+import { collectReferences, parseFormula } from "./formulaParser";
+import { formatValue, isDateFormat } from "./numberFormats";
+
+// Data validation. Each sheet keeps a `validations` grid parallel to
+// `cells`; an entry is "any" (no rule) or a rule object:
+//
+//   { type, ...criteria, mode: "warn" | "reject", helpText }
+//
+// Rules are applied to a whole range at once, and each cell of the range
+// gets the same rule object. A "warn" rule stores invalid input and flags the
+// cell; a "reject" rule refuses it. Saves from before rules were objects hold
+// the strings "number" and "date", which still work.
+
+export const NO_VALIDATION = "any";
+
+export const VALIDATION_TYPES = [
+  { type: "list", label: "Dropdown list" },
+  { type: "number", label: "Number" },
+  { type: "date", label: "Date" },
+  { type: "textLength", label: "Text length" },
+  { type: "regex", label: "Text matches pattern" },
+  { type: "checkbox", label: "Checkbox" },
+  { type: "customFormula", label: "Custom formula" },
+];
+
+export const NUMBER_OPERATORS = [
+  { operator: "any", label: "any number" },
+  { operator: "between", label: "between" },
+  { operator: "notBetween", label: "not between" },
+  { operator: "greaterThan", label: "greater than" },
+  { operator: "lessThan", label: "less than" },
+  { operator: "equal", label: "equal to" },
+];
+
+// A new rule of `type`. `anchor` is the top-left cell of the range the rule
+// is applied to; custom formulas are written for that cell.
+export const createValidation = (type, anchor = { row: 0, col: 0 }) => ({
+  type,
+  mode: "warn",
+  helpText: "",
+  // list
+  source: "values",
+  values: "",
+  range: "",
+  // number and textLength
+  operator: type === "textLength" ? "lessThan" : "any",
+  min: "",
+  max: "",
+  // regex
+  pattern: "",
+  // customFormula
+  formula: "=",
+  anchor,
+});
+
+// The rule object for a grid entry, or null when the cell has no rule
+export const normalizeValidation = (entry) => {
+  if (!entry || entry === NO_VALIDATION) return null;
+  if (typeof entry === "string") return createValidation(entry);
+  return entry;
+};
+
+const listItems = (rule, getRangeValues) => {
+  if (rule.source === "range") {
+    return (getRangeValues(rule.range) || []).filter(
+      (value) => value !== "" && value !== null && value !== undefined && !isFormulaError(value)
+    );
+  }
+  return rule.values
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => parseInput(item).value);
+};
+
+// Options of a dropdown list as display text
+export const listOptions = (rule, getRangeValues) =>
+  listItems(rule, getRangeValues).map((value) => formatValue(value).text);
+
+const bound = (text) => {
+  const value = parseInput(text).value;
+  return typeof value === "number" ? value : null;
+};
+
+const satisfies = (number, operator, min, max) => {
+  switch (operator) {
+    case "between":
+      return number >= min && number <= max;
+    case "notBetween":
+      return number < min || number > max;
+    case "greaterThan":
+      return number > min;
+    case "lessThan":
+      return number < min;
+    case "equal":
+      return number === min;
+    default:
+      return true;
+  }
+};
+
+const describeOperator = (operator, min, max) => {
+  switch (operator) {
+    case "between":
+      return ` between ${min} and ${max}`;
+    case "notBetween":
+      return ` not between ${min} and ${max}`;
+    case "greaterThan":
+      return ` greater than ${min}`;
+    case "lessThan":
+      return ` less than ${min}`;
+    case "equal":
+      return ` equal to ${min}`;
+    default:
+      return "";
+  }
+};
+
+// What the rule expects, phrased as an instruction
+export const describeValidation = (rule) => {
+  switch (rule.type) {
+    case "list":
+      return rule.source === "range"
+        ? `Enter a value from ${rule.range}.`
+        : `Enter one of: ${rule.values}.`;
+    case "number":
+      return `Enter a number${describeOperator(rule.operator, rule.min, rule.max)}.`;
+    case "date":
+      return "Enter a valid date.";
+    case "textLength":
+      return `Enter text with a length${describeOperator(rule.operator, rule.min, rule.max)}.`;
+    case "regex":
+      return `Enter text matching /${rule.pattern}/.`;
+    case "checkbox":
+      return "Enter TRUE or FALSE.";
+    case "customFormula":
+      return `Enter a value for which ${rule.formula} is TRUE.`;
+    default:
+      return "";
+  }
+};
+
+const readsOtherCells = (rule) =>
+  rule.type === "customFormula" || (rule.type === "list" && rule.source === "range");
+
+// Whether a cell's flag can change without the cell itself changing: its
+// value comes from a formula, or its rule reads other cells
+export const dependsOnOtherCells = (entry, value) => {
+  const rule = normalizeValidation(entry);
+  return !!rule && (isFormula(value) || readsOtherCells(rule));
+};
+
+// The cells of a validations grid whose rule reads other cells, grouped by
+// rule: [{ rule, cells: [[row, col]], references, moves }]. `references` are
+// the cell and range nodes the rule reads; a custom formula is written for
+// the rule's anchor, so its relative references move with the cell, while
+// every cell reads a list's range as it is. Grids are only ever replaced,
+// so the groups are kept per grid.
+const ruleGroupsCache = new WeakMap();
+
+const ruleReferences = (rule) => {
+  try {
+    return collectReferences(
+      parseFormula(rule.type === "customFormula" ? rule.formula : `=${rule.range}`)
+    );
+  } catch {
+    return [];
+  }
+};
+
+const ruleGroups = (validations) => {
+  if (!ruleGroupsCache.has(validations)) {
+    const groups = new Map();
+    validations.forEach((row, r) =>
+      row.forEach((entry, c) => {
+        const rule = normalizeValidation(entry);
+        if (!rule || !readsOtherCells(rule)) return;
+        if (!groups.has(entry)) {
+          groups.set(entry, {
+            rule,
+            cells: [],
+            references: ruleReferences(rule),
+            moves: rule.type === "customFormula",
+          });
+        }
+        groups.get(entry).cells.push([r, c]);
+      })
+    );
+    ruleGroupsCache.set(validations, [...groups.values()]);
+  }
+  return ruleGroupsCache.get(validations);
+};
+
+const ANY_OFFSET = [-Infinity, Infinity];
+
+// The offsets, as [lowest, highest], by which one axis of a reference can
+// move and still take in positions `low` to `high` along it, or null when
+// it never does. A whole row or column spans every position; a reference
+// mixing relative and absolute ends is taken to reach anywhere.
+const axisOffsets = (start, end, isAbsolute, moves, low, high) => {
+  if (start === null) return ANY_OFFSET;
+  const first = Math.min(start, end);
+  const last = Math.max(start, end);
+  if (!moves || isAbsolute.every(Boolean)) return first <= high && last >= low ? ANY_OFFSET : null;
+  if (isAbsolute.some(Boolean)) return ANY_OFFSET;
+  return [low - last, high - first];
+};
+
+const isWithin = (offset, [lowest, highest]) => offset >= lowest && offset <= highest;
+
+// Cells of `sheet` whose rule reads a changed cell, as [row, col] pairs.
+// `changed` maps sheet ids to the bounds { startRow, endRow, startCol,
+// endCol } of their changed cells, and resolveSheetId(name) gives the id of
+// a sheet a rule names (its own sheet without a name). Cells in the bounds
+// that didn't change may still count, so a few cells can be checked that
+// needn't be.
+export const cellsReadingChanges = (sheet, changed, resolveSheetId) => {
+  const cells = [];
+  for (const { rule, cells: ruleCells, references, moves } of ruleGroups(sheet.validations)) {
+    // Offsets from the anchor at which each reference reads changed cells
+    const windows = references.flatMap((ref) => {
+      const bounds = changed.get(resolveSheetId(ref.sheet));
+      if (!bounds) return [];
+      const [start, end] = ref.type === "cell" ? [ref, ref] : [ref.start, ref.end];
+      const rows = axisOffsets(
+        start.row,
+        end.row,
+        [start.rowAbsolute, end.rowAbsolute],
+        moves,
+        bounds.startRow,
+        bounds.endRow
+      );
+      const cols = axisOffsets(
+        start.col,
+        end.col,
+        [start.colAbsolute, end.colAbsolute],
+        moves,
+        bounds.startCol,
+        bounds.endCol
+      );
+      return rows && cols ? [{ rows, cols }] : [];
+    });
+    if (windows.length === 0) continue;
+
+    const anchor = rule.anchor || { row: 0, col: 0 };
+    const readsChanges = (row, col) =>
+      windows.some(
+        (window) =>
+          isWithin(row - anchor.row, window.rows) && isWithin(col - anchor.col, window.cols)
+      );
+    for (const [row, col] of ruleCells) {
+      if (readsChanges(row, col)) cells.push([row, col]);
+    }
+  }
+  return cells;
+};
+
+// Check a typed value against a cell's rule. Returns null when the value is
+// valid, or the message to show. Formulas are checked by the value they
+// evaluate to; empty cells and errors always pass.
+//
+// context: { row, col, values, getSheetValues, getRangeValues, numberFormat }
+//   values          the sheet's evaluated values
+//   getSheetValues  values of another sheet by name, for formulas
+//   getRangeValues  values of a range such as "A1:A5" or "Sheet2!A1:A5"
+export const validateValue = (entry, input, context) => {
+  const rule = normalizeValidation(entry);
+  if (!rule) return null;
+  const value = isFormula(input)
+    ? evaluateFormula(input, context.values, context.getSheetValues)
+    : input;
+  if (value === "" || isFormulaError(value)) return null;
+  const message = rule.helpText || describeValidation(rule);
+
+  const isValid = (() => {
+    switch (rule.type) {
+      case "list":
+        return listItems(rule, context.getRangeValues).some(
+          (item) => formatValue(item).text.toLowerCase() === formatValue(value).text.toLowerCase()
+        );
+      case "number":
+        return (
+          typeof value === "number" &&
+          satisfies(value, rule.operator, bound(rule.min), bound(rule.max))
+        );
+      case "date":
+        return typeof value === "number" && isDateFormat(context.numberFormat);
+      case "textLength":
+        return satisfies(
+          formatValue(value).text.length,
+          rule.operator,
+          bound(rule.min),
+          bound(rule.max)
+        );
+      case "regex":
+        try {
+          return new RegExp(rule.pattern).test(formatValue(value).text);
+        } catch {
+          return false;
+        }
+      case "checkbox":
+        return typeof value === "boolean";
+      case "customFormula": {
+        // Evaluate as if the new value were already in the cell
+        const { row, col } = context;
+        const result = evaluateFormula(rule.formula, context.values, context.getSheetValues, {
+          rowOffset: row - rule.anchor.row,
+          colOffset: col - rule.anchor.col,
+          override: { row, col, value },
+        });
+        return result === true || (typeof result === "number" && result !== 0);
+      }
+      default:
+        return true;
+    }
+  })();
+
+  return isValid ? null : message;
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import {
+  cellsReadingChanges,
+  createValidation,
+  dependsOnOtherCells,
+  NO_VALIDATION,
+  validateValue,
+} from "./dataValidation";
+
+const lessThan100 = { ...createValidation("number"), operator: "lessThan", min: "100" };
+const context = (values) => ({ row: 0, col: 1, values, getSheetValues: () => null });
+
+describe("validateValue", () => {
+  it("checks formulas by the value they evaluate to", () => {
+    expect(validateValue(lessThan100, "=5000", context([[1, ""]]))).toBe(
+      "Enter a number less than 100."
+    );
+    expect(validateValue(lessThan100, "=A1*2", context([[10, ""]]))).toBeNull();
+  });
+
+  it("lets empty values and errors pass", () => {
+    expect(validateValue(lessThan100, "", context([[1, ""]]))).toBeNull();
+    expect(validateValue(lessThan100, "=1/0", context([[1, ""]]))).toBeNull();
+  });
+
+  it("evaluates custom formulas for the checked cell", () => {
+    // Written for B1: the value must be greater than the cell on its left
+    const rule = { ...createValidation("customFormula"), formula: "=B1>A1", anchor: { row: 0, col: 1 } };
+    const values = [
+      [5, ""],
+      [20, ""],
+    ];
+    expect(validateValue(rule, 6, { ...context(values), row: 0 })).toBeNull();
+    expect(validateValue(rule, 6, { ...context(values), row: 1 })).not.toBeNull();
+  });
+});
+
+describe("dependsOnOtherCells", () => {
+  it("is true for formulas and rules that read other cells", () => {
+    const listFromRange = { ...createValidation("list"), source: "range", range: "A1:A3" };
+    expect(dependsOnOtherCells(lessThan100, "=A1")).toBe(true);
+    expect(dependsOnOtherCells(listFromRange, "x")).toBe(true);
+    expect(dependsOnOtherCells(createValidation("customFormula"), 1)).toBe(true);
+    expect(dependsOnOtherCells(lessThan100, 5)).toBe(false);
+    expect(dependsOnOtherCells("any", "=A1")).toBe(false);
+  });
+});
+
+describe("cellsReadingChanges", () => {
+  // B1:B3 must each be greater than the cell on their left, C1:C2 must be
+  // one of A1:A3, and D1 must be less than the first cell of "Other"
+  const greaterThanLeft = {
+    ...createValidation("customFormula"),
+    formula: "=B1>A1",
+    anchor: { row: 0, col: 1 },
+  };
+  const fromColumnA = { ...createValidation("list"), source: "range", range: "$A$1:$A$3" };
+  const belowOther = {
+    ...createValidation("customFormula"),
+    formula: "=D1<Other!A1",
+    anchor: { row: 0, col: 3 },
+  };
+  const sheet = {
+    validations: [
+      [NO_VALIDATION, greaterThanLeft, fromColumnA, belowOther],
+      [NO_VALIDATION, greaterThanLeft, fromColumnA, NO_VALIDATION],
+      [NO_VALIDATION, greaterThanLeft, NO_VALIDATION, NO_VALIDATION],
+    ],
+  };
+  const resolveSheetId = (name) => (name === undefined ? "s1" : name === "Other" ? "s2" : null);
+  const cellBounds = (row, col) => ({ startRow: row, endRow: row, startCol: col, endCol: col });
+  const reading = (changed) =>
+    cellsReadingChanges(sheet, new Map(changed), resolveSheetId).map(([r, c]) => `${r}-${c}`);
+
+  it("finds the cells whose rule reads a changed cell", () => {
+    expect(reading([["s1", cellBounds(1, 0)]])).toEqual(["1-1", "0-2", "1-2"]);
+    expect(reading([["s2", cellBounds(0, 0)]])).toEqual(["0-3"]);
+  });
+
+  it("skips rules that read nothing that changed", () => {
+    expect(reading([["s1", cellBounds(2, 3)]])).toEqual([]);
+    expect(reading([["s2", cellBounds(1, 0)]])).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+// Dates are stored as serial numbers like in Sheets: whole days since
+// 1899-12-30, with the time of day as the fractional part.
+
+export const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+export const WEEKDAY_NAMES = [
+  "Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday",
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPOCH = Date.UTC(1899, 11, 30);
+
+export const dateToSerial = (year, month, day, hours = 0, minutes = 0, seconds = 0) =>
+  (Date.UTC(year, month - 1, day, hours, minutes, seconds) - EPOCH) / MS_PER_DAY;
+
+// Serial number -> { year, month, day, hours, minutes, seconds, weekday }
+export const serialToParts = (serial) => {
+  const date = new Date(EPOCH + Math.round(serial * MS_PER_DAY));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hours: date.getUTCHours(),
+    minutes: date.getUTCMinutes(),
+    seconds: date.getUTCSeconds(),
+    weekday: date.getUTCDay(),
+  };
+};
+
+// Serial number for the current local date and time
+export const nowSerial = () => {
+  const now = new Date();
+  return dateToSerial(
+    now.getFullYear(),
+    now.getMonth() + 1,
+    now.getDate(),
+    now.getHours(),
+    now.getMinutes(),
+    now.getSeconds()
+  );
+};
@@ -0,0 +1,98 @@
+// Delimited text: CSV, TSV and the like. A file is rows of fields separated
+// by a delimiter; a field wrapped in quotes may hold the delimiter, newlines
+// and doubled quotes.
+
+export const DELIMITERS = [
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe" },
+];
+
+// Encodings offered when reading a file; TextDecoder labels
+export const ENCODINGS = [
+  { value: "utf-8", label: "UTF-8" },
+  { value: "utf-16le", label: "UTF-16" },
+  { value: "windows-1252", label: "Western (Windows-1252)" },
+  { value: "iso-8859-1", label: "Latin-1 (ISO-8859-1)" },
+  { value: "shift_jis", label: "Japanese (Shift JIS)" },
+  { value: "gbk", label: "Chinese (GBK)" },
+];
+
+// Parse delimited text into a grid of strings. Fields starting with `quote`
+// are quoted; pass null to take quotes literally. Rows may end in "\n",
+// "\r\n" or "\r". A trailing newline (which most files end with) doesn't
+// make an extra row.
+export const parseDelimited = (text, delimiter, quote = '"') => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let i = 0;
+  let quoted = false;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === quote && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+        continue;
+      }
+      if (ch === quote) {
+        quoted = false;
+      } else if (ch === "\r") {
+        // Line breaks inside a field are kept as "\n" whatever the file uses
+        field += "\n";
+        if (text[i + 1] === "\n") i++;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === quote && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// A field needs quotes when it holds the delimiter, a newline or a quote
+const quoteField = (text, delimiter) =>
+  text.includes(delimiter) || /[\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+export const toDelimited = (grid, delimiter) =>
+  grid.map((row) => row.map((text) => quoteField(text, delimiter)).join(delimiter)).join("\n");
+
+// The delimiter that splits the start of `text` into the most columns while
+// giving its rows the same number of them. Comma when nothing splits it.
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 20000);
+  let best = { delimiter: ",", score: 0 };
+  for (const { value } of DELIMITERS) {
+    const widths = parseDelimited(sample, value)
+      .slice(0, 20)
+      .map((row) => row.length);
+    const width = widths[0] || 0;
+    const matching = widths.filter((w) => w === width).length / widths.length;
+    const score = width > 1 ? width * matching : 0;
+    if (score > best.score) best = { delimiter: value, score };
+  }
+  return best.delimiter;
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { detectDelimiter, parseDelimited, toDelimited } from "./delimitedText";
+
+describe("parseDelimited", () => {
+  it("splits rows on any line ending, without a row for the trailing one", () => {
+    expect(parseDelimited("a,b\r\nc,d\re,f\n", ",")).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+      ["e", "f"],
+    ]);
+  });
+
+  it("keeps empty fields and empty rows", () => {
+    expect(parseDelimited("a,,\n\nb", ",")).toEqual([["a", "", ""], [""], ["b"]]);
+  });
+
+  it("reads delimiters, doubled quotes and line breaks inside quoted fields", () => {
+    expect(parseDelimited('"a,b","say ""hi""","two\r\nlines"\r\n"x\ry",z', ",")).toEqual([
+      ["a,b", 'say "hi"', "two\nlines"],
+      ["x\ny", "z"],
+    ]);
+  });
+
+  it("takes quotes literally when there is no quote character", () => {
+    expect(parseDelimited('"a;b";c', ";", null)).toEqual([['"a', 'b"', "c"]]);
+  });
+
+  it("reads back what toDelimited writes", () => {
+    const grid = [
+      ["plain", "with;semicolon"],
+      ["with\nbreak", 'with "quotes"'],
+    ];
+    expect(parseDelimited(toDelimited(grid, ";"), ";")).toEqual(grid);
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("picks the delimiter that splits rows evenly", () => {
+    expect(detectDelimiter("a;b;c\n1;2,5;3\n4;5;6")).toBe(";");
+    expect(detectDelimiter("a\tb\n1\t2")).toBe("\t");
+    expect(detectDelimiter('name|note\nx|"a|b"')).toBe("|");
+  });
+
+  it("falls back to a comma", () => {
+    expect(detectDelimiter("one column\nof text")).toBe(",");
+  });
+});
@@ -0,0 +1,299 @@
+import { createStyleGrid, mergeStyle } from "./cellStyles";
+import { deserializeCellValue, parseInput, serializeCellValue } from "./cellValues";
+import { createSheet, INITIAL_COLS } from "./workbook";
+
+// The saved document: a workbook as plain JSON, for localStorage and .json
+// files. The current version is
+//
+//   { format: "workbook", version: 3, activeSheetId,
+//     sheets: [{ id, name, rows, cols,
+//                cells,              // rows x cols values; errors as { error: code }
+//                styles,             // rows x cols style objects or null
+//                validations,        // rows x cols rules (see dataValidation.js)
+//                columnWidths,       // cols widths in px
+//                rowHeights,         // rows heights in px
+//                conditionalFormats, // rules (see conditionalFormats.js)
+//                errors }] }         // "row-col" keys of invalid cells
+//
+// Older saves carry no version and are recognized by their shape:
+//
+//   0  a single sheet's fields at the top level, bold and italic cells as
+//      "row-col" key lists and one font size and color for the whole sheet
+//   1  a list of sheets, cells holding the text the user typed
+//   2  cells holding typed values, marked with `typedCells: true`
+//
+// Reading a document migrates it one version at a time to the current one
+// and validates the result, so a partial or hand-edited file is rejected
+// with the problems found instead of loading as a broken grid.
+
+export const DOCUMENT_VERSION = 3;
+const DOCUMENT_FORMAT = "workbook";
+// Problems listed in a DocumentError's message; the rest are counted
+const MAX_LISTED_PROBLEMS = 5;
+
+export class DocumentError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "DocumentError";
+    this.problems = problems;
+  }
+}
+
+// Bold/italic key lists and sheet-wide font size and color as per-cell styles
+const migrateLegacyStyles = (saved, rows, cols, { fontSize, color }) => {
+  // The grid is new, so it can be filled in place
+  const styles = createStyleGrid(rows, cols);
+  const apply = (keys, changes) => {
+    for (const key of keys || []) {
+      const [row, col] = key.split("-").map(Number);
+      if (row < rows && col < cols) {
+        styles[row][col] = mergeStyle(styles[row][col], changes);
+      }
+    }
+  };
+  apply(saved.boldCells, { bold: true });
+  apply(saved.italicCells, { italic: true });
+
+  const sheetWide = {};
+  if (fontSize) sheetWide.fontSize = fontSize;
+  if (color) sheetWide.color = color;
+  return Object.keys(sheetWide).length > 0
+    ? styles.map((row) => row.map((style) => mergeStyle(style, sheetWide)))
+    : styles;
+};
+
+// Typed text parsed the way a fresh edit would be, giving dates and
+// percentages their number format
+const migrateUntypedCells = (cells, savedStyles) => {
+  const styles = savedStyles.map((row) => [...row]);
+  const typedCells = cells.map((row, r) =>
+    row.map((text, c) => {
+      const { value, numberFormat } = parseInput(String(text ?? ""));
+      if (numberFormat && styles[r] && !styles[r][c]?.numberFormat) {
+        styles[r][c] = mergeStyle(styles[r][c], { numberFormat });
+      }
+      return serializeCellValue(value);
+    })
+  );
+  return { cells: typedCells, styles };
+};
+
+// migrations[n] turns a version n document into a version n + 1 one
+const migrations = [
+  // 0 -> 1: the single sheet becomes the workbook's only sheet, with styles
+  (data) => {
+    const { fontSize, color, boldCells, italicCells, ...sheet } = data;
+    const rows = sheet.cells?.length || 0;
+    const cols = sheet.cells?.[0]?.length || INITIAL_COLS;
+    const styles =
+      sheet.styles || migrateLegacyStyles({ boldCells, italicCells }, rows, cols, { fontSize, color });
+    return { sheets: [{ ...sheet, name: "Sheet1", styles }] };
+  },
+  // 1 -> 2: typed cells
+  (data) => ({
+    ...data,
+    typedCells: true,
+    sheets: data.sheets.map((sheet) => {
+      const rows = sheet.cells?.length || 0;
+      const cols = sheet.cells?.[0]?.length || INITIAL_COLS;
+      const styles = sheet.styles || createStyleGrid(rows, cols);
+      return { ...sheet, ...migrateUntypedCells(sheet.cells || [], styles) };
+    }),
+  }),
+  // 2 -> 3: versioned, with every sheet field present. Fields saves could
+  // leave out get their defaults; sizes come from the cells.
+  (data) => {
+    const sheets = data.sheets.map((saved) => {
+      const cells = saved.cells || [];
+      const defaults = createSheet(saved.name, cells.length, cells[0]?.length || INITIAL_COLS);
+      return {
+        id: defaults.id,
+        name: saved.name,
+        rows: defaults.rows,
+        cols: defaults.cols,
+        cells: cells.length > 0 ? cells : defaults.cells,
+        styles: saved.styles || defaults.styles,
+        validations: saved.validations || defaults.validations,
+        columnWidths: saved.columnWidths || defaults.columnWidths,
+        rowHeights: saved.rowHeights || defaults.rowHeights,
+        conditionalFormats: saved.conditionalFormats || [],
+        errors: saved.errors || [],
+        ...(saved.id && { id: saved.id }),
+      };
+    });
+    const activeSheetId = sheets.some((sheet) => sheet.id === data.activeSheetId)
+      ? data.activeSheetId
+      : sheets[0]?.id;
+    return { format: DOCUMENT_FORMAT, version: 3, activeSheetId, sheets };
+  },
+];
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const documentVersion = (data) => {
+  if (!isObject(data)) throw new DocumentError("The file doesn't hold a workbook.");
+  if (data.version !== undefined) {
+    if (data.format !== DOCUMENT_FORMAT) throw new DocumentError("The file doesn't hold a workbook.");
+    if (!Number.isInteger(data.version) || data.version < 0) {
+      throw new DocumentError(`The workbook has an unknown version (${data.version}).`);
+    }
+    if (data.version > DOCUMENT_VERSION) {
+      throw new DocumentError(
+        `The workbook was saved by a newer version of the app (format ${data.version}).`
+      );
+    }
+    return data.version;
+  }
+  if (Array.isArray(data.sheets)) return data.typedCells ? 2 : 1;
+  if (Array.isArray(data.cells)) return 0;
+  throw new DocumentError("The file doesn't hold a workbook.");
+};
+
+// Problems with a grid that should be rows x cols of entries passing `isEntry`
+const checkGrid = (problems, label, grid, rows, cols, isEntry, entryDescription) => {
+  if (!Array.isArray(grid) || grid.length !== rows) {
+    const actual = Array.isArray(grid) ? grid.length : "none";
+    problems.push(`${label} should have ${rows} rows, has ${actual}`);
+    return;
+  }
+  grid.forEach((row, r) => {
+    if (!Array.isArray(row) || row.length !== cols) {
+      problems.push(`${label} row ${r + 1} should have ${cols} columns`);
+    } else if (!row.every(isEntry)) {
+      problems.push(`${label} row ${r + 1} has values that aren't ${entryDescription}`);
+    }
+  });
+};
+
+const checkSizes = (problems, label, sizes, count) => {
+  if (!Array.isArray(sizes) || sizes.length !== count) {
+    const actual = Array.isArray(sizes) ? sizes.length : "none";
+    problems.push(`${label} should have ${count} entries, has ${actual}`);
+  } else if (!sizes.every((size) => typeof size === "number" && size > 0)) {
+    problems.push(`${label} should all be positive numbers`);
+  }
+};
+
+const isCellValue = (value) =>
+  ["string", "number", "boolean"].includes(typeof value) ||
+  (isObject(value) && typeof value.error === "string");
+
+const isRange = (range) =>
+  isObject(range) &&
+  ["startRow", "endRow", "startCol", "endCol"].every((key) => Number.isInteger(range[key]));
+
+// The problems with a current version document, as readable messages; empty
+// when it's valid
+export const validateDocument = (data) => {
+  const problems = [];
+  if (!Array.isArray(data.sheets) || data.sheets.length === 0) {
+    return ["The workbook has no sheets"];
+  }
+  const ids = new Set();
+  const names = new Set();
+  data.sheets.forEach((sheet, index) => {
+    if (!isObject(sheet)) {
+      problems.push(`Sheet ${index + 1} isn't a sheet`);
+      return;
+    }
+    const label = typeof sheet.name === "string" ? `Sheet "${sheet.name}"` : `Sheet ${index + 1}`;
+    if (typeof sheet.name !== "string" || !sheet.name.trim()) {
+      problems.push(`${label} has no name`);
+    } else if (names.has(sheet.name.toLowerCase())) {
+      problems.push(`${label}: another sheet has the same name`);
+    } else {
+      names.add(sheet.name.toLowerCase());
+    }
+    if (typeof sheet.id !== "string" || ids.has(sheet.id)) {
+      problems.push(`${label} has a missing or repeated id`);
+    }
+    ids.add(sheet.id);
+
+    const { rows, cols } = sheet;
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1) {
+      problems.push(`${label} has an invalid size`);
+      return;
+    }
+    checkGrid(problems, `${label}: cells`, sheet.cells, rows, cols, isCellValue, "cell values");
+    const isStyle = (style) => style === null || isObject(style);
+    checkGrid(problems, `${label}: styles`, sheet.styles, rows, cols, isStyle, "styles");
+    const isRule = (rule) => typeof rule === "string" || isObject(rule);
+    checkGrid(problems, `${label}: validations`, sheet.validations, rows, cols, isRule, "rules");
+    checkSizes(problems, `${label}: column widths`, sheet.columnWidths, cols);
+    checkSizes(problems, `${label}: row heights`, sheet.rowHeights, rows);
+    if (
+      !Array.isArray(sheet.conditionalFormats) ||
+      !sheet.conditionalFormats.every((rule) => isObject(rule) && isRange(rule.range))
+    ) {
+      problems.push(`${label}: conditional formats should be a list of rules with ranges`);
+    }
+    if (!Array.isArray(sheet.errors) || !sheet.errors.every((key) => /^\d+-\d+$/.test(key))) {
+      problems.push(`${label}: errors should be a list of "row-col" keys`);
+    }
+  });
+  if (!ids.has(data.activeSheetId)) problems.push("The active sheet isn't one of the sheets");
+  return problems;
+};
+
+// A workbook as a current version document
+export const writeDocument = (workbook) => ({
+  format: DOCUMENT_FORMAT,
+  version: DOCUMENT_VERSION,
+  activeSheetId: workbook.activeSheetId,
+  sheets: workbook.sheets.map((sheet) => ({
+    id: sheet.id,
+    name: sheet.name,
+    rows: sheet.rows,
+    cols: sheet.cols,
+    cells: sheet.cells.map((row) => row.map(serializeCellValue)),
+    styles: sheet.styles,
+    validations: sheet.validations,
+    columnWidths: sheet.columnWidths,
+    rowHeights: sheet.rowHeights,
+    conditionalFormats: sheet.conditionalFormats,
+    errors: Array.from(sheet.errors),
+  })),
+});
+
+// The workbook in a document of any version. Throws a DocumentError
+// describing what's wrong when it can't be read.
+export const readDocument = (data) => {
+  let document = data;
+  try {
+    for (let version = documentVersion(data); version < DOCUMENT_VERSION; version++) {
+      document = migrations[version](document);
+    }
+  } catch (error) {
+    // Older saves were never validated, so one may be too broken to upgrade
+    if (error instanceof DocumentError) throw error;
+    throw new DocumentError("The workbook is damaged and couldn't be upgraded.");
+  }
+  const problems = validateDocument(document);
+  if (problems.length > 0) {
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS);
+    const more = problems.length - listed.length;
+    throw new DocumentError(
+      `The workbook is damaged:\n- ${listed.join("\n- ")}${more > 0 ? `\n(and ${more} more)` : ""}`,
+      problems
+    );
+  }
+  return {
+    activeSheetId: document.activeSheetId,
+    sheets: document.sheets.map((sheet) => ({
+      ...sheet,
+      cells: sheet.cells.map((row) => row.map(deserializeCellValue)),
+      errors: new Set(sheet.errors),
+    })),
+  };
+};
+
+// readDocument for JSON text, such as a .json file's
+export const parseDocument = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new DocumentError("The file isn't valid JSON.");
+  }
+  return readDocument(data);
+};
@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import {
+  DOCUMENT_VERSION,
+  DocumentError,
+  parseDocument,
+  readDocument,
+  writeDocument,
+} from "./documentFormat";
+import { FormulaError, isFormulaError } from "./formulaErrors";
+import { createWorkbook } from "./workbook";
+
+describe("readDocument migrations", () => {
+  it("reads a version 0 save of a single sheet with legacy styles", () => {
+    const workbook = readDocument({
+      cells: [
+        ["1", "a"],
+        ["=A1+1", ""],
+      ],
+      boldCells: ["0-1"],
+      italicCells: ["1-0"],
+      fontSize: 16,
+    });
+    expect(workbook.sheets).toHaveLength(1);
+    const [sheet] = workbook.sheets;
+    expect(sheet.name).toBe("Sheet1");
+    expect(workbook.activeSheetId).toBe(sheet.id);
+    expect([sheet.rows, sheet.cols]).toEqual([2, 2]);
+    expect(sheet.cells).toEqual([
+      [1, "a"],
+      ["=A1+1", ""],
+    ]);
+    expect(sheet.styles[0][1]).toMatchObject({ bold: true, fontSize: 16 });
+    expect(sheet.styles[1][0]).toMatchObject({ italic: true, fontSize: 16 });
+    expect(sheet.errors).toEqual(new Set());
+  });
+
+  it("types the text cells of a version 1 save", () => {
+    const workbook = readDocument({
+      sheets: [{ id: "s1", name: "Data", cells: [["15%", "007", "TRUE"]] }],
+      activeSheetId: "s1",
+    });
+    const [sheet] = workbook.sheets;
+    expect(sheet.id).toBe("s1");
+    expect(sheet.cells[0]).toEqual([0.15, 7, true]);
+    expect(sheet.styles[0][0].numberFormat).toMatch(/%/);
+  });
+
+  it("keeps the typed cells of a version 2 save", () => {
+    const workbook = readDocument({
+      typedCells: true,
+      sheets: [{ name: "Data", cells: [["15%", { error: "#DIV/0!" }]] }],
+    });
+    const [sheet] = workbook.sheets;
+    expect(sheet.cells[0][0]).toBe("15%");
+    expect(isFormulaError(sheet.cells[0][1])).toBe(true);
+    expect(sheet.cells[0][1].code).toBe("#DIV/0!");
+  });
+});
+
+describe("writeDocument", () => {
+  it("round-trips a workbook through the current version", () => {
+    const workbook = createWorkbook();
+    const [sheet] = workbook.sheets;
+    sheet.cells[0][0] = 42;
+    sheet.cells[0][1] = new FormulaError("#REF!", "gone");
+    sheet.errors = new Set(["0-0"]);
+
+    const document = JSON.parse(JSON.stringify(writeDocument(workbook)));
+    expect(document.version).toBe(DOCUMENT_VERSION);
+    const read = readDocument(document);
+    expect(read.activeSheetId).toBe(workbook.activeSheetId);
+    expect(read.sheets[0].cells[0][0]).toBe(42);
+    expect(read.sheets[0].cells[0][1].code).toBe("#REF!");
+    expect(read.sheets[0].errors).toEqual(new Set(["0-0"]));
+  });
+});
+
+describe("rejected documents", () => {
+  const current = () => JSON.parse(JSON.stringify(writeDocument(createWorkbook())));
+
+  it("refuse newer versions and other files", () => {
+    expect(() => readDocument({ ...current(), version: DOCUMENT_VERSION + 1 })).toThrow(
+      /newer version/
+    );
+    expect(() => readDocument({ hello: "world" })).toThrow(DocumentError);
+    expect(() => parseDocument("{not json")).toThrow("The file isn't valid JSON.");
+  });
+
+  it("list what's wrong with a damaged workbook", () => {
+    const document = current();
+    document.sheets[0].rows = 3;
+    document.sheets[0].cells.pop();
+    let error;
+    try {
+      readDocument(document);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(DocumentError);
+    expect(error.problems.length).toBeGreaterThan(0);
+    expect(error.message).toMatch(/^The workbook is damaged:/);
+  });
+});
@@ -0,0 +1,236 @@
+import { readDocument, writeDocument } from "./documentFormat";
+
+// Named documents saved in the browser's IndexedDB, which holds workbooks
+// far larger than localStorage's quota allows. Each document has an entry
+// in "documents", { id, name, modified, snapshotted }, for listing them,
+// and its saved workbook (see documentFormat.js) in "contents" under the
+// same id, so the list can be read without reading every workbook.
+//
+// Versions are snapshots of a document's workbook, kept the same way: an
+// entry in "versions", { id, documentId, name, created }, and the workbook
+// in "versionContents". Saving takes an automatic snapshot (name null) when
+// the last one is older than SNAPSHOT_INTERVAL; named ones are taken on
+// request. All functions are async.
+
+const DATABASE_NAME = "spreadsheet";
+const DATABASE_VERSION = 2;
+const STORE_NAMES = ["documents", "contents", "versions", "versionContents"];
+// Time between automatic snapshots while a document is being edited
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+// Automatic snapshots kept per document; the oldest are dropped
+const MAX_AUTOMATIC_VERSIONS = 50;
+// Where the app kept its one save before there were documents
+const LEGACY_STORAGE_KEY = "spreadsheet";
+
+export const UNTITLED_NAME = "Untitled spreadsheet";
+
+let idCounter = 0;
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+// A request's result, as a promise
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// The save made before documents existed becomes the first document when
+// the database is created
+const importLegacySave = (documents, contents) => {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return;
+  try {
+    const id = createId("doc");
+    contents.put(JSON.parse(saved), id);
+    documents.put({ id, name: UNTITLED_NAME, modified: Date.now() });
+  } catch (error) {
+    console.warn("Could not import the saved spreadsheet:", error);
+  }
+};
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  databasePromise ||= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = (e) => {
+      const database = request.result;
+      if (e.oldVersion < 1) {
+        const documents = database.createObjectStore("documents", { keyPath: "id" });
+        const contents = database.createObjectStore("contents");
+        importLegacySave(documents, contents);
+      }
+      if (e.oldVersion < 2) {
+        const versions = database.createObjectStore("versions", { keyPath: "id" });
+        versions.createIndex("documentId", "documentId");
+        database.createObjectStore("versionContents");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return databasePromise;
+};
+
+// Run `work` with the object stores, keyed by name, in one transaction.
+// Resolves with what `work` resolves with once the transaction has
+// committed, and rejects if any of its requests fail.
+const transact = async (mode, work) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAMES, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    const stores = Object.fromEntries(
+      STORE_NAMES.map((name) => [name, transaction.objectStore(name)])
+    );
+    work(stores).then(
+      (value) => {
+        result = value;
+      },
+      (error) => {
+        transaction.abort();
+        reject(error);
+      }
+    );
+  });
+};
+
+// Every document's entry, { id, name, modified }, most recently modified
+// first
+export const listDocuments = () =>
+  transact("readonly", async ({ documents }) => {
+    const list = await requestResult(documents.getAll());
+    return list.sort((a, b) => b.modified - a.modified);
+  });
+
+// `name`, numbered when a document in `list` already has it
+export const availableDocumentName = (list, name) => {
+  const taken = new Set(list.map((entry) => entry.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`)) n++;
+  return `${name} ${n}`;
+};
+
+// A document's entry and workbook, { entry, workbook }. Throws a
+// DocumentError when the saved workbook can't be read.
+export const loadDocument = (id) =>
+  transact("readonly", async ({ documents, contents }) => {
+    const [entry, data] = await Promise.all([
+      requestResult(documents.get(id)),
+      requestResult(contents.get(id)),
+    ]);
+    if (!entry) throw new Error(`There's no document ${id}`);
+    return { entry, workbook: readDocument(data) };
+  });
+
+// Add a snapshot of a saved workbook (`data`) to a document's versions,
+// dropping the oldest automatic ones past the limit. Returns its entry.
+const addVersion = async ({ versions, versionContents }, documentId, data, name) => {
+  const version = { id: createId("version"), documentId, name, created: Date.now() };
+  versions.put(version);
+  versionContents.put(data, version.id);
+  if (name === null) {
+    const existing = await requestResult(versions.index("documentId").getAll(documentId));
+    const automatic = existing
+      .filter((entry) => entry.name === null)
+      .sort((a, b) => b.created - a.created);
+    for (const old of automatic.slice(MAX_AUTOMATIC_VERSIONS)) {
+      versions.delete(old.id);
+      versionContents.delete(old.id);
+    }
+  }
+  return version;
+};
+
+// Save a workbook over a document, returning its updated entry. A document
+// keeps the name it has, which may be newer than `name` when it was renamed
+// while the save was pending.
+export const saveDocument = ({ id, name }, workbook) =>
+  transact("readwrite", async (stores) => {
+    const { documents, contents } = stores;
+    const existing = await requestResult(documents.get(id));
+    const now = Date.now();
+    const data = writeDocument(workbook);
+    const entry = {
+      id,
+      name: existing?.name ?? name,
+      modified: now,
+      snapshotted: existing?.snapshotted ?? 0,
+    };
+    if (now - entry.snapshotted >= SNAPSHOT_INTERVAL) {
+      await addVersion(stores, id, data, null);
+      entry.snapshotted = now;
+    }
+    contents.put(data, id);
+    documents.put(entry);
+    return entry;
+  });
+
+// Save a workbook as a new document with a name no other document has,
+// returning its entry
+export const createDocument = async (name, workbook) => {
+  const list = await listDocuments();
+  return saveDocument({ id: createId("doc"), name: availableDocumentName(list, name) }, workbook);
+};
+
+export const renameDocument = (id, name) =>
+  transact("readwrite", async ({ documents }) => {
+    const entry = await requestResult(documents.get(id));
+    const renamed = { ...entry, name };
+    documents.put(renamed);
+    return renamed;
+  });
+
+// Copy a document as "Copy of <name>", returning the copy's entry. The copy
+// starts without versions.
+export const duplicateDocument = async (id) => {
+  const list = await listDocuments();
+  return transact("readwrite", async ({ documents, contents }) => {
+    const [entry, data] = await Promise.all([
+      requestResult(documents.get(id)),
+      requestResult(contents.get(id)),
+    ]);
+    const copy = {
+      id: createId("doc"),
+      name: availableDocumentName(list, `Copy of ${entry.name}`),
+      modified: Date.now(),
+      snapshotted: 0,
+    };
+    contents.put(data, copy.id);
+    documents.put(copy);
+    return copy;
+  });
+};
+
+// Delete a document and its versions
+export const deleteDocument = (id) =>
+  transact("readwrite", async ({ documents, contents, versions, versionContents }) => {
+    const versionIds = await requestResult(versions.index("documentId").getAllKeys(id));
+    for (const versionId of versionIds) {
+      versions.delete(versionId);
+      versionContents.delete(versionId);
+    }
+    documents.delete(id);
+    contents.delete(id);
+  });
+
+// A document's version entries, newest first
+export const listVersions = (documentId) =>
+  transact("readonly", async ({ versions }) => {
+    const list = await requestResult(versions.index("documentId").getAll(documentId));
+    return list.sort((a, b) => b.created - a.created);
+  });
+
+// Take a named snapshot of a workbook, returning its version entry
+export const createVersion = (documentId, workbook, name) =>
+  transact("readwrite", (stores) => addVersion(stores, documentId, writeDocument(workbook), name));
+
+// A version's workbook. Throws a DocumentError when it can't be read.
+export const loadVersion = (id) =>
+  transact("readonly", async ({ versionContents }) =>
+    readDocument(await requestResult(versionContents.get(id)))
+  );
@@ -0,0 +1,11 @@
+// Save `data` (a string, bytes or a Blob) as a file the browser downloads
+export const downloadFile = (data, fileName, type = "application/octet-stream") => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // The download has started by the time the click returns
+  URL.revokeObjectURL(url);
+};
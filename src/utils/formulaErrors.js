@@ -0,0 +1,48 @@
+// Typed spreadsheet errors. A FormulaError is thrown while a formula is being
+// evaluated and then stored as the cell's value, so formulas that read the
+// cell see the same error and propagate it.
+
+export const ERROR_CODES = {
+  REF: "#REF!",
+  DIV_ZERO: "#DIV/0!",
+  VALUE: "#VALUE!",
+  NAME: "#NAME?",
+  NA: "#N/A",
+  NUM: "#NUM!",
+  CIRCULAR: "#CIRCULAR!",
+  PARSE: "#ERROR!",
+};
+
+export class FormulaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "FormulaError";
+    this.code = code;
+  }
+
+  toString() {
+    return this.code;
+  }
+}
+
+export const isFormulaError = (value) => value instanceof FormulaError;
+
+// Default explanation for an error code, e.g. for a #REF! typed into a formula
+export const describeErrorCode = (code) => {
+  switch (code) {
+    case ERROR_CODES.REF:
+      return "The formula refers to a cell that was deleted or is outside the sheet.";
+    case ERROR_CODES.DIV_ZERO:
+      return "The formula divides by zero.";
+    case ERROR_CODES.VALUE:
+      return "A value in the formula has the wrong type.";
+    case ERROR_CODES.NAME:
+      return "The formula uses an unknown function or name.";
+    case ERROR_CODES.NA:
+      return "No value is available.";
+    case ERROR_CODES.NUM:
+      return "The formula produced an invalid number.";
+    default:
+      return "The formula could not be evaluated.";
+  }
+};
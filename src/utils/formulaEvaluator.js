@@ -0,0 +1,235 @@
+import {
+  describeErrorCode,
+  ERROR_CODES,
+  FormulaError,
+  isFormulaError,
+} from "./formulaErrors";
+import { getFunction } from "./formulaFunctions";
+import { parseFormula } from "./formulaParser";
+import { compareValues, toNumber, toScalar, toText } from "./formulaValues";
+
+// Evaluates a formula AST produced by formulaParser against the current cell
+// values. The context supplies the grid bounds, a cell getter and a lookup
+// for references to other sheets:
+//   { rows, cols, getCellValue: (row, col) => value, resolveSheet: (name) => context | null,
+//     rowOffset, colOffset }
+// The offsets evaluate a formula as if it had been copied that far from
+// where it was written (see shiftFormula) without rewriting its text.
+
+// Resolve a range node to concrete bounds, clamping whole-row/column ranges
+// to the grid
+export const resolveRange = (node, rows, cols) => {
+  const { start, end } = node;
+  const startRow = start.row === null ? 0 : Math.min(start.row, end.row);
+  const endRow = start.row === null ? rows - 1 : Math.max(start.row, end.row);
+  const startCol = start.col === null ? 0 : Math.min(start.col, end.col);
+  const endCol = start.col === null ? cols - 1 : Math.max(start.col, end.col);
+  return { startRow, endRow, startCol, endCol };
+};
+
+// "1 argument", "2 arguments"
+const countOf = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+const applyBinary = (operator, left, right) => {
+  // Ranges are rejected and errors propagate, left operand first
+  toScalar(left);
+  toScalar(right);
+
+  switch (operator) {
+    case "+":
+      return toNumber(left) + toNumber(right);
+    case "-":
+      return toNumber(left) - toNumber(right);
+    case "*":
+      return toNumber(left) * toNumber(right);
+    case "/": {
+      const divisor = toNumber(right);
+      if (divisor === 0) {
+        throw new FormulaError(ERROR_CODES.DIV_ZERO, "The formula divides by zero.");
+      }
+      return toNumber(left) / divisor;
+    }
+    case "^":
+      return Math.pow(toNumber(left), toNumber(right));
+    case "&":
+      return toText(left) + toText(right);
+    case "=":
+      return compareValues(left, right) === 0;
+    case "<>":
+      return compareValues(left, right) !== 0;
+    case "<":
+      return compareValues(left, right) < 0;
+    case ">":
+      return compareValues(left, right) > 0;
+    case "<=":
+      return compareValues(left, right) <= 0;
+    case ">=":
+      return compareValues(left, right) >= 0;
+    default:
+      throw new Error(`Unknown operator "${operator}"`);
+  }
+};
+
+// References to another sheet are read through that sheet's context
+const contextFor = (node, context) => {
+  if (!node.sheet) return context;
+  const sheetContext = context.resolveSheet ? context.resolveSheet(node.sheet) : null;
+  if (!sheetContext) {
+    throw new FormulaError(ERROR_CODES.REF, `The sheet "${node.sheet}" does not exist.`);
+  }
+  return sheetContext;
+};
+
+// Where a reference endpoint points once relative parts are offset
+const offsetEndpoint = (ref, { rowOffset = 0, colOffset = 0 }) => {
+  if (rowOffset === 0 && colOffset === 0) return ref;
+  return {
+    ...ref,
+    row: ref.row === null || ref.rowAbsolute ? ref.row : ref.row + rowOffset,
+    col: ref.col === null || ref.colAbsolute ? ref.col : ref.col + colOffset,
+  };
+};
+
+export const evaluateAst = (node, context) => {
+  switch (node.type) {
+    case "number":
+    case "string":
+    case "boolean":
+      return node.value;
+
+    case "error":
+      throw new FormulaError(node.code, describeErrorCode(node.code));
+
+    case "name":
+      throw new FormulaError(ERROR_CODES.NAME, `Unknown name "${node.name}".`);
+
+    case "cell": {
+      const { rows, cols, getCellValue } = contextFor(node, context);
+      const { row, col } = offsetEndpoint(node, context);
+      if (row < 0 || row >= rows || col < 0 || col >= cols) {
+        throw new FormulaError(ERROR_CODES.REF, "The formula refers to a cell outside the sheet.");
+      }
+      return getCellValue(row, col);
+    }
+
+    case "range": {
+      const { rows, cols, getCellValue } = contextFor(node, context);
+      const start = offsetEndpoint(node.start, context);
+      const end = offsetEndpoint(node.end, context);
+      const { startRow, endRow, startCol, endCol } = resolveRange({ start, end }, rows, cols);
+      if (startRow < 0 || startCol < 0 || startRow >= rows || startCol >= cols) {
+        throw new FormulaError(ERROR_CODES.REF, "The formula refers to a range outside the sheet.");
+      }
+      const values = [];
+      for (let r = startRow; r <= Math.min(endRow, rows - 1); r++) {
+        const rowValues = [];
+        for (let c = startCol; c <= Math.min(endCol, cols - 1); c++) {
+          rowValues.push(getCellValue(r, c));
+        }
+        values.push(rowValues);
+      }
+      return values;
+    }
+
+    case "unary": {
+      const operand = toScalar(evaluateAst(node.operand, context));
+      if (node.operator === "-") return -toNumber(operand);
+      if (node.operator === "%") return toNumber(operand) / 100;
+      return toNumber(operand);
+    }
+
+    case "binary":
+      return applyBinary(
+        node.operator,
+        evaluateAst(node.left, context),
+        evaluateAst(node.right, context)
+      );
+
+    case "function": {
+      const definition = getFunction(node.name);
+      if (!definition) {
+        throw new FormulaError(ERROR_CODES.NAME, `Unknown function "${node.name}".`);
+      }
+
+      const { minArgs, maxArgs } = definition;
+      if (node.args.length < minArgs || node.args.length > maxArgs) {
+        let expected = `${minArgs} to ${countOf(maxArgs, "argument")}`;
+        if (minArgs === maxArgs) expected = countOf(minArgs, "argument");
+        else if (maxArgs === Infinity) expected = `at least ${countOf(minArgs, "argument")}`;
+        throw new FormulaError(
+          ERROR_CODES.NA,
+          `${node.name} expects ${expected} but got ${node.args.length}.`
+        );
+      }
+
+      const args = definition.lazy
+        ? node.args.map((arg) => () => evaluateAst(arg, context))
+        : node.args.map((arg) => {
+            const value = evaluateAst(arg, context);
+            return definition.cellsAsRanges && arg.type === "cell" ? [[value]] : value;
+          });
+      return definition.evaluate(args, context);
+    }
+
+    default:
+      throw new Error(`Unknown node type "${node.type}"`);
+  }
+};
+
+// Cells already hold typed values (see cellValues.js), so text that looks
+// like a number stays text, e.g. for SUM
+const toCellValue = (value) => (value === undefined || value === null ? "" : value);
+
+// Build an evaluation context over a grid of evaluated values.
+// getSheetValues(name) returns another sheet's grid, or null if there is no
+// sheet with that name. An override ({ row, col, value }) is read in place of
+// that cell of this grid.
+const createContext = (values, getSheetValues, { rowOffset, colOffset, override } = {}) => ({
+  rows: values.length,
+  cols: values[0]?.length || 0,
+  getCellValue: (r, c) =>
+    override && r === override.row && c === override.col
+      ? override.value
+      : toCellValue(values[r]?.[c]),
+  resolveSheet: (name) => {
+    const sheetValues = getSheetValues ? getSheetValues(name) : null;
+    return sheetValues
+      ? createContext(sheetValues, getSheetValues, { rowOffset, colOffset })
+      : null;
+  },
+  rowOffset,
+  colOffset,
+});
+
+// Evaluate a formula string against a grid of already evaluated values.
+// Any other cell value is already typed and evaluates to itself. `options`
+// ({ rowOffset, colOffset }) evaluates the formula as if copied that far,
+// so one parsed formula can serve a whole range of cells, and `override`
+// ({ row, col, value }) as if one cell of `values` held another value.
+export const evaluateFormula = (formula, values, getSheetValues, options) => {
+  if (formula === undefined || formula === null) return "";
+  if (typeof formula !== "string" || !formula.startsWith("=")) return formula;
+
+  try {
+    const result = evaluateAst(
+      parseFormula(formula),
+      createContext(values, getSheetValues, options)
+    );
+
+    // A bare range (e.g. =A1:B2) yields its top-left value
+    const value = Array.isArray(result) ? result[0]?.[0] ?? "" : result;
+    if (typeof value === "number") {
+      if (!isFinite(value)) {
+        return new FormulaError(ERROR_CODES.NUM, "The result is not a valid number.");
+      }
+      // Trim floating-point noise (0.1 + 0.2) without losing small values;
+      // how many decimals to show is up to the cell's number format
+      return parseFloat(value.toPrecision(15));
+    }
+    return value;
+  } catch (error) {
+    if (isFormulaError(error)) return error;
+    // Anything else comes from the parser
+    return new FormulaError(ERROR_CODES.PARSE, `Formula parse error: ${error.message}`);
+  }
+};
@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { evaluateFormula } from "./formulaEvaluator";
+import { isFormulaError } from "./formulaErrors";
+
+const values = [
+  [1, 2],
+  [3, "x"],
+];
+const getSheetValues = (name) => (name === "Sheet2" ? [[9]] : null);
+const evaluate = (formula) => evaluateFormula(formula, values, getSheetValues);
+const errorCode = (formula) => {
+  const result = evaluate(formula);
+  return isFormulaError(result) ? result.code : result;
+};
+
+describe("evaluateFormula", () => {
+  it("returns values that aren't formulas as they are", () => {
+    expect(evaluate(42)).toBe(42);
+    expect(evaluate("text")).toBe("text");
+    expect(evaluate(null)).toBe("");
+  });
+
+  it("follows operator precedence and associativity", () => {
+    expect(evaluate("=A1+B1*2")).toBe(5);
+    expect(evaluate("=2^3^2")).toBe(64);
+    expect(evaluate("=50%")).toBe(0.5);
+    expect(evaluate('="a"&"b"')).toBe("ab");
+    expect(evaluate("=A1=1")).toBe(true);
+  });
+
+  it("trims floating-point noise", () => {
+    expect(evaluate("=0.1+0.2")).toBe(0.3);
+  });
+
+  it("reads ranges, whole columns and other sheets", () => {
+    expect(evaluate("=SUM(A1:B2)")).toBe(6);
+    expect(evaluate("=SUM(A:A)")).toBe(4);
+    expect(evaluate("=Sheet2!A1")).toBe(9);
+  });
+
+  it("returns typed errors", () => {
+    expect(errorCode("=A1/0")).toBe("#DIV/0!");
+    expect(errorCode("=B2+1")).toBe("#VALUE!");
+    expect(errorCode("=FOO(1)")).toBe("#NAME?");
+    expect(errorCode("=1+")).toBe("#ERROR!");
+    expect(errorCode("=Missing!A1")).toBe("#REF!");
+  });
+
+  it("explains wrong argument counts", () => {
+    expect(evaluate("=SUM()").message).toBe("SUM expects at least 1 argument but got 0.");
+    expect(evaluate("=NOT(1,2)").message).toBe("NOT expects 1 argument but got 2.");
+    expect(evaluate("=ROUND()").message).toBe("ROUND expects 1 to 2 arguments but got 0.");
+  });
+
+  it("evaluates a formula as if copied by an offset", () => {
+    const offset = { rowOffset: 1, colOffset: 0 };
+    expect(evaluateFormula("=A1+$B$1", values, getSheetValues, offset)).toBe(5);
+    expect(evaluateFormula("=SUM(A1:A1)", values, getSheetValues, offset)).toBe(3);
+    const upwards = { rowOffset: -1, colOffset: 0 };
+    expect(evaluateFormula("=A1", values, getSheetValues, upwards).code).toBe("#REF!");
+  });
+
+  it("reads an overridden cell in place of the grid's value", () => {
+    const override = { row: 0, col: 1, value: 10 };
+    expect(evaluateFormula("=SUM(A1:B1)", values, getSheetValues, { override })).toBe(11);
+    expect(values[0][1]).toBe(2);
+  });
+
+  it("propagates errors from the cells it reads", () => {
+    const withError = [[evaluateFormula("=1/0", [[]])]];
+    const result = evaluateFormula("=A1+1", withError);
+    expect(result.code).toBe("#DIV/0!");
+  });
+});
+
+describe("range calculation functions", () => {
+  it("convert values given directly but skip text in ranges and cells", () => {
+    expect(evaluate('=SUM(A1,"5")')).toBe(6);
+    expect(evaluate("=SUM(A1:B2,TRUE)")).toBe(7);
+    expect(evaluate("=SUM(B2)")).toBe(0);
+    expect(evaluate("=MAX(B2,A1)")).toBe(1);
+    expect(errorCode('=SUM(A1,"x")')).toBe("#VALUE!");
+  });
+
+  it("count what they would add", () => {
+    expect(evaluate('=COUNT(1,"2",TRUE)')).toBe(3);
+    expect(evaluate('=COUNT(A1:B2,B2,"x")')).toBe(3);
+  });
+
+  it("can't average without numbers", () => {
+    expect(evaluate("=AVERAGE(A1:B1)")).toBe(1.5);
+    expect(errorCode("=AVERAGE(B2)")).toBe("#DIV/0!");
+  });
+});
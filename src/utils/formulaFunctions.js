@@ -0,0 +1,608 @@
+import { dateToSerial, nowSerial, serialToParts } from "./dateSerial";
+import { ERROR_CODES, FormulaError, isFormulaError } from "./formulaErrors";
+import {
+  compareValues,
+  flattenArgs,
+  throwIfError,
+  toBoolean,
+  toNumber,
+  toScalar,
+  toText,
+} from "./formulaValues";
+
+// Built-in spreadsheet functions. Each function is registered with the
+// number of arguments it accepts; the evaluator checks the count before
+// calling it. Functions marked `lazy` receive their arguments as thunks so
+// that unused branches (e.g. in IF) are never evaluated. Functions marked
+// `cellsAsRanges` receive single-cell references as 1×1 ranges, so they can
+// treat a referenced cell like a range and a typed value like a scalar.
+// Functions marked `volatile` (e.g. NOW) can return a new value without any
+// of their arguments changing, so the recalc engine re-evaluates cells that
+// call them on every recalculation.
+//
+//   registerFunction("DOUBLE", { minArgs: 1, maxArgs: 1, evaluate: ([x]) => toNumber(x) * 2 });
+
+const registry = new Map();
+
+export const registerFunction = (
+  name,
+  {
+    minArgs = 0,
+    maxArgs = Infinity,
+    lazy = false,
+    cellsAsRanges = false,
+    volatile = false,
+    evaluate,
+  }
+) => {
+  registry.set(name.toUpperCase(), {
+    name: name.toUpperCase(),
+    minArgs,
+    maxArgs,
+    lazy,
+    cellsAsRanges,
+    volatile,
+    evaluate,
+  });
+};
+
+export const getFunction = (name) => registry.get(name.toUpperCase());
+
+// Range calculation functions
+// Numbers among range values: text, booleans and empty cells are skipped,
+// and an error propagates
+const numbersAmong = (values) =>
+  throwIfError(values).filter((value) => typeof value === "number");
+
+// Numbers among the arguments. Values in ranges and referenced cells count
+// only when they are numbers, while values given directly are converted, so
+// SUM(A1, "5") adds 5 and SUM(A1, "x") is #VALUE!
+const numbersIn = (args) =>
+  args.flatMap((arg) => (Array.isArray(arg) ? numbersAmong(arg.flat()) : [toNumber(arg)]));
+
+const calculateSum = (values) => values.reduce((sum, value) => sum + value, 0);
+
+const calculateAverage = (values) => {
+  if (values.length === 0) {
+    throw new FormulaError(ERROR_CODES.DIV_ZERO, "There are no numbers to average.");
+  }
+  return calculateSum(values) / values.length;
+};
+
+const calculateMax = (values) =>
+  values.length > 0 ? values.reduce((a, b) => Math.max(a, b)) : 0;
+
+const calculateMin = (values) =>
+  values.length > 0 ? values.reduce((a, b) => Math.min(a, b)) : 0;
+
+const rangeCalculation = (calculate) => ({
+  minArgs: 1,
+  cellsAsRanges: true,
+  evaluate: (args) => calculate(numbersIn(args)),
+});
+
+registerFunction("SUM", rangeCalculation(calculateSum));
+registerFunction("AVERAGE", rangeCalculation(calculateAverage));
+registerFunction("MAX", rangeCalculation(calculateMax));
+registerFunction("MIN", rangeCalculation(calculateMin));
+// Whether a value given directly converts to a number, like "5" or TRUE
+const isNumeric = (value) => {
+  if (typeof value === "number" || typeof value === "boolean") return true;
+  return typeof value === "string" && value.trim() !== "" && !isNaN(Number(value));
+};
+
+// COUNT counts what SUM would add: numbers in ranges and referenced cells,
+// and values given directly that convert to numbers. It skips errors
+// instead of propagating them.
+registerFunction("COUNT", {
+  minArgs: 1,
+  cellsAsRanges: true,
+  evaluate: (args) =>
+    args.reduce(
+      (count, arg) =>
+        count +
+        (Array.isArray(arg)
+          ? arg.flat().filter((value) => typeof value === "number").length
+          : Number(isNumeric(arg))),
+      0
+    ),
+});
+
+registerFunction("ROUND", {
+  minArgs: 1,
+  maxArgs: 2,
+  evaluate: ([value, places = 0]) => {
+    const number = toNumber(value);
+    const factor = Math.pow(10, Math.trunc(toNumber(places)));
+    // Round half away from zero, nudging past floating point error (1.005 -> 1.01)
+    return (Math.sign(number) * Math.round(Math.abs(number) * factor * (1 + Number.EPSILON))) / factor;
+  },
+});
+
+// Logical functions
+registerFunction("IF", {
+  minArgs: 2,
+  maxArgs: 3,
+  lazy: true,
+  evaluate: ([condition, whenTrue, whenFalse]) => {
+    if (toBoolean(condition())) return whenTrue();
+    return whenFalse ? whenFalse() : false;
+  },
+});
+
+registerFunction("IFS", {
+  minArgs: 2,
+  lazy: true,
+  evaluate: (args) => {
+    if (args.length % 2 !== 0) {
+      throw new FormulaError(ERROR_CODES.NA, "IFS expects pairs of conditions and values.");
+    }
+    for (let i = 0; i < args.length; i += 2) {
+      if (toBoolean(args[i]())) return args[i + 1]();
+    }
+    throw new FormulaError(ERROR_CODES.NA, "None of the IFS conditions were true.");
+  },
+});
+
+// Logical values in ranges count, text and empty cells are skipped
+const logicalValues = (args) =>
+  args.flatMap((arg) =>
+    Array.isArray(arg)
+      ? throwIfError(arg.flat()).filter(
+          (value) => typeof value === "boolean" || typeof value === "number"
+        )
+      : [arg]
+  ).map(toBoolean);
+
+registerFunction("AND", {
+  minArgs: 1,
+  evaluate: (args) => {
+    const values = logicalValues(args);
+    if (values.length === 0) throw new FormulaError(ERROR_CODES.VALUE, "AND has no TRUE/FALSE values to check.");
+    return values.every(Boolean);
+  },
+});
+
+registerFunction("OR", {
+  minArgs: 1,
+  evaluate: (args) => {
+    const values = logicalValues(args);
+    if (values.length === 0) throw new FormulaError(ERROR_CODES.VALUE, "OR has no TRUE/FALSE values to check.");
+    return values.some(Boolean);
+  },
+});
+
+registerFunction("NOT", { minArgs: 1, maxArgs: 1, evaluate: ([value]) => !toBoolean(value) });
+
+registerFunction("IFERROR", {
+  minArgs: 1,
+  maxArgs: 2,
+  lazy: true,
+  evaluate: ([value, fallback]) => {
+    try {
+      const result = value();
+      if (!isFormulaError(result)) return result;
+    } catch (error) {
+      if (!isFormulaError(error)) throw error;
+    }
+    return fallback ? fallback() : "";
+  },
+});
+
+// Text functions
+const concat = (args) => flattenArgs(args).map(toText).join("");
+
+registerFunction("CONCAT", { minArgs: 1, evaluate: concat });
+registerFunction("CONCATENATE", { minArgs: 1, evaluate: concat });
+
+registerFunction("TEXTJOIN", {
+  minArgs: 3,
+  evaluate: ([delimiter, ignoreEmpty, ...texts]) => {
+    const parts = flattenArgs(texts).map(toText);
+    return (toBoolean(ignoreEmpty) ? parts.filter((part) => part !== "") : parts).join(
+      toText(delimiter)
+    );
+  },
+});
+
+const toLength = (value) => {
+  const length = Math.trunc(toNumber(value));
+  if (length < 0) throw new FormulaError(ERROR_CODES.VALUE, "A length cannot be negative.");
+  return length;
+};
+
+registerFunction("LEFT", {
+  minArgs: 1,
+  maxArgs: 2,
+  evaluate: ([text, count = 1]) => toText(text).slice(0, toLength(count)),
+});
+
+registerFunction("RIGHT", {
+  minArgs: 1,
+  maxArgs: 2,
+  evaluate: ([text, count = 1]) => {
+    const length = toLength(count);
+    return length === 0 ? "" : toText(text).slice(-length);
+  },
+});
+
+registerFunction("MID", {
+  minArgs: 3,
+  maxArgs: 3,
+  evaluate: ([text, start, count]) => {
+    const from = Math.trunc(toNumber(start));
+    if (from < 1) throw new FormulaError(ERROR_CODES.VALUE, "MID start position must be at least 1.");
+    return toText(text).substr(from - 1, toLength(count));
+  },
+});
+
+registerFunction("LEN", { minArgs: 1, maxArgs: 1, evaluate: ([text]) => toText(text).length });
+
+registerFunction("SUBSTITUTE", {
+  minArgs: 3,
+  maxArgs: 4,
+  evaluate: ([text, search, replacement, occurrence]) => {
+    const source = toText(text);
+    const find = toText(search);
+    const replaceWith = toText(replacement);
+    if (find === "") return source;
+
+    if (occurrence === undefined) {
+      return source.split(find).join(replaceWith);
+    }
+
+    // Replace only the nth occurrence
+    const nth = Math.trunc(toNumber(occurrence));
+    if (nth < 1) throw new FormulaError(ERROR_CODES.VALUE, "SUBSTITUTE occurrence must be at least 1.");
+    let index = -1;
+    for (let i = 0; i < nth; i++) {
+      index = source.indexOf(find, index + 1);
+      if (index === -1) return source;
+    }
+    return source.slice(0, index) + replaceWith + source.slice(index + find.length);
+  },
+});
+
+// Lookup functions
+const toRange = (value) => (Array.isArray(value) ? value : [[value]]);
+
+const notFound = (key) => {
+  throw new FormulaError(ERROR_CODES.NA, `No match was found for "${toText(key)}".`);
+};
+
+// Wildcard text pattern: * matches any run of characters, ? any single one
+// and ~ escapes the next character
+const wildcardToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "~" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (ch === "*") {
+      source += ".*";
+    } else if (ch === "?") {
+      source += ".";
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+};
+
+// Index of the matching entry in a 1D list of values.
+//   mode 0: exact match; mode 1: largest value <= key (sorted ascending);
+//   mode -1: smallest value >= key (sorted descending)
+const findMatch = (values, key, mode = 0) => {
+  if (mode === 0) {
+    if (typeof key === "string" && /[*?~]/.test(key)) {
+      const pattern = wildcardToRegExp(key);
+      return values.findIndex((value) => typeof value === "string" && pattern.test(value));
+    }
+    return values.findIndex(
+      (value) => value !== "" && !isFormulaError(value) && compareValues(value, key) === 0
+    );
+  }
+
+  let match = -1;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === "" || isFormulaError(values[i])) continue;
+    const comparison = compareValues(values[i], key);
+    if (mode > 0 ? comparison > 0 : comparison < 0) break;
+    match = i;
+    if (comparison === 0) break;
+  }
+  return match;
+};
+
+const column = (range, index) => range.map((row) => row[index]);
+
+registerFunction("VLOOKUP", {
+  minArgs: 3,
+  maxArgs: 4,
+  evaluate: ([key, rangeArg, indexArg, isSorted = true]) => {
+    const range = toRange(rangeArg);
+    const index = Math.trunc(toNumber(indexArg));
+    if (index < 1 || index > (range[0]?.length || 0)) {
+      throw new FormulaError(ERROR_CODES.REF, "VLOOKUP column index is outside the range.");
+    }
+    const row = findMatch(column(range, 0), toScalar(key), toBoolean(isSorted) ? 1 : 0);
+    return row === -1 ? notFound(key) : range[row][index - 1];
+  },
+});
+
+registerFunction("HLOOKUP", {
+  minArgs: 3,
+  maxArgs: 4,
+  evaluate: ([key, rangeArg, indexArg, isSorted = true]) => {
+    const range = toRange(rangeArg);
+    const index = Math.trunc(toNumber(indexArg));
+    if (index < 1 || index > range.length) {
+      throw new FormulaError(ERROR_CODES.REF, "HLOOKUP row index is outside the range.");
+    }
+    const col = findMatch(range[0], toScalar(key), toBoolean(isSorted) ? 1 : 0);
+    return col === -1 ? notFound(key) : range[index - 1][col];
+  },
+});
+
+registerFunction("INDEX", {
+  minArgs: 2,
+  maxArgs: 3,
+  evaluate: ([rangeArg, rowArg, colArg]) => {
+    const range = toRange(rangeArg);
+    let row = Math.trunc(toNumber(rowArg));
+    let col = colArg === undefined ? 1 : Math.trunc(toNumber(colArg));
+
+    // A single row can be indexed by column with one argument
+    if (colArg === undefined && range.length === 1) {
+      col = row;
+      row = 1;
+    }
+
+    if (row < 1 || row > range.length || col < 1 || col > (range[0]?.length || 0)) {
+      throw new FormulaError(ERROR_CODES.REF, "INDEX position is outside the range.");
+    }
+    return range[row - 1][col - 1];
+  },
+});
+
+// A one-dimensional range as a flat list
+const toVector = (value, name) => {
+  const range = toRange(value);
+  if (range.length !== 1 && range[0]?.length !== 1) {
+    throw new FormulaError(ERROR_CODES.VALUE, `${name} expects a single row or column.`);
+  }
+  return range.flat();
+};
+
+registerFunction("MATCH", {
+  minArgs: 2,
+  maxArgs: 3,
+  evaluate: ([key, rangeArg, type = 1]) => {
+    const mode = Math.sign(Math.trunc(toNumber(type)));
+    const index = findMatch(toVector(rangeArg, "MATCH"), toScalar(key), mode);
+    return index === -1 ? notFound(key) : index + 1;
+  },
+});
+
+registerFunction("XLOOKUP", {
+  minArgs: 3,
+  maxArgs: 6,
+  evaluate: ([key, lookupArg, resultArg, missing, matchModeArg = 0, searchModeArg = 1]) => {
+    const lookup = toVector(lookupArg, "XLOOKUP");
+    const result = toRange(resultArg);
+    const matchMode = Math.trunc(toNumber(matchModeArg));
+    const reverse = Math.trunc(toNumber(searchModeArg)) < 0;
+    const target = toScalar(key);
+
+    const order = lookup.map((_, i) => i);
+    if (reverse) order.reverse();
+
+    // Exact match first, then the closest smaller/larger value if requested
+    let index = order.find((i) =>
+      matchMode === 2 && typeof target === "string"
+        ? typeof lookup[i] === "string" && wildcardToRegExp(target).test(lookup[i])
+        : lookup[i] !== "" && !isFormulaError(lookup[i]) && compareValues(lookup[i], target) === 0
+    );
+    if (index === undefined && (matchMode === -1 || matchMode === 1)) {
+      for (const i of order) {
+        if (lookup[i] === "" || isFormulaError(lookup[i])) continue;
+        const comparison = compareValues(lookup[i], target);
+        if (matchMode === -1 ? comparison >= 0 : comparison <= 0) continue;
+        if (
+          index === undefined ||
+          (matchMode === -1
+            ? compareValues(lookup[i], lookup[index]) > 0
+            : compareValues(lookup[i], lookup[index]) < 0)
+        ) {
+          index = i;
+        }
+      }
+    }
+
+    if (index === undefined) {
+      return missing !== undefined ? missing : notFound(key);
+    }
+
+    // Return the matching row or column of the result range
+    const isVertical = toRange(lookupArg).length > 1 || lookup.length === 1;
+    const values = isVertical ? [result[index]] : result.map((row) => [row[index]]);
+    return values.length === 1 && values[0].length === 1 ? values[0][0] : values;
+  },
+});
+
+// Conditional aggregation. Criteria look like 5, ">5", "<>apple" or "a*"
+const parseCriterion = (criterion) => {
+  criterion = toScalar(criterion);
+  if (typeof criterion !== "string") return { operator: "=", operand: criterion };
+
+  const [, operator = "=", rest] = criterion.match(/^(<=|>=|<>|<|>|=)?([\s\S]*)$/);
+  let operand = rest;
+  if (rest.trim() !== "" && !isNaN(Number(rest))) operand = Number(rest);
+  else if (/^(TRUE|FALSE)$/i.test(rest)) operand = rest.toUpperCase() === "TRUE";
+  return { operator, operand };
+};
+
+const matchesCriterion = (value, { operator, operand }) => {
+  if (typeof operand === "string" && (operator === "=" || operator === "<>")) {
+    const matched =
+      operand === ""
+        ? value === ""
+        : typeof value === "string" && wildcardToRegExp(operand).test(value);
+    return operator === "=" ? matched : !matched;
+  }
+
+  // Numbers only compare with numbers, text with text, booleans with booleans
+  if (typeof value !== typeof operand || value === "") {
+    return operator === "<>";
+  }
+
+  const comparison = compareValues(value, operand);
+  switch (operator) {
+    case "=":
+      return comparison === 0;
+    case "<>":
+      return comparison !== 0;
+    case "<":
+      return comparison < 0;
+    case ">":
+      return comparison > 0;
+    case "<=":
+      return comparison <= 0;
+    default:
+      return comparison >= 0;
+  }
+};
+
+// Values of `valuesRange` whose positions satisfy every (range, criterion) pair
+const selectMatching = (valuesRange, conditions) => {
+  const values = toRange(valuesRange).flat();
+  const tests = conditions.map(([range, criterion]) => {
+    const cells = toRange(range).flat();
+    if (cells.length !== values.length) {
+      throw new FormulaError(ERROR_CODES.VALUE, "Criteria ranges must be the same size.");
+    }
+    return { cells, criterion: parseCriterion(criterion) };
+  });
+  return values.filter((_, i) =>
+    tests.every(({ cells, criterion }) => matchesCriterion(cells[i], criterion))
+  );
+};
+
+const criteriaPairs = (args, name) => {
+  if (args.length % 2 !== 0) {
+    throw new FormulaError(ERROR_CODES.NA, `${name} expects pairs of ranges and criteria.`);
+  }
+  const pairs = [];
+  for (let i = 0; i < args.length; i += 2) pairs.push([args[i], args[i + 1]]);
+  return pairs;
+};
+
+const averageOf = (values) => {
+  const numbers = values.filter((value) => typeof value === "number");
+  if (numbers.length === 0) throw new FormulaError(ERROR_CODES.DIV_ZERO, "No values matched, so there is nothing to average.");
+  return calculateSum(numbers) / numbers.length;
+};
+
+registerFunction("SUMIF", {
+  minArgs: 2,
+  maxArgs: 3,
+  evaluate: ([range, criterion, sumRange = range]) =>
+    calculateSum(numbersAmong(selectMatching(sumRange, [[range, criterion]]))),
+});
+
+registerFunction("COUNTIF", {
+  minArgs: 2,
+  maxArgs: 2,
+  evaluate: ([range, criterion]) => selectMatching(range, [[range, criterion]]).length,
+});
+
+registerFunction("AVERAGEIF", {
+  minArgs: 2,
+  maxArgs: 3,
+  evaluate: ([range, criterion, averageRange = range]) =>
+    averageOf(selectMatching(averageRange, [[range, criterion]])),
+});
+
+registerFunction("SUMIFS", {
+  minArgs: 3,
+  evaluate: ([sumRange, ...rest]) =>
+    calculateSum(numbersAmong(selectMatching(sumRange, criteriaPairs(rest, "SUMIFS")))),
+});
+
+registerFunction("COUNTIFS", {
+  minArgs: 2,
+  evaluate: (args) => {
+    const pairs = criteriaPairs(args, "COUNTIFS");
+    return selectMatching(pairs[0][0], pairs).length;
+  },
+});
+
+registerFunction("AVERAGEIFS", {
+  minArgs: 3,
+  evaluate: ([averageRange, ...rest]) =>
+    averageOf(selectMatching(averageRange, criteriaPairs(rest, "AVERAGEIFS"))),
+});
+
+// Date functions. Dates are serial numbers (see dateSerial.js).
+registerFunction("TODAY", {
+  maxArgs: 0,
+  volatile: true,
+  evaluate: () => Math.floor(nowSerial()),
+});
+
+registerFunction("NOW", { maxArgs: 0, volatile: true, evaluate: () => nowSerial() });
+
+registerFunction("DATE", {
+  minArgs: 3,
+  maxArgs: 3,
+  evaluate: ([year, month, day]) =>
+    dateToSerial(
+      Math.trunc(toNumber(year)),
+      Math.trunc(toNumber(month)),
+      Math.trunc(toNumber(day))
+    ),
+});
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+registerFunction("DATEDIF", {
+  minArgs: 3,
+  maxArgs: 3,
+  evaluate: ([startArg, endArg, unitArg]) => {
+    const startSerial = Math.floor(toNumber(startArg));
+    const endSerial = Math.floor(toNumber(endArg));
+    if (startSerial > endSerial) {
+      throw new FormulaError(ERROR_CODES.NUM, "DATEDIF start date is after the end date.");
+    }
+
+    const start = serialToParts(startSerial);
+    const end = serialToParts(endSerial);
+    const months =
+      (end.year - start.year) * 12 + (end.month - start.month) - (end.day < start.day ? 1 : 0);
+
+    switch (toText(unitArg).toUpperCase()) {
+      case "D":
+        return endSerial - startSerial;
+      case "M":
+        return months;
+      case "Y":
+        return Math.floor(months / 12);
+      case "YM":
+        return months % 12;
+      case "MD": {
+        if (end.day >= start.day) return end.day - start.day;
+        const previousMonth = end.month === 1 ? 12 : end.month - 1;
+        const previousYear = end.month === 1 ? end.year - 1 : end.year;
+        const previousDays = daysInMonth(previousYear, previousMonth);
+        return previousDays - Math.min(start.day, previousDays) + end.day;
+      }
+      case "YD": {
+        let anniversary = dateToSerial(end.year, start.month, start.day);
+        if (anniversary > endSerial) anniversary = dateToSerial(end.year - 1, start.month, start.day);
+        return endSerial - anniversary;
+      }
+      default:
+        throw new FormulaError(ERROR_CODES.NUM, `Unknown DATEDIF unit "${toText(unitArg)}".`);
+    }
+  },
+});
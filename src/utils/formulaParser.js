@@ -0,0 +1,461 @@
+import { columnToIndex } from "./cellReferences";
+
+// Formula tokenizer and parser. A formula such as "=SUM(A1:A3)*2" is turned
+// into an AST that the evaluator walks and that dependency tracking can
+// inspect for cell and range references. Reference nodes also record their
+// source offsets (`from`/`to`, relative to the text after "=") so that they
+// can be rewritten in place, and the sheet name when the reference points at
+// another sheet (Sheet2!A1:B5 or 'My Sheet'!A1) along with its `sheetPrefix`
+// as typed, so rewrites that keep the sheet also keep how it was written.
+
+const COMPARISON_OPERATORS = ["=", "<>", "<", ">", "<=", ">="];
+// A "$" before the column letters or row number anchors that part, e.g. $A$1
+const CELL_PATTERN = /^(\$?)([A-Z]+)(\$?)(\d+)$/i;
+const COLUMN_PATTERN = /^(\$?)([A-Z]+)$/i;
+const ROW_PATTERN = /^(\$?)(\d+)$/;
+
+export const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    // Skip whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers (e.g. 3, 3.14, .5, 1e3), or an anchored row number in a
+    // whole-row range such as $3:$5
+    const numberMatch = input.slice(i).match(/^(\$\d+|(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)/i);
+    if (numberMatch) {
+      tokens.push({
+        type: "number",
+        value: numberMatch[0],
+        start: i,
+        end: i + numberMatch[0].length,
+      });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // String literals, with "" as an escaped quote
+    if (ch === '"') {
+      let value = "";
+      let j = i + 1;
+      while (j < input.length) {
+        if (input[j] === '"') {
+          if (input[j + 1] === '"') {
+            value += '"';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += input[j];
+        j++;
+      }
+      if (j >= input.length) {
+        throw new Error("Unterminated string literal");
+      }
+      tokens.push({ type: "string", value, start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    // Quoted sheet name prefix, e.g. 'Q1 Sales'!A1 ('' escapes a quote)
+    if (ch === "'") {
+      let name = "";
+      let j = i + 1;
+      while (j < input.length) {
+        if (input[j] === "'") {
+          if (input[j + 1] === "'") {
+            name += "'";
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        name += input[j];
+        j++;
+      }
+      if (input[j] !== "'" || input[j + 1] !== "!") {
+        throw new Error("Expected a sheet reference such as 'Sheet 1'!A1");
+      }
+      tokens.push({ type: "sheet", value: name, start: i, end: j + 2 });
+      i = j + 2;
+      continue;
+    }
+
+    // Error literals such as #REF!, left behind when a referenced cell is deleted
+    const errorMatch = input.slice(i).match(/^#(REF!|DIV\/0!|VALUE!|NAME\?|N\/A|NUM!|CIRCULAR!|ERROR!)/i);
+    if (errorMatch) {
+      tokens.push({
+        type: "error",
+        value: errorMatch[0].toUpperCase(),
+        start: i,
+        end: i + errorMatch[0].length,
+      });
+      i += errorMatch[0].length;
+      continue;
+    }
+
+    // Identifiers: function names, cell references (optionally with $
+    // anchors), column letters, TRUE/FALSE
+    const identMatch = input.slice(i).match(/^\$?[A-Z_][A-Z0-9_.]*(\$\d+)?/i);
+    if (identMatch && input[i + identMatch[0].length] === "!") {
+      // Unquoted sheet name prefix, e.g. Sheet2!A1
+      tokens.push({
+        type: "sheet",
+        value: identMatch[0],
+        start: i,
+        end: i + identMatch[0].length + 1,
+      });
+      i += identMatch[0].length + 1;
+      continue;
+    }
+    if (identMatch) {
+      tokens.push({
+        type: "identifier",
+        value: identMatch[0],
+        start: i,
+        end: i + identMatch[0].length,
+      });
+      i += identMatch[0].length;
+      continue;
+    }
+
+    // Two-character comparison operators
+    const pair = input.slice(i, i + 2);
+    if (pair === "<>" || pair === "<=" || pair === ">=") {
+      tokens.push({ type: "operator", value: pair, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+
+    if ("+-*/^&=<>%".includes(ch)) {
+      tokens.push({ type: "operator", value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const punctuation = { "(": "lparen", ")": "rparen", ",": "comma", ":": "colon" };
+    if (punctuation[ch]) {
+      tokens.push({ type: punctuation[ch], value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}" at position ${i}`);
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser. Precedence from lowest to highest:
+// comparison, concatenation (&), additive, multiplicative, exponent,
+// unary sign, postfix percent.
+export const parse = (input) => {
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const isOperator = (token, ...ops) =>
+    token && token.type === "operator" && ops.includes(token.value);
+
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected ${type} but found ${token ? `"${token.value}"` : "end of formula"}`);
+    }
+    return token;
+  };
+
+  const parseBinary = (parseOperand, operators) => {
+    let left = parseOperand();
+    while (isOperator(peek(), ...operators)) {
+      const operator = next().value;
+      const right = parseOperand();
+      left = { type: "binary", operator, left, right };
+    }
+    return left;
+  };
+
+  const parseComparison = () => parseBinary(parseConcat, COMPARISON_OPERATORS);
+  const parseConcat = () => parseBinary(parseAdditive, ["&"]);
+  const parseAdditive = () => parseBinary(parseMultiplicative, ["+", "-"]);
+  const parseMultiplicative = () => parseBinary(parsePower, ["*", "/"]);
+  const parsePower = () => parseBinary(parseUnary, ["^"]);
+
+  const parseUnary = () => {
+    if (isOperator(peek(), "+", "-")) {
+      const operator = next().value;
+      return { type: "unary", operator, operand: parseUnary() };
+    }
+    return parsePostfix();
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOperator(peek(), "%")) {
+      next();
+      node = { type: "unary", operator: "%", operand: node };
+    }
+    return node;
+  };
+
+  const parseCellRef = (token) => {
+    const match = token.value.match(CELL_PATTERN);
+    if (!match) return null;
+    return {
+      row: parseInt(match[4]) - 1,
+      col: columnToIndex(match[2]),
+      rowAbsolute: match[3] === "$",
+      colAbsolute: match[1] === "$",
+    };
+  };
+
+  const parseColumnRef = (token) => {
+    const match = token.value.match(COLUMN_PATTERN);
+    if (!match) return null;
+    return {
+      row: null,
+      col: columnToIndex(match[2]),
+      rowAbsolute: false,
+      colAbsolute: match[1] === "$",
+    };
+  };
+
+  const parseRowRef = (token) => {
+    const match = token.value.match(ROW_PATTERN);
+    if (!match) return null;
+    return {
+      row: parseInt(match[2]) - 1,
+      col: null,
+      rowAbsolute: match[1] === "$",
+      colAbsolute: false,
+    };
+  };
+
+  const parseFunctionCall = (name) => {
+    expect("lparen");
+    const args = [];
+    if (peek() && peek().type === "rparen") {
+      next();
+      return { type: "function", name, args };
+    }
+    args.push(parseComparison());
+    while (peek() && peek().type === "comma") {
+      next();
+      args.push(parseComparison());
+    }
+    expect("rparen");
+    return { type: "function", name, args };
+  };
+
+  const parseIdentifier = (token) => {
+    if (peek() && peek().type === "lparen") {
+      return parseFunctionCall(token.value.toUpperCase());
+    }
+
+    const upper = token.value.toUpperCase();
+    if (upper === "TRUE" || upper === "FALSE") {
+      return { type: "boolean", value: upper === "TRUE" };
+    }
+
+    const cell = parseCellRef(token);
+    if (cell) {
+      if (peek() && peek().type === "colon") {
+        next();
+        const endToken = expect("identifier");
+        const end = parseCellRef(endToken);
+        if (!end) throw new Error(`Invalid range end "${endToken.value}"`);
+        return {
+          type: "range",
+          start: cell,
+          end,
+          text: `${token.value}:${endToken.value}`,
+          from: token.start,
+          to: endToken.end,
+        };
+      }
+      return { type: "cell", ...cell, from: token.start, to: token.end };
+    }
+
+    // Whole-column range, e.g. A:A or $A:$C
+    const column = parseColumnRef(token);
+    if (column && peek() && peek().type === "colon") {
+      next();
+      const endToken = expect("identifier");
+      const end = parseColumnRef(endToken);
+      if (!end) {
+        throw new Error(`Invalid column range end "${endToken.value}"`);
+      }
+      return {
+        type: "range",
+        start: column,
+        end,
+        text: `${token.value}:${endToken.value}`,
+        from: token.start,
+        to: endToken.end,
+      };
+    }
+
+    // Anything else is an unknown name; it evaluates to #NAME?
+    return { type: "name", name: token.value };
+  };
+
+  // Whole-row range, e.g. 3:3 or $2:$5
+  const parseRowRange = (token) => {
+    const row = parseRowRef(token);
+    if (!row || !peek() || peek().type !== "colon") return null;
+
+    next();
+    const endToken = expect("number");
+    const end = parseRowRef(endToken);
+    if (!end) {
+      throw new Error(`Invalid row range end "${endToken.value}"`);
+    }
+    return {
+      type: "range",
+      start: row,
+      end,
+      text: `${token.value}:${endToken.value}`,
+      from: token.start,
+      to: endToken.end,
+    };
+  };
+
+  // A reference on another sheet; the sheet prefix becomes part of the node
+  const parseSheetReference = (sheetToken) => {
+    const target = next();
+    let node = null;
+    if (target && target.type === "identifier" && !(peek() && peek().type === "lparen")) {
+      node = parseIdentifier(target);
+    } else if (target && target.type === "number") {
+      node = parseRowRange(target);
+    }
+    if (!node || (node.type !== "cell" && node.type !== "range")) {
+      throw new Error(`Expected a cell or range after "${sheetToken.value}!"`);
+    }
+    return {
+      ...node,
+      sheet: sheetToken.value,
+      sheetPrefix: input.slice(sheetToken.start, sheetToken.end),
+      from: sheetToken.start,
+    };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new Error("Unexpected end of formula");
+
+    switch (token.type) {
+      case "number": {
+        const rowRange = parseRowRange(token);
+        if (rowRange) return rowRange;
+        if (token.value.startsWith("$")) {
+          throw new Error(`Unexpected "${token.value}"`);
+        }
+        return { type: "number", value: parseFloat(token.value) };
+      }
+      case "string":
+        return { type: "string", value: token.value };
+      case "error":
+        return { type: "error", code: token.value };
+      case "identifier":
+        return parseIdentifier(token);
+      case "sheet":
+        return parseSheetReference(token);
+      case "lparen": {
+        const expression = parseComparison();
+        expect("rparen");
+        return expression;
+      }
+      default:
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+  };
+
+  const ast = parseComparison();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return ast;
+};
+
+// Collect every cell and range node in an AST, e.g. for dependency tracking
+export const collectReferences = (node, references = []) => {
+  switch (node.type) {
+    case "cell":
+    case "range":
+      references.push(node);
+      break;
+    case "unary":
+      collectReferences(node.operand, references);
+      break;
+    case "binary":
+      collectReferences(node.left, references);
+      collectReferences(node.right, references);
+      break;
+    case "function":
+      node.args.forEach((arg) => collectReferences(arg, references));
+      break;
+    default:
+      break;
+  }
+  return references;
+};
+
+// Collect the names of the functions an AST calls, nested calls included
+export const collectFunctionNames = (node, names = []) => {
+  switch (node.type) {
+    case "unary":
+      collectFunctionNames(node.operand, names);
+      break;
+    case "binary":
+      collectFunctionNames(node.left, names);
+      collectFunctionNames(node.right, names);
+      break;
+    case "function":
+      names.push(node.name);
+      node.args.forEach((arg) => collectFunctionNames(arg, names));
+      break;
+    default:
+      break;
+  }
+  return names;
+};
+
+// Parsed formulas are cached so evaluation and dependency tracking share one
+// AST. The least recently used formula is dropped once the cache is full.
+const astCache = new Map();
+const MAX_CACHE_SIZE = 10000;
+
+export const parseFormula = (formula) => {
+  if (astCache.has(formula)) {
+    const cached = astCache.get(formula);
+    // Maps keep insertion order, so re-inserting marks the formula as used
+    astCache.delete(formula);
+    astCache.set(formula, cached);
+    if (cached instanceof Error) throw cached;
+    return cached;
+  }
+
+  if (astCache.size >= MAX_CACHE_SIZE) {
+    astCache.delete(astCache.keys().next().value);
+  }
+
+  const source = formula.startsWith("=") ? formula.substring(1) : formula;
+  try {
+    const ast = parse(source);
+    astCache.set(formula, ast);
+    return ast;
+  } catch (error) {
+    astCache.set(formula, error);
+    throw error;
+  }
+};
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { collectReferences, parse, parseFormula, tokenize } from "./formulaParser";
+
+describe("tokenize", () => {
+  it("splits numbers, strings, references and operators", () => {
+    expect(tokenize('A1+"a b"&2.5').map((token) => token.value)).toEqual([
+      "A1",
+      "+",
+      "a b",
+      "&",
+      "2.5",
+    ]);
+  });
+
+  it("rejects characters formulas don't use", () => {
+    expect(() => tokenize("A1 # 2")).toThrow(/Unexpected character/);
+  });
+});
+
+describe("parse", () => {
+  it("gives multiplication precedence over addition", () => {
+    expect(parse("1+2*3")).toEqual({
+      type: "binary",
+      operator: "+",
+      left: { type: "number", value: 1 },
+      right: {
+        type: "binary",
+        operator: "*",
+        left: { type: "number", value: 2 },
+        right: { type: "number", value: 3 },
+      },
+    });
+  });
+
+  it("reads absolute, mixed and sheet-qualified ranges", () => {
+    const node = parse("Sheet2!$A1:B$2");
+    expect(node).toMatchObject({
+      type: "range",
+      sheet: "Sheet2",
+      start: { row: 0, col: 0, rowAbsolute: false, colAbsolute: true },
+      end: { row: 1, col: 1, rowAbsolute: true, colAbsolute: false },
+    });
+  });
+
+  it("reads quoted sheet names", () => {
+    expect(parse("'My sheet'!B3")).toMatchObject({ type: "cell", sheet: "My sheet", row: 2, col: 1 });
+  });
+
+  it("reads whole-column ranges with open rows", () => {
+    expect(parse("SUM(A:A)").args[0]).toMatchObject({
+      type: "range",
+      start: { row: null, col: 0 },
+      end: { row: null, col: 0 },
+    });
+  });
+
+  it("rejects incomplete formulas", () => {
+    expect(() => parse("1+")).toThrow();
+    expect(() => parse("SUM(1,2")).toThrow();
+  });
+});
+
+describe("parseFormula", () => {
+  it("returns the same AST for the same formula", () => {
+    expect(parseFormula("=A1+1")).toBe(parseFormula("=A1+1"));
+  });
+
+  it("keeps recently used formulas when the cache fills up", () => {
+    const ast = parseFormula("=B1*2");
+    for (let i = 0; i < 20000; i++) {
+      parseFormula(`=${i}`);
+      parseFormula("=B1*2");
+    }
+    expect(parseFormula("=B1*2")).toBe(ast);
+  });
+
+  it("throws the same parse error again for a cached formula", () => {
+    expect(() => parseFormula("=(")).toThrow();
+    expect(() => parseFormula("=(")).toThrow();
+  });
+});
+
+describe("collectReferences", () => {
+  it("finds every cell and range in nested expressions", () => {
+    const references = collectReferences(parse("IF(A1>0,SUM(B1:B3),-C2)"));
+    expect(references.map((ref) => ref.type)).toEqual(["cell", "range", "cell"]);
+  });
+});
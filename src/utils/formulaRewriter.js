@@ -0,0 +1,155 @@
+import { indexToColumn } from "./cellReferences";
+import { collectReferences, parseFormula } from "./formulaParser";
+
+// Rewrites the references inside a formula while leaving the rest of the
+// text untouched. Used when formulas are copied, filled or moved.
+
+const REF_ERROR = "#REF!";
+
+// Format one reference endpoint, e.g. { row: 0, col: 0, colAbsolute: true }
+// -> "$A1". Whole-column endpoints have row null, whole-row endpoints col null.
+export const formatReference = ({ row, col, rowAbsolute, colAbsolute }) => {
+  const colPart = col === null ? "" : `${colAbsolute ? "$" : ""}${indexToColumn(col)}`;
+  const rowPart = row === null ? "" : `${rowAbsolute ? "$" : ""}${row + 1}`;
+  return colPart + rowPart;
+};
+
+// Sheet names are quoted only when they can't be read unquoted: names that
+// aren't plain identifiers, and names that read as a cell reference within
+// the grid (A1, XFD3), e.g. 'Q1 Sales'!A1 but Sheet2!A1
+export const formatSheetPrefix = (name) => {
+  if (/^[A-Z_][A-Z0-9_.]*$/i.test(name) && !/^[A-Z]{1,3}\d+$/i.test(name)) {
+    return `${name}!`;
+  }
+  return `'${name.replace(/'/g, "''")}'!`;
+};
+
+// A reference still on the sheet it was written with keeps its prefix as
+// typed; only a reference moved to another sheet (a rename) gets a new one
+const formatNode = (node, original = node) => {
+  let prefix = "";
+  if (node.sheet) {
+    prefix =
+      node.sheet === original.sheet && original.sheetPrefix
+        ? original.sheetPrefix
+        : formatSheetPrefix(node.sheet);
+  }
+  return node.type === "range"
+    ? `${prefix}${formatReference(node.start)}:${formatReference(node.end)}`
+    : `${prefix}${formatReference(node)}`;
+};
+
+// Apply `transform` to every cell and range reference in a formula. It
+// receives { type: "cell", sheet, row, col, rowAbsolute, colAbsolute } or
+// { type: "range", sheet, start, end } (sheet is undefined for references on
+// the formula's own sheet) and returns the replacement reference, or null to
+// turn the reference into #REF!. Formulas that don't parse are returned
+// unchanged.
+export const transformReferences = (formula, transform) => {
+  if (typeof formula !== "string" || !formula.startsWith("=")) return formula;
+
+  let ast;
+  try {
+    ast = parseFormula(formula);
+  } catch {
+    return formula;
+  }
+
+  // Replace from the end so earlier offsets stay valid
+  const references = collectReferences(ast).sort((a, b) => b.from - a.from);
+  let result = formula;
+  for (const node of references) {
+    const { type, sheet, row, col, rowAbsolute, colAbsolute, start, end } = node;
+    const replacement = transform(
+      type === "range"
+        ? { type, sheet, start, end }
+        : { type, sheet, row, col, rowAbsolute, colAbsolute }
+    );
+    // Offsets are relative to the text after the leading "="
+    const from = node.from + 1;
+    const to = node.to + 1;
+    result =
+      result.slice(0, from) +
+      (replacement ? formatNode(replacement, node) : REF_ERROR) +
+      result.slice(to);
+  }
+  return result;
+};
+
+// Move the relative parts of one endpoint, keeping anchored parts fixed.
+// Returns null when the result falls off the top or left of the grid.
+const shiftEndpoint = (ref, rowOffset, colOffset) => {
+  const row = ref.row === null || ref.rowAbsolute ? ref.row : ref.row + rowOffset;
+  const col = ref.col === null || ref.colAbsolute ? ref.col : ref.col + colOffset;
+  if ((row !== null && row < 0) || (col !== null && col < 0)) return null;
+  return { ...ref, row, col };
+};
+
+export const shiftReference = (ref, rowOffset, colOffset) => {
+  if (ref.type === "range") {
+    const start = shiftEndpoint(ref.start, rowOffset, colOffset);
+    const end = shiftEndpoint(ref.end, rowOffset, colOffset);
+    return start && end ? { ...ref, start, end } : null;
+  }
+  return shiftEndpoint(ref, rowOffset, colOffset);
+};
+
+// Adjust a formula copied from one cell to another: relative references move
+// by the same offset as the formula, anchored ($) parts stay put
+export const shiftFormula = (formula, rowOffset, colOffset) =>
+  transformReferences(formula, (ref) => shiftReference(ref, rowOffset, colOffset));
+
+// Adjust a formula moved from cell `from` to `to` by a transposing paste.
+// Fully relative references are mirrored with it, so a reference to the cell
+// on the left becomes one to the cell above; references with an anchored ($)
+// part shift like a copy.
+export const transposeFormula = (formula, from, to) => {
+  const rowOffset = to.row - from.row;
+  const colOffset = to.col - from.col;
+  const transposeEndpoint = (ref) => {
+    if (ref.row === null || ref.col === null || ref.rowAbsolute || ref.colAbsolute) {
+      return shiftEndpoint(ref, rowOffset, colOffset);
+    }
+    const row = to.row + (ref.col - from.col);
+    const col = to.col + (ref.row - from.row);
+    return row < 0 || col < 0 ? null : { ...ref, row, col };
+  };
+  return transformReferences(formula, (ref) => {
+    if (ref.type !== "range") return transposeEndpoint(ref);
+    const start = transposeEndpoint(ref.start);
+    const end = transposeEndpoint(ref.end);
+    return start && end ? { ...ref, start, end } : null;
+  });
+};
+
+// Cycle the reference under the cursor through A1 -> $A$1 -> A$1 -> $A1 -> A1,
+// like F4 in Sheets. Returns the new formula, or the original one when the
+// cursor isn't on a single-cell reference.
+export const toggleAbsoluteReference = (formula, cursor) => {
+  if (typeof formula !== "string" || !formula.startsWith("=")) return formula;
+
+  let ast;
+  try {
+    ast = parseFormula(formula);
+  } catch {
+    return formula;
+  }
+
+  const target = collectReferences(ast).find(
+    (node) => node.type === "cell" && cursor >= node.from + 1 && cursor <= node.to + 1
+  );
+  if (!target) return formula;
+
+  const { rowAbsolute, colAbsolute } = target;
+  let next;
+  if (!rowAbsolute && !colAbsolute) next = { rowAbsolute: true, colAbsolute: true };
+  else if (rowAbsolute && colAbsolute) next = { rowAbsolute: true, colAbsolute: false };
+  else if (rowAbsolute) next = { rowAbsolute: false, colAbsolute: true };
+  else next = { rowAbsolute: false, colAbsolute: false };
+
+  return (
+    formula.slice(0, target.from + 1) +
+    formatNode({ ...target, ...next }) +
+    formula.slice(target.to + 1)
+  );
+};
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatSheetPrefix,
+  shiftFormula,
+  toggleAbsoluteReference,
+  transformReferences,
+  transposeFormula,
+} from "./formulaRewriter";
+
+describe("formatSheetPrefix", () => {
+  it("leaves plain names unquoted", () => {
+    expect(formatSheetPrefix("Sheet2")).toBe("Sheet2!");
+    expect(formatSheetPrefix("Data_2024")).toBe("Data_2024!");
+  });
+
+  it("quotes names that need it", () => {
+    expect(formatSheetPrefix("Q1 Sales")).toBe("'Q1 Sales'!");
+    expect(formatSheetPrefix("A1")).toBe("'A1'!");
+    expect(formatSheetPrefix("2024")).toBe("'2024'!");
+    expect(formatSheetPrefix("Bob's")).toBe("'Bob''s'!");
+  });
+});
+
+describe("shiftFormula", () => {
+  it("moves relative parts and keeps anchored ones", () => {
+    expect(shiftFormula("=A1+$A1+A$1+$A$1", 1, 2)).toBe("=C2+$A2+C$1+$A$1");
+  });
+
+  it("shifts ranges, whole columns and whole rows", () => {
+    expect(shiftFormula("=SUM(A1:B2)+SUM(C:C)+SUM(3:3)", 1, 1)).toBe(
+      "=SUM(B2:C3)+SUM(D:D)+SUM(4:4)"
+    );
+  });
+
+  it("turns references pushed off the grid into #REF!", () => {
+    expect(shiftFormula("=A1+B2", -1, 0)).toBe("=#REF!+B1");
+  });
+
+  it("keeps sheet prefixes as they were typed", () => {
+    expect(shiftFormula("=Sheet2!A1", 1, 1)).toBe("=Sheet2!B2");
+    expect(shiftFormula("='Sheet2'!A1+'My data'!A1", 1, 0)).toBe("='Sheet2'!A2+'My data'!A2");
+  });
+
+  it("leaves text, functions and formulas that don't parse alone", () => {
+    expect(shiftFormula('=LOG10(A1)&"A1"', 0, 1)).toBe('=LOG10(B1)&"A1"');
+    expect(shiftFormula("=SUM(A1", 1, 1)).toBe("=SUM(A1");
+    expect(shiftFormula("A1", 1, 1)).toBe("A1");
+  });
+});
+
+describe("transformReferences", () => {
+  it("writes a new prefix only for references moved to another sheet", () => {
+    const rename = (ref) => (ref.sheet === "Sheet2" ? { ...ref, sheet: "Q1 Sales" } : ref);
+    expect(transformReferences("=Sheet2!A1+'Other'!B1+C1", rename)).toBe(
+      "='Q1 Sales'!A1+'Other'!B1+C1"
+    );
+  });
+});
+
+describe("transposeFormula", () => {
+  it("mirrors relative references with the moved cell", () => {
+    // B1 -> A2: a reference to the cell on its left becomes one to the cell above
+    expect(transposeFormula("=A1", { row: 0, col: 1 }, { row: 1, col: 0 })).toBe("=A1");
+    expect(transposeFormula("=A2", { row: 0, col: 1 }, { row: 1, col: 0 })).toBe("=B1");
+  });
+});
+
+describe("toggleAbsoluteReference", () => {
+  it("cycles the reference under the cursor", () => {
+    expect(toggleAbsoluteReference("=A1+B1", 1)).toBe("=$A$1+B1");
+    expect(toggleAbsoluteReference("=$A$1", 1)).toBe("=A$1");
+    expect(toggleAbsoluteReference("=A$1", 1)).toBe("=$A1");
+    expect(toggleAbsoluteReference("=$A1", 1)).toBe("=A1");
+  });
+
+  it("keeps the sheet prefix of the reference", () => {
+    expect(toggleAbsoluteReference("='Sheet2'!A1", 11)).toBe("='Sheet2'!$A$1");
+  });
+});
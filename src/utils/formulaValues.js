@@ -0,0 +1,77 @@
+import { ERROR_CODES, FormulaError, isFormulaError } from "./formulaErrors";
+
+// Value coercion shared by the formula evaluator and the function library
+
+// Flatten function arguments (scalars and 2D range values) into one list
+export const flattenArgs = (args) =>
+  args.flatMap((arg) => (Array.isArray(arg) ? arg.flat() : [arg]));
+
+// Functions that expect a single value reject ranges, and an error value
+// propagates instead of being converted
+export const toScalar = (value) => {
+  if (Array.isArray(value)) {
+    throw new FormulaError(ERROR_CODES.VALUE, "A range was used where a single value is expected.");
+  }
+  if (isFormulaError(value)) throw value;
+  return value;
+};
+
+// Throw the first error found in a list of values
+export const throwIfError = (values) => {
+  const error = values.find(isFormulaError);
+  if (error) throw error;
+  return values;
+};
+
+export const toNumber = (value) => {
+  value = toScalar(value);
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value === "" || value === null || value === undefined) return 0;
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  throw new FormulaError(ERROR_CODES.VALUE, `Expected a number but got the text "${value}".`);
+};
+
+export const toText = (value) => {
+  value = toScalar(value);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (value === null || value === undefined) return "";
+  return String(value);
+};
+
+export const toBoolean = (value) => {
+  value = toScalar(value);
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+  if (value === "" || value === null || value === undefined) return false;
+  const upper = String(value).toUpperCase();
+  if (upper === "TRUE") return true;
+  if (upper === "FALSE") return false;
+  throw new FormulaError(ERROR_CODES.VALUE, `Expected TRUE or FALSE but got "${value}".`);
+};
+
+// Type ordering used when comparing mixed values: numbers < text < booleans
+const typeRank = (value) => {
+  if (typeof value === "number") return 0;
+  if (typeof value === "boolean") return 2;
+  return 1;
+};
+
+export const compareValues = (a, b) => {
+  // Empty cells compare as 0 against numbers and as "" against text
+  if (a === "") a = typeof b === "number" ? 0 : "";
+  if (b === "") b = typeof a === "number" ? 0 : "";
+
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (rankA === 1) {
+    const textA = toText(a).toLowerCase();
+    const textB = toText(b).toLowerCase();
+    return textA < textB ? -1 : textA > textB ? 1 : 0;
+  }
+  return Number(a) - Number(b);
+};
@@ -0,0 +1,58 @@
+// Keyboard movement around a sheet's cells
+
+// Row and column step of each arrow key
+export const ARROW_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+const hasData = (cells, row, col) => cells[row]?.[col] !== "" && cells[row]?.[col] !== undefined;
+
+// Where Ctrl+Arrow lands from (row, col): the last filled cell of the block
+// it's in, or else the next filled cell in that direction, or else the edge
+// of the sheet
+export const findDataEdge = (cells, row, col, rowStep, colStep) => {
+  const inSheet = (r, c) => r >= 0 && r < cells.length && c >= 0 && c < cells[0].length;
+  let r = row;
+  let c = col;
+  if (!inSheet(r + rowStep, c + colStep)) return { row: r, col: c };
+
+  if (hasData(cells, r, c) && hasData(cells, r + rowStep, c + colStep)) {
+    while (inSheet(r + rowStep, c + colStep) && hasData(cells, r + rowStep, c + colStep)) {
+      r += rowStep;
+      c += colStep;
+    }
+    return { row: r, col: c };
+  }
+  do {
+    r += rowStep;
+    c += colStep;
+  } while (inSheet(r + rowStep, c + colStep) && !hasData(cells, r, c));
+  return { row: r, col: c };
+};
+
+// The bottom-right corner of the cells holding data (Ctrl+End), or A1 when
+// the sheet is empty
+export const findLastUsedCell = (cells) => {
+  let row = 0;
+  let col = 0;
+  cells.forEach((cellsInRow, r) =>
+    cellsInRow.forEach((value, c) => {
+      if (value === "") return;
+      row = Math.max(row, r);
+      col = Math.max(col, c);
+    })
+  );
+  return { row, col };
+};
+
+// The last column holding data in a row (End), or the first column
+export const findLastUsedColumn = (cells, row) => {
+  const cellsInRow = cells[row] || [];
+  for (let c = cellsInRow.length - 1; c > 0; c--) {
+    if (cellsInRow[c] !== "") return c;
+  }
+  return 0;
+};
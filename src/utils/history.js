@@ -0,0 +1,76 @@
+// Undo/redo history. Every grid mutation is recorded as a command holding the
+// workbook before and after it:
+//
+//   { label, before, after, beforeRevision?, afterRevision?, mergeKey?, time }
+//
+// Workbooks are immutable and structurally shared, so a command only costs
+// the rows and sheets it actually changed. Undoing restores `before`, redoing
+// restores `after`. The revisions are the store's numbers for those two
+// states, so undoing back to a saved state counts as saved again.
+
+export const HISTORY_LIMIT = 100;
+
+// Consecutive commands with the same mergeKey (e.g. keystrokes typed into one
+// cell) collapse into a single step when they arrive within this window
+const MERGE_WINDOW_MS = 1000;
+
+export const createHistory = (limit = HISTORY_LIMIT) => ({
+  past: [],
+  future: [],
+  limit,
+});
+
+export const createCommand = (label, before, after, mergeKey = null) => ({
+  label,
+  before,
+  after,
+  mergeKey,
+  time: Date.now(),
+});
+
+// Record a command; anything that was undone can no longer be redone
+export const pushCommand = (history, command) => {
+  const last = history.past[history.past.length - 1];
+  if (
+    last &&
+    command.mergeKey &&
+    last.mergeKey === command.mergeKey &&
+    command.time - last.time <= MERGE_WINDOW_MS
+  ) {
+    const merged = { ...command, before: last.before, beforeRevision: last.beforeRevision };
+    return { ...history, past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+
+  const past = [...history.past, command];
+  if (past.length > history.limit) {
+    past.splice(0, past.length - history.limit);
+  }
+  return { ...history, past, future: [] };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// Both return the moved command along with the new history, or null when
+// there is nothing to undo/redo
+export const undoCommand = (history) => {
+  if (!canUndo(history)) return null;
+  const command = history.past[history.past.length - 1];
+  return {
+    command,
+    history: {
+      ...history,
+      past: history.past.slice(0, -1),
+      future: [command, ...history.future],
+    },
+  };
+};
+
+export const redoCommand = (history) => {
+  if (!canRedo(history)) return null;
+  const [command, ...future] = history.future;
+  return {
+    command,
+    history: { ...history, past: [...history.past, command], future },
+  };
+};
@@ -0,0 +1,569 @@
+import { MONTH_NAMES, serialToParts, WEEKDAY_NAMES } from "./dateSerial";
+import { isFormulaError } from "./formulaErrors";
+
+// Number formats. A format is a Sheets-style pattern such as "#,##0.00",
+// "0.0%", "yyyy-mm-dd" or "$#,##0.00;[Red]-$#,##0.00", stored in the cell's
+// style. Formatting only changes how a value is displayed; the value itself
+// stays a number, so formulas keep working on it.
+//
+// A pattern has up to four sections separated by ";": positive, negative,
+// zero and text. Sections may start with a color such as [Red]. A "/"
+// between digit placeholders shows a fraction, e.g. "# ?/?" or "?/8".
+
+export const GENERAL_FORMAT = "General";
+
+export const NUMBER_FORMATS = [
+  { label: "Automatic", pattern: GENERAL_FORMAT },
+  { label: "Number", pattern: "#,##0.00" },
+  { label: "Plain number", pattern: "0" },
+  { label: "Currency", pattern: "$#,##0.00" },
+  { label: "Currency (red negatives)", pattern: "$#,##0.00;[Red]-$#,##0.00" },
+  { label: "Accounting", pattern: '$#,##0.00;($#,##0.00);"-"' },
+  { label: "Percent", pattern: "0.00%" },
+  { label: "Scientific", pattern: "0.00E+00" },
+  { label: "Date", pattern: "yyyy-mm-dd" },
+  { label: "Long date", pattern: "dddd, mmmm d, yyyy" },
+  { label: "Time", pattern: "h:mm:ss AM/PM" },
+  { label: "Date time", pattern: "yyyy-mm-dd hh:mm:ss" },
+  { label: "Duration", pattern: "[h]:mm:ss" },
+];
+
+const COLORS = {
+  black: "#000000",
+  red: "#dc2626",
+  green: "#16a34a",
+  blue: "#2563eb",
+  yellow: "#ca8a04",
+  magenta: "#c026d3",
+  cyan: "#0891b2",
+  white: "#ffffff",
+};
+
+const DATE_TOKEN = /^(yyyy|yy|mmmmm|mmmm|mmm|mm|m|dddd|ddd|dd|d|hh|h|ss|s|am\/pm|a\/p)/i;
+
+// Split a pattern into sections on ";" outside quotes and escapes
+const splitSections = (pattern) => {
+  const sections = [];
+  let current = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '"') {
+      const end = pattern.indexOf('"', i + 1);
+      const stop = end === -1 ? pattern.length : end + 1;
+      current += pattern.slice(i, stop);
+      i = stop - 1;
+    } else if (ch === "\\") {
+      current += pattern.slice(i, i + 2);
+      i++;
+    } else if (ch === ";") {
+      sections.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  sections.push(current);
+  return sections;
+};
+
+// Tokenize one section into literals, placeholders and date parts
+const tokenizeSection = (section) => {
+  const tokens = [];
+  let color = null;
+  let i = 0;
+
+  const literal = (text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === "literal") {
+      last.text += text;
+    } else {
+      tokens.push({ type: "literal", text });
+    }
+  };
+
+  while (i < section.length) {
+    const ch = section[i];
+    const rest = section.slice(i);
+
+    if (ch === '"') {
+      const end = section.indexOf('"', i + 1);
+      const stop = end === -1 ? section.length : end;
+      literal(section.slice(i + 1, stop));
+      i = stop + 1;
+      continue;
+    }
+    if (ch === "\\") {
+      literal(section[i + 1] || "");
+      i += 2;
+      continue;
+    }
+    if (ch === "[") {
+      const end = section.indexOf("]", i);
+      const content = section.slice(i + 1, end === -1 ? section.length : end);
+      const lower = content.toLowerCase();
+      if (COLORS[lower]) {
+        color = COLORS[lower];
+      } else if (/^(h+|m+|s+)$/.test(lower)) {
+        // Elapsed time, e.g. [h]:mm for durations over a day
+        tokens.push({ type: "elapsed", unit: lower[0], width: lower.length });
+      }
+      i = end === -1 ? section.length : end + 1;
+      continue;
+    }
+    if (ch === "_") {
+      // Space the width of the next character
+      literal(" ");
+      i += 2;
+      continue;
+    }
+    if (ch === "*") {
+      // Repeat-to-fill has no meaning in a fixed-width cell
+      i += 2;
+      continue;
+    }
+    if (/^e[+-]/i.test(rest)) {
+      tokens.push({ type: "exponent", showPlus: rest[1] === "+" });
+      i += 2;
+      continue;
+    }
+    if ("0#?".includes(ch)) {
+      tokens.push({ type: "digit", char: ch });
+      i++;
+      continue;
+    }
+    // A fraction bar follows the numerator's placeholders; elsewhere, as in
+    // dates, "/" is literal
+    if (ch === "/" && tokens[tokens.length - 1]?.type === "digit") {
+      tokens.push({ type: "/" });
+      i++;
+      continue;
+    }
+    if (ch === "." || ch === "," || ch === "%" || ch === "@") {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+    const dateMatch = rest.match(DATE_TOKEN);
+    if (dateMatch) {
+      tokens.push({ type: "date", text: dateMatch[0] });
+      i += dateMatch[0].length;
+      continue;
+    }
+    literal(ch);
+    i++;
+  }
+
+  return { tokens, color };
+};
+
+const compiledPatterns = new Map();
+
+const compilePattern = (pattern) => {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+  const compiled = splitSections(pattern).map((section) => {
+    const { tokens, color } = tokenizeSection(section);
+    const isDate = tokens.some((token) => token.type === "date" || token.type === "elapsed");
+    const isFraction = !isDate && tokens.some((token) => token.type === "/");
+    return { tokens, color, isDate, isFraction };
+  });
+  compiledPatterns.set(pattern, compiled);
+  return compiled;
+};
+
+// Whether a pattern shows numbers as dates/times, or as percentages
+export const isDateFormat = (pattern) =>
+  !!pattern && pattern !== GENERAL_FORMAT && compilePattern(pattern)[0].isDate;
+
+export const isPercentFormat = (pattern) =>
+  !!pattern &&
+  pattern !== GENERAL_FORMAT &&
+  compilePattern(pattern)[0].tokens.some((token) => token.type === "%");
+
+const groupThousands = (digits) => digits.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+
+// Format a non-negative number with a numeric section
+const formatNumberSection = (value, tokens) => {
+  let number = value;
+  const decimalIndex = tokens.findIndex((token) => token.type === ".");
+  const exponentIndex = tokens.findIndex((token) => token.type === "exponent");
+  const mantissaEnd = exponentIndex === -1 ? tokens.length : exponentIndex;
+
+  const integerPlaceholders = [];
+  const fractionPlaceholders = [];
+  const exponentPlaceholders = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== "digit") return;
+    if (index > mantissaEnd) exponentPlaceholders.push(token.char);
+    else if (decimalIndex !== -1 && index > decimalIndex) fractionPlaceholders.push(token.char);
+    else integerPlaceholders.push(token.char);
+  });
+
+  // A comma between integer placeholders groups thousands; commas right
+  // after the last integer placeholder scale the number by 1000 each
+  const lastIntegerIndex = tokens.reduce(
+    (last, token, index) =>
+      token.type === "digit" && (decimalIndex === -1 || index < decimalIndex) && index < mantissaEnd
+        ? index
+        : last,
+    -1
+  );
+  let useThousands = false;
+  tokens.forEach((token, index) => {
+    if (token.type !== ",") return;
+    if (index < lastIntegerIndex) {
+      useThousands = true;
+    } else if (index === lastIntegerIndex + 1 || tokens[index - 1]?.type === ",") {
+      number /= 1000;
+    }
+  });
+
+  const percentCount = tokens.filter((token) => token.type === "%").length;
+  number *= 100 ** percentCount;
+
+  let exponent = 0;
+  if (exponentIndex !== -1 && number !== 0) {
+    const integerDigits = Math.max(1, integerPlaceholders.length);
+    exponent = Math.floor(Math.log10(number)) - (integerDigits - 1);
+    number /= 10 ** exponent;
+  }
+
+  let [integerPart, fractionPart = ""] = number.toFixed(fractionPlaceholders.length).split(".");
+  if (exponentIndex !== -1 && integerPart.length > Math.max(1, integerPlaceholders.length)) {
+    // Rounding carried into a new digit, e.g. 9.99 -> 10.0
+    exponent += 1;
+    [integerPart, fractionPart = ""] = (number / 10).toFixed(fractionPlaceholders.length).split(".");
+  }
+
+  // Integer digits: "0" placeholders force digits, "#" and "?" don't
+  const minIntegerDigits = integerPlaceholders.filter((char) => char === "0").length;
+  if (integerPart === "0" && minIntegerDigits === 0) integerPart = "";
+  integerPart = integerPart.padStart(minIntegerDigits, "0");
+  if (useThousands) integerPart = groupThousands(integerPart);
+  const questionPad = integerPlaceholders.filter((char) => char === "?").length;
+  if (integerPart.length < questionPad) integerPart = integerPart.padStart(questionPad, " ");
+
+  // Fraction digits: trailing zeros in "#" positions are dropped
+  const fractionChars = fractionPart.split("");
+  for (let i = fractionChars.length - 1; i >= 0; i--) {
+    if (fractionChars[i] !== "0" || fractionPlaceholders[i] === "0") break;
+    fractionChars[i] = fractionPlaceholders[i] === "?" ? " " : "";
+  }
+  fractionPart = fractionChars.join("");
+
+  let output = "";
+  let integerWritten = false;
+  let exponentWritten = false;
+  tokens.forEach((token, index) => {
+    switch (token.type) {
+      case "literal":
+        output += token.text;
+        break;
+      case "%":
+        output += "%";
+        break;
+      case ".":
+        if (fractionPart.length > 0) output += ".";
+        break;
+      case "digit":
+        if (index > mantissaEnd) {
+          if (!exponentWritten) {
+            const digits = String(Math.abs(exponent)).padStart(exponentPlaceholders.length, "0");
+            output += digits;
+            exponentWritten = true;
+          }
+        } else if (decimalIndex !== -1 && index > decimalIndex) {
+          if (index === decimalIndex + 1 || tokens[index - 1].type !== "digit") {
+            output += fractionPart;
+            fractionPart = "";
+          }
+        } else if (!integerWritten) {
+          output += integerPart;
+          integerWritten = true;
+        }
+        break;
+      case "exponent":
+        output += "E" + (exponent < 0 ? "-" : token.showPlus ? "+" : "");
+        break;
+      default:
+        break;
+    }
+  });
+  return output;
+};
+
+// The fraction closest to `value` (between 0 and 1) whose denominator has
+// at most `digits` digits, as [numerator, denominator]
+const closestFraction = (value, digits) => {
+  let best = [0, 1];
+  let bestError = value;
+  for (let denominator = 1; denominator < 10 ** digits; denominator++) {
+    const numerator = Math.round(value * denominator);
+    const error = Math.abs(value - numerator / denominator);
+    if (error < bestError - 1e-12) {
+      best = [numerator, denominator];
+      bestError = error;
+    }
+  }
+  return best;
+};
+
+// Digits for a run of placeholders: "0" forces digits, "?" pads with
+// spaces and "#" shows nothing extra
+const fillPlaceholders = (digits, placeholders, padEnd = false) => {
+  const zeros = placeholders.filter((char) => char === "0").length;
+  const questions = placeholders.filter((char) => char === "?").length;
+  const text = digits.padStart(zeros, "0");
+  return padEnd ? text.padEnd(questions, " ") : text.padStart(questions, " ");
+};
+
+// Format a non-negative number with a fraction section. The placeholders
+// right before "/" are the numerator's and any earlier ones the whole
+// number's. After "/" come the denominator's placeholders, which give the
+// most digits it may have, or a fixed denominator such as 8.
+const formatFractionSection = (value, tokens) => {
+  const slashIndex = tokens.findIndex((token) => token.type === "/");
+  let numeratorStart = slashIndex;
+  while (tokens[numeratorStart - 1]?.type === "digit") numeratorStart--;
+  let denominatorEnd = slashIndex + 1;
+  while (tokens[denominatorEnd]?.type === "digit") denominatorEnd++;
+
+  const placeholdersIn = (from, to) =>
+    tokens.slice(from, to).filter((token) => token.type === "digit").map((token) => token.char);
+  const wholePlaceholders = placeholdersIn(0, numeratorStart);
+  const numeratorPlaceholders = placeholdersIn(numeratorStart, slashIndex);
+  const denominatorPlaceholders = placeholdersIn(slashIndex + 1, denominatorEnd);
+  const fixedDenominator =
+    denominatorPlaceholders.length === 0
+      ? tokens[slashIndex + 1]?.text?.match(/^\d+/)?.[0] || null
+      : null;
+
+  const hasWhole = wholePlaceholders.length > 0;
+  let whole = hasWhole ? Math.floor(value) : 0;
+  let [numerator, denominator] = fixedDenominator
+    ? [Math.round((value - whole) * fixedDenominator), Number(fixedDenominator)]
+    : closestFraction(value - whole, denominatorPlaceholders.length || 1);
+  if (hasWhole && numerator === denominator) {
+    whole += 1;
+    numerator = 0;
+  }
+  // A whole number shows blanks where the fraction would be
+  const hideFraction = hasWhole && numerator === 0;
+
+  const fraction = [
+    fillPlaceholders(String(numerator), numeratorPlaceholders),
+    "/",
+    fixedDenominator ?? fillPlaceholders(String(denominator), denominatorPlaceholders, true),
+  ].join("");
+  const wholeText = fillPlaceholders(
+    whole === 0 && !hideFraction ? "" : String(whole),
+    wholePlaceholders
+  );
+
+  const firstDigit = tokens.findIndex((token) => token.type === "digit");
+  let output = "";
+  tokens.forEach((token, index) => {
+    // The whole fraction is written at the numerator
+    if (index > numeratorStart && index < denominatorEnd) return;
+    if (index === numeratorStart) {
+      output += hideFraction ? " ".repeat(fraction.length) : fraction;
+    } else if (token.type === "digit") {
+      if (index === firstDigit) output += wholeText;
+    } else if (token.type === "literal") {
+      // A fixed denominator was written with the numerator
+      output += index === denominatorEnd && fixedDenominator
+        ? token.text.slice(fixedDenominator.length)
+        : token.text;
+    } else if (token.type === "%") {
+      output += "%";
+    }
+  });
+  return output;
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Format a date serial with a date/time section
+const formatDateSection = (serial, tokens) => {
+  const parts = serialToParts(serial);
+  const hasMeridiem = tokens.some(
+    (token) => token.type === "date" && /^(am\/pm|a\/p)$/i.test(token.text)
+  );
+
+  // "m"/"mm" mean minutes right after an hour or right before seconds
+  const isMinutes = (index) => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (tokens[i].type === "literal") continue;
+      if (tokens[i].type === "elapsed" && tokens[i].unit === "h") return true;
+      if (tokens[i].type === "date" && /^h/i.test(tokens[i].text)) return true;
+      break;
+    }
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (tokens[i].type === "literal") continue;
+      if (tokens[i].type === "date" && /^s/i.test(tokens[i].text)) return true;
+      break;
+    }
+    return false;
+  };
+
+  const totalSeconds = Math.round(serial * 86400);
+  let output = "";
+  tokens.forEach((token, index) => {
+    if (token.type === "literal") {
+      output += token.text;
+      return;
+    }
+    if (token.type === "elapsed") {
+      const total =
+        token.unit === "h"
+          ? Math.floor(totalSeconds / 3600)
+          : token.unit === "m"
+            ? Math.floor(totalSeconds / 60)
+            : totalSeconds;
+      output += String(total).padStart(token.width, "0");
+      return;
+    }
+    if (token.type !== "date") {
+      output += token.type === "digit" ? token.char : token.type;
+      return;
+    }
+
+    const text = token.text.toLowerCase();
+    switch (text) {
+      case "yyyy":
+        output += String(parts.year);
+        break;
+      case "yy":
+        output += pad2(parts.year % 100);
+        break;
+      case "mmmmm":
+        output += MONTH_NAMES[parts.month - 1][0];
+        break;
+      case "mmmm":
+        output += MONTH_NAMES[parts.month - 1];
+        break;
+      case "mmm":
+        output += MONTH_NAMES[parts.month - 1].slice(0, 3);
+        break;
+      case "mm":
+      case "m": {
+        const minutes = isMinutes(index);
+        const n = minutes ? Math.floor(totalSeconds / 60) % 60 : parts.month;
+        output += text === "mm" ? pad2(n) : String(n);
+        break;
+      }
+      case "dddd":
+        output += WEEKDAY_NAMES[parts.weekday];
+        break;
+      case "ddd":
+        output += WEEKDAY_NAMES[parts.weekday].slice(0, 3);
+        break;
+      case "dd":
+        output += pad2(parts.day);
+        break;
+      case "d":
+        output += String(parts.day);
+        break;
+      case "hh":
+      case "h": {
+        let hours = parts.hours;
+        if (hasMeridiem) hours = hours % 12 || 12;
+        output += text === "hh" ? pad2(hours) : String(hours);
+        break;
+      }
+      case "ss":
+        output += pad2(totalSeconds % 60);
+        break;
+      case "s":
+        output += String(totalSeconds % 60);
+        break;
+      case "am/pm":
+        output += parts.hours < 12 ? "AM" : "PM";
+        break;
+      case "a/p":
+        output += parts.hours < 12 ? "A" : "P";
+        break;
+      default:
+        output += token.text;
+    }
+  });
+  return output;
+};
+
+// Numbers in General format show up to 10 significant digits
+const formatGeneral = (value) => {
+  if (Number.isInteger(value)) return String(value);
+  return String(parseFloat(value.toPrecision(10)));
+};
+
+// Display text (and optional color) for a value under a format pattern
+export const formatValue = (value, pattern = GENERAL_FORMAT) => {
+  if (value === undefined || value === null || value === "") return { text: "", color: null };
+  if (typeof value === "boolean") return { text: value ? "TRUE" : "FALSE", color: null };
+  if (isFormulaError(value)) return { text: value.code, color: null };
+
+  const sections = !pattern || pattern === GENERAL_FORMAT ? null : compilePattern(pattern);
+
+  // Only numbers are formatted; text typed as "'007" stays text
+  if (typeof value !== "number") {
+    // Text uses the fourth section if there is one, with @ for the text
+    const textSection = sections?.[3];
+    if (!textSection) return { text: String(value), color: null };
+    const text = textSection.tokens
+      .map((token) => (token.type === "@" ? String(value) : token.text ?? ""))
+      .join("");
+    return { text, color: textSection.color };
+  }
+
+  const number = value;
+  if (!sections) return { text: formatGeneral(number), color: null };
+
+  let section = sections[0];
+  let sectionValue = number;
+  let addSign = number < 0;
+  if (number < 0 && sections[1]) {
+    section = sections[1];
+    sectionValue = -number;
+    addSign = false;
+  } else if (number === 0 && sections[2]) {
+    section = sections[2];
+  }
+  if (addSign) sectionValue = -number;
+
+  let text;
+  if (section.isDate) text = formatDateSection(number, section.tokens);
+  else if (section.isFraction) text = formatFractionSection(sectionValue, section.tokens);
+  else text = formatNumberSection(sectionValue, section.tokens);
+  return { text: (addSign && !section.isDate ? "-" : "") + text, color: section.color };
+};
+
+// Add or remove decimal places in every numeric section of a pattern. A
+// General pattern starts from the decimals `value` currently shows.
+export const changeDecimals = (pattern, delta, value) => {
+  let base = pattern;
+  if (!pattern || pattern === GENERAL_FORMAT) {
+    const shown = typeof value === "number" ? formatGeneral(value).split(".")[1] || "" : "";
+    base = shown.length > 0 ? `0.${"0".repeat(shown.length)}` : "0";
+  }
+
+  return splitSections(base)
+    .map((section) => {
+      const [{ isDate, isFraction }] = compilePattern(section);
+      if (isDate || isFraction) return section;
+      const match = section.match(/\.([0#?]*)/);
+      if (match) {
+        const places = Math.max(0, match[1].length + delta);
+        const replacement = places > 0 ? `.${"0".repeat(places)}` : "";
+        return section.replace(/\.[0#?]*/, replacement);
+      }
+      if (delta <= 0) return section;
+      // No decimal point yet: add one after the last digit placeholder
+      const lastDigit = Math.max(
+        section.lastIndexOf("0"),
+        section.lastIndexOf("#"),
+        section.lastIndexOf("?")
+      );
+      if (lastDigit === -1) return section;
+      return `${section.slice(0, lastDigit + 1)}.${"0".repeat(delta)}${section.slice(lastDigit + 1)}`;
+    })
+    .join(";");
+};
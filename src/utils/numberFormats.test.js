@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { changeDecimals, formatValue } from "./numberFormats";
+
+const format = (value, pattern) => formatValue(value, pattern).text;
+
+describe("formatValue", () => {
+  it("formats numeric sections", () => {
+    expect(format(1234.5, "#,##0.00")).toBe("1,234.50");
+    expect(format(-2, "$#,##0.00;[Red]-$#,##0.00")).toBe("-$2.00");
+    expect(format(0.125, "0.0%")).toBe("12.5%");
+  });
+
+  it("formats fractions with a whole part", () => {
+    expect(format(3.5, "# ?/?")).toBe("3 1/2");
+    expect(format(0.333, "# ?/?")).toBe(" 1/3");
+    expect(format(-3.5, "# ?/?")).toBe("-3 1/2");
+    expect(format(3.14159, "# ???/???")).toBe("3  16/113");
+    // Whole numbers leave blanks where the fraction would be
+    expect(format(2, "# ?/?")).toBe("2    ");
+  });
+
+  it("formats improper fractions and fixed denominators", () => {
+    expect(format(3.5, "?/?")).toBe("7/2");
+    expect(format(3.3, "# ?/8")).toBe("3 2/8");
+    expect(format(1.25, '?/4 "in"')).toBe("5/4 in");
+  });
+
+  it("keeps slashes in dates literal", () => {
+    expect(format(44000, "mm/dd/yyyy")).toBe("06/18/2020");
+  });
+});
+
+describe("changeDecimals", () => {
+  it("leaves fraction patterns alone", () => {
+    expect(changeDecimals("# ?/?", 1, 3.5)).toBe("# ?/?");
+    expect(changeDecimals("0.00", -1, 1)).toBe("0.0");
+  });
+});
@@ -0,0 +1,395 @@
+import { indexToColumn, parseRange } from "./cellReferences";
+import { ERROR_CODES, FormulaError } from "./formulaErrors";
+import { evaluateFormula } from "./formulaEvaluator";
+import { getFunction } from "./formulaFunctions";
+import { collectFunctionNames, collectReferences, parseFormula } from "./formulaParser";
+
+// Incremental recalculation engine. It keeps a persistent dependency graph
+// between the cells of every sheet in the workbook so that an edit only
+// re-evaluates the edited cells and their transitive dependents, in
+// topological order.
+//
+//   forward: cell key -> keys of the cells its formula reads (precedents)
+//   reverse: cell key -> keys of the formulas that read it (dependents)
+//
+// Cell keys include the sheet id ("<sheetId>!<row>-<col>") so references
+// across sheets take part in the same graph. Cells whose formulas call a
+// volatile function (e.g. NOW) are re-evaluated, with their dependents, on
+// every update.
+
+export const cellKey = (sheetId, row, col) => `${sheetId}!${row}-${col}`;
+
+export const parseCellKey = (key) => {
+  const [, sheetId, row, col] = key.match(/^(.*)!(\d+)-(\d+)$/);
+  return [sheetId, Number(row), Number(col)];
+};
+
+// Keys of the cells whose contents differ between two versions of the
+// workbook's sheets. Unchanged rows are shared between versions, so only
+// rows that were copied are compared. Sheets that were added or removed
+// change the layout, which makes the engine rebuild anyway.
+export const changedCellKeys = (previousSheets, sheets) => {
+  const previousById = new Map(previousSheets.map((sheet) => [sheet.id, sheet]));
+  const keys = [];
+  sheets.forEach((sheet) => {
+    const previous = previousById.get(sheet.id);
+    if (!previous || previous.cells === sheet.cells) return;
+    sheet.cells.forEach((row, r) => {
+      const previousRow = previous.cells[r];
+      if (row === previousRow) return;
+      row.forEach((cell, c) => {
+        if (cell !== previousRow?.[c]) keys.push(cellKey(sheet.id, r, c));
+      });
+    });
+  });
+  return keys;
+};
+
+const isFormula = (value) => typeof value === "string" && value.startsWith("=");
+
+// Get cell dependencies from a formula on sheet `sheetId`. References are
+// read from the parsed AST, so ranges are expanded cell by cell and text
+// inside string literals or function names (e.g. LOG10) is never mistaken
+// for a reference. resolveSheet(name) returns { id, rows, cols } for a sheet
+// name, or the formula's own sheet when called without a name.
+export const getCellDependencies = (formula, resolveSheet) => {
+  if (!isFormula(formula)) {
+    return [];
+  }
+
+  let ast;
+  try {
+    ast = parseFormula(formula);
+  } catch {
+    // Formulas that don't parse have no dependencies; they evaluate to an error
+    return [];
+  }
+
+  const deps = new Set();
+
+  for (const ref of collectReferences(ast)) {
+    // References to a sheet that doesn't exist evaluate to #REF!
+    const sheet = resolveSheet(ref.sheet);
+    if (!sheet) continue;
+
+    const { id, rows, cols } = sheet;
+    const addDependency = (row, col) => {
+      if (row >= 0 && row < rows && col >= 0 && col < cols) {
+        deps.add(cellKey(id, row, col));
+      }
+    };
+
+    if (ref.type === "cell") {
+      addDependency(ref.row, ref.col);
+    } else {
+      parseRange(ref.text, rows, cols).forEach(([row, col]) => addDependency(row, col));
+    }
+  }
+
+  return Array.from(deps);
+};
+
+// Whether a formula calls a volatile function, so its value can change
+// without any of its precedents changing
+const callsVolatileFunction = (formula) => {
+  if (!isFormula(formula)) return false;
+  try {
+    return collectFunctionNames(parseFormula(formula)).some((name) => getFunction(name)?.volatile);
+  } catch {
+    return false;
+  }
+};
+
+// Tarjan's strongly connected components algorithm (iterative, so long
+// dependency chains don't overflow the call stack). Edges point from a cell
+// to its precedents, so components come out precedents-first, which is the
+// order they must be evaluated in. Only keys in `keys` are visited.
+const orderForEvaluation = (keys, forward) => {
+  let index = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const visit = (key) => {
+    indices.set(key, index);
+    lowlinks.set(key, index);
+    index++;
+    stack.push(key);
+    onStack.add(key);
+    return { key, precedents: (forward.get(key) || new Set()).values() };
+  };
+
+  for (const root of keys) {
+    if (indices.has(root)) continue;
+
+    const callStack = [visit(root)];
+    while (callStack.length > 0) {
+      const frame = callStack[callStack.length - 1];
+      const next = frame.precedents.next();
+
+      if (!next.done) {
+        const precedent = next.value;
+        if (!keys.has(precedent)) continue;
+        if (!indices.has(precedent)) {
+          callStack.push(visit(precedent));
+        } else if (onStack.has(precedent)) {
+          lowlinks.set(frame.key, Math.min(lowlinks.get(frame.key), indices.get(precedent)));
+        }
+        continue;
+      }
+
+      callStack.pop();
+      if (callStack.length > 0) {
+        const parent = callStack[callStack.length - 1];
+        lowlinks.set(parent.key, Math.min(lowlinks.get(parent.key), lowlinks.get(frame.key)));
+      }
+
+      if (lowlinks.get(frame.key) === indices.get(frame.key)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.key);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+};
+
+// Shortest path from `start` back to itself through the component, e.g.
+// [A1, B1, A1] as cell keys for A1 -> B1 -> A1
+const findCyclePath = (start, members, forward) => {
+  const previous = new Map();
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    for (const precedent of forward.get(key) || []) {
+      if (!members.has(precedent)) continue;
+      if (precedent === start) {
+        const path = [start];
+        for (let step = key; step !== start; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        path.unshift(start);
+        return path;
+      }
+      if (!previous.has(precedent)) {
+        previous.set(precedent, key);
+        queue.push(precedent);
+      }
+    }
+  }
+
+  return [start, start];
+};
+
+// Sheets are passed in as [{ id, name, cells }]; evaluated values come back
+// as { [sheetId]: grid }.
+export const createRecalcEngine = () => {
+  const forward = new Map();
+  const reverse = new Map();
+  const volatileKeys = new Set();
+  let cycles = new Map();
+  let values = null;
+  let layout = null;
+
+  // Sheet lookups by id and by (case-insensitive) name
+  const indexSheets = (sheets) => {
+    const byId = new Map();
+    const byName = new Map();
+    sheets.forEach((sheet) => {
+      const entry = {
+        id: sheet.id,
+        name: sheet.name,
+        cells: sheet.cells,
+        rows: sheet.cells.length,
+        cols: sheet.cells[0]?.length || 0,
+      };
+      byId.set(sheet.id, entry);
+      byName.set(sheet.name.toLowerCase(), entry);
+    });
+    return { byId, byName };
+  };
+
+  // Sheet ids, names and sizes; when any of these change the graph is rebuilt
+  const describeLayout = (sheets) =>
+    sheets
+      .map((sheet) => `${sheet.id}:${sheet.name}:${sheet.cells.length}x${sheet.cells[0]?.length || 0}`)
+      .join("|");
+
+  // Record what the cell's formula reads and whether it is volatile
+  const trackCell = (key, index) => {
+    const [sheetId, row, col] = parseCellKey(key);
+    const sheet = index.byId.get(sheetId);
+    const formula = sheet.cells[row][col];
+    setPrecedents(
+      key,
+      getCellDependencies(formula, (name) =>
+        name === undefined ? sheet : index.byName.get(name.toLowerCase()) || null
+      )
+    );
+    if (callsVolatileFunction(formula)) volatileKeys.add(key);
+    else volatileKeys.delete(key);
+  };
+
+  const setPrecedents = (key, precedents) => {
+    for (const old of forward.get(key) || []) {
+      const dependents = reverse.get(old);
+      dependents.delete(key);
+      if (dependents.size === 0) reverse.delete(old);
+    }
+
+    if (precedents.length === 0) {
+      forward.delete(key);
+      return;
+    }
+
+    forward.set(key, new Set(precedents));
+    for (const precedent of precedents) {
+      if (!reverse.has(precedent)) reverse.set(precedent, new Set());
+      reverse.get(precedent).add(key);
+    }
+  };
+
+  // The changed cells plus everything that transitively depends on them
+  const collectAffected = (changedKeys) => {
+    const affected = new Set(changedKeys);
+    const queue = [...changedKeys];
+    while (queue.length > 0) {
+      for (const dependent of reverse.get(queue.shift()) || []) {
+        if (!affected.has(dependent)) {
+          affected.add(dependent);
+          queue.push(dependent);
+        }
+      }
+    }
+    return affected;
+  };
+
+  const evaluate = (index, affected) => {
+    // Only sheets and rows that receive a new value are copied
+    const newValues = { ...values };
+    const copiedRows = new Set();
+    const setValue = (sheetId, row, col, value) => {
+      const rowKey = `${sheetId}!${row}`;
+      if (!copiedRows.has(rowKey)) {
+        if (newValues[sheetId] === values[sheetId]) {
+          newValues[sheetId] = [...newValues[sheetId]];
+        }
+        newValues[sheetId][row] = [...newValues[sheetId][row]];
+        copiedRows.add(rowKey);
+      }
+      newValues[sheetId][row][col] = value;
+    };
+
+    const getSheetValues = (name) => {
+      const sheet = index.byName.get(name.toLowerCase());
+      return sheet ? newValues[sheet.id] : null;
+    };
+
+    // Cycle paths name the sheet only when they cross sheets
+    const labelPath = (path) => {
+      const crossesSheets = new Set(path.map((key) => parseCellKey(key)[0])).size > 1;
+      return path
+        .map((key) => {
+          const [sheetId, row, col] = parseCellKey(key);
+          const label = `${indexToColumn(col)}${row + 1}`;
+          return crossesSheets ? `${index.byId.get(sheetId).name}!${label}` : label;
+        })
+        .join(" → ");
+    };
+
+    const newCycles = new Map(cycles);
+    for (const key of affected) newCycles.delete(key);
+
+    for (const component of orderForEvaluation(affected, forward)) {
+      const [first] = component;
+      const isCycle = component.length > 1 || forward.get(first)?.has(first);
+
+      if (isCycle) {
+        const members = new Set(component);
+        for (const key of component) {
+          const [sheetId, row, col] = parseCellKey(key);
+          const path = findCyclePath(key, members, forward);
+          newCycles.set(key, path);
+          setValue(
+            sheetId,
+            row,
+            col,
+            new FormulaError(ERROR_CODES.CIRCULAR, `Circular reference: ${labelPath(path)}`)
+          );
+        }
+        continue;
+      }
+
+      const [sheetId, row, col] = parseCellKey(first);
+      const cellValue = index.byId.get(sheetId).cells[row][col];
+      setValue(
+        sheetId,
+        row,
+        col,
+        isFormula(cellValue)
+          ? evaluateFormula(cellValue, newValues[sheetId], getSheetValues)
+          : cellValue
+      );
+    }
+
+    values = newValues;
+    cycles = newCycles;
+    return { values, cycles };
+  };
+
+  // Rebuild the whole graph and evaluate every cell of every sheet
+  const rebuild = (sheets) => {
+    const index = indexSheets(sheets);
+
+    forward.clear();
+    reverse.clear();
+    volatileKeys.clear();
+    cycles = new Map();
+    layout = describeLayout(sheets);
+    values = {};
+
+    const allKeys = new Set();
+    for (const { id, rows, cols } of index.byId.values()) {
+      values[id] = Array.from({ length: rows }, () => Array(cols).fill(""));
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          allKeys.add(cellKey(id, r, c));
+        }
+      }
+    }
+
+    for (const key of allKeys) {
+      trackCell(key, index);
+    }
+
+    return evaluate(index, allKeys);
+  };
+
+  // Re-evaluate only the changed and volatile cells and their transitive
+  // dependents
+  const update = (sheets, changedKeys) => {
+    // Sheets were added, removed, renamed or resized, so references (and
+    // whole-row/column ranges) may now resolve to different cells
+    if (!values || describeLayout(sheets) !== layout) {
+      return rebuild(sheets);
+    }
+
+    const index = indexSheets(sheets);
+    for (const key of changedKeys) {
+      trackCell(key, index);
+    }
+
+    return evaluate(index, collectAffected([...changedKeys, ...volatileKeys]));
+  };
+
+  return { rebuild, update };
+};
@@ -0,0 +1,159 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { isFormulaError } from "./formulaErrors";
+import {
+  cellKey,
+  changedCellKeys,
+  createRecalcEngine,
+  getCellDependencies,
+  parseCellKey,
+} from "./recalcEngine";
+
+const sheet = (id, name, cells) => ({ id, name, cells });
+
+// A copy of the sheet with one cell changed, sharing its other rows like
+// the store's updates do
+const withCell = (source, row, col, value) => {
+  const cells = [...source.cells];
+  cells[row] = [...cells[row]];
+  cells[row][col] = value;
+  return { ...source, cells };
+};
+
+describe("cell keys", () => {
+  it("round-trip through parseCellKey", () => {
+    expect(parseCellKey(cellKey("s1", 4, 2))).toEqual(["s1", 4, 2]);
+  });
+});
+
+describe("changedCellKeys", () => {
+  it("lists only the cells that differ", () => {
+    const before = sheet("s1", "Sheet1", [
+      [1, 2],
+      [3, 4],
+    ]);
+    const after = withCell(before, 1, 0, 5);
+    expect(changedCellKeys([before], [after])).toEqual([cellKey("s1", 1, 0)]);
+  });
+});
+
+describe("getCellDependencies", () => {
+  const own = { id: "s1", rows: 3, cols: 3 };
+  const other = { id: "s2", rows: 2, cols: 2 };
+  const resolveSheet = (name) => (name === undefined ? own : name === "Data" ? other : null);
+
+  it("expands ranges and follows sheet references", () => {
+    expect(getCellDependencies("=SUM(A1:A2)+Data!B2", resolveSheet).sort()).toEqual([
+      cellKey("s1", 0, 0),
+      cellKey("s1", 1, 0),
+      cellKey("s2", 1, 1),
+    ]);
+  });
+
+  it("ignores text, function names and missing sheets", () => {
+    expect(getCellDependencies('=LOG10(100)&"A1"', resolveSheet)).toEqual([]);
+    expect(getCellDependencies("=Missing!A1", resolveSheet)).toEqual([]);
+    expect(getCellDependencies("plain", resolveSheet)).toEqual([]);
+  });
+});
+
+describe("createRecalcEngine", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("evaluates every sheet on rebuild", () => {
+    const engine = createRecalcEngine();
+    const { values } = engine.rebuild([
+      sheet("s1", "Sheet1", [[1, "=A1*2", "=Sheet2!A1+B1"]]),
+      sheet("s2", "Sheet2", [[10]]),
+    ]);
+    expect(values.s1[0]).toEqual([1, 2, 12]);
+  });
+
+  it("updates the dependents of a changed cell", () => {
+    const engine = createRecalcEngine();
+    const before = sheet("s1", "Sheet1", [[1, "=A1+1", "=B1+1", 7]]);
+    const first = engine.rebuild([before]).values;
+
+    const after = withCell(before, 0, 0, 5);
+    const { values } = engine.update([after], changedCellKeys([before], [after]));
+    expect(values.s1[0]).toEqual([5, 6, 7, 7]);
+    // Values are new objects, the old ones are left as they were
+    expect(first.s1[0]).toEqual([1, 2, 3, 7]);
+  });
+
+  it("picks up references added by an edit", () => {
+    const engine = createRecalcEngine();
+    const before = sheet("s1", "Sheet1", [[1, 2, ""]]);
+    engine.rebuild([before]);
+
+    const withFormula = withCell(before, 0, 2, "=A1+B1");
+    engine.update([withFormula], changedCellKeys([before], [withFormula]));
+    const after = withCell(withFormula, 0, 1, 10);
+    const { values } = engine.update([after], changedCellKeys([withFormula], [after]));
+    expect(values.s1[0][2]).toBe(11);
+  });
+
+  it("marks every cell of a cycle with its path", () => {
+    const engine = createRecalcEngine();
+    const { values, cycles } = engine.rebuild([sheet("s1", "Sheet1", [["=B1", "=A1", "=A1+1"]])]);
+
+    const [a1, b1, c1] = values.s1[0];
+    expect(a1.code).toBe("#CIRCULAR!");
+    expect(a1.message).toBe("Circular reference: A1 → B1 → A1");
+    expect(b1.code).toBe("#CIRCULAR!");
+    // Cells reading the cycle get its error without being part of it
+    expect(isFormulaError(c1)).toBe(true);
+    expect(cycles.has(cellKey("s1", 0, 2))).toBe(false);
+  });
+
+  it("detects a cell that reads itself", () => {
+    const engine = createRecalcEngine();
+    const { values } = engine.rebuild([sheet("s1", "Sheet1", [["=A1+1"]])]);
+    expect(values.s1[0][0].message).toBe("Circular reference: A1 → A1");
+  });
+
+  it("names sheets in cycles that cross them", () => {
+    const engine = createRecalcEngine();
+    const { values } = engine.rebuild([
+      sheet("s1", "Sheet1", [["=Sheet2!A1"]]),
+      sheet("s2", "Sheet2", [["=Sheet1!A1"]]),
+    ]);
+    expect(values.s1[0][0].message).toBe(
+      "Circular reference: Sheet1!A1 → Sheet2!A1 → Sheet1!A1"
+    );
+  });
+
+  it("clears a cycle once it is broken", () => {
+    const engine = createRecalcEngine();
+    const before = sheet("s1", "Sheet1", [["=B1", "=A1"]]);
+    engine.rebuild([before]);
+
+    const after = withCell(before, 0, 1, 3);
+    const { values, cycles } = engine.update([after], changedCellKeys([before], [after]));
+    expect(values.s1[0]).toEqual([3, 3]);
+    expect(cycles.size).toBe(0);
+  });
+
+  it("re-evaluates volatile functions and their dependents on every update", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 0, 1));
+    const engine = createRecalcEngine();
+    const before = sheet("s1", "Sheet1", [["=TODAY()", "=A1+1", 1]]);
+    const first = engine.rebuild([before]).values;
+
+    vi.setSystemTime(new Date(2024, 0, 2));
+    const after = withCell(before, 0, 2, 2);
+    const { values } = engine.update([after], changedCellKeys([before], [after]));
+    expect(values.s1[0][0]).toBe(first.s1[0][0] + 1);
+    expect(values.s1[0][1]).toBe(first.s1[0][1] + 1);
+  });
+
+  it("handles long dependency chains", () => {
+    const engine = createRecalcEngine();
+    const length = 5000;
+    const cells = Array.from({ length }, (_, row) => [row === 0 ? 1 : `=A${row}+1`]);
+    const { values } = engine.rebuild([sheet("s1", "Sheet1", cells)]);
+    expect(values.s1[length - 1][0]).toBe(length);
+  });
+});
@@ -0,0 +1,224 @@
+import { NO_VALIDATION } from "./dataValidation";
+import { shiftFormula, transformReferences } from "./formulaRewriter";
+import { COLUMN_WIDTH, findSheetByName, rewriteWorkbookReferences, ROW_HEIGHT } from "./workbook";
+
+// Inserting and deleting rows and columns. An edit works along one axis,
+// "row" or "col":
+//
+//   { axis, index, count, deleted }
+//
+// inserts `count` lines before line `index`, or deletes the `count` lines
+// starting at `index`. Everything positioned on the sheet moves with its
+// line: cells and their metadata, formulas referring to the sheet from any
+// sheet, conditional format ranges and validation rules. References to a
+// deleted cell become #REF!; ranges shrink, and become #REF! only when all
+// of their lines are deleted. Rows can also be deleted in any number of
+// places at once, or reordered, as removing duplicates and sorting do.
+
+// Where line `i` ends up, or null when it's deleted
+const mapIndex = ({ index, count, deleted }, i) => {
+  if (i < index) return i;
+  if (!deleted) return i + count;
+  return i < index + count ? null : i - count;
+};
+
+// Where the lines `start` to `end` end up, as [start, end], or null when
+// they're all deleted. Lines inserted inside the span widen it.
+const mapSpan = (edit, start, end) => {
+  if (!edit.deleted) return [mapIndex(edit, start), mapIndex(edit, end)];
+  const newStart = mapIndex(edit, start) ?? edit.index;
+  const newEnd = mapIndex(edit, end) ?? edit.index - 1;
+  return newEnd < newStart ? null : [newStart, newEnd];
+};
+
+// A reference (see transformReferences) after the edit. Whole-row
+// references are unaffected by column edits and vice versa.
+const mapReference = (edit, ref) => {
+  const { axis } = edit;
+  if (ref.type === "range") {
+    if (ref.start[axis] === null || ref.end[axis] === null) return ref;
+    const span = mapSpan(edit, ref.start[axis], ref.end[axis]);
+    return (
+      span && {
+        ...ref,
+        start: { ...ref.start, [axis]: span[0] },
+        end: { ...ref.end, [axis]: span[1] },
+      }
+    );
+  }
+  if (ref[axis] === null) return ref;
+  const i = mapIndex(edit, ref[axis]);
+  return i === null ? null : { ...ref, [axis]: i };
+};
+
+// A { startRow, endRow, startCol, endCol } range after the edit, or null
+const mapRange = (edit, range) => {
+  const [startKey, endKey] = edit.axis === "row" ? ["startRow", "endRow"] : ["startCol", "endCol"];
+  const span = mapSpan(edit, range[startKey], range[endKey]);
+  return span && { ...range, [startKey]: span[0], [endKey]: span[1] };
+};
+
+// `list` with the edit's lines inserted (made by `createItem`) or removed
+const spliceLines = (list, { index, count, deleted }, createItem) => {
+  const result = [...list];
+  if (deleted) {
+    result.splice(index, count);
+  } else {
+    result.splice(index, 0, ...Array.from({ length: count }, createItem));
+  }
+  return result;
+};
+
+// A per-cell grid after the edit; new cells are `empty`
+const spliceGrid = (grid, edit, empty) => {
+  const cols = grid[0]?.length || 0;
+  return edit.axis === "row"
+    ? spliceLines(grid, edit, () => Array(cols).fill(empty))
+    : grid.map((row) => spliceLines(row, edit, () => empty));
+};
+
+const editSheetLines = (workbook, sheetId, edit) => {
+  // Does a reference in a formula on `formulaSheet` point at the edited sheet
+  const refersToSheet = (ref, formulaSheet) =>
+    ref.sheet ? findSheetByName(workbook, ref.sheet)?.id === sheetId : formulaSheet.id === sheetId;
+  const transform = (ref, formulaSheet) =>
+    refersToSheet(ref, formulaSheet) ? mapReference(edit, ref) : ref;
+  const rewriteFormula = (formula, formulaSheet) =>
+    transformReferences(formula, (ref) => transform(ref, formulaSheet));
+
+  // Validation rules are shared by the cells of the range they were applied
+  // to, so each is rewritten once and stays shared
+  const rewriteValidations = (validations, ruleSheet) => {
+    const rewritten = new Map();
+    const rewriteRule = (rule) => {
+      if (typeof rule !== "object" || rule === null) return rule;
+      if (!rewritten.has(rule)) {
+        // A list's source range is rewritten as if it were a formula
+        const range = rule.range ? rewriteFormula(`=${rule.range}`, ruleSheet).slice(1) : rule.range;
+        const formula = rewriteFormula(rule.formula, ruleSheet);
+        const anchorIndex =
+          ruleSheet.id === sheetId && rule.anchor
+            ? mapIndex(edit, rule.anchor[edit.axis]) ?? edit.index
+            : rule.anchor?.[edit.axis];
+        const isUnchanged =
+          range === rule.range && formula === rule.formula && anchorIndex === rule.anchor?.[edit.axis];
+        rewritten.set(
+          rule,
+          isUnchanged
+            ? rule
+            : { ...rule, range, formula, anchor: rule.anchor && { ...rule.anchor, [edit.axis]: anchorIndex } }
+        );
+      }
+      return rewritten.get(rule);
+    };
+    return validations.map((row) => row.map(rewriteRule));
+  };
+
+  const rewritten = rewriteWorkbookReferences(workbook, transform);
+  return {
+    ...rewritten,
+    sheets: rewritten.sheets.map((s) => {
+      const validations = rewriteValidations(s.validations, s);
+      if (s.id !== sheetId) {
+        // Custom formulas here may still point at the edited sheet
+        const conditionalFormats = s.conditionalFormats.map((rule) => {
+          const formula = rewriteFormula(rule.formula, s);
+          return formula === rule.formula ? rule : { ...rule, formula };
+        });
+        return { ...s, validations, conditionalFormats };
+      }
+
+      const isRows = edit.axis === "row";
+      const errors = new Set();
+      s.errors.forEach((key) => {
+        const [row, col] = key.split("-").map(Number);
+        const moved = mapIndex(edit, isRows ? row : col);
+        if (moved !== null) errors.add(isRows ? `${moved}-${col}` : `${row}-${moved}`);
+      });
+      const conditionalFormats = s.conditionalFormats.flatMap((rule) => {
+        const range = mapRange(edit, rule.range);
+        return range ? [{ ...rule, range, formula: rewriteFormula(rule.formula, s) }] : [];
+      });
+      const size = isRows ? s.rows : s.cols;
+      const newSize = edit.deleted ? size - edit.count : size + edit.count;
+
+      return {
+        ...s,
+        [isRows ? "rows" : "cols"]: newSize,
+        cells: spliceGrid(s.cells, edit, ""),
+        styles: spliceGrid(s.styles, edit, null),
+        validations: spliceGrid(validations, edit, NO_VALIDATION),
+        ...(isRows
+          ? { rowHeights: spliceLines(s.rowHeights, edit, () => ROW_HEIGHT) }
+          : { columnWidths: spliceLines(s.columnWidths, edit, () => COLUMN_WIDTH) }),
+        conditionalFormats,
+        errors,
+      };
+    }),
+  };
+};
+
+// Insert `count` empty rows before row `index` of a sheet
+export const insertRows = (workbook, sheetId, index, count = 1) =>
+  editSheetLines(workbook, sheetId, { axis: "row", index, count, deleted: false });
+
+// Delete `count` rows of a sheet starting at row `index`
+export const deleteRows = (workbook, sheetId, index, count = 1) =>
+  editSheetLines(workbook, sheetId, { axis: "row", index, count, deleted: true });
+
+export const insertColumns = (workbook, sheetId, index, count = 1) =>
+  editSheetLines(workbook, sheetId, { axis: "col", index, count, deleted: false });
+
+export const deleteColumns = (workbook, sheetId, index, count = 1) =>
+  editSheetLines(workbook, sheetId, { axis: "col", index, count, deleted: true });
+
+// Delete the rows at `indexes` (in any order) of a sheet. Runs of adjacent
+// rows are deleted together, from the bottom up so the rows still to be
+// deleted stay where they are.
+export const deleteRowsAt = (workbook, sheetId, indexes) => {
+  const sorted = [...new Set(indexes)].sort((a, b) => b - a);
+  let result = workbook;
+  for (let i = 0; i < sorted.length; ) {
+    let start = sorted[i];
+    let count = 1;
+    while (sorted[i + count] === start - 1) {
+      start--;
+      count++;
+    }
+    result = deleteRows(result, sheetId, start, count);
+    i += count;
+  }
+  return result;
+};
+
+// Reorder the rows of `range` ({ startRow, endRow, startCol, endCol }) on a
+// sheet: `order` lists the row each of them now takes its cells from, top to
+// bottom. Cells move with their styles, validation rules and error flags,
+// and relative references in a moved formula shift by as far as its row
+// moved. References to the range from elsewhere keep their positions.
+export const reorderRows = (workbook, sheetId, range, order) => ({
+  ...workbook,
+  sheets: workbook.sheets.map((sheet) => {
+    if (sheet.id !== sheetId) return sheet;
+
+    const { startRow, startCol, endCol } = range;
+    const cells = [...sheet.cells];
+    const styles = [...sheet.styles];
+    const validations = [...sheet.validations];
+    const errors = new Set(sheet.errors);
+    order.forEach((source, i) => {
+      const row = startRow + i;
+      cells[row] = [...cells[row]];
+      styles[row] = [...styles[row]];
+      validations[row] = [...validations[row]];
+      for (let c = startCol; c <= endCol; c++) {
+        cells[row][c] = shiftFormula(sheet.cells[source][c], row - source, 0);
+        styles[row][c] = sheet.styles[source][c];
+        validations[row][c] = sheet.validations[source][c];
+        if (sheet.errors.has(`${source}-${c}`)) errors.add(`${row}-${c}`);
+        else errors.delete(`${row}-${c}`);
+      }
+    });
+    return { ...sheet, cells, styles, validations, errors };
+  }),
+});
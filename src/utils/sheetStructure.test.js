@@ -0,0 +1,171 @@
+import { describe, expect, it } from "vitest";
+import { createRule } from "./conditionalFormats";
+import { createValidation, NO_VALIDATION } from "./dataValidation";
+import {
+  deleteColumns,
+  deleteRows,
+  deleteRowsAt,
+  insertColumns,
+  insertRows,
+  reorderRows,
+} from "./sheetStructure";
+import { createSheet } from "./workbook";
+
+// A workbook of two sheets, "Data" and "Summary", with cells filled in from
+// grids of the same size as the sheets
+const createTestWorkbook = (dataCells, summaryCells = [[""]]) => {
+  const data = { ...createSheet("Data", dataCells.length, dataCells[0].length), cells: dataCells };
+  const summary = {
+    ...createSheet("Summary", summaryCells.length, summaryCells[0].length),
+    cells: summaryCells,
+  };
+  return { sheets: [data, summary], activeSheetId: data.id };
+};
+
+const sheetNamed = (workbook, name) => workbook.sheets.find((sheet) => sheet.name === name);
+
+describe("insertRows", () => {
+  it("moves cells and their metadata down", () => {
+    const workbook = createTestWorkbook([[1], [2]]);
+    const data = workbook.sheets[0];
+    data.styles[1][0] = { bold: true };
+    data.rowHeights[1] = 60;
+
+    const result = sheetNamed(insertRows(workbook, data.id, 1, 2), "Data");
+    expect(result.rows).toBe(4);
+    expect(result.cells).toEqual([[1], [""], [""], [2]]);
+    expect(result.styles[3][0]).toEqual({ bold: true });
+    expect(result.rowHeights).toEqual([40, 40, 40, 60]);
+    expect(result.validations[1][0]).toBe(NO_VALIDATION);
+  });
+
+  it("rewrites references from every sheet and widens ranges", () => {
+    const workbook = createTestWorkbook(
+      [[1, "=A2"], [2, "=SUM(A1:A2)"]],
+      [["=Data!A2+SUM(Data!A1:A2)"]]
+    );
+    const result = insertRows(workbook, workbook.sheets[0].id, 1);
+    expect(sheetNamed(result, "Data").cells).toEqual([
+      [1, "=A3"],
+      ["", ""],
+      [2, "=SUM(A1:A3)"],
+    ]);
+    expect(sheetNamed(result, "Summary").cells[0][0]).toBe("=Data!A3+SUM(Data!A1:A3)");
+  });
+
+  it("rewrites custom formatting formulas that point at the edited sheet", () => {
+    const workbook = createTestWorkbook([[1], [2]]);
+    const summary = sheetNamed(workbook, "Summary");
+    const rule = createRule("customFormula", { startRow: 0, endRow: 0, startCol: 0, endCol: 0 });
+    summary.conditionalFormats = [{ ...rule, formula: "=Data!A2>5" }];
+
+    const result = insertRows(workbook, workbook.sheets[0].id, 1);
+    const [format] = sheetNamed(result, "Summary").conditionalFormats;
+    expect(format.formula).toBe("=Data!A3>5");
+    expect(format.range).toEqual(rule.range);
+  });
+
+  it("leaves references to other sheets alone", () => {
+    const workbook = createTestWorkbook([[1], [2]], [["=A2"]]);
+    const result = insertRows(workbook, workbook.sheets[0].id, 0);
+    expect(sheetNamed(result, "Summary").cells[0][0]).toBe("=A2");
+  });
+});
+
+describe("deleteRows", () => {
+  it("turns references to deleted cells into #REF! and shrinks ranges", () => {
+    const workbook = createTestWorkbook([[1, "=A2"], [2, "=A3"], [3, "=SUM(A1:A3)"]]);
+    const result = sheetNamed(deleteRows(workbook, workbook.sheets[0].id, 1), "Data");
+    expect(result.rows).toBe(2);
+    expect(result.cells).toEqual([
+      [1, "=#REF!"],
+      [3, "=SUM(A1:A2)"],
+    ]);
+  });
+
+  it("turns a range into #REF! only when all of it is deleted", () => {
+    const workbook = createTestWorkbook([[1], [2], [3], ["=SUM(A1:A2)"]]);
+    const result = sheetNamed(deleteRows(workbook, workbook.sheets[0].id, 0, 2), "Data");
+    expect(result.cells[1][0]).toBe("=SUM(#REF!)");
+  });
+
+  it("moves error flags, conditional formats and validation rules", () => {
+    const workbook = createTestWorkbook([[1], [2], [3], [4]]);
+    const data = workbook.sheets[0];
+    data.errors = new Set(["0-0", "3-0"]);
+    data.conditionalFormats = [
+      createRule("greaterThan", { startRow: 2, endRow: 3, startCol: 0, endCol: 0 }),
+      createRule("greaterThan", { startRow: 1, endRow: 1, startCol: 0, endCol: 0 }),
+    ];
+    const rule = { ...createValidation("list"), source: "range", range: "A3:A4" };
+    data.validations[0][0] = rule;
+
+    const result = sheetNamed(deleteRows(workbook, data.id, 1), "Data");
+    expect([...result.errors]).toEqual(["0-0", "2-0"]);
+    // The rule over the deleted row is gone
+    expect(result.conditionalFormats.map((format) => format.range)).toEqual([
+      { startRow: 1, endRow: 2, startCol: 0, endCol: 0 },
+    ]);
+    expect(result.validations[0][0].range).toBe("A2:A3");
+  });
+});
+
+describe("column edits", () => {
+  it("insert and delete along the other axis", () => {
+    const workbook = createTestWorkbook([[1, 2, "=A1+B1"]]);
+    const id = workbook.sheets[0].id;
+
+    const inserted = sheetNamed(insertColumns(workbook, id, 1), "Data");
+    expect(inserted.cols).toBe(4);
+    expect(inserted.cells[0]).toEqual([1, "", 2, "=A1+C1"]);
+    expect(inserted.columnWidths).toHaveLength(4);
+
+    const deleted = sheetNamed(deleteColumns(workbook, id, 0), "Data");
+    expect(deleted.cells[0]).toEqual([2, "=#REF!+A1"]);
+  });
+
+  it("leave whole-row references alone", () => {
+    const workbook = createTestWorkbook([[1, 2, "=SUM(1:1)"]]);
+    const result = sheetNamed(insertColumns(workbook, workbook.sheets[0].id, 0), "Data");
+    expect(result.cells[0][3]).toBe("=SUM(1:1)");
+  });
+});
+
+describe("deleteRowsAt", () => {
+  it("deletes rows in several places at once", () => {
+    const workbook = createTestWorkbook([[1], [2], [3], [4], [5], ["=SUM(A1:A5)"]]);
+    const data = workbook.sheets[0];
+    data.errors = new Set(["4-0"]);
+
+    const result = sheetNamed(deleteRowsAt(workbook, data.id, [3, 1, 2]), "Data");
+    expect(result.cells).toEqual([[1], [5], ["=SUM(A1:A2)"]]);
+    expect([...result.errors]).toEqual(["1-0"]);
+  });
+});
+
+describe("reorderRows", () => {
+  it("moves cells with their metadata and shifts moved formulas", () => {
+    const workbook = createTestWorkbook([
+      [3, "=A1*2", "x"],
+      [1, "=A2*2", "y"],
+      [2, "=$A$1+A3", "z"],
+    ]);
+    const data = workbook.sheets[0];
+    data.styles[0][0] = { bold: true };
+    data.validations[1][1] = createValidation("number");
+    data.errors = new Set(["0-1"]);
+
+    // Sort rows by column A within columns A:B
+    const range = { startRow: 0, endRow: 2, startCol: 0, endCol: 1 };
+    const result = sheetNamed(reorderRows(workbook, data.id, range, [1, 2, 0]), "Data");
+    expect(result.cells).toEqual([
+      [1, "=A1*2", "x"],
+      [2, "=$A$1+A2", "y"],
+      [3, "=A3*2", "z"],
+    ]);
+    expect(result.styles[2][0]).toEqual({ bold: true });
+    expect(result.styles[0][0]).toBe(data.styles[1][0]);
+    expect(result.validations[0][1].type).toBe("number");
+    expect([...result.errors]).toEqual(["2-1"]);
+  });
+});
@@ -0,0 +1,45 @@
+// Windowing helpers for the grid. Rows and columns have variable sizes, so
+// positions are looked up in prefix sums of the sizes rather than computed
+// as index * size.
+
+// offsets[i] is where item i starts; offsets[sizes.length] is the total size
+export const computeOffsets = (sizes, count = sizes.length, defaultSize = 0) => {
+  const offsets = new Array(count + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < count; i++) {
+    offsets[i + 1] = offsets[i] + (sizes[i] ?? defaultSize);
+  }
+  return offsets;
+};
+
+// Index of the item containing `position` (binary search)
+export const findIndexAt = (offsets, position) => {
+  const count = offsets.length - 1;
+  if (count <= 0) return 0;
+
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+// First and last index (inclusive) to render for a viewport scrolled to
+// `scrollOffset`, with `overscan` extra items on each side
+export const getVisibleRange = (offsets, scrollOffset, viewportSize, overscan = 0) => {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: -1 };
+
+  const first = findIndexAt(offsets, Math.max(0, scrollOffset));
+  const last = findIndexAt(offsets, scrollOffset + viewportSize);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count - 1, last + overscan),
+  };
+};
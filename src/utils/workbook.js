@@ -0,0 +1,178 @@
+import { transformReferences } from "./formulaRewriter";
+import { createStyleGrid } from "./cellStyles";
+
+// Workbook model: an ordered list of named sheets, one of which is active.
+// Each sheet owns its grid and the per-cell metadata that goes with it.
+//
+//   { sheets: [{ id, name, rows, cols, cells, columnWidths, rowHeights,
+//                validations, styles, conditionalFormats, errors }],
+//     activeSheetId }
+//
+// Helpers here are pure: they return a new workbook and never mutate the
+// one passed in.
+
+export const INITIAL_ROWS = 20;
+export const INITIAL_COLS = 10;
+export const COLUMN_WIDTH = 100;
+export const ROW_HEIGHT = 40;
+
+let sheetCounter = 0;
+const createSheetId = () =>
+  `sheet-${Date.now().toString(36)}-${(sheetCounter++).toString(36)}`;
+
+export const createSheet = (name, rows = INITIAL_ROWS, cols = INITIAL_COLS) => ({
+  id: createSheetId(),
+  name,
+  rows,
+  cols,
+  cells: Array.from({ length: rows }, () => Array(cols).fill("")),
+  columnWidths: Array(cols).fill(COLUMN_WIDTH),
+  rowHeights: Array(rows).fill(ROW_HEIGHT),
+  validations: Array.from({ length: rows }, () => Array(cols).fill("any")),
+  styles: createStyleGrid(rows, cols),
+  // Ordered rules, see conditionalFormats.js
+  conditionalFormats: [],
+  errors: new Set(),
+});
+
+export const createWorkbook = () => {
+  const sheet = createSheet("Sheet1");
+  return { sheets: [sheet], activeSheetId: sheet.id };
+};
+
+export const getActiveSheet = (workbook) =>
+  workbook.sheets.find((sheet) => sheet.id === workbook.activeSheetId);
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const findSheetByName = (workbook, name) =>
+  workbook.sheets.find((sheet) => sameName(sheet.name, name));
+
+// Sheet names must be unique (ignoring case), non-empty, and can't contain
+// characters that would break a reference such as Sheet1!A1
+export const validateSheetName = (workbook, name, sheetId) => {
+  const trimmed = name.trim();
+  if (!trimmed) return "Sheet name cannot be empty.";
+  if (/[[\]*?/\\:!]/.test(trimmed)) return "Sheet name cannot contain [ ] * ? / \\ : !";
+  const existing = findSheetByName(workbook, trimmed);
+  if (existing && existing.id !== sheetId) return `A sheet named "${trimmed}" already exists.`;
+  return null;
+};
+
+// `name` with the characters validateSheetName rejects replaced, for names
+// that come from elsewhere such as a file
+export const toValidSheetName = (name) => name.replace(/[[\]*?/\\:!]/g, "_").trim() || "Sheet";
+
+// `name` made valid, numbered when a sheet already has it: "Sales 2"
+export const availableSheetName = (workbook, name) => {
+  const valid = toValidSheetName(name);
+  if (!findSheetByName(workbook, valid)) return valid;
+  for (let n = 2; ; n++) {
+    if (!findSheetByName(workbook, `${valid} ${n}`)) return `${valid} ${n}`;
+  }
+};
+
+// First unused name of the form "<base><n>", e.g. Sheet3
+export const nextSheetName = (workbook, base = "Sheet") => {
+  for (let n = workbook.sheets.length + 1; ; n++) {
+    if (!findSheetByName(workbook, `${base}${n}`)) return `${base}${n}`;
+  }
+};
+
+// Rewrite every formula in the workbook with `transform` (see
+// transformReferences). `transform` also receives the sheet the formula
+// lives on.
+export const rewriteWorkbookReferences = (workbook, transform) => ({
+  ...workbook,
+  sheets: workbook.sheets.map((sheet) => {
+    let changed = false;
+    const cells = sheet.cells.map((row) => {
+      let newRow = row;
+      row.forEach((cell, c) => {
+        const updated = transformReferences(cell, (ref) => transform(ref, sheet));
+        if (updated !== cell) {
+          if (newRow === row) newRow = [...row];
+          newRow[c] = updated;
+          changed = true;
+        }
+      });
+      return newRow;
+    });
+    return changed ? { ...sheet, cells } : sheet;
+  }),
+});
+
+export const updateSheet = (workbook, sheetId, changes) => ({
+  ...workbook,
+  sheets: workbook.sheets.map((sheet) =>
+    sheet.id === sheetId ? { ...sheet, ...changes } : sheet
+  ),
+});
+
+export const addSheet = (workbook) => {
+  const active = getActiveSheet(workbook);
+  const sheet = createSheet(nextSheetName(workbook));
+  const index = workbook.sheets.indexOf(active) + 1;
+  const sheets = [...workbook.sheets];
+  sheets.splice(index, 0, sheet);
+  return { sheets, activeSheetId: sheet.id };
+};
+
+// Rename a sheet and update formulas that refer to it by name
+export const renameSheet = (workbook, sheetId, name) => {
+  const sheet = workbook.sheets.find((s) => s.id === sheetId);
+  const newName = name.trim();
+  const renamed = rewriteWorkbookReferences(workbook, (ref) =>
+    ref.sheet && sameName(ref.sheet, sheet.name) ? { ...ref, sheet: newName } : ref
+  );
+  return updateSheet(renamed, sheetId, { name: newName });
+};
+
+export const duplicateSheet = (workbook, sheetId) => {
+  const source = workbook.sheets.find((sheet) => sheet.id === sheetId);
+  let name = `Copy of ${source.name}`;
+  for (let n = 2; findSheetByName(workbook, name); n++) {
+    name = `Copy of ${source.name} (${n})`;
+  }
+
+  const copy = {
+    ...source,
+    id: createSheetId(),
+    name,
+    cells: source.cells.map((row) => [...row]),
+    columnWidths: [...source.columnWidths],
+    rowHeights: [...source.rowHeights],
+    validations: source.validations.map((row) => [...row]),
+    styles: source.styles.map((row) => [...row]),
+    errors: new Set(source.errors),
+  };
+
+  const sheets = [...workbook.sheets];
+  sheets.splice(sheets.indexOf(source) + 1, 0, copy);
+  return { sheets, activeSheetId: copy.id };
+};
+
+// Delete a sheet; formulas that referred to it become #REF!
+export const deleteSheet = (workbook, sheetId) => {
+  if (workbook.sheets.length <= 1) return workbook;
+
+  const index = workbook.sheets.findIndex((sheet) => sheet.id === sheetId);
+  const deleted = workbook.sheets[index];
+  const rewritten = rewriteWorkbookReferences(workbook, (ref) =>
+    ref.sheet && sameName(ref.sheet, deleted.name) ? null : ref
+  );
+  const sheets = rewritten.sheets.filter((sheet) => sheet.id !== sheetId);
+  const activeSheetId =
+    workbook.activeSheetId === sheetId
+      ? sheets[Math.min(index, sheets.length - 1)].id
+      : workbook.activeSheetId;
+  return { sheets, activeSheetId };
+};
+
+export const moveSheet = (workbook, sheetId, toIndex) => {
+  const sheets = [...workbook.sheets];
+  const fromIndex = sheets.findIndex((sheet) => sheet.id === sheetId);
+  const [sheet] = sheets.splice(fromIndex, 1);
+  sheets.splice(Math.max(0, Math.min(toIndex, sheets.length)), 0, sheet);
+  return { ...workbook, sheets };
+};
@@ -0,0 +1,294 @@
+import isEqual from "lodash/isEqual";
+import { isFormula } from "./cellValues";
+import { isFormulaError } from "./formulaErrors";
+
+// Differences between two versions of a workbook. Sheets are matched by id,
+// so a renamed sheet is compared with its old self. Within a sheet the rows
+// of the two versions are matched by their contents, and so are the
+// columns, so inserting a row shows as one inserted row rather than as a
+// change to every cell below it. Cells are compared between matched rows
+// and columns.
+//
+// diffWorkbooks returns one entry per sheet that differs:
+//
+//   { sheetId, name, renamedFrom, status: "added" | "removed" | "changed",
+//     before: { rows, cols } | null, after: { rows, cols } | null,
+//     rows: { inserted, deleted }, cols: { inserted, deleted },
+//     cells: [{ row, col, beforeRow, beforeCol, changes, before, after }] }
+//
+// where inserted lines are indexes in the newer version and deleted lines
+// indexes in the older one. A cell's `row` and `col` are its position in the
+// newer version (the older one for a removed sheet) and `beforeRow` and
+// `beforeCol` its position in the older one. Its `changes` lists "formula",
+// "value" and/or "format", and `before` and `after` are its { value, style }.
+
+// Rows times columns compared when matching lines; beyond this the lines
+// that differ are paired by position
+const MAX_COMPARED_PAIRS = 4000000;
+
+const EMPTY_CELL = { value: "", style: null };
+
+const cellAt = (sheet, row, col) =>
+  sheet && row < sheet.rows && col < sheet.cols
+    ? { value: sheet.cells[row][col], style: sheet.styles[row][col] }
+    : EMPTY_CELL;
+
+const isSameValue = (a, b) =>
+  isFormulaError(a) || isFormulaError(b)
+    ? isFormulaError(a) && isFormulaError(b) && a.code === b.code
+    : a === b;
+
+// What differs between two cells: formulas are told apart from the values
+// they hold
+const cellChanges = (before, after) => {
+  const changes = [];
+  if (!isSameValue(before.value, after.value)) {
+    changes.push(isFormula(before.value) || isFormula(after.value) ? "formula" : "value");
+  }
+  if (!isEqual(before.style || null, after.style || null)) changes.push("format");
+  return changes;
+};
+
+// Cells compare equal for matching when they hold the same value; styles
+// don't decide which lines correspond
+const matchKey = (value) =>
+  isFormulaError(value) ? `#${value.code}` : `${typeof value}:${value}`;
+
+const indexes = (length) => Array.from({ length }, (_, i) => i);
+
+// Pairs [i, j] of the lines of `a` and `b` (lists of keys) that correspond:
+// a longest common subsequence of equal keys, plus the lines left between
+// two matches on both sides, paired in order as changed lines. The lines
+// both ends share are matched first, so the usual edit only compares what
+// lies between them. Empty lines (key "") are alike, so between those ends
+// they only pair up in order and never count as moved.
+const matchLines = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // Exact matches in the middle, from a table of common subsequence lengths
+  // of every pair of suffixes
+  const n = endA - start;
+  const m = endB - start;
+  const matches = [];
+  if (n > 0 && m > 0 && (n + 1) * (m + 1) <= MAX_COMPARED_PAIRS) {
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => lengths[i * (m + 1) + j];
+    const isMatch = (i, j) => a[start + i] === b[start + j] && a[start + i] !== "";
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = isMatch(i, j)
+          ? at(i + 1, j + 1) + 1
+          : Math.max(at(i + 1, j), at(i, j + 1));
+      }
+    }
+    for (let i = 0, j = 0; i < n && j < m; ) {
+      if (isMatch(i, j)) {
+        matches.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (at(i + 1, j) >= at(i, j + 1)) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  const pairs = indexes(start).map((i) => [i, i]);
+  let i = start;
+  let j = start;
+  const pairGap = (toA, toB) => {
+    while (i < toA && j < toB) pairs.push([i++, j++]);
+    i = toA;
+    j = toB;
+  };
+  for (const [matchA, matchB] of matches) {
+    pairGap(matchA, matchB);
+    pairs.push([i++, j++]);
+  }
+  pairGap(endA, endB);
+  for (let k = 0; endA + k < a.length; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+};
+
+// The key of a line from the values in it, leaving out empty cells so that
+// a line still matches its old self after an empty line was inserted across
+// it
+const lineKey = (values) =>
+  values
+    .filter((value) => value !== "" && value !== null && value !== undefined)
+    .map(matchKey)
+    .join("\u0000");
+
+// Keys of the rows of a sheet over some of its columns, and of the columns
+// over some of its rows
+const rowKeys = (sheet, cols) => sheet.cells.map((row) => lineKey(cols.map((c) => row[c])));
+const colKeys = (sheet, rows) =>
+  indexes(sheet.cols).map((c) => lineKey(rows.map((r) => sheet.cells[r][c])));
+
+// Matched rows and columns of two versions of a sheet. Rows are matched
+// over every column and columns over the matched rows, or the other way
+// round; whichever leaves more cells the same wins, so an inserted row and
+// an inserted column are both found. Lines paired by position win ties, so
+// edits alone never show as moved lines.
+const matchGrid = (before, after) => {
+  const byRows = () => {
+    const rows = matchLines(
+      rowKeys(before, indexes(before.cols)),
+      rowKeys(after, indexes(after.cols))
+    );
+    const cols = matchLines(
+      colKeys(before, rows.map(([r]) => r)),
+      colKeys(after, rows.map(([, r]) => r))
+    );
+    return { rows, cols };
+  };
+  const byCols = () => {
+    const cols = matchLines(
+      colKeys(before, indexes(before.rows)),
+      colKeys(after, indexes(after.rows))
+    );
+    const rows = matchLines(
+      rowKeys(before, cols.map(([c]) => c)),
+      rowKeys(after, cols.map(([, c]) => c))
+    );
+    return { rows, cols };
+  };
+  const sameCells = ({ rows, cols }) => {
+    let count = 0;
+    for (const [rowBefore, rowAfter] of rows) {
+      for (const [colBefore, colAfter] of cols) {
+        if (isSameValue(before.cells[rowBefore][colBefore], after.cells[rowAfter][colAfter])) {
+          count++;
+        }
+      }
+    }
+    return count;
+  };
+
+  const byPosition = () => ({
+    rows: indexes(Math.min(before.rows, after.rows)).map((r) => [r, r]),
+    cols: indexes(Math.min(before.cols, after.cols)).map((c) => [c, c]),
+  });
+
+  let best = byPosition();
+  let bestCount = sameCells(best);
+  for (const candidate of [byRows(), byCols()]) {
+    const count = sameCells(candidate);
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// The lines of `count` that no pair includes
+const unmatched = (count, pairs, side) => {
+  const matched = new Set(pairs.map((pair) => pair[side]));
+  return indexes(count).filter((i) => !matched.has(i));
+};
+
+const NO_LINES = { inserted: [], deleted: [] };
+
+const diffSheets = (before, after) => {
+  // A sheet that was added or removed is compared with an empty one
+  if (!before || !after) {
+    const sheet = before || after;
+    const cells = [];
+    for (let row = 0; row < sheet.rows; row++) {
+      for (let col = 0; col < sheet.cols; col++) {
+        const beforeCell = cellAt(before, row, col);
+        const afterCell = cellAt(after, row, col);
+        const changes = cellChanges(beforeCell, afterCell);
+        if (changes.length > 0) {
+          cells.push({
+            row,
+            col,
+            beforeRow: row,
+            beforeCol: col,
+            changes,
+            before: beforeCell,
+            after: afterCell,
+          });
+        }
+      }
+    }
+    return { rows: NO_LINES, cols: NO_LINES, cells };
+  }
+
+  const { rows, cols } = matchGrid(before, after);
+  const cells = [];
+  for (const [beforeRow, row] of rows) {
+    for (const [beforeCol, col] of cols) {
+      const beforeCell = cellAt(before, beforeRow, beforeCol);
+      const afterCell = cellAt(after, row, col);
+      const changes = cellChanges(beforeCell, afterCell);
+      if (changes.length > 0) {
+        cells.push({
+          row,
+          col,
+          beforeRow,
+          beforeCol,
+          changes,
+          before: beforeCell,
+          after: afterCell,
+        });
+      }
+    }
+  }
+  return {
+    rows: { inserted: unmatched(after.rows, rows, 1), deleted: unmatched(before.rows, rows, 0) },
+    cols: { inserted: unmatched(after.cols, cols, 1), deleted: unmatched(before.cols, cols, 0) },
+    cells,
+  };
+};
+
+const sizeOf = (sheet) => sheet && { rows: sheet.rows, cols: sheet.cols };
+
+export const diffWorkbooks = (before, after) => {
+  const beforeSheets = new Map(before.sheets.map((sheet) => [sheet.id, sheet]));
+  const afterIds = new Set(after.sheets.map((sheet) => sheet.id));
+  // Sheets in their current order, then those that were removed
+  const sheets = [
+    ...after.sheets.map((sheet) => [beforeSheets.get(sheet.id), sheet]),
+    ...before.sheets.filter((sheet) => !afterIds.has(sheet.id)).map((sheet) => [sheet, null]),
+  ];
+
+  return sheets.flatMap(([beforeSheet, afterSheet]) => {
+    const { rows, cols, cells } = diffSheets(beforeSheet, afterSheet);
+    const isResized =
+      beforeSheet?.rows !== afterSheet?.rows || beforeSheet?.cols !== afterSheet?.cols;
+    let status = "changed";
+    if (!beforeSheet) status = "added";
+    else if (!afterSheet) status = "removed";
+    const isRenamed = status === "changed" && beforeSheet.name !== afterSheet.name;
+    const isReshaped = [rows, cols].some(
+      (lines) => lines.inserted.length + lines.deleted.length > 0
+    );
+    if (status === "changed" && cells.length === 0 && !isResized && !isReshaped && !isRenamed) {
+      return [];
+    }
+    const sheet = afterSheet || beforeSheet;
+    return [
+      {
+        sheetId: sheet.id,
+        name: sheet.name,
+        renamedFrom: isRenamed ? beforeSheet.name : null,
+        status,
+        before: sizeOf(beforeSheet),
+        after: sizeOf(afterSheet),
+        rows,
+        cols,
+        cells,
+      },
+    ];
+  });
+};
@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { diffWorkbooks } from "./workbookDiff";
+import { createSheet } from "./workbook";
+
+const sheetOf = (cells, name = "Data") => ({
+  ...createSheet(name, cells.length, cells[0].length),
+  cells,
+});
+
+// A later version of the same sheet holding other cells
+const editedSheet = (sheet, cells) => ({
+  ...sheetOf(cells, sheet.name),
+  id: sheet.id,
+});
+
+const diffOf = (before, after) => diffWorkbooks({ sheets: [before] }, { sheets: [after] });
+
+// Where changed cells are and were, as [row, col, beforeRow, beforeCol]
+const positions = (cells) =>
+  cells.map(({ row, col, beforeRow, beforeCol }) => [row, col, beforeRow, beforeCol]);
+
+describe("diffWorkbooks", () => {
+  const before = sheetOf([
+    [1, 2, 3],
+    [4, 5, 6],
+    [7, 8, 9],
+  ]);
+
+  it("finds nothing between equal versions", () => {
+    expect(diffOf(before, editedSheet(before, before.cells))).toEqual([]);
+  });
+
+  it("lists an edited cell", () => {
+    const [sheetDiff] = diffOf(before, editedSheet(before, [[1, 2, 3], [4, "=A1", 6], [7, 8, 9]]));
+    expect(sheetDiff.rows).toEqual({ inserted: [], deleted: [] });
+    expect(positions(sheetDiff.cells)).toEqual([[1, 1, 1, 1]]);
+    expect(sheetDiff.cells[0].changes).toEqual(["formula"]);
+  });
+
+  it("doesn't take edits around empty lines for moved lines", () => {
+    const sparse = sheetOf([
+      [1, "", ""],
+      ["", "", ""],
+      ["", "", ""],
+    ]);
+    const after = editedSheet(sparse, [
+      ["", "", ""],
+      ["", "", ""],
+      ["", "", "a"],
+    ]);
+    const [sheetDiff] = diffOf(sparse, after);
+    expect(sheetDiff.rows).toEqual({ inserted: [], deleted: [] });
+    expect(sheetDiff.cols).toEqual({ inserted: [], deleted: [] });
+    expect(positions(sheetDiff.cells)).toEqual([
+      [0, 0, 0, 0],
+      [2, 2, 2, 2],
+    ]);
+  });
+
+  it("reports an inserted row instead of changing the cells below it", () => {
+    const after = editedSheet(before, [[1, 2, 3], ["", "", ""], [4, 5, 6], [7, 8, 9]]);
+    const [sheetDiff] = diffOf(before, after);
+    expect(sheetDiff.rows).toEqual({ inserted: [1], deleted: [] });
+    expect(sheetDiff.cells).toEqual([]);
+  });
+
+  it("reports a deleted column and edits next to it", () => {
+    const wide = sheetOf([
+      [1, 2, 3, 4],
+      [5, 6, 7, 8],
+    ]);
+    const after = editedSheet(wide, [
+      [1, 3, 4],
+      [5, 7, 80],
+    ]);
+    const [sheetDiff] = diffOf(wide, after);
+    expect(sheetDiff.cols).toEqual({ inserted: [], deleted: [1] });
+    // The edited cell is listed where it is now and where it was
+    expect(positions(sheetDiff.cells)).toEqual([[1, 2, 1, 3]]);
+  });
+
+  it("finds rows and columns inserted together", () => {
+    const after = editedSheet(before, [
+      ["x", 1, 2, 3],
+      ["y", 4, 5, 6],
+      ["", "", "", ""],
+      ["z", 7, 8, 9],
+    ]);
+    const [sheetDiff] = diffOf(before, after);
+    expect(sheetDiff.rows).toEqual({ inserted: [2], deleted: [] });
+    expect(sheetDiff.cols).toEqual({ inserted: [0], deleted: [] });
+    expect(sheetDiff.cells).toEqual([]);
+  });
+
+  it("compares added sheets with an empty one and notes renames", () => {
+    const added = sheetOf([[1, ""]], "New");
+    const renamed = { ...before, name: "Renamed" };
+    const sheetDiffs = diffWorkbooks({ sheets: [before] }, { sheets: [renamed, added] });
+    expect(sheetDiffs.map(({ status, renamedFrom }) => [status, renamedFrom])).toEqual([
+      ["changed", "Data"],
+      ["added", null],
+    ]);
+    expect(positions(sheetDiffs[1].cells)).toEqual([[0, 0, 0, 0]]);
+  });
+});
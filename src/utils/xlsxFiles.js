@@ -0,0 +1,166 @@
+import { read, utils, write } from "xlsx";
+import { mergeStyle } from "./cellStyles";
+import { isFormula } from "./cellValues";
+import { NO_VALIDATION } from "./dataValidation";
+import { describeErrorCode, FormulaError, isFormulaError } from "./formulaErrors";
+import { GENERAL_FORMAT } from "./numberFormats";
+import { createSheet, INITIAL_COLS, INITIAL_ROWS, toValidSheetName } from "./workbook";
+import { readXlsxStyles, writeXlsxStyles } from "./xlsxStyles";
+
+// Import from and export to Excel and other spreadsheet files with the
+// bundled xlsx library. Import reads .xlsx, .xls and .ods; export writes
+// .xlsx. Both return the features that couldn't be carried over, so the
+// user can be told what's missing.
+
+export const IMPORT_EXTENSIONS = [".xlsx", ".xls", ".ods"];
+
+// Error values as stored in files
+const ERROR_NUMBERS = {
+  "#NULL!": 0x00,
+  "#DIV/0!": 0x07,
+  "#VALUE!": 0x0f,
+  "#REF!": 0x17,
+  "#NAME?": 0x1d,
+  "#NUM!": 0x24,
+  "#N/A": 0x2a,
+};
+const ERROR_CODES_BY_NUMBER = Object.fromEntries(
+  Object.entries(ERROR_NUMBERS).map(([code, number]) => [number, code])
+);
+
+// Functions Excel added after the file format was set, which are saved with
+// a prefix (_xlfn.XLOOKUP)
+const NEWER_FUNCTIONS = ["IFS", "CONCAT", "TEXTJOIN", "XLOOKUP"];
+const NEWER_FUNCTION_PATTERN = new RegExp(`\\b(${NEWER_FUNCTIONS.join("|")})\\(`, "gi");
+
+const toFileFormula = (formula) =>
+  formula.slice(1).replace(NEWER_FUNCTION_PATTERN, (match) => `_xlfn.${match}`);
+
+const fromFileFormula = (formula) => `=${formula.replace(/_xl(?:fn|ws)\./gi, "")}`;
+
+const toFileError = (error) => ({ t: "e", v: ERROR_NUMBERS[error.code] ?? ERROR_NUMBERS["#VALUE!"] });
+
+// A file cell for a stored value, or null for an empty cell. Formulas are
+// saved with their evaluated value, which other apps show until they
+// recalculate.
+const toFileCell = (value, evaluated, numberFormat) => {
+  if (value === "" || value === null || value === undefined) return null;
+  if (isFormula(value)) {
+    const result = toFileCell(evaluated ?? "", null, numberFormat) || { t: "s", v: "" };
+    return { ...result, f: toFileFormula(value) };
+  }
+  if (isFormulaError(value)) return toFileError(value);
+  if (typeof value === "number") {
+    return numberFormat && numberFormat !== GENERAL_FORMAT
+      ? { t: "n", v: value, z: numberFormat }
+      : { t: "n", v: value };
+  }
+  if (typeof value === "boolean") return { t: "b", v: value };
+  return { t: "s", v: String(value) };
+};
+
+// The stored value of a file cell
+const fromFileCell = (cell) => {
+  if (cell.f) return fromFileFormula(cell.f);
+  switch (cell.t) {
+    case "n":
+    case "b":
+      return cell.v;
+    case "e": {
+      const code = ERROR_CODES_BY_NUMBER[cell.v] || cell.w || "#VALUE!";
+      return new FormulaError(code, describeErrorCode(code));
+    }
+    case "s":
+      return cell.v ?? "";
+    default:
+      return "";
+  }
+};
+
+// Read a spreadsheet file (an ArrayBuffer) into a workbook. Returns
+// { workbook, warnings }.
+export const importWorkbookFile = (data) => {
+  const warnings = new Set();
+  const warn = (feature) => warnings.add(feature);
+  const file = read(data, { type: "array", cellFormula: true, cellStyles: true, cellNF: true });
+  const fileStyles = readXlsxStyles(data, warn);
+  if (!fileStyles) warn("Fonts, colors, borders and alignment (only kept from .xlsx files)");
+
+  const sheets = file.SheetNames.map((name, index) => {
+    const worksheet = file.Sheets[name];
+    const bounds = worksheet["!ref"] ? utils.decode_range(worksheet["!ref"]) : null;
+    const rows = Math.max(INITIAL_ROWS, bounds ? bounds.e.r + 1 : 0);
+    const cols = Math.max(INITIAL_COLS, bounds ? bounds.e.c + 1 : 0);
+    // The sheet's grids are new, so they can be filled in place
+    const sheet = createSheet(toValidSheetName(name), rows, cols);
+
+    for (const [address, cell] of Object.entries(worksheet)) {
+      if (address.startsWith("!")) continue;
+      const { r, c } = utils.decode_cell(address);
+      sheet.cells[r][c] = fromFileCell(cell);
+      if (cell.z && cell.z !== GENERAL_FORMAT && (cell.t === "n" || cell.f)) {
+        sheet.styles[r][c] = mergeStyle(sheet.styles[r][c], { numberFormat: cell.z });
+      }
+      if (cell.l) warn("Hyperlinks (their text is kept)");
+      if (cell.c) warn("Comments");
+    }
+    for (const { row, col, style } of fileStyles?.[index] || []) {
+      if (row < rows && col < cols) sheet.styles[row][col] = mergeStyle(style, sheet.styles[row][col] || {});
+    }
+
+    (worksheet["!cols"] || []).forEach((info, c) => {
+      if (info?.wpx) sheet.columnWidths[c] = Math.round(info.wpx);
+      if (info?.hidden) warn("Hidden rows and columns (they're shown)");
+    });
+    (worksheet["!rows"] || []).forEach((info, r) => {
+      if (info?.hpx) sheet.rowHeights[r] = Math.round(info.hpx);
+      if (info?.hidden) warn("Hidden rows and columns (they're shown)");
+    });
+    if (worksheet["!merges"]?.length) warn("Merged cells (their contents stay in the top-left cell)");
+    return sheet;
+  });
+  if (file.Workbook?.Names?.length) warn("Named ranges");
+
+  return { workbook: { sheets, activeSheetId: sheets[0].id }, warnings: [...warnings] };
+};
+
+// Write a workbook as an .xlsx file, with formulas saved alongside their
+// evaluated values (`sheetValues`, keyed by sheet id). Returns
+// { data, warnings }.
+export const exportXlsx = (workbook, sheetValues) => {
+  const warnings = new Set();
+  const file = utils.book_new();
+
+  workbook.sheets.forEach((sheet) => {
+    const values = sheetValues[sheet.id];
+    const worksheet = {};
+    sheet.cells.forEach((row, r) =>
+      row.forEach((value, c) => {
+        const style = sheet.styles[r][c];
+        const cell = toFileCell(value, values?.[r]?.[c], style?.numberFormat);
+        // Formatting is written on cells, so formatted empty cells get an
+        // empty value
+        if (!cell && !style) return;
+        worksheet[utils.encode_cell({ r, c })] = cell || { t: "s", v: "" };
+      })
+    );
+    worksheet["!ref"] = utils.encode_range({
+      s: { r: 0, c: 0 },
+      e: { r: sheet.rows - 1, c: sheet.cols - 1 },
+    });
+    worksheet["!cols"] = sheet.columnWidths.map((wpx) => ({ wpx }));
+    worksheet["!rows"] = sheet.rowHeights.map((hpx) => ({ hpx }));
+    utils.book_append_sheet(file, worksheet, sheet.name);
+
+    if (sheet.validations.some((row) => row.some((rule) => rule && rule !== NO_VALIDATION))) {
+      warnings.add("Data validation rules");
+    }
+    if (sheet.conditionalFormats.length > 0) warnings.add("Conditional formatting rules");
+  });
+
+  const data = write(file, { type: "array", bookType: "xlsx", cellStyles: true });
+  return {
+    data: writeXlsxStyles(data, workbook.sheets.map((sheet) => sheet.styles)),
+    warnings: [...warnings],
+  };
+};
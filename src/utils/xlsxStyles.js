@@ -0,0 +1,338 @@
+import { CFB } from "xlsx";
+import { cellToIndex } from "./cellReferences";
+import { FONT_FAMILIES, mergeStyle } from "./cellStyles";
+
+// Cell formatting in .xlsx files. The bundled xlsx library reads and writes
+// values, formulas, number formats and row and column sizes, but not fonts,
+// fills, borders or alignment, so those are read from and written into the
+// package's XML here.
+//
+// styles.xml lists fonts, fills and borders, and cell formats ("xf") that
+// each combine one of every kind with a number format and an alignment. A
+// worksheet cell picks its cell format with the s attribute:
+//
+//   <c r="B2" s="3">   -> cellXfs[3] -> { fontId: 1, fillId: 2, ... }
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+// What Excel calls the default font; it stands in for the app's own
+const DEFAULT_FONT_NAME = "Calibri";
+
+const readFile = (zip, path) => {
+  const entry = CFB.find(zip, `/${path}`);
+  return entry ? decoder.decode(entry.content) : null;
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const unescapeXml = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const attributes = (tag) =>
+  Object.fromEntries(
+    Array.from(tag.matchAll(/([\w:]+)="([^"]*)"/g), ([, name, value]) => [name, unescapeXml(value)])
+  );
+
+// The inside of the first <name> element, or ""
+const section = (xml, name) =>
+  xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`))?.[1] || "";
+
+// Every <name> element, self-closing or not
+const elements = (xml, name) =>
+  xml.match(new RegExp(`<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`, "g")) || [];
+
+const firstTag = (xml, name) => xml.match(new RegExp(`<${name}\\b[^>]*>`))?.[0] || null;
+
+// <b/>, <i/> and the like are on unless their val turns them off
+const isOn = (xml, name) => {
+  const tag = firstTag(xml, name);
+  return !!tag && !["0", "false", "none"].includes(attributes(tag).val);
+};
+
+// Theme colors 0 and 1 are the background and text colors; other theme and
+// indexed colors depend on the file's theme and aren't read
+const THEME_COLORS = { 0: "#ffffff", 1: "#000000" };
+
+// A <color>-like element's color as "#rrggbb", null when it has none, or
+// undefined when it can't be read
+const readColor = (tag) => {
+  if (!tag) return null;
+  const { rgb, theme, tint } = attributes(tag);
+  if (rgb) return `#${rgb.slice(-6).toLowerCase()}`;
+  if (theme !== undefined && !tint && THEME_COLORS[theme]) return THEME_COLORS[theme];
+  return undefined;
+};
+
+// "#rrggbb" or "#rgb" as the ARGB hex Excel uses, or null for other colors
+const toArgb = (color) => {
+  const short = /^#([0-9a-f]{3})$/i.exec(color)?.[1];
+  const hex = short ? short.replace(/./g, (ch) => ch + ch) : /^#([0-9a-f]{6})$/i.exec(color)?.[1];
+  return hex ? `FF${hex.toUpperCase()}` : null;
+};
+
+const readFont = (xml) => ({
+  bold: isOn(xml, "b"),
+  italic: isOn(xml, "i"),
+  underline: isOn(xml, "u"),
+  strikethrough: isOn(xml, "strike"),
+  size: parseFloat(attributes(firstTag(xml, "sz") || "").val) || null,
+  color: readColor(firstTag(xml, "color")),
+  name: attributes(firstTag(xml, "name") || "").val || null,
+});
+
+const readFill = (xml) => {
+  const pattern = firstTag(xml, "patternFill");
+  if (!pattern || attributes(pattern).patternType !== "solid") return null;
+  return readColor(firstTag(xml, "fgColor"));
+};
+
+const SIDES = ["left", "right", "top", "bottom"];
+
+const readBorder = (xml) => {
+  const borders = {};
+  for (const side of SIDES) {
+    const element = elements(xml, side)[0];
+    if (!element || !attributes(firstTag(element, side)).style) continue;
+    borders[side] = readColor(firstTag(element, "color")) || "#000000";
+  }
+  return borders;
+};
+
+const readCellFormat = (xml) => {
+  const { fontId, fillId, borderId } = attributes(firstTag(xml, "xf"));
+  return {
+    fontId: Number(fontId) || 0,
+    fillId: Number(fillId) || 0,
+    borderId: Number(borderId) || 0,
+    alignment: attributes(firstTag(xml, "alignment") || ""),
+  };
+};
+
+const toFontFamily = (name) => {
+  const known = FONT_FAMILIES.find(({ label }) => label.toLowerCase() === name.toLowerCase());
+  if (known) return known.value;
+  return /^[\w-]+$/.test(name) ? name : `'${name.replace(/'/g, "")}'`;
+};
+
+const HORIZONTAL = { left: "left", center: "center", centerContinuous: "center", right: "right" };
+const VERTICAL = { top: "top", center: "middle", bottom: "bottom" };
+
+// A cell format as a stored style (see cellStyles.js). Properties matching
+// the file's default font are left at the app's defaults. `warn` is called
+// with features that can't be shown.
+const toCellStyle = ({ fontId, fillId, borderId, alignment }, stylesheet, warn) => {
+  const font = stylesheet.fonts[fontId] || {};
+  const base = stylesheet.fonts[0] || {};
+  const changes = {
+    bold: font.bold,
+    italic: font.italic,
+    underline: font.underline,
+    strikethrough: font.strikethrough,
+  };
+  if (font.size && font.size !== base.size) changes.fontSize = Math.round((font.size * 4) / 3);
+  if (font.name && font.name !== base.name) changes.fontFamily = toFontFamily(font.name);
+  if ((fontId !== 0 && font.color === undefined) || stylesheet.fills[fillId] === undefined) {
+    warn("Theme colors (shown in the default color)");
+  }
+  if (font.color && font.color !== base.color) changes.color = font.color;
+  if (stylesheet.fills[fillId]) changes.fill = stylesheet.fills[fillId];
+  const borders = stylesheet.borders[borderId];
+  if (borders && Object.keys(borders).length > 0) changes.borders = borders;
+  if (HORIZONTAL[alignment.horizontal]) changes.align = HORIZONTAL[alignment.horizontal];
+  if (VERTICAL[alignment.vertical]) changes.verticalAlign = VERTICAL[alignment.vertical];
+  if (alignment.wrapText === "1" || alignment.wrapText === "true") changes.wrap = true;
+  return mergeStyle(null, changes);
+};
+
+// Path of each worksheet, in workbook order, from workbook.xml and its
+// relationships
+const worksheetPaths = (zip) => {
+  const workbook = readFile(zip, "xl/workbook.xml") || "";
+  const relationships = elements(readFile(zip, "xl/_rels/workbook.xml.rels") || "", "Relationship")
+    .map(attributes);
+  return elements(section(workbook, "sheets"), "sheet").map((tag) => {
+    const id = attributes(tag)["r:id"];
+    const target = relationships.find((rel) => rel.Id === id)?.Target || "";
+    return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+  });
+};
+
+// Read the formatting of an .xlsx file (an ArrayBuffer) as, for each sheet in
+// workbook order, a list of { row, col, style }. Returns null for other file
+// types. `warn` is called with features the file uses that the app has no
+// equivalent for.
+export const readXlsxStyles = (data, warn) => {
+  let zip;
+  try {
+    zip = CFB.read(new Uint8Array(data), { type: "buffer" });
+  } catch {
+    return null;
+  }
+  const stylesXml = readFile(zip, "xl/styles.xml");
+  if (stylesXml === null) return null;
+
+  const stylesheet = {
+    fonts: elements(section(stylesXml, "fonts"), "font").map(readFont),
+    fills: elements(section(stylesXml, "fills"), "fill").map(readFill),
+    borders: elements(section(stylesXml, "borders"), "border").map(readBorder),
+  };
+  const cellFormats = elements(section(stylesXml, "cellXfs"), "xf").map(readCellFormat);
+  // Cells sharing a format share the style object, as after a range edit
+  const cellStyles = new Map();
+  const styleFor = (index) => {
+    if (!cellStyles.has(index)) {
+      cellStyles.set(index, cellFormats[index] ? toCellStyle(cellFormats[index], stylesheet, warn) : null);
+    }
+    return cellStyles.get(index);
+  };
+
+  return worksheetPaths(zip).map((path) => {
+    const xml = readFile(zip, path) || "";
+    if (/<dataValidations\b/.test(xml)) warn("Data validation rules");
+    if (/<conditionalFormatting\b/.test(xml)) warn("Conditional formatting rules");
+    const styled = [];
+    for (const [tag] of xml.matchAll(/<c\b[^>]*>/g)) {
+      const { r, s } = attributes(tag);
+      const style = r && s ? styleFor(Number(s)) : null;
+      if (!style) continue;
+      const [row, col] = cellToIndex(r);
+      styled.push({ row, col, style });
+    }
+    return styled;
+  });
+};
+
+// The app's default font size in points
+const DEFAULT_FONT_SIZE = 10.5;
+
+const fontXml = (style) => {
+  const color = toArgb(style.color || "#000000") || "FF000000";
+  const family = style.fontFamily ? style.fontFamily.split(",")[0].replace(/['"]/g, "").trim() : "";
+  const name = !family || family === "inherit" ? DEFAULT_FONT_NAME : family;
+  const size = style.fontSize ? (style.fontSize * 3) / 4 : DEFAULT_FONT_SIZE;
+  return (
+    "<font>" +
+    (style.bold ? "<b/>" : "") +
+    (style.italic ? "<i/>" : "") +
+    (style.strikethrough ? "<strike/>" : "") +
+    (style.underline ? "<u/>" : "") +
+    `<sz val="${size}"/><color rgb="${color}"/><name val="${escapeXml(name)}"/>` +
+    "</font>"
+  );
+};
+
+const fillXml = (color) =>
+  `<fill><patternFill patternType="solid"><fgColor rgb="${toArgb(color)}"/><bgColor indexed="64"/></patternFill></fill>`;
+
+const borderXml = (borders = {}) =>
+  "<border>" +
+  SIDES.map((side) => {
+    const color = borders[side] && toArgb(borders[side]);
+    return color ? `<${side} style="thin"><color rgb="${color}"/></${side}>` : `<${side}/>`;
+  }).join("") +
+  "<diagonal/></border>";
+
+const ALIGN_TO_HORIZONTAL = { center: "center", right: "right" };
+const ALIGN_TO_VERTICAL = { top: "top", bottom: "bottom" };
+
+const alignmentXml = (style) => {
+  const alignment = {
+    horizontal: ALIGN_TO_HORIZONTAL[style.align],
+    vertical: ALIGN_TO_VERTICAL[style.verticalAlign],
+    wrapText: style.wrap ? "1" : undefined,
+  };
+  const attrs = Object.entries(alignment)
+    .filter(([, value]) => value)
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join("");
+  return attrs ? `<alignment${attrs}/>` : "";
+};
+
+// Write the formatting in `sheetStyles` (each sheet's styles grid, in order)
+// into an .xlsx file written by the xlsx library, whose cell formats only
+// carry number formats. Returns the new file's bytes.
+export const writeXlsxStyles = (data, sheetStyles) => {
+  const zip = CFB.read(new Uint8Array(data), { type: "buffer" });
+  const stylesXml = readFile(zip, "xl/styles.xml");
+  const numFmts = stylesXml.match(/<numFmts\b[\s\S]*?<\/numFmts>/)?.[0] || "";
+  const numberFormatIds = elements(section(stylesXml, "cellXfs"), "xf").map(
+    (xf) => Number(attributes(firstTag(xf, "xf")).numFmtId) || 0
+  );
+
+  // Tables of the new stylesheet, each with a lookup of what's in it. The
+  // first font is the default; the first two fills are required by Excel.
+  const table = (first) => ({ xml: [...first], index: new Map(first.map((xml, i) => [xml, i])) });
+  const add = ({ xml, index }, entry) => {
+    if (!index.has(entry)) {
+      index.set(entry, xml.length);
+      xml.push(entry);
+    }
+    return index.get(entry);
+  };
+  const fonts = table([fontXml({})]);
+  const fills = table([
+    '<fill><patternFill patternType="none"/></fill>',
+    '<fill><patternFill patternType="gray125"/></fill>',
+  ]);
+  const borders = table([borderXml()]);
+  const cellFormats = table(
+    numberFormatIds.map(
+      (numFmtId) => `<xf numFmtId="${numFmtId}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+    )
+  );
+
+  const cellFormatFor = (numFmtId, style) => {
+    const fontId = add(fonts, fontXml(style));
+    const fillId = style.fill && toArgb(style.fill) ? add(fills, fillXml(style.fill)) : 0;
+    const borderId = add(borders, borderXml(style.borders));
+    const alignment = alignmentXml(style);
+    return add(
+      cellFormats,
+      `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+        ` applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"` +
+        (alignment ? ` applyAlignment="1">${alignment}</xf>` : "/>")
+    );
+  };
+
+  sheetStyles.forEach((styles, i) => {
+    const path = `xl/worksheets/sheet${i + 1}.xml`;
+    const xml = readFile(zip, path);
+    const updated = xml.replace(/<c\b([^>]*?)(\/?)>/g, (tag, attrs, selfClosing) => {
+      const { r, s } = attributes(attrs);
+      const [row, col] = cellToIndex(r);
+      // Number formats were written by the library
+      const style = styles[row]?.[col];
+      if (!style || Object.keys(style).every((key) => key === "numberFormat")) return tag;
+      const index = cellFormatFor(numberFormatIds[Number(s) || 0] || 0, style);
+      return `<c${attrs.replace(/\s+s="\d+"/, "")} s="${index}"${selfClosing}>`;
+    });
+    CFB.utils.cfb_add(zip, `/${path}`, encoder.encode(updated));
+  });
+
+  const list = (name, { xml }) => `<${name} count="${xml.length}">${xml.join("")}</${name}>`;
+  const newStylesXml =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    numFmts +
+    list("fonts", fonts) +
+    list("fills", fills) +
+    list("borders", borders) +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    list("cellXfs", cellFormats) +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '<dxfs count="0"/><tableStyles count="0"/>' +
+    "</styleSheet>";
+  CFB.utils.cfb_add(zip, "/xl/styles.xml", encoder.encode(newStylesXml));
+  return CFB.write(zip, { fileType: "zip", type: "array" });
+};